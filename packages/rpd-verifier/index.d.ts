@@ -0,0 +1,165 @@
+import type { RequestHandler } from 'express';
+
+export type SigningAlgorithm = 'ES256' | 'ES384' | 'EdDSA';
+export type UserType = 'MEMBER' | 'CLIENT' | 'SERVICE';
+
+export interface Logger {
+  warn(message: string): void;
+}
+
+export interface JwksOptions {
+  /** Refresh interval of known keys, default 10 minutes */
+  cacheMaxAgeMs?: number;
+  /** Minimal interval between refreshes caused by unknown kids or failed requests, default 30 s */
+  missRefreshIntervalMs?: number;
+  timeoutMs?: number;
+}
+
+export interface RevocationOptions {
+  /** Default 30 s (the endpoint's Cache-Control max-age) */
+  refreshIntervalMs?: number;
+  /** Reject tokens while the list is older than maxStaleMs, default false */
+  failClosed?: boolean;
+  /** Default 5 minutes */
+  maxStaleMs?: number;
+  timeoutMs?: number;
+}
+
+export interface VerifierOptions {
+  /** Audience(s) of this RPD instance, e.g. 'rpd:ahal' */
+  audience: string | string[];
+  /** https://authrpd.example.com/.well-known/jwks.json */
+  jwksUri: string;
+  /** https://authrpd.example.com/.well-known/revocations.json; omit to skip the revocation check */
+  revocationsUri?: string;
+  /** Default 'AUTHRPD' */
+  issuer?: string;
+  /** Allowed clock skew for exp, nbf and iat, default 30 s */
+  clockToleranceSec?: number;
+  /** Default: all supported */
+  algorithms?: SigningAlgorithm[];
+  jwks?: JwksOptions;
+  revocations?: RevocationOptions;
+  fetch?: typeof fetch;
+  clock?: () => number;
+  logger?: Logger;
+}
+
+export interface OrgClaim {
+  id: string;
+  ministry_id: string | null;
+  parent_id: string | null;
+  financing_type: string | null;
+}
+
+export interface ActorClaim {
+  sub: string;
+  reason?: string;
+}
+
+export interface RpdClaims {
+  /** "MEMBER:123" */
+  readonly subject: string;
+  readonly userType: UserType;
+  readonly userId: number | string;
+  /** Top region of the user (data.region_id) */
+  readonly regionId: string | null;
+  /** Original region if the user belongs to a sub-region (sub_region_id) */
+  readonly subRegionId: string | null;
+  /** subRegionId ?? regionId */
+  readonly effectiveRegionId: string | null;
+  /** Role name (data.role), members only */
+  readonly role: string | null;
+  readonly organizationId: string | null;
+  /** data.ministry_id (clients, opt-in by the token policy of the RPD instance) */
+  readonly ministryId: string | null;
+  readonly fullname: string | null;
+  /** Service account tokens */
+  readonly clientId: string | null;
+  /** Permission names from scope; null if the token carries no scope */
+  readonly permissions: string[] | null;
+  readonly permHash: string | null;
+  readonly org: OrgClaim | null;
+  /** Impersonating admin / delegating user */
+  readonly actor: ActorClaim | null;
+  readonly impersonated: boolean;
+  readonly audiences: string[];
+  readonly tokenId: string | null;
+  readonly issuedAt: Date | null;
+  readonly expiresAt: Date;
+  /** Verified payload as issued */
+  readonly raw: Record<string, unknown>;
+}
+
+export interface Verifier {
+  verify(token: string): Promise<RpdClaims>;
+  jwks: { refresh(): Promise<string[]>; kids(): string[] };
+  revocations: { refresh(): Promise<void> } | null;
+  options: { issuer: string; audiences: string[]; algorithms: SigningAlgorithm[]; clockToleranceSec: number };
+}
+
+export const ERROR_TYPES: {
+  readonly MISSING_TOKEN: 'MISSING_TOKEN';
+  readonly MALFORMED_TOKEN: 'MALFORMED_TOKEN';
+  readonly UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM';
+  readonly UNKNOWN_KID: 'UNKNOWN_KID';
+  readonly INVALID_SIGNATURE: 'INVALID_SIGNATURE';
+  readonly TOKEN_EXPIRED: 'TOKEN_EXPIRED';
+  readonly TOKEN_NOT_YET_VALID: 'TOKEN_NOT_YET_VALID';
+  readonly INVALID_ISSUER: 'INVALID_ISSUER';
+  readonly INVALID_AUDIENCE: 'INVALID_AUDIENCE';
+  readonly TOKEN_REVOKED: 'TOKEN_REVOKED';
+  readonly JWKS_UNAVAILABLE: 'JWKS_UNAVAILABLE';
+  readonly REVOCATIONS_UNAVAILABLE: 'REVOCATIONS_UNAVAILABLE';
+  readonly PERMISSION_DENIED: 'PERMISSION_DENIED';
+};
+
+export type ErrorType = (typeof ERROR_TYPES)[keyof typeof ERROR_TYPES];
+
+export class RpdTokenError extends Error {
+  /** HTTP status: 401, 403 or 503 */
+  readonly errorCode: number;
+  readonly errorMsg: string;
+  readonly errorType: ErrorType;
+  toJSON(): { success: false; data: { error_code: number; error_msg: string; error_type: ErrorType } };
+}
+
+export const SUPPORTED_ALGORITHMS: SigningAlgorithm[];
+
+export function createVerifier(options: VerifierOptions): Verifier;
+
+export function rpdAuth(
+  verifierOrOptions: Verifier | VerifierOptions,
+  options?: { requestProperty?: string; credentialsRequired?: boolean }
+): RequestHandler;
+
+export function requirePermission(
+  permissions: string | string[],
+  options?: {
+    any?: boolean;
+    requestProperty?: string;
+    loadPermissions?: (claims: RpdClaims) => Promise<string[]>;
+  }
+): RequestHandler;
+
+export function extractBearerToken(req: { headers: Record<string, string | string[] | undefined> }): string | null;
+
+export function hasPermission(claims: RpdClaims | Record<string, unknown>, permission: string): boolean;
+
+export function hasPermissions(
+  claims: RpdClaims | Record<string, unknown>,
+  permissions: string[],
+  options?: { any?: boolean }
+): boolean;
+
+export function scopesToPermissions(scope: string): string[];
+
+export function toRpdClaims(payload: Record<string, unknown>): RpdClaims;
+
+declare global {
+  namespace Express {
+    interface Request {
+      rpdUser?: RpdClaims;
+    }
+  }
+}
@@ -0,0 +1,91 @@
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+const { scopesToPermissions } = require('./permissions');
+
+/**
+ * Audiences of a token (`aud` may be a string or an array)
+ * @param {Object} payload - token payload
+ * @returns {Array<string>}
+ */
+function audiencesOf(payload) {
+  if (Array.isArray(payload.aud)) {
+    return payload.aud;
+  }
+  return typeof payload.aud === 'string' ? [payload.aud] : [];
+}
+
+/**
+ * Checks iss, aud, exp, nbf and iat
+ *
+ * AuthRPD issues one token for all RPD instances of a region, so `aud` lists several instances;
+ * the token is accepted when any of them is one of this RPD's audiences.
+ *
+ * @param {Object} payload - token payload
+ * @param {Object} options
+ * @param {string} options.issuer - expected iss
+ * @param {Array<string>} options.audiences - audiences of this RPD
+ * @param {number} options.clockToleranceSec - allowed clock skew between AuthRPD and the RPD
+ * @param {number} options.now - current time, seconds
+ * @throws {RpdTokenError}
+ */
+function validateClaims(payload, { issuer, audiences, clockToleranceSec, now }) {
+  if (payload.iss !== issuer) {
+    throw new RpdTokenError(401, 'Invalid token issuer', ERROR_TYPES.INVALID_ISSUER);
+  }
+  if (typeof payload.exp !== 'number' || now >= payload.exp + clockToleranceSec) {
+    throw new RpdTokenError(401, 'Token expired', ERROR_TYPES.TOKEN_EXPIRED);
+  }
+  const notBefore = typeof payload.nbf === 'number' ? payload.nbf : payload.iat;
+  if (typeof notBefore === 'number' && notBefore > now + clockToleranceSec) {
+    throw new RpdTokenError(401, 'Token is not valid yet', ERROR_TYPES.TOKEN_NOT_YET_VALID);
+  }
+  if (!audiencesOf(payload).some((audience) => audiences.includes(audience))) {
+    throw new RpdTokenError(403, 'Token not valid for this RPD instance', ERROR_TYPES.INVALID_AUDIENCE);
+  }
+}
+
+/**
+ * Typed view of a verified AuthRPD token
+ *
+ * @param {Object} payload - verified token payload
+ * @returns {Object} - RpdClaims (see index.d.ts)
+ */
+function toRpdClaims(payload) {
+  const data = payload.data || {};
+  const [userType, rawId] = String(payload.sub || '').split(':');
+  const userId = /^\d+$/.test(rawId || '') ? Number(rawId) : rawId || null;
+  const regionId = data.region_id || null;
+  const subRegionId = payload.sub_region_id || null;
+
+  return Object.freeze({
+    subject: payload.sub,
+    userType: data.user_type || userType || null,
+    userId,
+    regionId,
+    subRegionId,
+    // Region of the user itself: the sub-region if any, otherwise the top region
+    effectiveRegionId: subRegionId || regionId,
+    role: data.role || null,
+    organizationId: data.organization_id || null,
+    ministryId: data.ministry_id || null,
+    fullname: data.fullname || payload.name || null,
+    clientId: payload.client_id || data.client_id || null,
+    // null - the token carries no scope (instance did not opt in, or too many permissions: see permHash)
+    permissions: typeof payload.scope === 'string' ? scopesToPermissions(payload.scope) : null,
+    permHash: payload.perm_hash || null,
+    org: payload.org || null,
+    // Admin impersonation / token exchange: { sub, reason }
+    actor: payload.act || null,
+    impersonated: Boolean(payload.act && payload.act.sub && payload.act.sub !== payload.sub),
+    audiences: audiencesOf(payload),
+    tokenId: payload.jti || null,
+    issuedAt: typeof payload.iat === 'number' ? new Date(payload.iat * 1000) : null,
+    expiresAt: new Date(payload.exp * 1000),
+    raw: payload,
+  });
+}
+
+module.exports = {
+  audiencesOf,
+  validateClaims,
+  toRpdClaims,
+};
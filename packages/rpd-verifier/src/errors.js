@@ -0,0 +1,54 @@
+/**
+ * Machine-readable reasons of a rejected token (`error_type` in responses)
+ */
+const ERROR_TYPES = {
+  MISSING_TOKEN: 'MISSING_TOKEN',
+  MALFORMED_TOKEN: 'MALFORMED_TOKEN',
+  UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM',
+  UNKNOWN_KID: 'UNKNOWN_KID',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_NOT_YET_VALID: 'TOKEN_NOT_YET_VALID',
+  INVALID_ISSUER: 'INVALID_ISSUER',
+  INVALID_AUDIENCE: 'INVALID_AUDIENCE',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
+  JWKS_UNAVAILABLE: 'JWKS_UNAVAILABLE',
+  REVOCATIONS_UNAVAILABLE: 'REVOCATIONS_UNAVAILABLE',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+};
+
+/**
+ * Token verification error. Serializes to the AuthRPD error format:
+ * { success: false, data: { error_code, error_msg, error_type } }
+ */
+class RpdTokenError extends Error {
+  /**
+   * @param {number} errorCode - HTTP status (401 invalid token, 403 wrong audience or permission,
+   *   503 AuthRPD keys or revocation list unavailable)
+   * @param {string} errorMsg - message
+   * @param {string} errorType - one of ERROR_TYPES
+   */
+  constructor(errorCode, errorMsg, errorType) {
+    super(errorMsg);
+    this.errorCode = errorCode;
+    this.errorMsg = errorMsg;
+    this.errorType = errorType;
+    this.name = 'RpdTokenError';
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      data: {
+        error_code: this.errorCode,
+        error_msg: this.errorMsg,
+        error_type: this.errorType,
+      },
+    };
+  }
+}
+
+module.exports = {
+  ERROR_TYPES,
+  RpdTokenError,
+};
@@ -0,0 +1,106 @@
+const { createVerifier } = require('./verifier');
+const { hasPermissions, normalizePermission } = require('./permissions');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+
+/**
+ * Sends a verification error in the AuthRPD error format
+ * @param {Object} res - Express response
+ * @param {RpdTokenError} error
+ */
+function sendError(res, error) {
+  if (error.errorCode === 401) {
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.errorMsg}"`);
+  }
+  res.status(error.errorCode).json(error.toJSON());
+}
+
+/**
+ * Bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: verifies the Bearer token and puts RpdClaims on the request
+ *
+ * @param {Object} verifierOrOptions - createVerifier() result or its options
+ * @param {Object} [options]
+ * @param {string} [options.requestProperty='rpdUser'] - req property for the claims
+ * @param {boolean} [options.credentialsRequired=true] - false: requests without a token pass
+ *   through without claims (invalid tokens are still rejected)
+ * @returns {Function} - Express middleware
+ */
+function rpdAuth(verifierOrOptions, options = {}) {
+  const verifier = typeof verifierOrOptions.verify === 'function' ? verifierOrOptions : createVerifier(verifierOrOptions);
+  const { requestProperty = 'rpdUser', credentialsRequired = true } = options;
+
+  return async (req, res, next) => {
+    const token = extractBearerToken(req);
+    if (!token && !credentialsRequired) {
+      return next();
+    }
+
+    try {
+      req[requestProperty] = await verifier.verify(token);
+    } catch (error) {
+      if (error instanceof RpdTokenError) {
+        return sendError(res, error);
+      }
+      return next(error);
+    }
+    return next();
+  };
+}
+
+/**
+ * Express middleware: requires permissions (after rpdAuth)
+ *
+ * Permissions come from the token's scope. If the token carries none (the instance did not
+ * opt in to token_permissions, or the user has too many), `loadPermissions` is called, e.g. to
+ * read them from the RPD's own cache keyed by claims.permHash.
+ *
+ * @param {string|Array<string>} permissions - e.g. 'CATALOG_READ' or ['report:read', 'report:export']
+ * @param {Object} [options]
+ * @param {boolean} [options.any=false] - one of the permissions is enough
+ * @param {string} [options.requestProperty='rpdUser'] - req property set by rpdAuth
+ * @param {Function} [options.loadPermissions] - async (claims) => Array<string>
+ * @returns {Function} - Express middleware
+ */
+function requirePermission(permissions, options = {}) {
+  const required = [].concat(permissions);
+  const { any = false, requestProperty = 'rpdUser', loadPermissions } = options;
+
+  return async (req, res, next) => {
+    let claims = req[requestProperty];
+    if (!claims) {
+      return sendError(res, new RpdTokenError(401, 'Access token is required', ERROR_TYPES.MISSING_TOKEN));
+    }
+
+    try {
+      if (claims.permissions === null && loadPermissions) {
+        claims = { ...claims, permissions: (await loadPermissions(claims)).map(normalizePermission) };
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!hasPermissions(claims, required, { any })) {
+      return sendError(
+        res,
+        new RpdTokenError(403, `Missing permission: ${required.join(any ? ' or ' : ', ')}`, ERROR_TYPES.PERMISSION_DENIED)
+      );
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  rpdAuth,
+  requirePermission,
+  extractBearerToken,
+};
@@ -0,0 +1,22 @@
+/**
+ * Fetches a JSON document from AuthRPD
+ * @param {Function} fetchImpl - fetch implementation (global fetch by default)
+ * @param {string} url - document URL
+ * @param {number} timeoutMs - request timeout
+ * @returns {Promise<Object>}
+ * @throws {Error} - network error, timeout or non-2xx response
+ */
+async function fetchJson(fetchImpl, url, timeoutMs) {
+  const response = await fetchImpl(url, {
+    headers: { accept: 'application/json' },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+module.exports = {
+  fetchJson,
+};
@@ -0,0 +1,28 @@
+/**
+ * @authrpd/rpd-verifier
+ *
+ * Verification of AuthRPD access tokens for RPD deployments:
+ * - createVerifier().verify(token) - framework-agnostic, resolves to typed claims
+ * - rpdAuth() / requirePermission() - Express middlewares
+ * - hasPermission() - permission check against the scope claim
+ */
+const { createVerifier } = require('./verifier');
+const { rpdAuth, requirePermission, extractBearerToken } = require('./express');
+const { hasPermission, hasPermissions, scopesToPermissions } = require('./permissions');
+const { toRpdClaims } = require('./claims');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+const { ALGORITHMS } = require('./jws');
+
+module.exports = {
+  createVerifier,
+  rpdAuth,
+  requirePermission,
+  extractBearerToken,
+  hasPermission,
+  hasPermissions,
+  scopesToPermissions,
+  toRpdClaims,
+  RpdTokenError,
+  ERROR_TYPES,
+  SUPPORTED_ALGORITHMS: Object.keys(ALGORITHMS),
+};
@@ -0,0 +1,118 @@
+const { importJwk } = require('./jws');
+const { fetchJson } = require('./http');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+
+/**
+ * JWKS cache
+ *
+ * Keys are kept in memory for `cacheMaxAgeMs`. A token with an unknown kid (AuthRPD rotated or
+ * pre-published a key) triggers a refresh, at most once per `missRefreshIntervalMs`, so forged
+ * kids cannot be used to flood AuthRPD. If AuthRPD is unreachable the last known keys stay in use.
+ *
+ * @param {Object} options
+ * @param {string} options.jwksUri - https://authrpd.example.com/.well-known/jwks.json
+ * @param {number} [options.cacheMaxAgeMs=600000] - refresh interval of known keys (10 minutes)
+ * @param {number} [options.missRefreshIntervalMs=30000] - minimal interval between refreshes
+ *   caused by unknown kids or failed requests
+ * @param {number} [options.timeoutMs=5000] - request timeout
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {Function} [options.clock] - () => milliseconds (tests)
+ * @param {Object} [options.logger] - { warn } (default: console)
+ * @returns {Object} - { getKey, refresh, kids }
+ */
+function createJwksCache(options) {
+  const {
+    jwksUri,
+    cacheMaxAgeMs = 10 * 60 * 1000,
+    missRefreshIntervalMs = 30 * 1000,
+    timeoutMs = 5000,
+    fetch: fetchImpl = globalThis.fetch,
+    clock = Date.now,
+    logger = console,
+  } = options;
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = -Infinity;
+  let inflight = null;
+
+  /**
+   * Downloads the key set (concurrent calls share one request)
+   * @returns {Promise<Array<string>>} - loaded kids
+   */
+  function refresh() {
+    if (!inflight) {
+      attemptedAt = clock();
+      inflight = fetchJson(fetchImpl, jwksUri, timeoutMs)
+        .then((jwks) => {
+          const loaded = new Map();
+          for (const jwk of (jwks && jwks.keys) || []) {
+            const key = importJwk(jwk);
+            if (key) {
+              loaded.set(key.kid, key);
+            }
+          }
+          keys = loaded;
+          fetchedAt = clock();
+          return [...loaded.keys()];
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  }
+
+  /**
+   * Refreshes unless the last attempt was less than missRefreshIntervalMs ago
+   * @returns {Promise<boolean>} - false if the request failed
+   */
+  async function tryRefresh() {
+    if (!inflight && clock() - attemptedAt < missRefreshIntervalMs) {
+      return true;
+    }
+    try {
+      await refresh();
+      return true;
+    } catch (error) {
+      logger.warn(`AuthRPD JWKS refresh failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Public key of a kid
+   * @param {string} kid - kid from the token header
+   * @returns {Promise<Object>} - { kid, alg, keyObject }
+   * @throws {RpdTokenError} - UNKNOWN_KID, or JWKS_UNAVAILABLE if no keys could be loaded
+   */
+  async function getKey(kid) {
+    let reachable = true;
+    if (fetchedAt === 0 || clock() - fetchedAt > cacheMaxAgeMs) {
+      reachable = await tryRefresh();
+    }
+
+    if (!keys.has(kid) && reachable) {
+      reachable = await tryRefresh();
+    }
+
+    const key = keys.get(kid);
+    if (key) {
+      return key;
+    }
+    if (!reachable || fetchedAt === 0) {
+      throw new RpdTokenError(503, 'AuthRPD signing keys are unavailable', ERROR_TYPES.JWKS_UNAVAILABLE);
+    }
+    throw new RpdTokenError(401, 'Unknown token signing key', ERROR_TYPES.UNKNOWN_KID);
+  }
+
+  return {
+    getKey,
+    refresh,
+    kids: () => [...keys.keys()],
+  };
+}
+
+module.exports = {
+  createJwksCache,
+};
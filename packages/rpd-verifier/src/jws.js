@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+
+/**
+ * Compact JWS decoding and signature verification (node:crypto, no JOSE dependency)
+ *
+ * AuthRPD signs with ES256, ES384 or EdDSA (Ed25519), chosen per RPD instance. The algorithm
+ * of a token is the `alg` of its JWKS key: a token whose header names another algorithm is
+ * rejected, so a key can never be used with an algorithm it was not published for.
+ */
+
+const ALGORITHMS = {
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', crv: 'P-384', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null, kty: 'OKP', crv: 'Ed25519' },
+};
+
+/**
+ * Algorithm of a JWK: its `alg`, or derived from the curve for keys published without it
+ * @param {Object} jwk - JSON Web Key
+ * @returns {string|null}
+ */
+function algorithmOfJwk(jwk) {
+  if (jwk.alg) {
+    return ALGORITHMS[jwk.alg] ? jwk.alg : null;
+  }
+  const match = Object.entries(ALGORITHMS).find(([, spec]) => spec.kty === jwk.kty && spec.crv === jwk.crv);
+  return match ? match[0] : null;
+}
+
+/**
+ * Imports a JWKS key
+ * @param {Object} jwk - JSON Web Key
+ * @returns {Object|null} - { kid, alg, keyObject }, null for keys that are not AuthRPD signing keys
+ */
+function importJwk(jwk) {
+  const alg = algorithmOfJwk(jwk);
+  if (!jwk.kid || !alg || (jwk.use && jwk.use !== 'sig')) {
+    return null;
+  }
+  const spec = ALGORITHMS[alg];
+  if (jwk.kty !== spec.kty || jwk.crv !== spec.crv) {
+    return null;
+  }
+
+  try {
+    return { kid: jwk.kid, alg, keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decodes a compact JWS without verifying it
+ * @param {string} token - JWT
+ * @returns {Object} - { header, payload, signingInput, signature }
+ * @throws {RpdTokenError} - MALFORMED_TOKEN
+ */
+function decodeJws(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new RpdTokenError(401, 'Invalid token format', ERROR_TYPES.MALFORMED_TOKEN);
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+      throw new Error('not an object');
+    }
+    return {
+      header,
+      payload,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch (error) {
+    throw new RpdTokenError(401, 'Invalid token format', ERROR_TYPES.MALFORMED_TOKEN);
+  }
+}
+
+/**
+ * Verifies the signature of a decoded token with its JWKS key
+ * @param {Object} decoded - result of decodeJws
+ * @param {Object} key - { alg, keyObject } from importJwk
+ * @throws {RpdTokenError} - UNSUPPORTED_ALGORITHM or INVALID_SIGNATURE
+ */
+function verifySignature(decoded, key) {
+  if (decoded.header.alg !== key.alg) {
+    throw new RpdTokenError(
+      401,
+      `Token algorithm ${decoded.header.alg} does not match key ${key.kid} (${key.alg})`,
+      ERROR_TYPES.UNSUPPORTED_ALGORITHM
+    );
+  }
+
+  const spec = ALGORITHMS[key.alg];
+  const keyInput = spec.dsaEncoding ? { key: key.keyObject, dsaEncoding: spec.dsaEncoding } : key.keyObject;
+  let valid = false;
+  try {
+    valid = crypto.verify(spec.hash, Buffer.from(decoded.signingInput), keyInput, decoded.signature);
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new RpdTokenError(401, 'Invalid token signature', ERROR_TYPES.INVALID_SIGNATURE);
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  importJwk,
+  decodeJws,
+  verifySignature,
+};
@@ -0,0 +1,64 @@
+/**
+ * Permission checks against the `scope` claim
+ *
+ * An RPD instance with token_permissions enabled gets the member's role permissions in `scope`,
+ * in OAuth notation: CATALOG_READ <-> catalog:read. Service account tokens carry their granted
+ * scopes the same way. Both notations are accepted here.
+ */
+
+/**
+ * Normalizes a permission name: catalog:read -> CATALOG_READ
+ * @param {string} permission - permission or scope
+ * @returns {string}
+ */
+function normalizePermission(permission) {
+  return String(permission).trim().toUpperCase().replace(/:/g, '_');
+}
+
+/**
+ * Permissions of a scope claim
+ * @param {string} scope - space-separated scopes
+ * @returns {Array<string>} - permission names
+ */
+function scopesToPermissions(scope) {
+  const list = String(scope || '').split(' ').filter(Boolean);
+  return [...new Set(list.map(normalizePermission))];
+}
+
+/**
+ * Whether the token grants a permission
+ *
+ * `false` also when the token carries no scope at all (claims.permissions === null): then the
+ * RPD has to load the user's permissions itself (requirePermission's loadPermissions option).
+ *
+ * @param {Object} claims - RpdClaims (verify() result) or a raw token payload
+ * @param {string} permission - e.g. 'CATALOG_READ' or 'catalog:read'
+ * @returns {boolean}
+ */
+function hasPermission(claims, permission) {
+  const permissions = claims && Array.isArray(claims.permissions)
+    ? claims.permissions
+    : claims && typeof claims.scope === 'string'
+      ? scopesToPermissions(claims.scope)
+      : [];
+  return permissions.includes(normalizePermission(permission));
+}
+
+/**
+ * Whether the token grants all (or any) of the permissions
+ * @param {Object} claims - RpdClaims or a raw token payload
+ * @param {Array<string>} permissions - required permissions
+ * @param {Object} options - { any: true } - one of them is enough
+ * @returns {boolean}
+ */
+function hasPermissions(claims, permissions, options = {}) {
+  const check = (permission) => hasPermission(claims, permission);
+  return options.any ? permissions.some(check) : permissions.every(check);
+}
+
+module.exports = {
+  normalizePermission,
+  scopesToPermissions,
+  hasPermission,
+  hasPermissions,
+};
@@ -0,0 +1,97 @@
+const { fetchJson } = require('./http');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+
+/**
+ * AuthRPD access token revocation list (/.well-known/revocations.json)
+ *
+ * A token is revoked when its `jti` is listed, or its `sub` is listed and the token was issued
+ * at or before `revoked_before` (logout-all, blocked user). The list is refreshed every
+ * `refreshIntervalMs`; verification waits only for the first download; later refreshes run in
+ * the background and keep the previous list if AuthRPD is unreachable.
+ *
+ * @param {Object} options
+ * @param {string} options.revocationsUri - https://authrpd.example.com/.well-known/revocations.json
+ * @param {number} [options.refreshIntervalMs=30000] - matches the endpoint's Cache-Control max-age
+ * @param {boolean} [options.failClosed=false] - reject tokens while the list is older than maxStaleMs
+ * @param {number} [options.maxStaleMs=300000] - fail-closed limit (5 minutes)
+ * @param {number} [options.timeoutMs=5000] - request timeout
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {Function} [options.clock] - () => milliseconds (tests)
+ * @param {Object} [options.logger] - { warn } (default: console)
+ * @returns {Object} - { check, refresh }
+ */
+function createRevocationList(options) {
+  const {
+    revocationsUri,
+    refreshIntervalMs = 30 * 1000,
+    failClosed = false,
+    maxStaleMs = 5 * 60 * 1000,
+    timeoutMs = 5000,
+    fetch: fetchImpl = globalThis.fetch,
+    clock = Date.now,
+    logger = console,
+  } = options;
+
+  let list = { jti: new Set(), sub: new Map() };
+  let fetchedAt = 0;
+  let attemptedAt = -Infinity;
+  let inflight = null;
+
+  /**
+   * Downloads the list (concurrent calls share one request)
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    if (!inflight) {
+      attemptedAt = clock();
+      inflight = fetchJson(fetchImpl, revocationsUri, timeoutMs)
+        .then((body) => {
+          list = {
+            jti: new Set((body.jti || []).map((entry) => entry.jti)),
+            sub: new Map((body.sub || []).map((entry) => [entry.sub, entry.revoked_before])),
+          };
+          fetchedAt = clock();
+        })
+        .catch((error) => {
+          logger.warn(`AuthRPD revocation list refresh failed: ${error.message}`);
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  }
+
+  /**
+   * Rejects a revoked token
+   * @param {Object} payload - verified token payload
+   * @returns {Promise<void>}
+   * @throws {RpdTokenError} - TOKEN_REVOKED, or REVOCATIONS_UNAVAILABLE (fail-closed)
+   */
+  async function check(payload) {
+    if (clock() - attemptedAt >= refreshIntervalMs) {
+      const pending = refresh();
+      if (fetchedAt === 0) {
+        await pending;
+      }
+    }
+
+    if (failClosed && (fetchedAt === 0 || clock() - fetchedAt > maxStaleMs)) {
+      throw new RpdTokenError(503, 'AuthRPD revocation list is unavailable', ERROR_TYPES.REVOCATIONS_UNAVAILABLE);
+    }
+
+    const revokedBefore = list.sub.get(payload.sub);
+    if ((payload.jti && list.jti.has(payload.jti)) || (revokedBefore !== undefined && payload.iat <= revokedBefore)) {
+      throw new RpdTokenError(401, 'Token has been revoked', ERROR_TYPES.TOKEN_REVOKED);
+    }
+  }
+
+  return {
+    check,
+    refresh,
+  };
+}
+
+module.exports = {
+  createRevocationList,
+};
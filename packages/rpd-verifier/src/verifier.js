@@ -0,0 +1,95 @@
+const { ALGORITHMS, decodeJws, verifySignature } = require('./jws');
+const { createJwksCache } = require('./jwks');
+const { createRevocationList } = require('./revocations');
+const { validateClaims, toRpdClaims } = require('./claims');
+const { RpdTokenError, ERROR_TYPES } = require('./errors');
+
+/**
+ * Creates a verifier of AuthRPD access tokens (framework-agnostic)
+ *
+ * Options are checked here, not at import time, so a missing setting fails where the verifier
+ * is built, with a message naming it.
+ *
+ * @param {Object} options
+ * @param {string|Array<string>} options.audience - audience(s) of this RPD instance, e.g. 'rpd:ahal'
+ * @param {string} options.jwksUri - AuthRPD JWKS URL
+ * @param {string} [options.revocationsUri] - AuthRPD revocation list URL (omit to skip the check)
+ * @param {string} [options.issuer='AUTHRPD'] - expected iss
+ * @param {number} [options.clockToleranceSec=30] - allowed clock skew for exp, nbf and iat
+ * @param {Array<string>} [options.algorithms] - accepted algorithms (default: ES256, ES384, EdDSA)
+ * @param {Object} [options.jwks] - createJwksCache options (cacheMaxAgeMs, missRefreshIntervalMs, timeoutMs)
+ * @param {Object} [options.revocations] - createRevocationList options (refreshIntervalMs, failClosed, maxStaleMs)
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {Function} [options.clock] - () => milliseconds (tests)
+ * @param {Object} [options.logger] - { warn } (default: console)
+ * @returns {Object} - { verify, jwks, revocations, options }
+ * @throws {TypeError} - missing or invalid options
+ */
+function createVerifier(options = {}) {
+  const audiences = [].concat(options.audience || []).filter(Boolean);
+  if (audiences.length === 0) {
+    throw new TypeError('rpd-verifier: audience is required (the RPD instance audience, e.g. "rpd:ahal")');
+  }
+  if (!options.jwksUri) {
+    throw new TypeError('rpd-verifier: jwksUri is required (e.g. "https://authrpd.example.com/.well-known/jwks.json")');
+  }
+  const algorithms = options.algorithms || Object.keys(ALGORITHMS);
+  const unsupported = algorithms.filter((algorithm) => !ALGORITHMS[algorithm]);
+  if (unsupported.length > 0) {
+    throw new TypeError(`rpd-verifier: unsupported algorithms: ${unsupported.join(', ')}`);
+  }
+
+  const issuer = options.issuer || 'AUTHRPD';
+  const clockToleranceSec = options.clockToleranceSec === undefined ? 30 : options.clockToleranceSec;
+  const clock = options.clock || Date.now;
+  const shared = { fetch: options.fetch || globalThis.fetch, clock, logger: options.logger || console };
+
+  const jwks = createJwksCache({ ...options.jwks, ...shared, jwksUri: options.jwksUri });
+  const revocations = options.revocationsUri
+    ? createRevocationList({ ...options.revocations, ...shared, revocationsUri: options.revocationsUri })
+    : null;
+
+  /**
+   * Verifies an access token
+   * @param {string} token - JWT (without the "Bearer " prefix)
+   * @returns {Promise<Object>} - RpdClaims
+   * @throws {RpdTokenError}
+   */
+  async function verify(token) {
+    if (!token) {
+      throw new RpdTokenError(401, 'Access token is required', ERROR_TYPES.MISSING_TOKEN);
+    }
+
+    const decoded = decodeJws(token);
+    if (!algorithms.includes(decoded.header.alg)) {
+      throw new RpdTokenError(401, `Unsupported token algorithm: ${decoded.header.alg}`, ERROR_TYPES.UNSUPPORTED_ALGORITHM);
+    }
+    if (!decoded.header.kid) {
+      throw new RpdTokenError(401, 'Token has no kid', ERROR_TYPES.MALFORMED_TOKEN);
+    }
+
+    verifySignature(decoded, await jwks.getKey(decoded.header.kid));
+    validateClaims(decoded.payload, {
+      issuer,
+      audiences,
+      clockToleranceSec,
+      now: Math.floor(clock() / 1000),
+    });
+    if (revocations) {
+      await revocations.check(decoded.payload);
+    }
+
+    return toRpdClaims(decoded.payload);
+  }
+
+  return {
+    verify,
+    jwks,
+    revocations,
+    options: { issuer, audiences, algorithms, clockToleranceSec },
+  };
+}
+
+module.exports = {
+  createVerifier,
+};
@@ -0,0 +1,134 @@
+const { createVerifier, rpdAuth, requirePermission, hasPermission, hasPermissions } = require('../src');
+const { JWKS_URI, generateKey, signToken, memberPayload, createFakeAuthRpd, silentLogger } = require('./helpers');
+
+/**
+ * Runs a middleware with a minimal Express-like request/response
+ * @returns {Promise<Object>} - { req, res, nextCalled, nextError }
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        resolve({ req, res, nextCalled: false });
+        return this;
+      },
+    };
+    middleware(req, res, (error) => resolve({ req, res, nextCalled: true, nextError: error }));
+  });
+}
+
+describe('express middlewares', () => {
+  let key;
+  let verifier;
+
+  beforeAll(() => {
+    key = generateKey('EdDSA');
+    verifier = createVerifier({
+      audience: 'rpd:ahal:primary',
+      jwksUri: JWKS_URI,
+      fetch: createFakeAuthRpd({ keys: [key] }),
+      logger: silentLogger,
+    });
+  });
+
+  const bearer = (payload) => ({ headers: { authorization: `Bearer ${signToken(payload, key)}` } });
+
+  describe('rpdAuth', () => {
+    it('puts typed claims on the request', async () => {
+      const { req, nextCalled } = await run(rpdAuth(verifier), bearer(memberPayload()));
+      expect(nextCalled).toBe(true);
+      expect(req.rpdUser).toMatchObject({ userId: 42, regionId: '11', role: 'REGION_ADMIN' });
+    });
+
+    it('rejects a missing token in the AuthRPD error format', async () => {
+      const { res, nextCalled } = await run(rpdAuth(verifier), { headers: {} });
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['WWW-Authenticate']).toMatch(/^Bearer error="invalid_token"/);
+      expect(res.body).toEqual({
+        success: false,
+        data: { error_code: 401, error_msg: 'Access token is required', error_type: 'MISSING_TOKEN' },
+      });
+    });
+
+    it('answers 403 for a token of another RPD instance', async () => {
+      const { res } = await run(rpdAuth(verifier), bearer(memberPayload({ aud: ['rpd:balkan', 'RPD'] })));
+      expect(res.statusCode).toBe(403);
+      expect(res.body.data.error_type).toBe('INVALID_AUDIENCE');
+    });
+
+    it('lets anonymous requests through when credentials are optional', async () => {
+      const middleware = rpdAuth(verifier, { credentialsRequired: false, requestProperty: 'auth' });
+      const anonymous = await run(middleware, { headers: {} });
+      expect(anonymous.nextCalled).toBe(true);
+      expect(anonymous.req.auth).toBeUndefined();
+
+      const invalid = await run(middleware, { headers: { authorization: 'Bearer garbage' } });
+      expect(invalid.res.statusCode).toBe(401);
+    });
+
+    it('accepts verifier options', async () => {
+      const middleware = rpdAuth({
+        audience: 'rpd:ahal:primary',
+        jwksUri: JWKS_URI,
+        fetch: createFakeAuthRpd({ keys: [key] }),
+        logger: silentLogger,
+      });
+      const { nextCalled } = await run(middleware, bearer(memberPayload()));
+      expect(nextCalled).toBe(true);
+    });
+  });
+
+  describe('requirePermission', () => {
+    const authenticated = async (payload) => (await run(rpdAuth(verifier), bearer(payload))).req;
+
+    it('checks permissions from the scope claim in both notations', async () => {
+      const req = await authenticated(memberPayload({ scope: 'catalog:read report:read' }));
+
+      expect((await run(requirePermission('CATALOG_READ'), req)).nextCalled).toBe(true);
+      expect((await run(requirePermission(['catalog:read', 'REPORT_READ']), req)).nextCalled).toBe(true);
+
+      const denied = await run(requirePermission(['CATALOG_READ', 'CATALOG_WRITE']), req);
+      expect(denied.res.statusCode).toBe(403);
+      expect(denied.res.body.data).toMatchObject({ error_type: 'PERMISSION_DENIED' });
+
+      expect((await run(requirePermission(['CATALOG_WRITE', 'REPORT_READ'], { any: true }), req)).nextCalled).toBe(true);
+    });
+
+    it('loads permissions when the token carries no scope', async () => {
+      const req = await authenticated(memberPayload({ perm_hash: 'f00d' }));
+      const loadPermissions = jest.fn(async () => ['report:export']);
+
+      expect((await run(requirePermission('REPORT_EXPORT'), req)).res.statusCode).toBe(403);
+      expect((await run(requirePermission('REPORT_EXPORT', { loadPermissions }), req)).nextCalled).toBe(true);
+      expect(loadPermissions).toHaveBeenCalledWith(expect.objectContaining({ permHash: 'f00d', userId: 42 }));
+    });
+
+    it('requires rpdAuth first', async () => {
+      const { res } = await run(requirePermission('CATALOG_READ'), { headers: {} });
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('works on claims and raw payloads', () => {
+      expect(hasPermission({ permissions: ['CATALOG_READ'] }, 'catalog:read')).toBe(true);
+      expect(hasPermission({ scope: 'payment:request:create' }, 'PAYMENT_REQUEST_CREATE')).toBe(true);
+      expect(hasPermission({ permissions: null }, 'CATALOG_READ')).toBe(false);
+      expect(hasPermissions({ scope: 'a:b' }, ['A_B', 'C_D'])).toBe(false);
+      expect(hasPermissions({ scope: 'a:b' }, ['A_B', 'C_D'], { any: true })).toBe(true);
+    });
+  });
+});
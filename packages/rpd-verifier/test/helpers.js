@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+/**
+ * Test fixtures: locally generated AuthRPD-like signing keys, JWKS and tokens
+ */
+
+const ISSUER = 'AUTHRPD';
+const JWKS_URI = 'https://authrpd.test/.well-known/jwks.json';
+const REVOCATIONS_URI = 'https://authrpd.test/.well-known/revocations.json';
+
+const KEY_PARAMS = {
+  ES256: ['ec', { namedCurve: 'prime256v1' }],
+  ES384: ['ec', { namedCurve: 'secp384r1' }],
+  EdDSA: ['ed25519', {}],
+};
+
+/**
+ * Generates a signing key
+ * @param {string} alg - ES256, ES384 or EdDSA
+ * @param {string} kid - key id
+ * @returns {Object} - { kid, alg, privateKey, jwk }
+ */
+function generateKey(alg, kid = `${alg.toLowerCase()}-test`) {
+  const [type, options] = KEY_PARAMS[alg];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  return { kid, alg, privateKey, jwk: { kty, use: 'sig', kid, crv, x, ...(y ? { y } : {}), alg } };
+}
+
+/**
+ * Signs a compact JWS
+ * @param {Object} payload - claims
+ * @param {Object} key - generateKey() result
+ * @param {Object} header - header overrides
+ * @returns {string}
+ */
+function signToken(payload, key, header = {}) {
+  const fullHeader = { alg: key.alg, typ: 'JWT', kid: key.kid, ...header };
+  const signingInput = [fullHeader, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const hash = { ES256: 'sha256', ES384: 'sha384', EdDSA: null }[key.alg];
+  const keyInput = key.alg === 'EdDSA' ? key.privateKey : { key: key.privateKey, dsaEncoding: 'ieee-p1363' };
+  const signature = crypto.sign(hash, Buffer.from(signingInput), keyInput);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Access token payload as issued by AuthRPD for a member of a sub-region
+ * @param {Object} overrides - claim overrides
+ * @param {number} now - seconds
+ * @returns {Object}
+ */
+function memberPayload(overrides = {}, now = Math.floor(Date.now() / 1000)) {
+  return {
+    iss: ISSUER,
+    sub: 'MEMBER:42',
+    aud: ['rpd:ahal:primary', 'rpd:ahal:secondary', 'RPD'],
+    iat: now,
+    nbf: now,
+    exp: now + 1200,
+    jti: crypto.randomUUID(),
+    name: 'Aman Amanov',
+    preferred_username: 'aman',
+    data: {
+      id: 42,
+      user_type: 'MEMBER',
+      role: 'REGION_ADMIN',
+      region_id: '11',
+      organization_id: null,
+      fullname: 'Aman Amanov',
+    },
+    sub_region_id: 'ASGABAT_CITY',
+    ...overrides,
+  };
+}
+
+/**
+ * Fake AuthRPD: fetch serving mutable JWKS and revocation documents, counting requests
+ * @param {Object} state - { keys: [generateKey()], revocations: { jti, sub }, down: false }
+ * @returns {Function} - fetch with .calls = { jwks, revocations }
+ */
+function createFakeAuthRpd(state) {
+  const calls = { jwks: 0, revocations: 0 };
+  const fakeFetch = async (url) => {
+    const target = url === JWKS_URI ? 'jwks' : url === REVOCATIONS_URI ? 'revocations' : null;
+    if (target) {
+      calls[target] += 1;
+    }
+    if (state.down || !target) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    const body = target === 'jwks'
+      ? { keys: state.keys.map((key) => key.jwk) }
+      : { issuer: ISSUER, jti: [], sub: [], ...state.revocations };
+    return { ok: true, status: 200, json: async () => body };
+  };
+  fakeFetch.calls = calls;
+  return fakeFetch;
+}
+
+/**
+ * Controllable clock
+ * @param {number} start - milliseconds
+ * @returns {Function} - () => ms, with .advance(ms)
+ */
+function createClock(start = Date.now()) {
+  let now = start;
+  const clock = () => now;
+  clock.advance = (ms) => {
+    now += ms;
+  };
+  return clock;
+}
+
+const silentLogger = { warn: () => {} };
+
+module.exports = {
+  ISSUER,
+  JWKS_URI,
+  REVOCATIONS_URI,
+  generateKey,
+  signToken,
+  memberPayload,
+  createFakeAuthRpd,
+  createClock,
+  silentLogger,
+};
@@ -0,0 +1,266 @@
+const { createVerifier, ERROR_TYPES } = require('../src');
+const {
+  JWKS_URI,
+  REVOCATIONS_URI,
+  generateKey,
+  signToken,
+  memberPayload,
+  createFakeAuthRpd,
+  createClock,
+  silentLogger,
+} = require('./helpers');
+
+describe('createVerifier', () => {
+  let keys;
+  let state;
+  let fakeFetch;
+  let clock;
+
+  const build = (options = {}) =>
+    createVerifier({
+      audience: 'rpd:ahal:secondary',
+      jwksUri: JWKS_URI,
+      fetch: fakeFetch,
+      clock,
+      logger: silentLogger,
+      ...options,
+    });
+  const now = () => Math.floor(clock() / 1000);
+  const rejectsWith = (promise, errorType) => expect(promise).rejects.toMatchObject({ errorType });
+
+  beforeAll(() => {
+    keys = {
+      ES256: generateKey('ES256', 'es256-20250101T000000Z'),
+      ES384: generateKey('ES384', 'es384-20250101T000000Z'),
+      EdDSA: generateKey('EdDSA', 'eddsa-20250101T000000Z'),
+    };
+  });
+
+  beforeEach(() => {
+    state = { keys: Object.values(keys), revocations: {} };
+    fakeFetch = createFakeAuthRpd(state);
+    clock = createClock();
+  });
+
+  describe('options', () => {
+    it('requires audience and jwksUri when the verifier is created', () => {
+      expect(() => createVerifier({ jwksUri: JWKS_URI })).toThrow(/audience is required/);
+      expect(() => createVerifier({ audience: 'rpd:ahal' })).toThrow(/jwksUri is required/);
+      expect(() => createVerifier({ audience: 'rpd:ahal', jwksUri: JWKS_URI, algorithms: ['RS256'] })).toThrow(
+        /unsupported algorithms: RS256/
+      );
+    });
+  });
+
+  describe('signature', () => {
+    it.each(['ES256', 'ES384', 'EdDSA'])('accepts %s tokens', async (alg) => {
+      const claims = await build().verify(signToken(memberPayload({}, now()), keys[alg]));
+      expect(claims.subject).toBe('MEMBER:42');
+    });
+
+    it('rejects a tampered payload', async () => {
+      const [header, , signature] = signToken(memberPayload({}, now()), keys.ES256).split('.');
+      const forged = Buffer.from(JSON.stringify(memberPayload({ sub: 'MEMBER:1' }, now()))).toString('base64url');
+      await rejectsWith(build().verify(`${header}.${forged}.${signature}`), ERROR_TYPES.INVALID_SIGNATURE);
+    });
+
+    it('rejects a header algorithm that differs from the JWKS key', async () => {
+      // EdDSA signature presented under the kid of the ES256 key
+      const token = signToken(memberPayload({}, now()), keys.EdDSA, { kid: keys.ES256.kid });
+      await rejectsWith(build().verify(token), ERROR_TYPES.UNSUPPORTED_ALGORITHM);
+    });
+
+    it('rejects algorithms that are not accepted', async () => {
+      const unsigned = [{ alg: 'none', kid: keys.ES256.kid }, memberPayload({}, now())]
+        .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .join('.');
+      await rejectsWith(build().verify(`${unsigned}.`), ERROR_TYPES.UNSUPPORTED_ALGORITHM);
+      await rejectsWith(
+        build({ algorithms: ['ES256'] }).verify(signToken(memberPayload({}, now()), keys.EdDSA)),
+        ERROR_TYPES.UNSUPPORTED_ALGORITHM
+      );
+    });
+
+    it('rejects malformed tokens', async () => {
+      await rejectsWith(build().verify('not-a-jwt'), ERROR_TYPES.MALFORMED_TOKEN);
+      await rejectsWith(build().verify(''), ERROR_TYPES.MISSING_TOKEN);
+    });
+  });
+
+  describe('claims', () => {
+    it('matches any of the token audiences against any of the RPD audiences', async () => {
+      const token = signToken(memberPayload({}, now()), keys.ES256);
+      await expect(build({ audience: ['rpd:other', 'rpd:ahal:primary'] }).verify(token)).resolves.toBeDefined();
+      await expect(
+        build().verify(signToken(memberPayload({ aud: 'rpd:ahal:secondary' }, now()), keys.ES256))
+      ).resolves.toBeDefined();
+
+      const rejected = build({ audience: 'rpd:balkan' }).verify(token);
+      await rejectsWith(rejected, ERROR_TYPES.INVALID_AUDIENCE);
+      await expect(rejected).rejects.toMatchObject({ errorCode: 403 });
+    });
+
+    it('rejects another issuer', async () => {
+      const token = signToken(memberPayload({ iss: 'EVIL' }, now()), keys.ES256);
+      await rejectsWith(build().verify(token), ERROR_TYPES.INVALID_ISSUER);
+    });
+
+    it('applies the clock tolerance to exp and nbf', async () => {
+      const expired = signToken(memberPayload({ exp: now() - 10 }, now()), keys.ES256);
+      await expect(build().verify(expired)).resolves.toBeDefined();
+      await rejectsWith(build({ clockToleranceSec: 5 }).verify(expired), ERROR_TYPES.TOKEN_EXPIRED);
+
+      const early = signToken(memberPayload({ nbf: now() + 20, iat: now() + 20 }, now()), keys.ES256);
+      await expect(build().verify(early)).resolves.toBeDefined();
+      await rejectsWith(build({ clockToleranceSec: 0 }).verify(early), ERROR_TYPES.TOKEN_NOT_YET_VALID);
+    });
+
+    it('requires exp', async () => {
+      const token = signToken(memberPayload({ exp: undefined }, now()), keys.ES256);
+      await rejectsWith(build().verify(token), ERROR_TYPES.TOKEN_EXPIRED);
+    });
+
+    it('returns typed claims', async () => {
+      const payload = memberPayload({ scope: 'catalog:read report:export', perm_hash: 'abc123' }, now());
+      const claims = await build().verify(signToken(payload, keys.ES384));
+
+      expect(claims).toMatchObject({
+        subject: 'MEMBER:42',
+        userType: 'MEMBER',
+        userId: 42,
+        regionId: '11',
+        subRegionId: 'ASGABAT_CITY',
+        effectiveRegionId: 'ASGABAT_CITY',
+        role: 'REGION_ADMIN',
+        permissions: ['CATALOG_READ', 'REPORT_EXPORT'],
+        permHash: 'abc123',
+        impersonated: false,
+        audiences: payload.aud,
+        tokenId: payload.jti,
+      });
+      expect(claims.expiresAt).toEqual(new Date(payload.exp * 1000));
+      expect(Object.isFrozen(claims)).toBe(true);
+    });
+
+    it('exposes impersonation and missing scope', async () => {
+      const payload = memberPayload({ act: { sub: 'MEMBER:1', reason: 'support ticket 42' } }, now());
+      const claims = await build().verify(signToken(payload, keys.EdDSA));
+      expect(claims.actor).toEqual({ sub: 'MEMBER:1', reason: 'support ticket 42' });
+      expect(claims.impersonated).toBe(true);
+      expect(claims.permissions).toBeNull();
+    });
+  });
+
+  describe('JWKS cache', () => {
+    it('fetches the key set once for many tokens', async () => {
+      const verifier = build();
+      await Promise.all(
+        ['ES256', 'ES384', 'EdDSA'].map((alg) => verifier.verify(signToken(memberPayload({}, now()), keys[alg])))
+      );
+      expect(fakeFetch.calls.jwks).toBe(1);
+    });
+
+    it('refreshes on an unknown kid to pick up a rotated key', async () => {
+      const verifier = build();
+      await verifier.verify(signToken(memberPayload({}, now()), keys.ES256));
+
+      const rotated = generateKey('ES256', 'es256-20250201T000000Z');
+      state.keys.push(rotated);
+      clock.advance(31 * 1000);
+
+      await expect(verifier.verify(signToken(memberPayload({}, now()), rotated))).resolves.toBeDefined();
+      expect(fakeFetch.calls.jwks).toBe(2);
+    });
+
+    it('limits refreshes caused by unknown kids', async () => {
+      const verifier = build();
+      const unknown = generateKey('ES256', 'forged');
+      await verifier.verify(signToken(memberPayload({}, now()), keys.ES256));
+
+      for (let i = 0; i < 5; i += 1) {
+        await rejectsWith(verifier.verify(signToken(memberPayload({}, now()), unknown)), ERROR_TYPES.UNKNOWN_KID);
+      }
+      expect(fakeFetch.calls.jwks).toBe(1);
+    });
+
+    it('drops removed (revoked) keys after the cache max age', async () => {
+      const verifier = build({ jwks: { cacheMaxAgeMs: 60 * 1000 } });
+      const token = signToken(memberPayload({ exp: now() + 3600 }, now()), keys.ES256);
+      await verifier.verify(token);
+
+      state.keys = [keys.ES384];
+      clock.advance(61 * 1000);
+      await rejectsWith(verifier.verify(token), ERROR_TYPES.UNKNOWN_KID);
+    });
+
+    it('keeps the last keys while AuthRPD is unreachable', async () => {
+      const verifier = build({ jwks: { cacheMaxAgeMs: 60 * 1000 } });
+      await verifier.verify(signToken(memberPayload({}, now()), keys.ES256));
+
+      state.down = true;
+      clock.advance(61 * 1000);
+      await expect(verifier.verify(signToken(memberPayload({}, now()), keys.ES256))).resolves.toBeDefined();
+    });
+
+    it('fails with 503 when no keys could be loaded', async () => {
+      state.down = true;
+      const result = build().verify(signToken(memberPayload({}, now()), keys.ES256));
+      await rejectsWith(result, ERROR_TYPES.JWKS_UNAVAILABLE);
+      await expect(result).rejects.toMatchObject({ errorCode: 503 });
+    });
+  });
+
+  describe('revocation list', () => {
+    const withRevocations = (options = {}) => build({ revocationsUri: REVOCATIONS_URI, revocations: options });
+
+    it('rejects tokens revoked by jti', async () => {
+      const payload = memberPayload({}, now());
+      state.revocations = { jti: [{ jti: payload.jti, exp: payload.exp }] };
+      await rejectsWith(withRevocations().verify(signToken(payload, keys.ES256)), ERROR_TYPES.TOKEN_REVOKED);
+    });
+
+    it('rejects tokens of a subject issued before revoked_before', async () => {
+      state.revocations = { sub: [{ sub: 'MEMBER:42', revoked_before: now() }] };
+      const verifier = withRevocations();
+      await rejectsWith(verifier.verify(signToken(memberPayload({}, now()), keys.ES256)), ERROR_TYPES.TOKEN_REVOKED);
+
+      clock.advance(2000);
+      await expect(verifier.verify(signToken(memberPayload({}, now()), keys.ES256))).resolves.toBeDefined();
+    });
+
+    it('rejects tokens issued in the revoked_before second', async () => {
+      state.revocations = { sub: [{ sub: 'MEMBER:42', revoked_before: now() }] };
+      const verifier = withRevocations();
+      await rejectsWith(verifier.verify(signToken(memberPayload({}, now()), keys.ES256)), ERROR_TYPES.TOKEN_REVOKED);
+      await expect(verifier.verify(signToken(memberPayload({ iat: now() + 1 }, now()), keys.ES256))).resolves.toBeDefined();
+    });
+
+    it('refreshes the list in the background after the interval', async () => {
+      const verifier = withRevocations({ refreshIntervalMs: 30 * 1000 });
+      const payload = memberPayload({ exp: now() + 3600 }, now());
+      const token = signToken(payload, keys.ES256);
+      await verifier.verify(token);
+
+      state.revocations = { jti: [{ jti: payload.jti, exp: payload.exp }] };
+      clock.advance(31 * 1000);
+      await verifier.verify(token); // triggers the refresh, still served from the previous list
+      await verifier.revocations.refresh();
+      await rejectsWith(verifier.verify(token), ERROR_TYPES.TOKEN_REVOKED);
+      expect(fakeFetch.calls.revocations).toBe(2);
+    });
+
+    it('fails open by default and closed on request', async () => {
+      const token = signToken(memberPayload({}, now()), keys.ES256);
+      const open = withRevocations();
+      const closed = withRevocations({ failClosed: true });
+      await open.jwks.refresh();
+      await closed.jwks.refresh();
+
+      // Keys are cached, the revocation list was never downloaded
+      state.down = true;
+
+      await expect(open.verify(token)).resolves.toBeDefined();
+      await rejectsWith(closed.verify(token), ERROR_TYPES.REVOCATIONS_UNAVAILABLE);
+    });
+  });
+});
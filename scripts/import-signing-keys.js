@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Script: import-signing-keys.js
+ *
+ * Purpose:
+ * Copies the signing keys of the filesystem key store (<EC_KEYS_DIR>/<kid>/) into the database
+ * key store (signing_keys table), so switching to KEY_STORE=database keeps the current and
+ * pending keys: tokens signed before the switch still verify and JWKS keeps publishing them.
+ *
+ * What it does:
+ * 1. Lists the keys in the keys directory (revoked keys are skipped)
+ * 2. Encrypts each private key with KEY_ENCRYPTION_KEY and stores it with its algorithm and not_before
+ * 3. Leaves kids that already exist in signing_keys untouched
+ *
+ * Usage (before the first start with KEY_STORE=database, after migrations):
+ *   NODE_ENV=production node scripts/import-signing-keys.js [keysDir]
+ *
+ * Environment variables:
+ *   - DB_* : PostgreSQL connection (as for the server)
+ *   - KEY_ENCRYPTION_KEY: the key the server will use with KEY_STORE=database
+ *   - EC_KEYS_DIR: keys directory (default: ./keys/ec), overridden by the keysDir argument
+ */
+
+const path = require('path');
+const config = require('../src/config/env');
+const sequelize = require('../src/config/db');
+const { assertProductionSecrets } = require('../src/config/secrets');
+const { createFilesystemKeyStore } = require('../src/modules/security/keys/stores/filesystem.store');
+const { createDatabaseKeyStore } = require('../src/modules/security/keys/stores/database.store');
+
+/**
+ * Копирует ключи из каталога в signing_keys
+ * @param {string} keysDir - каталог ключей
+ * @returns {Promise<Object>} - { imported, skipped }
+ */
+async function importSigningKeys(keysDir) {
+  const source = createFilesystemKeyStore(keysDir);
+  const target = createDatabaseKeyStore(config.security.keyStore.encryptionKey);
+  const result = { imported: [], skipped: [] };
+
+  for (const key of await source.listKeys()) {
+    if (key.revoked_at) {
+      result.skipped.push(`${key.kid} (revoked)`);
+      continue;
+    }
+
+    const { privateKey, publicKey } = await source.getKeyPair(key.kid);
+    const created = await target.saveKeyPair(key.kid, {
+      algorithm: key.algorithm,
+      privateKey,
+      publicKey,
+      notBefore: key.not_before,
+    });
+    if (created) {
+      result.imported.push(key.kid);
+    } else {
+      result.skipped.push(`${key.kid} (already in database)`);
+    }
+  }
+
+  return result;
+}
+
+async function main() {
+  // Ключи шифруются KEY_ENCRYPTION_KEY - тот же запрет шаблонного значения, что и у сервера
+  config.security.keyStore.driver = 'database';
+  assertProductionSecrets();
+
+  const keysDir = path.resolve(process.argv[2] || config.security.ecKeysDir || config.security.rsaKeysDir);
+  console.log(`Importing signing keys from ${keysDir}`);
+
+  const { imported, skipped } = await importSigningKeys(keysDir);
+  imported.forEach((kid) => console.log(`  imported ${kid}`));
+  skipped.forEach((kid) => console.log(`  skipped  ${kid}`));
+  console.log(`Done: ${imported.length} imported, ${skipped.length} skipped`);
+}
+
+main()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('ERROR:', error.message);
+    await sequelize.close().catch(() => {});
+    process.exit(1);
+  });
@@ -26,6 +26,12 @@ const catalogRoutes = require('./modules/catalogs/catalog.routes');
 const syncRoutes = require('./modules/sync/sync.routes');
 const membersRoutes = require('./modules/members/members.routes');
 const clientsRoutes = require('./modules/clients/clients.routes');
+const oauthRoutes = require('./modules/oauth/oauth.routes');
+const serviceAccountsRoutes = require('./modules/service-accounts/service-accounts.routes');
+const oidcRoutes = require('./modules/oidc/oidc.routes');
+const rpdRoutes = require('./modules/rpd/rpd.routes');
+const impersonationRoutes = require('./modules/impersonation/impersonation.routes');
+const keysRoutes = require('./modules/keys/keys.routes');
 
 // Swagger documentation (must be imported before routes)
 const initializeSwagger = require('./docs/swagger.init');
@@ -102,8 +108,11 @@ app.get('/health', (req, res) => {
  *       Public endpoint that provides JSON Web Key Set for JWT token verification.
  *       
  *       **How it works:**
- *       - Returns public keys used to verify JWT tokens signed with ES256
- *       - Keys are rotated monthly with format kid=YYYY-MM
+ *       - Returns public keys used to verify JWT tokens signed with ES256, ES384 or EdDSA (`SIGNING_ALGORITHMS`);
+ *         `alg` of each key is the only algorithm to accept for its kid
+ *       - Keys are rotated every `KEY_ROTATION_DAYS` (default: monthly), kid = `<alg>-<not_before UTC>`,
+ *         e.g. `es256-20250201T000000Z` (keys created before that: `YYYY-MM`)
+ *       - The next key is published `KEY_PREPUBLISH_DAYS` ahead; replaced keys stay for `KEY_OVERLAP_DAYS`, revoked keys are removed
  *       - Clients use these keys to verify token signatures
  *       - No authentication required (public endpoint)
  *     security: []
@@ -122,32 +131,42 @@ app.get('/health', (req, res) => {
  *                     properties:
  *                       kty:
  *                         type: string
+ *                         description: EC (ES256, ES384) or OKP (EdDSA)
  *                         example: EC
  *                       kid:
  *                         type: string
- *                         example: 2024-01
+ *                         example: es256-20250101T000000Z
  *                       use:
  *                         type: string
  *                         example: sig
  *                       crv:
  *                         type: string
- *                         description: EC curve name (P-256 for ES256)
+ *                         description: Curve name (P-256 for ES256, P-384 for ES384, Ed25519 for EdDSA)
  *                         example: P-256
  *                       x:
  *                         type: string
- *                         description: EC public key x coordinate (base64url)
+ *                         description: EC x coordinate or Ed25519 public key (base64url)
  *                       y:
  *                         type: string
- *                         description: EC public key y coordinate (base64url)
+ *                         description: EC public key y coordinate (base64url, EC only)
+ *                       alg:
+ *                         type: string
+ *                         example: ES256
  *             example:
  *               keys:
  *                 - kty: EC
- *                   kid: 2024-01
+ *                   kid: es256-20250101T000000Z
  *                   use: sig
  *                   crv: P-256
  *                   x: "MKBCTNIcKUSDii11ySs3526iDZ8AiTo7Tu6KPAqv7D4"
  *                   y: "4Etl6SRW2YiLUrN5vfvVHuhp7x8PxltmWWlbbM4IFyM"
- *                   e: AQAB
+ *                   alg: ES256
+ *                 - kty: OKP
+ *                   kid: eddsa-20250101T000000Z
+ *                   use: sig
+ *                   crv: Ed25519
+ *                   x: "11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo"
+ *                   alg: EdDSA
  */
 // JWKS endpoint (public, no authentication required)
 app.get('/.well-known/jwks.json', async (req, res, next) => {
@@ -160,6 +179,87 @@ app.get('/.well-known/jwks.json', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     tags: [Security]
+ *     summary: OpenID Connect discovery document
+ *     description: |
+ *       Issuer, signing algorithms and endpoints (authorize, token, userinfo, logout, JWKS) generated from the
+ *       AuthRPD configuration, so RPD verifiers and OIDC libraries need no hard-coded values.
+ *
+ *       OIDC libraries expect `issuer` to be the URL the document is served from:
+ *       set ISSUER to PUBLIC_URL for them.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Discovery document
+ *         content:
+ *           application/json:
+ *             example:
+ *               issuer: https://auth.example.gov.tm
+ *               authorization_endpoint: https://auth.example.gov.tm/oauth/authorize
+ *               token_endpoint: https://auth.example.gov.tm/oauth/token
+ *               userinfo_endpoint: https://auth.example.gov.tm/userinfo
+ *               end_session_endpoint: https://auth.example.gov.tm/oauth/logout
+ *               jwks_uri: https://auth.example.gov.tm/.well-known/jwks.json
+ *               grant_types_supported: [client_credentials, authorization_code, refresh_token]
+ *               response_types_supported: [code]
+ *               code_challenge_methods_supported: [S256]
+ *               subject_types_supported: [public]
+ *               id_token_signing_alg_values_supported: [ES256]
+ */
+// OpenID Connect discovery endpoint (public, no authentication required)
+app.get('/.well-known/openid-configuration', (req, res) => {
+  const { getOpenIdConfiguration } = require('./modules/oidc/oidc.service');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(getOpenIdConfiguration());
+});
+
+/**
+ * @swagger
+ * /.well-known/revocations.json:
+ *   get:
+ *     tags: [Security]
+ *     summary: Access token revocation list
+ *     description: |
+ *       Public, cacheable list of access tokens revoked before their `exp`.
+ *       RPD verifiers should poll it (respecting Cache-Control) and reject a token when:
+ *       - its `jti` is listed in `jti`, or
+ *       - its `sub` is listed in `sub` and the token's `iat` <= `revoked_before`.
+ *         Tokens issued after a revocation within the same second get `iat` = `revoked_before` + 1.
+ *
+ *       Entries are dropped once they can no longer affect a valid token (`max_ttl`).
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Revocation list
+ *         content:
+ *           application/json:
+ *             example:
+ *               issuer: AUTHRPD
+ *               generated_at: 1704067800
+ *               max_ttl: 1200
+ *               jti:
+ *                 - jti: "550e8400-e29b-41d4-a716-446655440000"
+ *                   exp: 1704068400
+ *               sub:
+ *                 - sub: "MEMBER:123"
+ *                   revoked_before: 1704067500
+ */
+// Revocation list endpoint (public, no authentication required)
+app.get('/.well-known/revocations.json', async (req, res, next) => {
+  try {
+    const { getRevocationList } = require('./modules/security/tokens/revocation.service');
+    const revocations = await getRevocationList();
+    res.set('Cache-Control', `public, max-age=${config.security.revocationListMaxAge}`);
+    res.json(revocations);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // 9. API Routes with Authentication Rate Limiting
 // Auth routes have stricter rate limiting to prevent brute-force attacks
 app.use('/auth', authRoutes);
@@ -171,12 +271,22 @@ app.use('/auth', authRoutes);
 app.use('/admin', rbacRoutes);
 app.use('/rbac', rbacRoutes);
 
-// Catalog routes (includes public sync endpoint at /catalogs/:name)
+// Catalog routes (includes RPD sync endpoint at /catalogs/:name)
 app.use('/catalogs', validate_lang_query(), catalogRoutes);
 
 // Admin routes for members and clients management
 app.use('/', membersRoutes); // Routes defined as /admin/members
 app.use('/', clientsRoutes); // Routes defined as /admin/clients
+app.use('/', serviceAccountsRoutes); // Routes defined as /admin/service-accounts
+app.use('/', rpdRoutes); // Routes defined as /admin/rpd-instances and /rpd/heartbeat
+app.use('/', impersonationRoutes); // Routes defined as /admin/impersonate
+app.use('/', keysRoutes); // Routes defined as /admin/keys
+
+// OAuth2 endpoints for RPD service accounts (RFC 6749 error format)
+app.use('/oauth', oauthRoutes);
+
+// OpenID Connect userinfo (RFC 6750 error format)
+app.use('/', oidcRoutes); // Routes defined as /userinfo
 
 // 11. 404 Handler
 // Returns standardized error response for unknown routes
@@ -24,6 +24,8 @@ module.exports = {
   env: nodeEnv,
   host: process.env.HOST || '0.0.0.0',
   port: parseInt(process.env.PORT || '3000', 10),
+  // Public base URL of AuthRPD (OAuth endpoints, client assertion audience)
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || '3000'}`).replace(/\/+$/, ''),
   
   db: {
     host: process.env.DB_HOST || 'localhost',
@@ -43,10 +45,94 @@ module.exports = {
     ecKeysDir: process.env.EC_KEYS_DIR || './keys/ec',
     // Backward compatibility: support old env var name
     rsaKeysDir: process.env.RSA_KEYS_DIR || process.env.EC_KEYS_DIR || './keys/ec',
+    // Token signing key storage: filesystem (keys dir, shared volume between replicas),
+    // database (signing_keys table, envelope-encrypted private keys) or memory (tests only)
+    keyStore: {
+      driver: process.env.KEY_STORE || 'filesystem',
+      // Wraps the per-key data keys of the database store; required with KEY_STORE=database in production
+      encryptionKey: process.env.KEY_ENCRYPTION_KEY || 'change_me_key_encryption_key',
+    },
+    // Token signing keys: algorithms (ES256, ES384, EdDSA; the first one is the default,
+    // RPD instances may choose another enabled one) and rotation cadence
+    signingKeys: {
+      algorithms: (process.env.SIGNING_ALGORITHMS || 'ES256').split(',').map(a => a.trim()).filter(Boolean),
+      rotationDays: parseInt(process.env.KEY_ROTATION_DAYS || '0', 10), // 0 = every calendar month
+      prepublishDays: parseInt(process.env.KEY_PREPUBLISH_DAYS || '7', 10), // next key in JWKS before it signs
+      overlapDays: parseInt(process.env.KEY_OVERLAP_DAYS || '60', 10), // replaced key stays in JWKS
+    },
     audience: process.env.AUDIENCE || 'RPD',
     issuer: process.env.ISSUER || 'AUTHRPD',
     accessTtlSeconds: parseInt(process.env.ACCESS_TTL_SECONDS || '1200', 10),
     refreshTtlDays: parseInt(process.env.REFRESH_TTL_DAYS || '60', 10),
+    // HMAC-SHA256 key for refresh token hashes; changing it invalidates all refresh tokens
+    refreshTokenSecret: process.env.REFRESH_TOKEN_SECRET || 'change_me_refresh_token_secret',
+    // Fallback bcrypt scan for tokens issued before HMAC hashing (disable after REFRESH_TTL_DAYS)
+    refreshLegacyLookup: process.env.REFRESH_LEGACY_LOOKUP !== 'false',
+    // Access token revocation list (Redis denylist)
+    revocationFailClosed: process.env.REVOCATION_FAIL_CLOSED === 'true',
+    revocationListMaxAge: parseInt(process.env.REVOCATION_LIST_MAX_AGE || '30', 10), // Cache-Control max-age, seconds
+    // Admin impersonation ("login as"): lifetime of the non-refreshable token
+    impersonationTtlSeconds: parseInt(process.env.IMPERSONATION_TTL_SECONDS || '900', 10), // 15 minutes
+    // Opt-in permissions in access tokens (rpd_instances.token_permissions): above this many
+    // permissions the scope claim is left out and RPDs rely on perm_hash + their own lookup
+    tokenPermissionsMaxScopes: parseInt(process.env.TOKEN_PERMISSIONS_MAX_SCOPES || '50', 10),
+    // Account lockout after repeated failed logins (per username, Redis counters)
+    lockout: {
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10), // failures before a temporary lock
+      attemptWindowSeconds: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS || '900', 10), // 15 minutes
+      lockoutSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900', 10), // 15 minutes
+      maxLockouts: parseInt(process.env.LOGIN_MAX_LOCKOUTS || '3', 10), // temporary locks before a permanent one
+      lockoutWindowSeconds: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_SECONDS || '86400', 10), // 24 hours
+      failDelayMs: parseInt(process.env.LOGIN_FAIL_DELAY_MS || '250', 10), // doubles with each failure
+      maxFailDelayMs: parseInt(process.env.LOGIN_MAX_FAIL_DELAY_MS || '4000', 10),
+    },
+    // Password policy (members and clients)
+    passwordPolicy: {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10),
+      requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+      requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+      requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+      requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+      historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10), // recent passwords that cannot be reused
+      maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10), // 0 = no forced rotation
+      blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || null, // extra blocked passwords, one per line
+      bcryptRounds: parseInt(process.env.PASSWORD_BCRYPT_ROUNDS || '12', 10),
+      changeTokenTtlSeconds: parseInt(process.env.PASSWORD_CHANGE_TOKEN_TTL_SECONDS || '600', 10), // expired-password flow
+      resetTokenTtlSeconds: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_SECONDS || '86400', 10), // admin-initiated reset, 24 hours
+    },
+    // TOTP two-factor authentication for members
+    mfa: {
+      issuer: process.env.MFA_ISSUER || 'AuthRPD', // label shown in authenticator apps
+      // Encrypts TOTP secrets and hashes recovery codes (the default is refused in production)
+      encryptionKey: process.env.TOTP_ENCRYPTION_KEY || 'change_me_totp_encryption_key',
+      challengeTtlSeconds: parseInt(process.env.MFA_CHALLENGE_TTL_SECONDS || '300', 10), // 5 minutes
+      maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS || '5', 10), // wrong codes per challenge
+      recoveryCodesCount: parseInt(process.env.MFA_RECOVERY_CODES || '10', 10),
+      // Role names (roles.name) for which 2FA is mandatory, comma-separated
+      requiredRoles: process.env.MFA_REQUIRED_ROLES ? process.env.MFA_REQUIRED_ROLES.split(',').map(r => r.trim()) : [],
+    },
+    // Email/phone verification for clients
+    verification: {
+      codeLength: parseInt(process.env.VERIFICATION_CODE_LENGTH || '6', 10),
+      codeTtlSeconds: parseInt(process.env.VERIFICATION_CODE_TTL_SECONDS || '600', 10), // 10 minutes
+      maxAttempts: parseInt(process.env.VERIFICATION_MAX_ATTEMPTS || '5', 10), // wrong codes per issued code
+      resendIntervalSeconds: parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS || '60', 10),
+      // Block client login until the email or phone is verified
+      requiredForLogin: process.env.CLIENT_LOGIN_REQUIRE_VERIFIED === 'true',
+      loginTokenTtlSeconds: parseInt(process.env.VERIFICATION_LOGIN_TOKEN_TTL_SECONDS || '900', 10), // VERIFICATION_REQUIRED login state
+    },
+    // OAuth2 client-credentials grant for RPD service accounts
+    oauth: {
+      serviceTokenTtlSeconds: parseInt(process.env.OAUTH_SERVICE_TOKEN_TTL_SECONDS || '600', 10), // 10 minutes
+      assertionMaxAgeSeconds: parseInt(process.env.OAUTH_ASSERTION_MAX_AGE_SECONDS || '300', 10), // private_key_jwt exp limit
+      authorizationCodeTtlSeconds: parseInt(process.env.OAUTH_CODE_TTL_SECONDS || '60', 10), // single-use authorization code
+      loginRequestTtlSeconds: parseInt(process.env.OAUTH_LOGIN_REQUEST_TTL_SECONDS || '600', 10), // hosted login page
+      ssoSessionTtlSeconds: parseInt(process.env.SSO_SESSION_TTL_SECONDS || '28800', 10), // 8 hours
+      tokenExchangeTtlSeconds: parseInt(process.env.TOKEN_EXCHANGE_TTL_SECONDS || '300', 10), // cross-region delegation
+      // Header with the client certificate forwarded by the TLS-terminating proxy (mTLS identity
+      // of service accounts for catalog sync); empty = mTLS disabled. The proxy must strip it from requests
+      mtlsClientCertHeader: (process.env.MTLS_CLIENT_CERT_HEADER || '').trim().toLowerCase() || null,
+    },
     // CORS configuration
     cors: {
       origins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : [],
@@ -71,6 +157,23 @@ module.exports = {
     trustProxy: process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY === '1',
   },
   
+  notifications: {
+    transport: process.env.NOTIFICATION_TRANSPORT || 'console', // console, file (not in production), http or a registered transport
+    filePath: process.env.NOTIFICATION_FILE_PATH || './logs/notifications.log', // file transport
+    // http transport: SMTP/SMS gateway
+    http: {
+      url: process.env.NOTIFICATION_HTTP_URL || '',
+      token: process.env.NOTIFICATION_HTTP_TOKEN || '',
+      timeoutMs: parseInt(process.env.NOTIFICATION_HTTP_TIMEOUT_MS || '5000', 10),
+    },
+  },
+  
+  // Monitoring of RPD instances (heartbeats and catalog sync status)
+  rpd: {
+    heartbeatStaleSeconds: parseInt(process.env.RPD_HEARTBEAT_STALE_SECONDS || '900', 10), // no heartbeat for 15 minutes = silent
+    syncLagGraceSeconds: parseInt(process.env.RPD_SYNC_LAG_GRACE_SECONDS || '3600', 10), // time to pick up a new catalog version
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || (nodeEnv === 'production' ? 'info' : 'debug'),
     serviceName: process.env.SERVICE_NAME || 'authrpd',
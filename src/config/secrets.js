@@ -0,0 +1,44 @@
+const config = require('./env');
+
+/**
+ * Production secrets check
+ *
+ * env.js falls back to built-in placeholder secrets so development works without a .env file.
+ * In production those values are public, so startup is refused while any secret in use is unset
+ * or still a placeholder (the built-in defaults and the env.*.example values contain "change_me").
+ */
+
+/**
+ * Секреты, которые используются при текущей конфигурации
+ * @returns {Array<string>} - имена переменных окружения
+ */
+function requiredSecrets() {
+  return [
+    'REFRESH_TOKEN_SECRET',
+    'TOTP_ENCRYPTION_KEY',
+    ...(config.security.keyStore.driver === 'database' ? ['KEY_ENCRYPTION_KEY'] : []),
+  ];
+}
+
+/**
+ * Проверяет, что в production не используются секреты по умолчанию
+ * @throws {Error} - если секрет не задан или остался шаблонным
+ */
+function assertProductionSecrets() {
+  if (config.env !== 'production') {
+    return;
+  }
+
+  const missing = requiredSecrets().filter((name) => {
+    const value = process.env[name];
+    return !value || value.includes('change_me');
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Refusing to start in production with default or placeholder secrets: ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  assertProductionSecrets,
+};
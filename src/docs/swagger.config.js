@@ -157,6 +157,18 @@ Rate limit information is included in response headers:
         name: 'Clients',
         description: 'Client application management',
       },
+      {
+        name: 'Service Accounts',
+        description: 'RPD service accounts for the OAuth2 client-credentials grant',
+      },
+      {
+        name: 'RPD Instances',
+        description: 'RPD instance management (redirect URIs of RPD frontends)',
+      },
+      {
+        name: 'OAuth',
+        description: 'OAuth2 and OpenID Connect endpoints (token, userinfo)',
+      },
       {
         name: 'RBAC',
         description: 'Role-Based Access Control - roles, permissions, and assignments',
@@ -245,6 +257,11 @@ JWT authentication using ES256 algorithm.
                   description: 'Field name (for validation errors)',
                   example: 'username',
                 },
+                error_type: {
+                  type: 'string',
+                  description: 'Machine-readable error reason (optional)',
+                  example: 'REFRESH_TOKEN_REUSED',
+                },
               },
               required: ['error_code', 'error_msg'],
             },
@@ -307,6 +324,37 @@ JWT authentication using ES256 algorithm.
             },
           },
         },
+        MfaChallengeResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            data: {
+              type: 'object',
+              properties: {
+                mfa_required: {
+                  type: 'boolean',
+                  example: true,
+                },
+                challenge_token: {
+                  type: 'string',
+                  description: 'Short-lived token for /auth/member/2fa/verify',
+                },
+                challenge_type: {
+                  type: 'string',
+                  enum: ['VERIFY', 'ENROLL'],
+                  description: 'ENROLL: 2FA is mandatory for the role and must be set up first (/auth/member/2fa/setup)',
+                },
+                expires_in: {
+                  type: 'integer',
+                  example: 300,
+                },
+              },
+            },
+          },
+        },
       },
       responses: {
         UnauthorizedError: {
@@ -1,9 +1,11 @@
 class ApiError extends Error {
-  constructor(errorCode, errorMsg, field = null) {
+  constructor(errorCode, errorMsg, field = null, errorType = null) {
     super(errorMsg);
     this.errorCode = errorCode;
     this.errorMsg = errorMsg;
     this.field = field;
+    // Machine-readable reason for clients (e.g. REFRESH_TOKEN_REUSED)
+    this.errorType = errorType;
     this.name = 'ApiError';
   }
 
@@ -14,6 +16,7 @@ class ApiError extends Error {
         error_code: this.errorCode,
         error_msg: this.errorMsg,
         ...(this.field && { field: this.field }),
+        ...(this.errorType && { error_type: this.errorType }),
       },
     };
   }
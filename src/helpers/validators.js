@@ -113,7 +113,7 @@ const langQueryValidator = Joi.object({
 /**
  * Sync Query Validator Schema
  *
- * Validates sync query parameters: optional version, lang, and include_deleted.
+ * Validates sync query parameters: optional version, lang, include_deleted and scope.
  */
 const syncQueryValidator = Joi.object({
   version: Joi.number().integer().min(0).optional()
@@ -131,6 +131,10 @@ const syncQueryValidator = Joi.object({
     .messages({
       'boolean.base': 'include_deleted must be a boolean',
     }),
+  scope: Joi.string().trim().max(100).optional()
+    .messages({
+      'string.base': 'scope must be a string',
+    }),
 });
 
 /**
@@ -156,6 +160,21 @@ function validate_id_param() {
   );
 }
 
+/**
+ * Validates user ID and session ID parameters in URL
+ * (e.g., /admin/members/:id/sessions/:session_id)
+ * 
+ * @returns {Function} Express middleware function
+ */
+function validate_session_params() {
+  return paramsValidator(
+    Joi.object({
+      id: idValidator,
+      session_id: idValidator,
+    })
+  );
+}
+
 /**
  * Validates code parameter in URL (e.g., /regions/:code)
  * 
@@ -245,6 +264,7 @@ module.exports = {
   
   // Validation middleware functions
   validate_id_param,
+  validate_session_params,
   validate_code_param,
   validate_query,
   validate_lang_query,
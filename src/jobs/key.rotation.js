@@ -1,27 +1,56 @@
-const { ensureMonthlyKeyPair } = require('../modules/security/keys/key.manager');
-const config = require('../config/env');
+const cron = require('node-cron');
+const { ensureSigningKeys, reloadKeys } = require('../modules/security/keys/key.manager');
 const logger = require('../config/logger');
-const path = require('path');
+
+// Каждый час в 5 минут: следующий ключ создаётся за KEY_PREPUBLISH_DAYS, поэтому смена ключа не ждёт job
+const KEY_ROTATION_CRON = '5 * * * *';
 
 /**
- * Job для проверки и генерации ключей (вызывать раз в сутки)
+ * Job для проверки и генерации ключей (для каждого алгоритма из SIGNING_ALGORITHMS)
+ * - действующий ключ (если не создан)
+ * - следующий ключ заранее, чтобы RPD получили его из JWKS до начала подписи
+ * - перечитывание ключей (страховка от пропущенных событий ротации и отзыва)
  */
 async function checkAndRotateKeys() {
   try {
-    const keysDir = path.resolve(config.security.ecKeysDir || config.security.rsaKeysDir);
-    const keyInfo = ensureMonthlyKeyPair(keysDir);
-    
-    if (keyInfo.skipped) {
-      logger.debug(`Key rotation check: keys for ${keyInfo.kid} already exist`);
-    } else {
-      logger.info(`Key rotation: generated new key pair for ${keyInfo.kid}`);
+    await reloadKeys();
+    const results = await ensureSigningKeys();
+
+    for (const info of results) {
+      if (info.created) {
+        logger.info(`Key rotation: generated new ${info.algorithm} key pair ${info.kid}`);
+      } else {
+        logger.debug(`Key rotation check: ${info.algorithm} keys are up to date (${info.kid})`);
+      }
     }
   } catch (error) {
     logger.error('Key rotation job error:', error);
   }
 }
 
+/**
+ * Запускает cron-задачу проверки ключей
+ * @returns {cron.ScheduledTask}
+ */
+function startKeyRotationJob() {
+  const task = cron.schedule(KEY_ROTATION_CRON, checkAndRotateKeys);
+  logger.info('Key rotation job started', { schedule: KEY_ROTATION_CRON });
+  return task;
+}
+
+/**
+ * Останавливает cron-задачу проверки ключей
+ * @param {cron.ScheduledTask} task - задача из startKeyRotationJob
+ */
+function stopKeyRotationJob(task) {
+  if (task) {
+    task.stop();
+    logger.info('Key rotation job stopped');
+  }
+}
+
 module.exports = {
   checkAndRotateKeys,
+  startKeyRotationJob,
+  stopKeyRotationJob,
 };
-
@@ -0,0 +1,74 @@
+const cron = require('node-cron');
+const { getSyncStatus, SYNC_STATUSES } = require('../modules/rpd/services/rpd-heartbeat.service');
+const logger = require('../config/logger');
+
+// Каждые 5 минут: молчание определяется по RPD_HEARTBEAT_STALE_SECONDS (по умолчанию 15 минут)
+const RPD_HEARTBEAT_CRON = '*/5 * * * *';
+
+/**
+ * Job проверки активных RPD instances
+ * - предупреждение для instances без heartbeat дольше RPD_HEARTBEAT_STALE_SECONDS
+ * - предупреждение для instances, отстающих от catalog_versions
+ * - предупреждение для instances, сообщающих об ошибках синхронизации
+ * Instances, ещё ни разу не приславшие heartbeat, только в debug (RPD без поддержки heartbeat)
+ */
+async function checkStaleRpdInstances() {
+  try {
+    const { items, summary } = await getSyncStatus();
+
+    for (const item of items) {
+      const context = { rpd_instance: item.code, region_id: item.region_id };
+
+      if (item.status === SYNC_STATUSES.NEVER_REPORTED) {
+        logger.debug(`RPD instance ${item.code} has never sent a heartbeat`, context);
+      } else if (item.status === SYNC_STATUSES.SILENT) {
+        logger.warn(`RPD instance ${item.code} is silent for ${item.silent_seconds}s`, {
+          ...context,
+          last_heartbeat_at: item.last_heartbeat_at,
+          software_version: item.software_version,
+        });
+      } else if (item.status === SYNC_STATUSES.LAGGING) {
+        logger.warn(`RPD instance ${item.code} is lagging behind catalog versions`, {
+          ...context,
+          lagging_catalogs: item.lagging_catalogs,
+        });
+      } else if (item.error_count > 0) {
+        logger.warn(`RPD instance ${item.code} reports ${item.error_count} failed catalog syncs`, {
+          ...context,
+          catalogs: Object.keys(item.catalogs).filter((name) => item.catalogs[name].error_count > 0),
+        });
+      }
+    }
+
+    logger.debug('RPD heartbeat check completed', { summary });
+  } catch (error) {
+    logger.error('RPD heartbeat job error:', error);
+  }
+}
+
+/**
+ * Запускает cron-задачу проверки RPD instances
+ * @returns {cron.ScheduledTask}
+ */
+function startRpdHeartbeatJob() {
+  const task = cron.schedule(RPD_HEARTBEAT_CRON, checkStaleRpdInstances);
+  logger.info('RPD heartbeat job started', { schedule: RPD_HEARTBEAT_CRON });
+  return task;
+}
+
+/**
+ * Останавливает cron-задачу проверки RPD instances
+ * @param {cron.ScheduledTask} task - задача из startRpdHeartbeatJob
+ */
+function stopRpdHeartbeatJob(task) {
+  if (task) {
+    task.stop();
+    logger.info('RPD heartbeat job stopped');
+  }
+}
+
+module.exports = {
+  checkStaleRpdInstances,
+  startRpdHeartbeatJob,
+  stopRpdHeartbeatJob,
+};
@@ -1,8 +1,35 @@
 const { verifyAccessToken } = require('../modules/security/tokens/token.service');
+const { isAccessTokenRevoked } = require('../modules/security/tokens/revocation.service');
+const { isImpersonationToken, recordDeniedRequest } = require('../modules/impersonation/impersonation.service');
 const ApiError = require('../helpers/api.error');
 const logger = require('../config/logger');
 
-function authGuard(req, res, next) {
+// Маршруты администрирования AuthRPD - недоступны impersonated токенам
+const ADMIN_PATH_PREFIXES = ['/admin/', '/rbac/'];
+
+/**
+ * Разрешён ли запрос impersonated токену
+ * Администрирование закрыто полностью, самообслуживание (/auth) - только на чтение:
+ * от имени пользователя нельзя менять его пароль, 2FA, контакты и сессии
+ * Express сопоставляет маршруты без учёта регистра (/ADMIN/members ведёт на /admin/members),
+ * поэтому путь сравнивается в нижнем регистре; завершающий "/" закрывает и сам префикс (/admin)
+ * @param {Object} req - запрос
+ * @returns {boolean}
+ */
+function isAllowedForImpersonation(req) {
+  const path = `${req.baseUrl}${req.path}/`.toLowerCase();
+  if (ADMIN_PATH_PREFIXES.some((prefix) => path.startsWith(prefix))) {
+    return false;
+  }
+  return !(path.startsWith('/auth/') && req.method !== 'GET');
+}
+
+/**
+ * Проверяет access token и заполняет req.user
+ * Отклоняет токены из списка отзыва (по jti или по sub + iat)
+ * и impersonated токены на маршрутах администрирования
+ */
+async function authGuard(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
 
@@ -13,6 +40,20 @@ function authGuard(req, res, next) {
     const token = authHeader.substring(7);
     const payload = verifyAccessToken(token);
 
+    if (await isAccessTokenRevoked(payload)) {
+      throw new ApiError(401, 'Token has been revoked', null, 'TOKEN_REVOKED');
+    }
+
+    if (isImpersonationToken(payload) && !isAllowedForImpersonation(req)) {
+      await recordDeniedRequest(payload, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+      });
+      throw new ApiError(403, 'Impersonated tokens cannot be used for this action', null, 'IMPERSONATION_FORBIDDEN');
+    }
+
     // Извлекаем user_type и user_id из sub
     const [userType, userId] = payload.sub.split(':');
 
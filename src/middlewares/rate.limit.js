@@ -80,9 +80,11 @@ const globalLimiter = rateLimit({
       },
     });
   },
-  // Skip rate limiting for health checks and JWKS endpoint
+  // Skip rate limiting for health checks, JWKS and revocation list endpoints
   skip: (req) => {
-    return req.path === '/health' || req.path === '/.well-known/jwks.json';
+    return req.path === '/health'
+      || req.path === '/.well-known/jwks.json'
+      || req.path === '/.well-known/revocations.json';
   },
 });
 
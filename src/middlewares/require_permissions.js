@@ -1,4 +1,6 @@
 const { get_user_permissions } = require('../modules/rbac/services/permission.service');
+const { scopesToPermissions } = require('../modules/oauth/services/scope.service');
+const { isImpersonationToken } = require('../modules/impersonation/impersonation.service');
 const ApiError = require('../helpers/api.error');
 
 /**
@@ -15,7 +17,11 @@ const ApiError = require('../helpers/api.error');
  * 
  * Access Rules:
  * - Requires req.user to be set (401 if missing)
- * - Only works for MEMBER user type (members have roles)
+ * - Works for MEMBER user type (members have roles)
+ * - SERVICE tokens (OAuth2 client credentials) are checked against the permissions
+ *   mapped from their scope claim (catalog:read -> CATALOG_READ)
+ * - Impersonated tokens (admin "login as", act claim) are refused: they are only meant
+ *   for RPDs, never for AuthRPD administration
  * - Returns 403 if permission check fails
  * 
  * @param {...string} permissions - One or more permission names to check
@@ -67,14 +73,19 @@ function require_permissions(...permissions) {
         return next(new ApiError(401, 'Authentication required'));
       }
 
-      // Only members have roles and permissions
+      if (isImpersonationToken(req.user)) {
+        return next(new ApiError(403, 'Impersonated tokens cannot be used for this action', null, 'IMPERSONATION_FORBIDDEN'));
+      }
+
+      // Only members have roles and permissions; service accounts have scopes
       // Clients don't have RBAC permissions (they have different access model)
-      if (req.user.type !== 'MEMBER') {
+      if (req.user.type !== 'MEMBER' && req.user.type !== 'SERVICE') {
         return next(new ApiError(403, 'Permission denied: Only members have role-based permissions'));
       }
 
-      // Get user permissions (cached)
-      const userPermissions = await get_user_permissions(req.user.id);
+      // Get user permissions (cached) or the permissions granted by the token scope
+      const userPermissions =
+        req.user.type === 'SERVICE' ? scopesToPermissions(req.user.scope) : await get_user_permissions(req.user.id);
 
       // Convert to Set for O(1) lookup performance
       const userPermissionSet = new Set(userPermissions);
@@ -0,0 +1,114 @@
+const { ServiceAccount, RpdInstance } = require('../models');
+const { verifyAccessToken } = require('../modules/security/tokens/token.service');
+const { isAccessTokenRevoked } = require('../modules/security/tokens/revocation.service');
+const { scopesToPermissions } = require('../modules/oauth/services/scope.service');
+const { authenticateClientCertificate } = require('../modules/oauth/services/mtls.service');
+const ApiError = require('../helpers/api.error');
+const config = require('../config/env');
+const logger = require('../config/logger');
+
+// Право, нужное RPD для синхронизации каталогов (scope catalog:read)
+const SYNC_PERMISSION = 'CATALOG_READ';
+
+// Синхронизация по токену - только если клиент получил его по ключу (private_key_jwt):
+// client secret - общий секрет, который хранится и передаётся открыто, в отличие от закрытого ключа
+const SYNC_TOKEN_AUTH_METHOD = 'private_key_jwt';
+
+/**
+ * Сервисный аккаунт по access token (client credentials, выданный по private_key_jwt)
+ * @param {string} authHeader - заголовок Authorization
+ * @returns {Promise<Object>} - { account, permissions }
+ * @throws {ApiError} - 401 нет токена, токен невалиден, отозван или выдан не сервисному аккаунту;
+ *   403 токен получен по client secret
+ */
+async function authenticateServiceToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new ApiError(
+      401,
+      'Catalog sync requires a service account access token or a client certificate',
+      null,
+      'RPD_AUTH_REQUIRED'
+    );
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(authHeader.substring(7));
+  } catch (error) {
+    throw new ApiError(401, 'Invalid or expired token');
+  }
+  if (await isAccessTokenRevoked(payload)) {
+    throw new ApiError(401, 'Token has been revoked', null, 'TOKEN_REVOKED');
+  }
+
+  const [userType, userId] = String(payload.sub).split(':');
+  if (userType !== 'SERVICE') {
+    throw new ApiError(401, 'Catalog sync requires a service account token', null, 'RPD_AUTH_REQUIRED');
+  }
+  if (payload.client_auth_method !== SYNC_TOKEN_AUTH_METHOD) {
+    throw new ApiError(
+      403,
+      'Catalog sync requires a token obtained with private_key_jwt or a client certificate',
+      null,
+      'RPD_AUTH_METHOD_NOT_ALLOWED'
+    );
+  }
+
+  const account = await ServiceAccount.findByPk(parseInt(userId, 10), {
+    include: [{ model: RpdInstance, as: 'rpdInstance' }],
+  });
+  if (!account || !account.is_active || !account.rpdInstance || !account.rpdInstance.is_active) {
+    throw new ApiError(403, 'Service account or its RPD instance is inactive', null, 'RPD_INSTANCE_INACTIVE');
+  }
+
+  // Права - из scope токена, а не текущие scopes аккаунта (сужение scopes отзывает токены)
+  return { account, permissions: scopesToPermissions(payload.scope) };
+}
+
+/**
+ * Аутентифицирует запрос как RPD instance и заполняет req.rpdInstance и req.serviceAccount
+ * - клиентский сертификат (mTLS через proxy, если задан MTLS_CLIENT_CERT_HEADER)
+ * - иначе access token сервисного аккаунта, полученный по private_key_jwt
+ * Требуется scope catalog:read
+ */
+async function rpdInstanceGuard(req, res, next) {
+  try {
+    const certificateHeader = config.security.oauth.mtlsClientCertHeader;
+    const certificate = certificateHeader ? req.headers[certificateHeader] : null;
+
+    let account;
+    let permissions;
+    let method;
+    if (certificate) {
+      account = await authenticateClientCertificate(certificate);
+      permissions = scopesToPermissions(account.scopes);
+      method = 'mtls';
+    } else {
+      ({ account, permissions } = await authenticateServiceToken(req.headers.authorization));
+      method = 'access_token';
+    }
+
+    if (!permissions.includes(SYNC_PERMISSION)) {
+      throw new ApiError(403, 'Service account has no catalog:read scope', null, 'PERMISSION_DENIED');
+    }
+
+    const instance = account.rpdInstance;
+    req.serviceAccount = { id: account.id, client_id: account.client_id, auth_method: method };
+    req.rpdInstance = {
+      id: instance.id,
+      code: instance.code,
+      region_id: instance.region_id,
+      audience: instance.audience,
+      sync_scopes: instance.sync_scopes || {},
+    };
+
+    next();
+  } catch (error) {
+    logger.warn('RPD instance guard error:', error.message);
+    next(error instanceof ApiError ? error : new ApiError(401, 'RPD instance authentication failed'));
+  }
+}
+
+module.exports = {
+  rpdInstanceGuard,
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Migration: Indexed refresh-token lookup
+ *
+ * New refresh tokens are stored as a deterministic keyed hash (HMAC-SHA256),
+ * so the row can be found with a single indexed query on token_hash.
+ * Existing rows keep their bcrypt hashes (hash_algo = 'bcrypt') and keep working
+ * through the legacy lookup until they expire (REFRESH_TTL_DAYS).
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refresh_tokens', 'hash_algo', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'bcrypt',
+      comment: 'Hash algorithm of token_hash: bcrypt (legacy) or hmac-sha256',
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['token_hash'], {
+      name: 'refresh_tokens_token_hash_idx',
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['hash_algo'], {
+      name: 'refresh_tokens_hash_algo_idx',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('refresh_tokens', 'refresh_tokens_hash_algo_idx');
+    await queryInterface.removeIndex('refresh_tokens', 'refresh_tokens_token_hash_idx');
+    await queryInterface.removeColumn('refresh_tokens', 'hash_algo');
+  },
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Refresh-token families for reuse detection
+ *
+ * Every login starts a token family (family_id). Each refresh rotates the token
+ * inside its family and links the rotated row to its successor (replaced_by_id).
+ * Presenting a token that was already rotated revokes the whole family.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refresh_tokens', 'family_id', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Token family (one per login), shared by all rotated tokens',
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'replaced_by_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'ID of the token issued when this one was rotated',
+    });
+
+    // Existing tokens: every row becomes its own family
+    await queryInterface.sequelize.query(
+      `UPDATE refresh_tokens SET family_id = 'legacy-' || id::text WHERE family_id IS NULL`
+    );
+
+    await queryInterface.changeColumn('refresh_tokens', 'family_id', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['family_id'], {
+      name: 'refresh_tokens_family_id_idx',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('refresh_tokens', 'refresh_tokens_family_id_idx');
+    await queryInterface.removeColumn('refresh_tokens', 'replaced_by_id');
+    await queryInterface.removeColumn('refresh_tokens', 'family_id');
+  },
+};
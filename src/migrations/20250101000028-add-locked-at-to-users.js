@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Migration: Permanent account lock
+ *
+ * locked_at is set when an account exceeds LOGIN_MAX_LOCKOUTS temporary lockouts.
+ * Locked accounts cannot log in until an admin unlocks them.
+ * Temporary lockouts live in Redis only.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('members', 'locked_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when the account is locked after repeated failed logins',
+    });
+
+    await queryInterface.addColumn('clients', 'locked_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when the account is locked after repeated failed logins',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('clients', 'locked_at');
+    await queryInterface.removeColumn('members', 'locked_at');
+  },
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Migration: TOTP two-factor authentication for members
+ *
+ * totp_secret is stored encrypted (AES-256-GCM, key TOTP_ENCRYPTION_KEY).
+ * It is set at enrollment and only becomes active once totp_enabled = true
+ * (after the first valid code). Recovery codes are stored as keyed hashes
+ * and removed from the array when used.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('members', 'totp_secret', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Encrypted TOTP secret (iv:tag:ciphertext, base64)',
+    });
+
+    await queryInterface.addColumn('members', 'totp_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    await queryInterface.addColumn('members', 'totp_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('members', 'totp_recovery_codes', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Keyed hashes of unused one-time recovery codes',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('members', 'totp_recovery_codes');
+    await queryInterface.removeColumn('members', 'totp_enabled_at');
+    await queryInterface.removeColumn('members', 'totp_enabled');
+    await queryInterface.removeColumn('members', 'totp_secret');
+  },
+};
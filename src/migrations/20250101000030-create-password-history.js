@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Migration: Password policy
+ *
+ * - password_history: last PASSWORD_HISTORY_SIZE bcrypt hashes per user (reuse check)
+ * - password_changed_at on members/clients: drives forced rotation (PASSWORD_MAX_AGE_DAYS).
+ *   Existing rows are backfilled with the migration time so nobody is expired on deploy.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('password_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_type: {
+        type: Sequelize.ENUM('MEMBER', 'CLIENT'),
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      password_hash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    await queryInterface.addIndex('password_history', ['user_type', 'user_id', 'created_at'], {
+      name: 'password_history_user_idx',
+    });
+
+    for (const table of ['members', 'clients']) {
+      await queryInterface.addColumn(table, 'password_changed_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET password_changed_at = CURRENT_TIMESTAMP WHERE password_changed_at IS NULL`
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('clients', 'password_changed_at');
+    await queryInterface.removeColumn('members', 'password_changed_at');
+    await queryInterface.dropTable('password_history');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_password_history_user_type";');
+  },
+};
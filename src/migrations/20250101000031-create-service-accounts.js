@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Migration: Create service_accounts table
+ *
+ * Machine identities of RPD backends for the OAuth2 client-credentials grant (/oauth/token).
+ * Each account belongs to an RPD instance and authenticates either with a client secret
+ * (only its SHA-256 hash is stored) or with a private_key_jwt assertion (public_key).
+ * scopes is the allowlist of scopes the account may request (permission names, e.g. "catalog:read").
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('service_accounts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      client_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      rpd_instance_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'rpd_instances',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      auth_method: {
+        type: Sequelize.ENUM('client_secret', 'private_key_jwt'),
+        allowNull: false,
+        defaultValue: 'client_secret',
+      },
+      client_secret_hash: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'PEM public key for private_key_jwt client assertions',
+      },
+      scopes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+
+    await queryInterface.addIndex('service_accounts', ['rpd_instance_id'], {
+      name: 'service_accounts_rpd_instance_id_idx',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('service_accounts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_service_accounts_auth_method";');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add redirect_uris to rpd_instances
+ *
+ * Redirect URIs of the RPD web frontend registered for the authorization-code flow
+ * (/oauth/authorize). The RPD instance code is the OAuth client_id of its frontend;
+ * a redirect_uri must match one of the registered values exactly.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'redirect_uris', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Registered OAuth redirect URIs of the RPD frontend (exact match)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'redirect_uris');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add token_permissions to rpd_instances
+ *
+ * Opt-in embedding of authorization data into access tokens. NULL (default) keeps tokens
+ * for the instance without permissions; a list of permission names enables the `scope`
+ * and `perm_hash` claims for members (filtered to this list) and the `org` claim for clients.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'token_permissions', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Permission names embedded into access tokens for this instance (NULL = disabled)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'token_permissions');
+  },
+};
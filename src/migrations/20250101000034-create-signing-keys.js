@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Migration: Create signing_keys table
+ *
+ * Token signing key pairs for KEY_STORE=database, so replicas do not need a shared keys volume.
+ * The private key is envelope-encrypted: a random data key per key pair encrypts the PEM
+ * (AES-256-GCM) and is itself stored wrapped with KEY_ENCRYPTION_KEY. Public keys are stored as is.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('signing_keys', {
+      kid: {
+        type: Sequelize.STRING(64),
+        primaryKey: true,
+        allowNull: false,
+      },
+      algorithm: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        defaultValue: 'ES256',
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      private_key_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'PEM private key encrypted with the data key (iv:tag:ciphertext, base64)',
+      },
+      data_key_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Data key wrapped with KEY_ENCRYPTION_KEY (iv:tag:ciphertext, base64)',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('signing_keys');
+  },
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Migration: Add not_before and revoked_at to signing_keys
+ *
+ * not_before - when the key starts signing tokens (start of the kid's month, or the moment of a
+ * forced rotation; pre-generated keys are published in JWKS before that).
+ * revoked_at - emergency revocation: the key is dropped from JWKS and its tokens are rejected.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('signing_keys', 'not_before', {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    });
+    await queryInterface.addColumn('signing_keys', 'revoked_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // Monthly kids (YYYY-MM) start signing on the first day of their month
+    await queryInterface.sequelize.query(
+      "UPDATE signing_keys SET not_before = to_timestamp(left(kid, 7), 'YYYY-MM') WHERE kid ~ '^[0-9]{4}-[0-9]{2}'"
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('signing_keys', 'revoked_at');
+    await queryInterface.removeColumn('signing_keys', 'not_before');
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration: Add signing_algorithm to rpd_instances
+ *
+ * Algorithm of the access tokens issued for the instance (ES256, ES384 or EdDSA - one of
+ * SIGNING_ALGORITHMS). NULL (default) uses the default algorithm, the first of SIGNING_ALGORITHMS.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'signing_algorithm', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      defaultValue: null,
+      comment: 'JWT signing algorithm of tokens for this instance (NULL = default algorithm)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'signing_algorithm');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add token_policy to rpd_instances
+ *
+ * Token policy of the instance: access token TTL, whether refresh tokens are issued, which user
+ * types (MEMBER, CLIENT) receive its audience and which optional claims are embedded.
+ * NULL (default) keeps the global behaviour (ACCESS_TTL_SECONDS, refresh allowed, both user types).
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'token_policy', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Token policy { access_ttl_seconds, refresh_allowed, user_types, claims } (NULL = defaults)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'token_policy');
+  },
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Migration: Add heartbeat to rpd_instances
+ *
+ * RPD instances report periodically (POST /rpd/heartbeat) their software version and the last
+ * successful sync of each catalog. The last report is kept with the instance and compared with
+ * catalog_versions to find instances that are lagging behind or have gone silent.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'heartbeat', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Last heartbeat { software_version, catalogs: { name: { version, synced_at, error_count, last_error } } }',
+    });
+    await queryInterface.addColumn('rpd_instances', 'last_heartbeat_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Time of the last heartbeat (NULL = never reported)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'last_heartbeat_at');
+    await queryInterface.removeColumn('rpd_instances', 'heartbeat');
+  },
+};
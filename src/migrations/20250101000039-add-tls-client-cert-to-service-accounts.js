@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Migration: Add tls_client_cert_thumbprint to service_accounts
+ *
+ * mTLS identity of a service account (RFC 8705 style): SHA-256 thumbprint (hex) of the client
+ * certificate the RPD backend presents to the TLS-terminating proxy. Used to authenticate catalog
+ * sync requests as the account's RPD instance without an access token.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('service_accounts', 'tls_client_cert_thumbprint', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      defaultValue: null,
+      comment: 'SHA-256 thumbprint (lowercase hex) of the mTLS client certificate (NULL = no mTLS identity)',
+    });
+    await queryInterface.addIndex('service_accounts', ['tls_client_cert_thumbprint'], {
+      unique: true,
+      name: 'service_accounts_tls_client_cert_thumbprint_unique',
+      where: { deleted_at: null }, // a certificate of a deleted account can be registered again
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('service_accounts', 'service_accounts_tls_client_cert_thumbprint_unique');
+    await queryInterface.removeColumn('service_accounts', 'tls_client_cert_thumbprint');
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration: Origin of a client block
+ *
+ * The permanent lock also sets is_blocked on clients. blocked_by_lockout records that the block
+ * came from the lock, so an admin unlock lifts only that block and keeps one an admin placed.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('clients', 'blocked_by_lockout', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'TRUE if is_blocked was set by the permanent lock (cleared by admin unlock)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('clients', 'blocked_by_lockout');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add sync_scopes to rpd_instances
+ *
+ * Scope of the data last served to the instance for each region-scoped catalog (e.g.
+ * { "organizations": "region:11" }). A catalog is reported up to date only while this scope
+ * matches the instance's current region, so the RPD does not have to echo `scope` back.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('rpd_instances', 'sync_scopes', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Scope of the last full sync per region-scoped catalog { name: scope } (NULL = none yet)',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('rpd_instances', 'sync_scopes');
+  },
+};
@@ -60,6 +60,21 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Forced rotation (PASSWORD_MAX_AGE_DAYS)
+      password_changed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Permanent lock after repeated failed logins (cleared by admin unlock)
+      locked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // is_blocked was set by the permanent lock, not by an admin
+      blocked_by_lockout: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
     },
     {
       tableName: 'clients',
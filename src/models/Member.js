@@ -49,11 +49,44 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Forced rotation (PASSWORD_MAX_AGE_DAYS)
+      password_changed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Permanent lock after repeated failed logins (cleared by admin unlock)
+      locked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // TOTP 2FA (secret is encrypted, see mfa.service)
+      totp_secret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      totp_enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      totp_enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      totp_recovery_codes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
     },
     {
       tableName: 'members',
       timestamps: true,
       paranoid: true,
+      defaultScope: {
+        attributes: { exclude: ['totp_secret', 'totp_recovery_codes'] },
+      },
+      scopes: {
+        withMfa: {},
+      },
       indexes: [
         { unique: true, fields: ['username'] },
         { fields: ['role_id'] },
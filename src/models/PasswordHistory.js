@@ -0,0 +1,39 @@
+/**
+ * Password History Model
+ *
+ * Last PASSWORD_HISTORY_SIZE password hashes of a member or client.
+ * Used to reject reuse of recent passwords (see password.service).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PasswordHistory = sequelize.define(
+    'PasswordHistory',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_type: {
+        type: DataTypes.ENUM('MEMBER', 'CLIENT'),
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      password_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: 'password_history',
+      timestamps: true,
+      updatedAt: false,
+      paranoid: false,
+      indexes: [{ fields: ['user_type', 'user_id', 'created_at'] }],
+    }
+  );
+
+  return PasswordHistory;
+};
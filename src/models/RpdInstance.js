@@ -40,6 +40,48 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: true,
         comment: 'Whether this RPD instance is currently active',
       },
+      redirect_uris: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Registered OAuth redirect URIs of the RPD frontend (authorization-code flow)',
+      },
+      token_permissions: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Permission names embedded into access tokens for this instance (NULL = disabled)',
+      },
+      signing_algorithm: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'JWT signing algorithm of tokens for this instance (NULL = default algorithm)',
+      },
+      token_policy: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Token policy { access_ttl_seconds, refresh_allowed, user_types, claims } (NULL = defaults)',
+      },
+      heartbeat: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Last heartbeat { software_version, catalogs: { name: { version, synced_at, error_count, last_error } } }',
+      },
+      last_heartbeat_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Time of the last heartbeat (NULL = never reported)',
+      },
+      sync_scopes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Scope of the last full sync per region-scoped catalog { name: scope } (NULL = none yet)',
+      },
     },
     {
       tableName: 'rpd_instances',
@@ -0,0 +1,83 @@
+/**
+ * Service Account Model
+ *
+ * Machine identity of an RPD backend (OAuth2 client-credentials grant).
+ * Belongs to an RPD instance; tokens carry that instance's audience.
+ * Authenticates with a client secret (client_secret_hash) or private_key_jwt (public_key);
+ * catalog sync additionally accepts the mTLS client certificate (tls_client_cert_thumbprint).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ServiceAccount = sequelize.define(
+    'ServiceAccount',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      client_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      rpd_instance_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      auth_method: {
+        type: DataTypes.ENUM('client_secret', 'private_key_jwt'),
+        allowNull: false,
+        defaultValue: 'client_secret',
+      },
+      client_secret_hash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      public_key: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // mTLS identity: SHA-256 thumbprint (lowercase hex) of the client certificate
+      tls_client_cert_thumbprint: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // Allowed scopes (e.g. ["catalog:read"]), each maps to a permission name
+      scopes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'service_accounts',
+      timestamps: true,
+      paranoid: true,
+      defaultScope: {
+        attributes: { exclude: ['client_secret_hash'] },
+      },
+      scopes: {
+        withSecret: {},
+      },
+      indexes: [
+        { unique: true, fields: ['client_id'] },
+        { fields: ['rpd_instance_id'] },
+        { unique: true, fields: ['tls_client_cert_thumbprint'], where: { deleted_at: null } },
+      ],
+    }
+  );
+
+  return ServiceAccount;
+};
@@ -0,0 +1,52 @@
+/**
+ * Signing Key Model
+ *
+ * Token signing key pair of the database key store (KEY_STORE=database).
+ * The private key is envelope-encrypted, see modules/security/keys/stores/database.store.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SigningKey = sequelize.define(
+    'SigningKey',
+    {
+      kid: {
+        type: DataTypes.STRING(64),
+        primaryKey: true,
+      },
+      algorithm: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: 'ES256',
+      },
+      public_key: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      private_key_encrypted: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      data_key_encrypted: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Начало подписи токенов этим ключом (до этого ключ только публикуется в JWKS)
+      not_before: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      // Экстренный отзыв: ключ исключается из JWKS, его токены отклоняются
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'signing_keys',
+      timestamps: true,
+      paranoid: false,
+    }
+  );
+
+  return SigningKey;
+};
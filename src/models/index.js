@@ -24,6 +24,9 @@ const ClassifierField = require('./catalogs/ClassifierField')(sequelize, DataTyp
 const ClassifierDocument = require('./catalogs/ClassifierDocument')(sequelize, DataTypes);
 const AuthAuditLog = require('./AuthAuditLog')(sequelize, DataTypes);
 const RpdInstance = require('./RpdInstance')(sequelize, DataTypes);
+const PasswordHistory = require('./PasswordHistory')(sequelize, DataTypes);
+const ServiceAccount = require('./ServiceAccount')(sequelize, DataTypes);
+const SigningKey = require('./SigningKey')(sequelize, DataTypes);
 
 // Define associations
 // Member associations
@@ -68,6 +71,10 @@ Region.hasMany(Region, { foreignKey: 'parent_id', as: 'children' });
 RpdInstance.belongsTo(Region, { foreignKey: 'region_id', as: 'region' });
 Region.hasOne(RpdInstance, { foreignKey: 'region_id', as: 'rpdInstance' });
 
+// Service Account associations
+ServiceAccount.belongsTo(RpdInstance, { foreignKey: 'rpd_instance_id', as: 'rpdInstance' });
+RpdInstance.hasMany(ServiceAccount, { foreignKey: 'rpd_instance_id', as: 'serviceAccounts' });
+
 // Bank associations
 Bank.belongsTo(Region, { foreignKey: 'region_id', as: 'region' });
 Bank.hasMany(BankAccount, { foreignKey: 'bank_id', as: 'accounts' });
@@ -131,6 +138,9 @@ const db = {
   ClassifierDocument,
   AuthAuditLog,
   RpdInstance,
+  PasswordHistory,
+  ServiceAccount,
+  SigningKey,
 };
 
 module.exports = db;
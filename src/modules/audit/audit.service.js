@@ -44,12 +44,65 @@ const auditActions = {
   LOGIN_FAIL: 'LOGIN_FAIL',
   REFRESH_SUCCESS: 'REFRESH_SUCCESS',
   REFRESH_FAIL: 'REFRESH_FAIL',
+  REFRESH_REUSE_DETECTED: 'REFRESH_REUSE_DETECTED',
   ROLE_CHANGED: 'ROLE_CHANGED',
   PERMISSION_CHANGED: 'PERMISSION_CHANGED',
   CATALOG_UPDATED: 'CATALOG_UPDATED',
   USER_BLOCKED: 'USER_BLOCKED',
   USER_UNBLOCKED: 'USER_UNBLOCKED',
   LOGOUT: 'LOGOUT',
+  LOGOUT_ALL: 'LOGOUT_ALL',
+  // Lockout actions
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_LOCKED_PERMANENTLY: 'ACCOUNT_LOCKED_PERMANENTLY',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  // Password actions
+  PASSWORD_EXPIRED: 'PASSWORD_EXPIRED',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  PASSWORD_CHANGE_FAIL: 'PASSWORD_CHANGE_FAIL',
+  PASSWORD_RESET_ISSUED: 'PASSWORD_RESET_ISSUED',
+  PASSWORD_RESET_COMPLETED: 'PASSWORD_RESET_COMPLETED',
+  // Contact verification actions
+  VERIFICATION_REQUESTED: 'VERIFICATION_REQUESTED',
+  VERIFICATION_CONFIRMED: 'VERIFICATION_CONFIRMED',
+  VERIFICATION_FAIL: 'VERIFICATION_FAIL',
+  VERIFICATION_REQUIRED: 'VERIFICATION_REQUIRED',
+  // 2FA actions
+  MFA_CHALLENGE_ISSUED: 'MFA_CHALLENGE_ISSUED',
+  MFA_FAIL: 'MFA_FAIL',
+  MFA_ENABLED: 'MFA_ENABLED',
+  MFA_DISABLED: 'MFA_DISABLED',
+  MFA_RECOVERY_CODES_REGENERATED: 'MFA_RECOVERY_CODES_REGENERATED',
+  // OAuth / service account actions
+  OAUTH_TOKEN_ISSUED: 'OAUTH_TOKEN_ISSUED',
+  OAUTH_CLIENT_AUTH_FAIL: 'OAUTH_CLIENT_AUTH_FAIL',
+  OAUTH_CODE_ISSUED: 'OAUTH_CODE_ISSUED',
+  OAUTH_GRANT_FAIL: 'OAUTH_GRANT_FAIL',
+  TOKEN_EXCHANGED: 'TOKEN_EXCHANGED',
+  SSO_LOGIN: 'SSO_LOGIN',
+  SSO_LOGOUT: 'SSO_LOGOUT',
+  RPD_INSTANCE_CREATED: 'RPD_INSTANCE_CREATED',
+  RPD_INSTANCE_UPDATED: 'RPD_INSTANCE_UPDATED',
+  RPD_INSTANCE_ACTIVATED: 'RPD_INSTANCE_ACTIVATED',
+  RPD_INSTANCE_DEACTIVATED: 'RPD_INSTANCE_DEACTIVATED',
+  RPD_REDIRECT_URIS_UPDATED: 'RPD_REDIRECT_URIS_UPDATED',
+  RPD_TOKEN_PERMISSIONS_UPDATED: 'RPD_TOKEN_PERMISSIONS_UPDATED',
+  RPD_SIGNING_ALGORITHM_UPDATED: 'RPD_SIGNING_ALGORITHM_UPDATED',
+  RPD_TOKEN_POLICY_UPDATED: 'RPD_TOKEN_POLICY_UPDATED',
+  SERVICE_ACCOUNT_CREATED: 'SERVICE_ACCOUNT_CREATED',
+  SERVICE_ACCOUNT_UPDATED: 'SERVICE_ACCOUNT_UPDATED',
+  SERVICE_ACCOUNT_SECRET_ROTATED: 'SERVICE_ACCOUNT_SECRET_ROTATED',
+  SERVICE_ACCOUNT_DELETED: 'SERVICE_ACCOUNT_DELETED',
+  // Signing key actions
+  SIGNING_KEY_ROTATED: 'SIGNING_KEY_ROTATED',
+  SIGNING_KEY_PREGENERATED: 'SIGNING_KEY_PREGENERATED',
+  SIGNING_KEY_REVOKED: 'SIGNING_KEY_REVOKED',
+  // Impersonation actions
+  IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+  IMPERSONATION_DENIED: 'IMPERSONATION_DENIED',
+  // Session actions
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  SESSIONS_REVOKED_ALL: 'SESSIONS_REVOKED_ALL',
   // Member actions
   MEMBER_CREATED: 'MEMBER_CREATED',
   MEMBER_UPDATED: 'MEMBER_UPDATED',
@@ -59,6 +112,7 @@ const auditActions = {
   CLIENT_UPDATED: 'CLIENT_UPDATED',
   CLIENT_BLOCKED: 'CLIENT_BLOCKED',
   CLIENT_UNBLOCKED: 'CLIENT_UNBLOCKED',
+  CLIENT_DEACTIVATED: 'CLIENT_DEACTIVATED',
 };
 
 module.exports = {
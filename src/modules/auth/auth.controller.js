@@ -1,4 +1,10 @@
 const authService = require('./auth.service');
+const sessionService = require('./services/session.service');
+const mfaService = require('./services/mfa.service');
+const passwordResetService = require('./services/password.reset.service');
+const verificationService = require('./services/verification.service');
+const ApiError = require('../../helpers/api.error');
+const { auditActions } = require('../audit/audit.service');
 const { successResponse } = require('../../helpers/response.helper');
 const { authGuard } = require('../../middlewares/auth.guard');
 const logger = require('../../config/logger');
@@ -40,6 +46,31 @@ async function loginMember(req, res, next) {
   }
 }
 
+async function setupMemberMfa(req, res, next) {
+  try {
+    const result = await authService.setupMemberMfa(req.body.challenge_token);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function verifyMemberMfa(req, res, next) {
+  try {
+    const { challenge_token, code } = req.body;
+    const metadata = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      deviceId: req.headers['x-device-id'],
+    };
+
+    const result = await authService.verifyMemberMfa(challenge_token, code, metadata);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function loginClient(req, res, next) {
   try {
     const { username, password } = req.body;
@@ -56,6 +87,88 @@ async function loginClient(req, res, next) {
   }
 }
 
+async function changeExpiredPassword(req, res, next) {
+  try {
+    const { password_change_token, new_password } = req.body;
+    const metadata = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      deviceId: req.headers['x-device-id'],
+    };
+
+    const result = await authService.changeExpiredPassword(password_change_token, new_password, metadata);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function changePassword(req, res, next) {
+  try {
+    const { current_password, new_password, refresh_token } = req.body;
+    const result = await passwordResetService.changePassword(
+      req.user.type,
+      req.user.id,
+      current_password,
+      new_password,
+      {
+        refreshToken: refresh_token,
+        metadata: {
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'],
+        },
+      }
+    );
+    res.json(successResponse({ message: 'Password changed successfully', ...result }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function resetPassword(req, res, next) {
+  try {
+    const { reset_token, new_password } = req.body;
+    const metadata = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    };
+
+    const result = await passwordResetService.resetPassword(reset_token, new_password, metadata);
+    res.json(successResponse({ message: 'Password has been reset, please log in', ...result }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function requestLoginVerification(req, res, next) {
+  try {
+    const { verification_token, channel } = req.body;
+    const result = await authService.requestLoginVerification(verification_token, channel, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function confirmLoginVerification(req, res, next) {
+  try {
+    const { verification_token, channel, code } = req.body;
+    const metadata = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      deviceId: req.headers['x-device-id'],
+    };
+
+    const result = await authService.confirmLoginVerification(verification_token, channel, code, metadata);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function refresh(req, res, next) {
   try {
     const { refresh_token } = req.body;
@@ -75,7 +188,10 @@ async function refresh(req, res, next) {
 async function logout(req, res, next) {
   try {
     const { refresh_token } = req.body;
-    await authService.logout(refresh_token, req.user.type, req.user.id);
+    await authService.logout(refresh_token, req.user.type, req.user.id, {
+      jti: req.user.jti,
+      exp: req.user.exp,
+    });
     res.json(successResponse({ message: 'Logged out successfully' }));
   } catch (error) {
     next(error);
@@ -91,11 +207,180 @@ async function getMe(req, res, next) {
   }
 }
 
+async function listSessions(req, res, next) {
+  try {
+    const sessions = await sessionService.listSessions(req.user.type, req.user.id);
+    res.json(successResponse(sessions));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revokeSession(req, res, next) {
+  try {
+    const session = await sessionService.revokeSession(
+      req.user.type,
+      req.user.id,
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      {
+        metadata: {
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'],
+        },
+      }
+    );
+    res.json(successResponse(session));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function logoutAll(req, res, next) {
+  try {
+    const result = await sessionService.revokeAllSessions(
+      req.user.type,
+      req.user.id,
+      { type: req.user.type, id: req.user.id },
+      {
+        action: auditActions.LOGOUT_ALL,
+        metadata: {
+          ip: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'],
+        },
+      }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * 2FA управляется только сотрудниками (members)
+ */
+function assertMember(req) {
+  if (req.user.type !== 'MEMBER') {
+    throw new ApiError(403, 'Two-factor authentication is available for members only');
+  }
+}
+
+async function getMfaStatus(req, res, next) {
+  try {
+    assertMember(req);
+    const status = await mfaService.getMfaStatus(req.user.id);
+    res.json(successResponse(status));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function enrollMfa(req, res, next) {
+  try {
+    assertMember(req);
+    const result = await mfaService.startEnrollment(req.user.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function activateMfa(req, res, next) {
+  try {
+    assertMember(req);
+    const result = await mfaService.activateEnrollment(req.user.id, req.body.code, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function disableMfa(req, res, next) {
+  try {
+    assertMember(req);
+    await mfaService.disableMfa(req.user.id, req.body.code, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse({ message: 'Two-factor authentication disabled' }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    assertMember(req);
+    const result = await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Подтверждение email/телефона доступно только клиентам
+ */
+function assertClient(req) {
+  if (req.user.type !== 'CLIENT') {
+    throw new ApiError(403, 'Contact verification is available for clients only');
+  }
+}
+
+async function requestVerification(req, res, next) {
+  try {
+    assertClient(req);
+    const result = await verificationService.requestVerification(req.user.id, req.body.channel, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function confirmVerification(req, res, next) {
+  try {
+    assertClient(req);
+    const client = await verificationService.confirmVerification(req.user.id, req.body.channel, req.body.code, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(successResponse({ channels: verificationService.getChannels(client) }));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   loginMember,
+  setupMemberMfa,
+  verifyMemberMfa,
   loginClient,
+  changeExpiredPassword,
+  changePassword,
+  resetPassword,
   refresh,
   logout,
   getMe,
+  listSessions,
+  revokeSession,
+  logoutAll,
+  getMfaStatus,
+  enrollMfa,
+  activateMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  requestLoginVerification,
+  confirmLoginVerification,
+  requestVerification,
+  confirmVerification,
 };
 
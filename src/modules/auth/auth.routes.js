@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('./auth.controller');
-const { loginSchema, refreshSchema } = require('./auth.schemas');
+const { loginSchema, refreshSchema, mfaSetupSchema, mfaVerifySchema, mfaCodeSchema, expiredPasswordSchema, changePasswordSchema, resetPasswordSchema,
+  verificationRequestSchema, verificationConfirmSchema, loginVerificationRequestSchema, loginVerificationConfirmSchema } = require('./auth.schemas');
 const schemaValidator = require('../../middlewares/schema.validator');
 const { loginLimiter, refreshLimiter } = require('../../middlewares/rate.limit');
 const { authGuard } = require('../../middlewares/auth.guard');
+const { validate_id_param } = require('../../helpers/validators');
 
 /**
  * @swagger
@@ -12,7 +14,13 @@ const { authGuard } = require('../../middlewares/auth.guard');
  *   post:
  *     tags: [Auth]
  *     summary: Member login
- *     description: Authenticate a member user and receive JWT tokens
+ *     description: |
+ *       Authenticate a member user and receive JWT tokens.
+ *       If 2FA is enabled for the member (or mandatory for their role) no tokens are returned:
+ *       the response contains a short-lived challenge for /auth/member/2fa/verify instead.
+ *       If the password has expired the response is `state: PASSWORD_EXPIRED` with a
+ *       password_change_token for /auth/password/expired; members with 2FA get it only from
+ *       /auth/member/2fa/verify, after the second factor.
  *     security: []
  *     requestBody:
  *       required: true
@@ -22,11 +30,13 @@ const { authGuard } = require('../../middlewares/auth.guard');
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or 2FA challenge issued
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/LoginResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/LoginResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -35,18 +45,104 @@ const { authGuard } = require('../../middlewares/auth.guard');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: |
+ *           Account locked after too many failed login attempts.
+ *           error_type ACCOUNT_LOCKED (temporary) or ACCOUNT_LOCKED_PERMANENTLY (admin unlock required).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
 router.post('/member/login', schemaValidator(loginSchema), authController.loginMember);
 
+/**
+ * @swagger
+ * /auth/member/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Set up 2FA during login
+ *     description: |
+ *       For challenges with challenge_type ENROLL (2FA is mandatory for the member's role).
+ *       Returns a TOTP secret and QR code; the first code sent to /auth/member/2fa/verify
+ *       activates 2FA and completes the login.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge_token]
+ *             properties:
+ *               challenge_token: { type: string }
+ *     responses:
+ *       200:
+ *         description: TOTP secret, otpauth URL and QR code (data URL)
+ *       401:
+ *         description: Challenge invalid or expired (error_type MFA_CHALLENGE_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/member/2fa/setup', schemaValidator(mfaSetupSchema), authController.setupMemberMfa);
+
+/**
+ * @swagger
+ * /auth/member/2fa/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete member login with a 2FA code
+ *     description: |
+ *       Exchanges the login challenge plus a TOTP code (or a one-time recovery code) for tokens.
+ *       The challenge is dropped after MFA_MAX_ATTEMPTS wrong codes.
+ *       For ENROLL challenges the response also contains recovery_codes (shown only once).
+ *       If the password has expired the response is `state: PASSWORD_EXPIRED` with a
+ *       password_change_token for /auth/password/expired instead of tokens.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge_token, code]
+ *             properties:
+ *               challenge_token: { type: string }
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200:
+ *         description: Login successful, or PASSWORD_EXPIRED state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid code (MFA_CODE_INVALID) or challenge invalid/expired (MFA_CHALLENGE_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/member/2fa/verify', schemaValidator(mfaVerifySchema), authController.verifyMemberMfa);
+
 /**
  * @swagger
  * /auth/client/login:
  *   post:
  *     tags: [Auth]
  *     summary: Client login
- *     description: Authenticate a client application and receive JWT tokens
+ *     description: |
+ *       Authenticate a client application and receive JWT tokens.
+ *       If the password has expired the response is `state: PASSWORD_EXPIRED` with a
+ *       password_change_token for /auth/password/expired.
+ *       With CLIENT_LOGIN_REQUIRE_VERIFIED, a client without a verified email or phone gets
+ *       `state: VERIFICATION_REQUIRED` with a verification_token for /auth/client/verification/*.
  *     security: []
  *     requestBody:
  *       required: true
@@ -56,7 +152,7 @@ router.post('/member/login', schemaValidator(loginSchema), authController.loginM
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or PASSWORD_EXPIRED / VERIFICATION_REQUIRED state
  *         content:
  *           application/json:
  *             schema:
@@ -69,18 +165,236 @@ router.post('/member/login', schemaValidator(loginSchema), authController.loginM
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: |
+ *           Account locked after too many failed login attempts.
+ *           error_type ACCOUNT_LOCKED (temporary) or ACCOUNT_LOCKED_PERMANENTLY (admin unlock required).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
 router.post('/client/login', schemaValidator(loginSchema), authController.loginClient);
 
+/**
+ * @swagger
+ * /auth/client/verification/request:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Send a verification code during login
+ *     description: |
+ *       For the VERIFICATION_REQUIRED login state (CLIENT_LOGIN_REQUIRE_VERIFIED=true and no
+ *       verified email or phone). Sends a code to the chosen channel.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [verification_token, channel]
+ *             properties:
+ *               verification_token: { type: string }
+ *               channel: { type: string, enum: [email, phone] }
+ *     responses:
+ *       200:
+ *         description: Code sent (channel, masked destination, expires_in)
+ *       400:
+ *         description: No address for the channel, or already verified
+ *       401:
+ *         description: Token invalid or expired (VERIFICATION_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: A code was requested too recently (VERIFICATION_RESEND_INTERVAL_SECONDS)
+ */
+router.post('/client/verification/request', schemaValidator(loginVerificationRequestSchema), authController.requestLoginVerification);
+
+/**
+ * @swagger
+ * /auth/client/verification/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm a verification code and complete login
+ *     description: Marks the channel as verified and returns tokens.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [verification_token, channel, code]
+ *             properties:
+ *               verification_token: { type: string }
+ *               channel: { type: string, enum: [email, phone] }
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200:
+ *         description: Verified, login completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Wrong or expired code (VERIFICATION_CODE_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token invalid or expired (VERIFICATION_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/client/verification/confirm', schemaValidator(loginVerificationConfirmSchema), authController.confirmLoginVerification);
+
+/**
+ * @swagger
+ * /auth/password/expired:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Change an expired password
+ *     description: |
+ *       When the password is older than PASSWORD_MAX_AGE_DAYS, member and client login return
+ *       `state: PASSWORD_EXPIRED` with a single-use password_change_token instead of tokens.
+ *       This endpoint is the only thing the token allows. The new password must satisfy the
+ *       password policy and must not match recent passwords. On success the login completes with
+ *       tokens; members with 2FA have already passed it before the token was issued.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password_change_token, new_password]
+ *             properties:
+ *               password_change_token: { type: string }
+ *               new_password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password changed, login completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/LoginResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION) or reuse (PASSWORD_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token invalid or expired (PASSWORD_CHANGE_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/expired', schemaValidator(expiredPasswordSchema), authController.changeExpiredPassword);
+
+/**
+ * @swagger
+ * /auth/password/change:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Change own password
+ *     description: |
+ *       Requires the current password. The new password must satisfy the password policy and
+ *       must not match recent passwords. All other sessions are revoked; pass the current
+ *       refresh_token to keep this session signed in. All access tokens of the user are revoked,
+ *       so the kept session gets a new access_token in the response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password: { type: string }
+ *               new_password: { type: string }
+ *               refresh_token: { type: string, description: Refresh token of the session to keep }
+ *     responses:
+ *       200:
+ *         description: Password changed, other sessions revoked (access_token and expires_in when refresh_token was passed)
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION) or reuse (PASSWORD_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Not authenticated or current password is incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/change', authGuard, schemaValidator(changePasswordSchema), authController.changePassword);
+
+/**
+ * @swagger
+ * /auth/password/reset:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Reset password with a reset token
+ *     description: |
+ *       Consumes a single-use reset token issued by an administrator
+ *       (POST /admin/members/{id}/password-reset, POST /admin/clients/{id}/password-reset).
+ *       The new password must satisfy the password policy. All sessions of the user are revoked.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reset_token, new_password]
+ *             properties:
+ *               reset_token: { type: string }
+ *               new_password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password reset, all sessions revoked
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION) or reuse (PASSWORD_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token invalid, expired or already used (PASSWORD_RESET_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/reset', schemaValidator(resetPasswordSchema), authController.resetPassword);
+
 /**
  * @swagger
  * /auth/refresh:
  *   post:
  *     tags: [Auth]
  *     summary: Refresh access token
- *     description: Obtain a new access token using a valid refresh token
+ *     description: |
+ *       Obtain a new access token using a valid refresh token.
+ *       The refresh token is rotated: the presented token is revoked and a new one
+ *       from the same token family is returned.
+ *
+ *       Presenting a token that was already rotated is treated as token theft:
+ *       the whole token family is revoked and the response carries
+ *       `error_type: REFRESH_TOKEN_REUSED` - the client must log in again.
  *     security: []
  *     requestBody:
  *       required: true
@@ -98,11 +412,27 @@ router.post('/client/login', schemaValidator(loginSchema), authController.loginC
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid or expired refresh token, or refresh token reuse detected
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               invalid:
+ *                 summary: Invalid refresh token
+ *                 value:
+ *                   success: false
+ *                   data:
+ *                     error_code: 401
+ *                     error_msg: "Invalid refresh token"
+ *               reused:
+ *                 summary: Rotated refresh token presented again
+ *                 value:
+ *                   success: false
+ *                   data:
+ *                     error_code: 401
+ *                     error_msg: "Refresh token reuse detected, please log in again"
+ *                     error_type: REFRESH_TOKEN_REUSED
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
@@ -204,5 +534,231 @@ router.post('/logout', authGuard, schemaValidator(refreshSchema), authController
  */
 router.get('/me', authGuard, authController.getMe);
 
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List own active sessions
+ *     description: |
+ *       Returns the caller's active sessions (one per login / refresh-token family),
+ *       newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               data:
+ *                 - id: 42
+ *                   device_id: "web-01"
+ *                   ip: "10.0.0.15"
+ *                   user_agent: "Mozilla/5.0"
+ *                   created_at: "2025-01-15T10:30:00Z"
+ *                   expires_at: "2025-03-16T10:30:00Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/sessions', authGuard, authController.listSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of own sessions
+ *     description: Revokes the session's whole refresh-token family.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Session ID from GET /auth/sessions
+ *     responses:
+ *       200: { description: Session revoked }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404: { description: Session not found }
+ */
+router.delete('/sessions/:id', authGuard, validate_id_param(), authController.revokeSession);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Logout from all sessions
+ *     description: Revokes every refresh token of the caller on all devices.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               data:
+ *                 revoked_count: 3
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/logout-all', authGuard, authController.logoutAll);
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Own 2FA status (members)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 enabled: true
+ *                 enabled_at: "2025-01-15T10:30:00Z"
+ *                 required: true
+ *                 recovery_codes_left: 9
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ * /auth/2fa/enroll:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start 2FA enrollment (members)
+ *     description: Returns a new TOTP secret, otpauth URL and QR code (data URL). 2FA stays off until activated.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Provisioning data }
+ *       409: { description: 2FA already enabled }
+ * /auth/2fa/activate:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Activate 2FA with the first code (members)
+ *     description: Returns one-time recovery codes. They are shown only once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200: { description: 2FA enabled, recovery codes returned }
+ *       401: { description: Invalid code }
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Disable 2FA (members)
+ *     description: Requires a valid TOTP or recovery code. Not allowed when 2FA is mandatory for the role.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200: { description: 2FA disabled }
+ *       401: { description: Invalid code }
+ *       403: { description: 2FA is mandatory for the role }
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Regenerate recovery codes (members)
+ *     description: Requires a valid TOTP code. Previous recovery codes stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200: { description: New recovery codes }
+ *       401: { description: Invalid code }
+ */
+router.get('/2fa', authGuard, authController.getMfaStatus);
+router.post('/2fa/enroll', authGuard, authController.enrollMfa);
+router.post('/2fa/activate', authGuard, schemaValidator(mfaCodeSchema), authController.activateMfa);
+router.post('/2fa/disable', authGuard, schemaValidator(mfaCodeSchema), authController.disableMfa);
+router.post('/2fa/recovery-codes', authGuard, schemaValidator(mfaCodeSchema), authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/verification/request:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Send a code to verify the client's email or phone
+ *     description: |
+ *       Delivered through the notification transport (NOTIFICATION_TRANSPORT).
+ *       The code expires after VERIFICATION_CODE_TTL_SECONDS.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [channel]
+ *             properties:
+ *               channel: { type: string, enum: [email, phone] }
+ *     responses:
+ *       200: { description: Code sent (channel, masked destination, expires_in) }
+ *       400: { description: No address for the channel, or already verified }
+ *       403: { description: Not a client }
+ *       429: { description: A code was requested too recently }
+ * /auth/verification/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm the client's email or phone
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [channel, code]
+ *             properties:
+ *               channel: { type: string, enum: [email, phone] }
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200: { description: Channel verified, current verification status of both channels }
+ *       400: { description: Wrong or expired code (VERIFICATION_CODE_INVALID) }
+ *       403: { description: Not a client }
+ */
+router.post('/verification/request', authGuard, schemaValidator(verificationRequestSchema), authController.requestVerification);
+router.post('/verification/confirm', authGuard, schemaValidator(verificationConfirmSchema), authController.confirmVerification);
+
 module.exports = router;
 
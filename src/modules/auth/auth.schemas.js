@@ -56,8 +56,231 @@ const refreshSchema = Joi.object({
     }),
 });
 
+/**
+ * 2FA code rule
+ * - 6-digit TOTP code or recovery code (xxxxx-xxxxx, hex)
+ */
+const mfaCode = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+  .required()
+  .messages({
+    'string.base': 'Code must be a string',
+    'string.empty': 'Code is required',
+    'string.pattern.base': 'Code must be a 6-digit TOTP code or a recovery code',
+    'any.required': 'Code is required',
+  });
+
+/**
+ * 2FA challenge token rule
+ */
+const challengeToken = Joi.string()
+  .trim()
+  .min(10)
+  .required()
+  .messages({
+    'string.base': 'Challenge token must be a string',
+    'string.empty': 'Challenge token is required',
+    'string.min': 'Challenge token is invalid',
+    'any.required': 'Challenge token is required',
+  });
+
+/**
+ * MFA Setup Schema
+ * Validates 2FA setup with a login challenge (challenge_type ENROLL)
+ */
+const mfaSetupSchema = Joi.object({
+  challenge_token: challengeToken,
+});
+
+/**
+ * MFA Verify Schema
+ * Validates the second login step
+ */
+const mfaVerifySchema = Joi.object({
+  challenge_token: challengeToken,
+  code: mfaCode,
+});
+
+/**
+ * MFA Code Schema
+ * Validates authenticated 2FA management requests (activate, disable, recovery codes)
+ */
+const mfaCodeSchema = Joi.object({
+  code: mfaCode,
+});
+
+/**
+ * Expired Password Change Schema
+ * Validates password change in the PASSWORD_EXPIRED login state
+ * (complexity rules are checked by the password policy, not here)
+ */
+const expiredPasswordSchema = Joi.object({
+  password_change_token: Joi.string()
+    .trim()
+    .min(10)
+    .required()
+    .messages({
+      'string.base': 'Password change token must be a string',
+      'string.empty': 'Password change token is required',
+      'string.min': 'Password change token is invalid',
+      'any.required': 'Password change token is required',
+    }),
+  new_password: Joi.string()
+    .max(128)
+    .required()
+    .messages({
+      'string.base': 'New password must be a string',
+      'string.empty': 'New password is required',
+      'string.max': 'New password must not exceed 128 characters',
+      'any.required': 'New password is required',
+    }),
+});
+
+/**
+ * Password Change Schema
+ * Validates self-service password change (refresh_token keeps the current session)
+ */
+const changePasswordSchema = Joi.object({
+  current_password: Joi.string()
+    .max(128)
+    .required()
+    .messages({
+      'string.base': 'Current password must be a string',
+      'string.empty': 'Current password is required',
+      'string.max': 'Current password must not exceed 128 characters',
+      'any.required': 'Current password is required',
+    }),
+  new_password: Joi.string()
+    .max(128)
+    .required()
+    .messages({
+      'string.base': 'New password must be a string',
+      'string.empty': 'New password is required',
+      'string.max': 'New password must not exceed 128 characters',
+      'any.required': 'New password is required',
+    }),
+  refresh_token: Joi.string()
+    .trim()
+    .optional()
+    .messages({
+      'string.base': 'Refresh token must be a string',
+    }),
+});
+
+/**
+ * Password Reset Schema
+ * Validates password reset with an admin-issued reset token
+ */
+const resetPasswordSchema = Joi.object({
+  reset_token: Joi.string()
+    .trim()
+    .min(10)
+    .required()
+    .messages({
+      'string.base': 'Reset token must be a string',
+      'string.empty': 'Reset token is required',
+      'string.min': 'Reset token is invalid',
+      'any.required': 'Reset token is required',
+    }),
+  new_password: Joi.string()
+    .max(128)
+    .required()
+    .messages({
+      'string.base': 'New password must be a string',
+      'string.empty': 'New password is required',
+      'string.max': 'New password must not exceed 128 characters',
+      'any.required': 'New password is required',
+    }),
+});
+
+/**
+ * Contact verification channel rule
+ */
+const verificationChannel = Joi.string()
+  .valid('email', 'phone')
+  .required()
+  .messages({
+    'any.only': 'Channel must be one of: email, phone',
+    'any.required': 'Channel is required',
+  });
+
+/**
+ * Contact verification code rule
+ */
+const verificationCode = Joi.string()
+  .trim()
+  .pattern(/^\d{4,10}$/)
+  .required()
+  .messages({
+    'string.base': 'Code must be a string',
+    'string.empty': 'Code is required',
+    'string.pattern.base': 'Code must contain digits only',
+    'any.required': 'Code is required',
+  });
+
+/**
+ * Verification token rule (VERIFICATION_REQUIRED login state)
+ */
+const verificationToken = Joi.string()
+  .trim()
+  .min(10)
+  .required()
+  .messages({
+    'string.base': 'Verification token must be a string',
+    'string.empty': 'Verification token is required',
+    'string.min': 'Verification token is invalid',
+    'any.required': 'Verification token is required',
+  });
+
+/**
+ * Verification Request Schema
+ * Validates code requests by an authenticated client
+ */
+const verificationRequestSchema = Joi.object({
+  channel: verificationChannel,
+});
+
+/**
+ * Verification Confirm Schema
+ * Validates code confirmation by an authenticated client
+ */
+const verificationConfirmSchema = Joi.object({
+  channel: verificationChannel,
+  code: verificationCode,
+});
+
+/**
+ * Login Verification Request Schema
+ * Validates code requests in the VERIFICATION_REQUIRED login state
+ */
+const loginVerificationRequestSchema = Joi.object({
+  verification_token: verificationToken,
+  channel: verificationChannel,
+});
+
+/**
+ * Login Verification Confirm Schema
+ * Validates code confirmation in the VERIFICATION_REQUIRED login state
+ */
+const loginVerificationConfirmSchema = Joi.object({
+  verification_token: verificationToken,
+  channel: verificationChannel,
+  code: verificationCode,
+});
+
 module.exports = {
   loginSchema,
   refreshSchema,
+  mfaSetupSchema,
+  mfaVerifySchema,
+  mfaCodeSchema,
+  expiredPasswordSchema,
+  changePasswordSchema,
+  resetPasswordSchema,
+  verificationRequestSchema,
+  verificationConfirmSchema,
+  loginVerificationRequestSchema,
+  loginVerificationConfirmSchema,
 };
 
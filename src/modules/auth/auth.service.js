@@ -1,108 +1,249 @@
 const bcrypt = require('bcryptjs');
 const { Member, Client } = require('../../models');
-const { generateAccessToken, generateRefreshToken } = require('../security/tokens/token.service');
+const { generateRefreshToken } = require('../security/tokens/token.service');
 const {
   saveRefreshToken,
+  findRefreshToken,
+  findRotatedRefreshToken,
   findAndVerifyRefreshToken,
+  rotateRefreshToken,
   revokeRefreshToken,
+  revokeTokenFamily,
   revokeAllUserTokens,
 } = require('../security/tokens/refresh.repository');
 const { get_user_permissions, get_role_permissions } = require('../rbac/services/permission.service');
 const { logEvent, auditActions } = require('../audit/audit.service');
 const ApiError = require('../../helpers/api.error');
 const logger = require('../../config/logger');
-const { issueAccessToken } = require('../security/tokens/token.service');
+const { issueAccessTokenWithPolicy } = require('../security/tokens/token.service');
+const { resolveTokenPolicy } = require('../security/tokens/token-policy.service');
+const { revokeAccessToken } = require('../security/tokens/revocation.service');
+const {
+  assertNotLocked,
+  reserveLoginAttempt,
+  reserveMfaAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  recordMfaFailure,
+  clearMfaFailures,
+} = require('./services/lockout.service');
+const mfaService = require('./services/mfa.service');
+const passwordService = require('../security/passwords/password.service');
+const verificationService = require('./services/verification.service');
 /**
- * Аутентификация member
- * @param {string} username - имя пользователя
- * @param {string} password - пароль
+ * Выдаёт refresh token, если политика токенов RPD instances региона разрешает refresh
+ * @param {Object} accessToken - результат issueAccessTokenWithPolicy
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
  * @param {Object} metadata - метаданные запроса (ip, userAgent, deviceId)
- * @returns {Promise<Object>} - токены и данные пользователя
+ * @returns {Promise<string|null>} - refresh token или null
  */
-async function loginMember(username, password, metadata = {}) {
-  try {
-    const member = await Member.findOne({
-      where: { username, is_active: true },
-      include: ['role'],
-      // raw: true,
-    })
+async function issueRefreshToken(accessToken, userType, userId, metadata = {}) {
+  if (!accessToken.refresh_allowed) {
+    return null;
+  }
 
-    if (!member) {
-      await logEvent({
-        action: auditActions.LOGIN_FAIL,
-        meta: { username, reason: 'User not found' },
-      });
-      throw new ApiError(401, 'Invalid credentials');
-    }
+  const refreshToken = generateRefreshToken();
+  await saveRefreshToken({
+    token: refreshToken,
+    userType,
+    userId,
+    ...metadata,
+  });
+  return refreshToken;
+}
 
-    const isValidPassword = await bcrypt.compare(password, member.password_hash);
-    if (!isValidPassword) {
-      await logEvent({
-        action: auditActions.LOGIN_FAIL,
-        actorType: 'MEMBER',
-        actorId: member.id,
-        meta: { username, reason: 'Invalid password' },
-      });
-      throw new ApiError(401, 'Invalid credentials');
-    }
+/**
+ * Выдаёт токены member после успешной аутентификации (пароль и, если нужно, 2FA)
+ * @param {Object} member - member с загруженной ролью
+ * @param {Object} metadata - метаданные запроса (ip, userAgent, deviceId)
+ * @param {Object} loginMeta - дополнительные данные для аудита (например, mfa)
+ * @returns {Promise<Object>} - токены и данные пользователя
+ */
+async function issueMemberSession(member, metadata = {}, loginMeta = {}) {
+  // Update last login
+  await member.update({ last_login_at: new Date() });
+
+  const permissions = await get_role_permissions(member.role_id);
+  // Issue RPD access token
+  // This automatically resolves region hierarchy and sets correct audience
+  const accessToken = await issueAccessTokenWithPolicy(
+    {
+      id: member.id,
+      username: member.username,
+      role_id: member.role_id,
+      role: member.role?.name || null,
+      permissions,
+      region_id: member.region_id,
+      organization_id: member.organization_id,
+      fullname: member.fullname,
+    },
+    'MEMBER'
+  );
+
+  // Generate refresh token (unless the token policy of the region's RPD instances forbids refresh)
+  const refreshToken = await issueRefreshToken(accessToken, 'MEMBER', member.id, metadata);
+
+  // Log successful login
+  await logEvent({
+    action: auditActions.LOGIN_SUCCESS,
+    actorType: 'MEMBER',
+    actorId: member.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: member.username, region_id: member.region_id, ...loginMeta },
+  });
+
+  logger.info('Member authenticated with RPD token', {
+    user_id: member.id,
+    username: member.username,
+    region_id: member.region_id,
+  });
+
+  return {
+    access_token: accessToken.token,
+    expires_in: accessToken.expires_in,
+    refresh_token: refreshToken,
+    user: {
+      id: member.id,
+      username: member.username,
+      fullname: member.fullname,
+      role: member.role?.name,
+      region_id: member.region_id,
+      organization_id: member.organization_id,
+      permissions,
 
-    // Update last login
-    await member.update({ last_login_at: new Date() });
-
-    const permissions = await get_role_permissions(member.role_id);
-    // Issue RPD access token
-    // This automatically resolves region hierarchy and sets correct audience
-    const accessToken = await issueAccessToken(
-      {
-        id: member.id,
-        role: member.role?.name || null,
-        region_id: member.region_id,
-        organization_id: member.organization_id,
-        fullname: member.fullname,
-      },
-      'MEMBER'
-    );
+    },
+  };
+}
 
-    // Generate refresh token
-    const refreshToken = generateRefreshToken();
-    await saveRefreshToken({
-      token: refreshToken,
-      userType: 'MEMBER',
-      userId: member.id,
-      ...metadata,
-    });
+/**
+ * Завершает вход member после проверки пароля: 2FA challenge либо токены
+ * (или PASSWORD_EXPIRED - просроченный пароль проверяется только после второго фактора)
+ * @param {Object} member - member с загруженной ролью
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены, { mfa_required, challenge_token, ... } или { state: 'PASSWORD_EXPIRED', ... }
+ */
+async function completeMemberLogin(member, metadata = {}) {
+  // Второй шаг: TOTP
+  if (member.totp_enabled || mfaService.isMfaRequired(member)) {
+    const challenge = await mfaService.createChallenge(
+      member.id,
+      member.totp_enabled ? mfaService.CHALLENGE_TYPES.VERIFY : mfaService.CHALLENGE_TYPES.ENROLL
+    );
 
-    // Log successful login
     await logEvent({
-      action: auditActions.LOGIN_SUCCESS,
+      action: auditActions.MFA_CHALLENGE_ISSUED,
       actorType: 'MEMBER',
       actorId: member.id,
       ip: metadata.ip,
       userAgent: metadata.userAgent,
-      meta: { username, region_id: member.region_id },
+      meta: { username: member.username, challenge_type: challenge.challenge_type },
     });
 
-    logger.info('Member authenticated with RPD token', {
-      user_id: member.id,
-      username: member.username,
-      region_id: member.region_id,
+    return { mfa_required: true, ...challenge };
+  }
+
+  return finishMemberLogin(member, metadata);
+}
+
+/**
+ * Последний шаг входа member (второй фактор пройден или не нужен):
+ * при просроченном пароле - password_change_token, иначе токены
+ * @param {Object} member - member с загруженной ролью
+ * @param {Object} metadata - метаданные запроса
+ * @param {Object} loginMeta - дополнительные данные для аудита ({ mfa })
+ * @returns {Promise<Object>} - токены или { state: 'PASSWORD_EXPIRED', password_change_token, expires_in }
+ */
+async function finishMemberLogin(member, metadata = {}, loginMeta = {}) {
+  if (passwordService.isPasswordExpired(member)) {
+    return passwordExpiredResponse('MEMBER', member, metadata, loginMeta);
+  }
+  return issueMemberSession(member, metadata, loginMeta);
+}
+
+/**
+ * Ответ входа при просроченном пароле: вместо токенов выдаётся password_change_token,
+ * с которым можно только сменить пароль (/auth/password/expired)
+ * @param {string} userType - тип пользователя
+ * @param {Object} user - пользователь
+ * @param {Object} metadata - метаданные запроса
+ * @param {Object} loginMeta - данные входа ({ mfa } - второй фактор пройден до выдачи токена)
+ * @returns {Promise<Object>} - { state: 'PASSWORD_EXPIRED', password_change_token, expires_in }
+ */
+async function passwordExpiredResponse(userType, user, metadata = {}, loginMeta = {}) {
+  const changeToken = await passwordService.createPasswordChangeToken(userType, user.id, loginMeta);
+
+  await logEvent({
+    action: auditActions.PASSWORD_EXPIRED,
+    actorType: userType,
+    actorId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, password_changed_at: user.password_changed_at },
+  });
+
+  return { state: 'PASSWORD_EXPIRED', ...changeToken };
+}
+
+/**
+ * Проверяет логин и пароль member (блокировка, счётчик неудачных попыток, аудит LOGIN_FAIL)
+ * Токены не выдаются - используется обычным входом и hosted login (/oauth/authorize)
+ * @param {string} username - имя пользователя
+ * @param {string} password - пароль
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - member с загруженной ролью
+ * @throws {ApiError} - 401 при неверных данных, 423 если вход заблокирован
+ */
+async function verifyMemberCredentials(username, password, metadata = {}) {
+  const member = await Member.findOne({
+    where: { username, is_active: true },
+    include: ['role'],
+    // raw: true,
+  })
+
+  await assertNotLocked('MEMBER', username, member);
+  const lockoutAttempt = await reserveLoginAttempt('MEMBER', username);
+
+  if (!member) {
+    await logEvent({
+      action: auditActions.LOGIN_FAIL,
+      meta: { username, reason: 'User not found' },
     });
+    await recordLoginFailure('MEMBER', username, null, metadata, lockoutAttempt);
+    throw new ApiError(401, 'Invalid credentials');
+  }
 
+  const isValidPassword = await bcrypt.compare(password, member.password_hash);
+  if (!isValidPassword) {
+    await logEvent({
+      action: auditActions.LOGIN_FAIL,
+      actorType: 'MEMBER',
+      actorId: member.id,
+      meta: { username, reason: 'Invalid password' },
+    });
+    await recordLoginFailure('MEMBER', username, member, metadata, lockoutAttempt);
+    throw new ApiError(401, 'Invalid credentials');
+  }
 
-    return {
-      access_token: accessToken,
-      refresh_token: refreshToken,
-      user: {
-        id: member.id,
-        username: member.username,
-        fullname: member.fullname,
-        role: member.role?.name,
-        region_id: member.region_id,
-        organization_id: member.organization_id,
-        permissions,
-
-      },
-    };
+  await clearLoginFailures('MEMBER', username);
+
+  return member;
+}
+
+/**
+ * Аутентификация member
+ * Если у сотрудника включена (или обязательна для роли) 2FA, вместо токенов возвращается challenge
+ * @param {string} username - имя пользователя
+ * @param {string} password - пароль
+ * @param {Object} metadata - метаданные запроса (ip, userAgent, deviceId)
+ * @returns {Promise<Object>} - токены и данные пользователя, либо { mfa_required, challenge_token, ... }
+ */
+async function loginMember(username, password, metadata = {}) {
+  try {
+    const member = await verifyMemberCredentials(username, password, metadata);
+
+    return await completeMemberLogin(member, metadata);
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
@@ -112,79 +253,266 @@ async function loginMember(username, password, metadata = {}) {
   }
 }
 
+/**
+ * Загружает member по MFA challenge (проверяет, что вход всё ещё разрешён)
+ * @param {Object} challenge - данные challenge
+ * @returns {Promise<Object>} - member с MFA-полями
+ * @throws {ApiError} - 401 если сотрудник отключён или заблокирован
+ */
+async function findChallengeMember(challenge) {
+  const member = await mfaService.findMemberWithMfa(challenge.member_id).catch(() => null);
+  if (!member || !member.is_active || member.locked_at) {
+    await mfaService.consumeChallenge(challenge);
+    throw new ApiError(401, 'Invalid credentials');
+  }
+  return member;
+}
 
 /**
- * Аутентификация client
- * @param {string} username - имя пользователя
- * @param {string} password - пароль
+ * Начинает подключение 2FA по challenge типа ENROLL (2FA обязательна для роли)
+ * @param {string} challengeToken - токен challenge
+ * @returns {Promise<Object>} - { secret, otpauth_url, qr_code }
+ */
+async function setupMemberMfa(challengeToken) {
+  const challenge = await mfaService.getChallenge(challengeToken);
+  if (challenge.type !== mfaService.CHALLENGE_TYPES.ENROLL) {
+    throw new ApiError(400, 'Two-factor authentication is already set up');
+  }
+
+  const member = await findChallengeMember(challenge);
+  return mfaService.startEnrollment(member.id);
+}
+
+/**
+ * Проверяет код 2FA по challenge (счётчик попыток, аудит MFA_FAIL) и погашает challenge
+ * Неверные коды также считаются в блокировке по username (lockout.service, отдельный счётчик 2FA)
+ * Для challenge ENROLL первый валидный код также включает 2FA
+ * @param {string} challengeToken - токен challenge
+ * @param {string} code - TOTP или recovery код
  * @param {Object} metadata - метаданные запроса
- * @returns {Promise<Object>} - токены и данные пользователя
+ * @param {Array<string>} allowedTypes - допустимые типы challenge
+ * @returns {Promise<Object>} - { member, method, enrollment } (enrollment - recovery-коды для ENROLL)
  */
-async function loginClient(username, password, metadata = {}) {
-  try {
-    const client = await Client.findOne({
-      where: { username, is_active: true, is_blocked: false },
-      include: ['organization', 'ministry', 'region'],
-    });
+async function verifyMemberChallenge(
+  challengeToken,
+  code,
+  metadata = {},
+  allowedTypes = Object.values(mfaService.CHALLENGE_TYPES)
+) {
+  const challenge = await mfaService.getChallenge(challengeToken);
+  if (!allowedTypes.includes(challenge.type)) {
+    throw new ApiError(400, 'Two-factor authentication must be set up first');
+  }
+  const member = await findChallengeMember(challenge);
+  await assertNotLocked('MEMBER', member.username, member);
+  const lockoutAttempt = await reserveMfaAttempt('MEMBER', member);
+  const attempt = await mfaService.reserveChallengeAttempt(challenge);
 
-    if (!client) {
+  let method = 'totp';
+  let enrollment = null;
+
+  try {
+    if (challenge.type === mfaService.CHALLENGE_TYPES.ENROLL) {
+      enrollment = await mfaService.activateEnrollment(member.id, code, metadata);
+    } else {
+      const verified = await mfaService.verifySecondFactor(member, code);
+      if (!verified) {
+        throw new ApiError(401, 'Invalid two-factor code', null, 'MFA_CODE_INVALID');
+      }
+      method = verified.method;
+    }
+  } catch (error) {
+    if (error instanceof ApiError && error.errorType === 'MFA_CODE_INVALID') {
+      await mfaService.recordChallengeFailure(challenge, attempt);
       await logEvent({
-        action: auditActions.LOGIN_FAIL,
-        meta: { username, reason: 'User not found' },
+        action: auditActions.MFA_FAIL,
+        actorType: 'MEMBER',
+        actorId: member.id,
+        ip: metadata.ip,
+        userAgent: metadata.userAgent,
+        meta: { challenge_type: challenge.type, attempt },
       });
-      throw new ApiError(401, 'Invalid credentials');
+      await recordMfaFailure('MEMBER', member, metadata, lockoutAttempt);
     }
+    throw error;
+  }
 
-    const isValidPassword = await bcrypt.compare(password, client.password_hash);
-    if (!isValidPassword) {
-      await logEvent({
-        action: auditActions.LOGIN_FAIL,
-        actorType: 'CLIENT',
-        actorId: client.id,
-        meta: { username, reason: 'Invalid password' },
-      });
-      throw new ApiError(401, 'Invalid credentials');
+  await mfaService.consumeChallenge(challenge);
+  await clearMfaFailures('MEMBER', member.username);
+
+  return { member, method, enrollment };
+}
+
+/**
+ * Второй шаг входа member: обмен challenge + код на токены
+ * Для challenge ENROLL первый валидный код также включает 2FA и возвращает recovery-коды
+ * @param {string} challengeToken - токен challenge
+ * @param {string} code - TOTP или recovery код
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены и данные пользователя
+ */
+async function verifyMemberMfa(challengeToken, code, metadata = {}) {
+  try {
+    const { member, method, enrollment } = await verifyMemberChallenge(challengeToken, code, metadata);
+
+    const result = await finishMemberLogin(member, metadata, { mfa: method });
+    return enrollment ? { ...result, ...enrollment } : result;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
     }
+    logger.error('Member 2FA verification error:', error);
+    throw new ApiError(500, 'Login failed');
+  }
+}
+
+/**
+ * Выдаёт токены client после успешной аутентификации
+ * @param {Object} client - client
+ * @param {Object} metadata - метаданные запроса
+ * @param {Object} loginMeta - дополнительные данные для аудита
+ * @returns {Promise<Object>} - токены и данные пользователя
+ */
+async function issueClientSession(client, metadata = {}, loginMeta = {}) {
+  await client.update({ last_login_at: new Date() });
+
+  // Issue RPD access token
+  const accessToken = await issueAccessTokenWithPolicy(
+    {
+      id: client.id,
+      username: client.username,
+      role_id: null, // Clients may not have role_id
+      region_id: client.region_id,
+      organization_id: client.organization_id,
+      ministry_id: client.ministry_id,
+      fullname: client.fullname,
+    },
+    'CLIENT'
+  );
+
+  const refreshToken = await issueRefreshToken(accessToken, 'CLIENT', client.id, metadata);
+
+  await logEvent({
+    action: auditActions.LOGIN_SUCCESS,
+    actorType: 'CLIENT',
+    actorId: client.id,
+    meta: { username: client.username, region_id: client.region_id, ...loginMeta },
+  });
+
+  return {
+    access_token: accessToken.token,
+    expires_in: accessToken.expires_in,
+    refresh_token: refreshToken,
+    user: {
+      id: client.id,
+      username: client.username,
+      fullname: client.fullname,
+      organization_id: client.organization_id,
+      region_id: client.region_id,
+      last_login_at: client.last_login_at,
+    },
+  };
+}
 
-    await client.update({ last_login_at: new Date() });
+/**
+ * Завершает вход client: при CLIENT_LOGIN_REQUIRE_VERIFIED и отсутствии подтверждённого
+ * email/телефона вместо токенов выдаётся verification_token (состояние VERIFICATION_REQUIRED)
+ * @param {Object} client - client
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены или { state: 'VERIFICATION_REQUIRED', verification_token, ... }
+ * @throws {ApiError} - 403 если подтверждать нечего (нет ни email, ни телефона)
+ */
+async function completeClientLogin(client, metadata = {}) {
+  if (!verificationService.isVerificationRequired(client)) {
+    return issueClientSession(client, metadata);
+  }
 
-    // Issue RPD access token
-    const accessToken = await issueAccessToken(
-      {
-        id: client.id,
-        role_id: null, // Clients may not have role_id
-        region_id: client.region_id,
-      },
-      'CLIENT'
+  if (!client.email && !client.phone) {
+    throw new ApiError(
+      403,
+      'Email or phone verification is required, contact an administrator',
+      null,
+      'VERIFICATION_REQUIRED'
     );
+  }
 
-    const refreshToken = generateRefreshToken();
-    await saveRefreshToken({
-      token: refreshToken,
-      userType: 'CLIENT',
-      userId: client.id,
-      ...metadata,
+  const verification = await verificationService.createVerificationToken(client.id);
+
+  await logEvent({
+    action: auditActions.VERIFICATION_REQUIRED,
+    actorType: 'CLIENT',
+    actorId: client.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: client.username },
+  });
+
+  return {
+    state: 'VERIFICATION_REQUIRED',
+    ...verification,
+    channels: verificationService.getChannels(client),
+  };
+}
+
+/**
+ * Проверяет логин и пароль client (блокировка, счётчик неудачных попыток, аудит LOGIN_FAIL)
+ * @param {string} username - имя пользователя
+ * @param {string} password - пароль
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - client
+ * @throws {ApiError} - 401 при неверных данных, 423 если вход заблокирован
+ */
+async function verifyClientCredentials(username, password, metadata = {}) {
+  const client = await Client.findOne({
+    where: { username, is_active: true, is_blocked: false },
+    include: ['organization', 'ministry', 'region'],
+  });
+
+  await assertNotLocked('CLIENT', username, client);
+  const lockoutAttempt = await reserveLoginAttempt('CLIENT', username);
+
+  if (!client) {
+    await logEvent({
+      action: auditActions.LOGIN_FAIL,
+      meta: { username, reason: 'User not found' },
     });
+    await recordLoginFailure('CLIENT', username, null, metadata, lockoutAttempt);
+    throw new ApiError(401, 'Invalid credentials');
+  }
 
+  const isValidPassword = await bcrypt.compare(password, client.password_hash);
+  if (!isValidPassword) {
     await logEvent({
-      action: auditActions.LOGIN_SUCCESS,
+      action: auditActions.LOGIN_FAIL,
       actorType: 'CLIENT',
       actorId: client.id,
-      meta: { username, region_id: client.region_id },
+      meta: { username, reason: 'Invalid password' },
     });
+    await recordLoginFailure('CLIENT', username, client, metadata, lockoutAttempt);
+    throw new ApiError(401, 'Invalid credentials');
+  }
 
-    return {
-      access_token: accessToken,
-      refresh_token: refreshToken,
-      user: {
-        id: client.id,
-        username: client.username,
-        fullname: client.fullname,
-        organization_id: client.organization_id,
-        region_id: client.region_id,
-        last_login_at: client.last_login_at,
-      },
-    };
+  await clearLoginFailures('CLIENT', username);
+
+  return client;
+}
+
+/**
+ * Аутентификация client
+ * @param {string} username - имя пользователя
+ * @param {string} password - пароль
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены и данные пользователя
+ */
+async function loginClient(username, password, metadata = {}) {
+  try {
+    const client = await verifyClientCredentials(username, password, metadata);
+
+    if (passwordService.isPasswordExpired(client)) {
+      return await passwordExpiredResponse('CLIENT', client, metadata);
+    }
+
+    return await completeClientLogin(client, metadata);
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
@@ -194,6 +522,223 @@ async function loginClient(username, password, metadata = {}) {
   }
 }
 
+/**
+ * Смена просроченного пароля по password_change_token (состояние PASSWORD_EXPIRED)
+ * Members с 2FA получают токен только после второго фактора, поэтому после смены выдаются токены;
+ * если 2FA стала обязательной уже после выдачи токена, member получает challenge
+ * @param {string} changeToken - password_change_token из ответа login
+ * @param {string} newPassword - новый пароль
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены или { mfa_required, challenge_token, ... }
+ */
+async function changeExpiredPassword(changeToken, newPassword, metadata = {}) {
+  try {
+    const entry = await passwordService.getPasswordChangeToken(changeToken);
+
+    const user =
+      entry.user_type === 'MEMBER'
+        ? await Member.findOne({ where: { id: entry.user_id, is_active: true }, include: ['role'] })
+        : await Client.findOne({
+            where: { id: entry.user_id, is_active: true, is_blocked: false },
+            include: ['organization', 'ministry', 'region'],
+          });
+
+    if (!user || user.locked_at) {
+      await passwordService.invalidatePasswordChangeToken(entry);
+      throw new ApiError(401, 'Invalid credentials');
+    }
+
+    await passwordService.setPassword(entry.user_type, user, newPassword);
+    await passwordService.invalidatePasswordChangeToken(entry);
+
+    await logEvent({
+      action: auditActions.PASSWORD_CHANGED,
+      actorType: entry.user_type,
+      actorId: user.id,
+      targetType: entry.user_type,
+      targetId: user.id,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { reason: 'expired' },
+    });
+
+    if (entry.user_type === 'CLIENT') {
+      return await completeClientLogin(user, metadata);
+    }
+    // Токен выдан после второго фактора - повторный challenge не нужен
+    return entry.login_meta && entry.login_meta.mfa
+      ? await issueMemberSession(user, metadata, entry.login_meta)
+      : await completeMemberLogin(user, metadata);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    logger.error('Expired password change error:', error);
+    throw new ApiError(500, 'Password change failed');
+  }
+}
+
+/**
+ * Отправка кода подтверждения в состоянии входа VERIFICATION_REQUIRED
+ * @param {string} verificationToken - verification_token из ответа login
+ * @param {string} channel - канал ('email' или 'phone')
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { channel, destination, expires_in }
+ */
+async function requestLoginVerification(verificationToken, channel, metadata = {}) {
+  const entry = await verificationService.getVerificationToken(verificationToken);
+  return verificationService.requestVerification(entry.user_id, channel, metadata);
+}
+
+/**
+ * Подтверждение кода в состоянии входа VERIFICATION_REQUIRED
+ * После подтверждения вход завершается выдачей токенов
+ * @param {string} verificationToken - verification_token из ответа login
+ * @param {string} channel - канал ('email' или 'phone')
+ * @param {string} code - код из сообщения
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - токены и данные пользователя
+ */
+async function confirmLoginVerification(verificationToken, channel, code, metadata = {}) {
+  try {
+    const entry = await verificationService.getVerificationToken(verificationToken);
+    await verificationService.confirmVerification(entry.user_id, channel, code, metadata);
+    await verificationService.invalidateVerificationToken(entry);
+
+    const client = await Client.findOne({
+      where: { id: entry.user_id, is_active: true, is_blocked: false },
+      include: ['organization', 'ministry', 'region'],
+    });
+    if (!client || client.locked_at) {
+      throw new ApiError(401, 'Invalid credentials');
+    }
+
+    return await issueClientSession(client, metadata);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    logger.error('Login verification error:', error);
+    throw new ApiError(500, 'Verification failed');
+  }
+}
+
+/**
+ * Загружает пользователя, которому всё ещё разрешён вход (активен, не заблокирован)
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>}
+ */
+async function findLoginUser(userType, userId) {
+  const user =
+    userType === 'MEMBER'
+      ? await Member.findOne({ where: { id: userId, is_active: true }, include: ['role'] })
+      : await Client.findOne({
+          where: { id: userId, is_active: true, is_blocked: false },
+          include: ['organization', 'ministry', 'region'],
+        });
+
+  return user && !user.locked_at ? user : null;
+}
+
+/**
+ * Выдаёт токены пользователю, уже аутентифицированному в другом месте
+ * (hosted login: обмен authorization code на токены)
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} metadata - метаданные запроса
+ * @param {Object} loginMeta - дополнительные данные для аудита
+ * @returns {Promise<Object>} - токены и данные пользователя
+ * @throws {ApiError} - 401 если вход пользователю больше не разрешён
+ */
+async function issueSessionForUser(userType, userId, metadata = {}, loginMeta = {}) {
+  const user = await findLoginUser(userType, userId);
+  if (!user) {
+    throw new ApiError(401, 'Invalid credentials');
+  }
+
+  return userType === 'MEMBER'
+    ? issueMemberSession(user, metadata, loginMeta)
+    : issueClientSession(user, metadata, loginMeta);
+}
+
+/**
+ * Выдаёт новый access token сохранённой сессии после отзыва токенов пользователя по sub
+ * (смена пароля: другие сессии отозваны, текущая продолжает работать)
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} - { access_token, expires_in }
+ * @throws {ApiError} - 401 если вход пользователю больше не разрешён
+ */
+async function reissueAccessToken(userType, userId) {
+  const user = await findLoginUser(userType, userId);
+  if (!user) {
+    throw new ApiError(401, 'Invalid credentials');
+  }
+
+  const accessToken =
+    userType === 'MEMBER'
+      ? await issueAccessTokenWithPolicy(
+          {
+            id: user.id,
+            username: user.username,
+            role_id: user.role_id,
+            role: user.role?.name || null,
+            permissions: await get_role_permissions(user.role_id),
+            region_id: user.region_id,
+            organization_id: user.organization_id,
+            fullname: user.fullname,
+          },
+          'MEMBER'
+        )
+      : await issueAccessTokenWithPolicy(
+          {
+            id: user.id,
+            username: user.username,
+            role_id: null,
+            region_id: user.region_id,
+            organization_id: user.organization_id,
+            ministry_id: user.ministry_id,
+            fullname: user.fullname,
+          },
+          'CLIENT'
+        );
+
+  return { access_token: accessToken.token, expires_in: accessToken.expires_in };
+}
+
+/**
+ * Обработка повторного предъявления уже ротированного refresh token
+ * Отзывает всё семейство токенов (вор и владелец теряют сессию) и требует повторного входа
+ * @param {Object} tokenRecord - ротированный токен
+ * @param {Object} metadata - метаданные запроса
+ * @throws {ApiError} - всегда 401 с error_type REFRESH_TOKEN_REUSED
+ */
+async function handleRefreshTokenReuse(tokenRecord, metadata = {}) {
+  const revokedCount = await revokeTokenFamily(tokenRecord.family_id);
+
+  await logEvent({
+    action: auditActions.REFRESH_REUSE_DETECTED,
+    actorType: tokenRecord.user_type,
+    actorId: tokenRecord.user_id,
+    targetType: 'TOKEN_FAMILY',
+    targetId: tokenRecord.family_id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { token_id: tokenRecord.id, revoked_count: revokedCount },
+  });
+
+  logger.warn('Refresh token reuse detected, token family revoked', {
+    user_type: tokenRecord.user_type,
+    user_id: tokenRecord.user_id,
+    family_id: tokenRecord.family_id,
+    revoked_count: revokedCount,
+    ip: metadata.ip,
+  });
+
+  throw new ApiError(401, 'Refresh token reuse detected, please log in again', null, 'REFRESH_TOKEN_REUSED');
+}
+
 /**
  * Обновление токенов
  * @param {string} refreshToken - refresh token
@@ -202,40 +747,27 @@ async function loginClient(username, password, metadata = {}) {
  */
 async function refreshTokens(refreshToken, metadata = {}) {
   try {
-    // Ищем токен в БД (проверяем оба типа пользователей)
-    const { RefreshToken: RefreshTokenModel } = require('../security/tokens/refresh.repository');
-    const bcrypt = require('bcryptjs');
-    const { sequelize } = require('../../models');
-
-    // Получаем все активные токены
-    const tokens = await RefreshTokenModel.findAll({
-      where: {
-        revoked_at: null,
-        expires_at: {
-          [sequelize.Sequelize.Op.gt]: new Date(),
-        },
-      },
-      order: [['created_at', 'DESC']], // Sequelize will map to created_at column
-      limit: 100, // Ограничиваем для производительности
-    });
+    // Ищем токен в БД одним индексированным запросом по keyed hash
+    const tokenRecord = await findRefreshToken(refreshToken);
 
-    let tokenRecord = null;
     let user = null;
     let userType = null;
 
-    // Проверяем каждый токен
-    for (const token of tokens) {
-      const isValid = await bcrypt.compare(refreshToken, token.token_hash);
-      if (isValid) {
-        tokenRecord = token;
-        userType = token.user_type;
-
-        if (userType === 'MEMBER') {
-          user = await Member.findByPk(token.user_id, { include: ['role', 'region'] });
-        } else if (userType === 'CLIENT') {
-          user = await Client.findByPk(token.user_id, { include: ['organization', 'region'] });
-        }
-        break;
+    if (tokenRecord) {
+      userType = tokenRecord.user_type;
+
+      if (userType === 'MEMBER') {
+        user = await Member.findByPk(tokenRecord.user_id, { include: ['role', 'region'] });
+      } else if (userType === 'CLIENT') {
+        user = await Client.findByPk(tokenRecord.user_id, { include: ['organization', 'region'] });
+      }
+    }
+
+    if (!tokenRecord) {
+      // Токен уже был ротирован - признак кражи, отзываем семейство
+      const rotatedRecord = await findRotatedRefreshToken(refreshToken);
+      if (rotatedRecord) {
+        await handleRefreshTokenReuse(rotatedRecord, metadata);
       }
     }
 
@@ -247,8 +779,42 @@ async function refreshTokens(refreshToken, metadata = {}) {
       throw new ApiError(401, 'Invalid refresh token');
     }
 
-    // Отзываем старый токен
-    await revokeRefreshToken(tokenRecord.id);
+    // Аккаунт мог быть отключён, заблокирован администратором или блокировкой входа после выдачи токена
+    if (!user.is_active || user.locked_at || (userType === 'CLIENT' && user.is_blocked)) {
+      await revokeTokenFamily(tokenRecord.family_id);
+      await logEvent({
+        action: auditActions.REFRESH_FAIL,
+        actorType: userType,
+        actorId: user.id,
+        meta: { reason: 'Account is inactive or locked', family_id: tokenRecord.family_id },
+      });
+      throw new ApiError(401, 'Invalid refresh token');
+    }
+
+    // Политика токенов RPD instances могла запретить refresh после выдачи токена
+    const { policy } = await resolveTokenPolicy(user.region_id, userType);
+    if (!policy.refresh_allowed) {
+      await revokeTokenFamily(tokenRecord.family_id);
+      await logEvent({
+        action: auditActions.REFRESH_FAIL,
+        actorType: userType,
+        actorId: user.id,
+        meta: { reason: 'Refresh is not allowed by the token policy', family_id: tokenRecord.family_id },
+      });
+      throw new ApiError(401, 'Refresh is not allowed for your RPD, please log in again', null, 'REFRESH_NOT_ALLOWED');
+    }
+
+    // Ротируем токен внутри семейства (старый отзывается атомарно)
+    const newRefreshToken = generateRefreshToken();
+    const newRecord = await rotateRefreshToken(tokenRecord, {
+      token: newRefreshToken,
+      ...metadata,
+    });
+
+    if (!newRecord) {
+      // Токен был ротирован параллельным запросом - тоже повторное предъявление
+      await handleRefreshTokenReuse(tokenRecord, metadata);
+    }
 
     // Генерируем новые токены
     // Генерируем accessToken как при логине (используем issueAccessToken для MEMBERS c учетом region/role)
@@ -258,37 +824,42 @@ async function refreshTokens(refreshToken, metadata = {}) {
       // Вытаскиваем нужные данные для токена (роль, region_id, fullname)
       const userPayload = {
         id: user.id,
+        username: user.username,
         role_id: user.role_id,
         region_id: user.region_id,
+        organization_id: user.organization_id,
         fullname: user.fullname,
         role: user.role ? user.role.name : null,
       };
 
       // Используем issueAccessToken для MEMBERS
-      const { issueAccessToken } = require('../security/tokens/token.service');
-      accessToken = await issueAccessToken(userPayload, userType);
+      accessToken = await issueAccessTokenWithPolicy(userPayload, userType);
     } else {
-      // Для клиентов fallback на generateAccessToken
-      const additionalClaims = { organization_id: user.organization_id, region_id: user.region_id };
-      accessToken = generateAccessToken(userType, user.id, additionalClaims);
+      // Для клиентов - тот же формат токена, что и при логине
+      accessToken = await issueAccessTokenWithPolicy(
+        {
+          id: user.id,
+          username: user.username,
+          role_id: null,
+          region_id: user.region_id,
+          organization_id: user.organization_id,
+          ministry_id: user.ministry_id,
+          fullname: user.fullname,
+        },
+        userType
+      );
     }
-  
-    const newRefreshToken = generateRefreshToken();
-    await saveRefreshToken({
-      token: newRefreshToken,
-      userType,
-      userId: user.id,
-      ...metadata,
-    });
 
     await logEvent({
       action: auditActions.REFRESH_SUCCESS,
       actorType: userType,
       actorId: user.id,
+      meta: { family_id: tokenRecord.family_id },
     });
 
     return {
-      access_token: accessToken,
+      access_token: accessToken.token,
+      expires_in: accessToken.expires_in,
       refresh_token: newRefreshToken,
     };
   } catch (error) {
@@ -305,14 +876,17 @@ async function refreshTokens(refreshToken, metadata = {}) {
  * @param {string} refreshToken - refresh token для отзыва
  * @param {string} userType - тип пользователя
  * @param {number} userId - ID пользователя
+ * @param {Object} accessToken - текущий access token { jti, exp } (отзывается до истечения)
  */
-async function logout(refreshToken, userType, userId) {
+async function logout(refreshToken, userType, userId, accessToken = {}) {
   try {
     const tokenRecord = await findAndVerifyRefreshToken(refreshToken, userType, userId);
     if (tokenRecord) {
       await revokeRefreshToken(tokenRecord.id);
     }
 
+    await revokeAccessToken(accessToken.jti, accessToken.exp);
+
     await logEvent({
       action: auditActions.LOGOUT,
       actorType: userType,
@@ -343,12 +917,15 @@ async function getCurrentUser(userType, userId) {
       id: member.id,
       username: member.username,
       fullname: member.fullname,
+      email: member.email,
+      phone: member.phone,
       position: member.position,
       role: member.role?.name,
       region_id: member.region_id,
       organization_id: member.organization_id,
       permissions,
       last_login_at: member.last_login_at,
+      updated_at: member.updated_at,
       region_tm: member.region?.title_tm,
       region_ru: member.region?.title_ru,
       organization_tm: member.organization?.title_tm,
@@ -367,9 +944,14 @@ async function getCurrentUser(userType, userId) {
       id: client.id,
       username: client.username,
       fullname: client.fullname,
+      email: client.email,
+      email_verified: Boolean(client.email_verified),
+      phone: client.phone,
+      phone_verified: Boolean(client.phone_verified),
       organization_id: client.organization_id,
       region_id: client.region_id,
       last_login_at: client.last_login_at,
+      updated_at: client.updated_at,
       region_tm: client.region?.title_tm,
       region_ru: client.region?.title_ru,
       organization_tm: client.organization?.title_tm,
@@ -380,8 +962,19 @@ async function getCurrentUser(userType, userId) {
 }
 
 module.exports = {
+  verifyMemberCredentials,
+  verifyClientCredentials,
+  verifyMemberChallenge,
+  findLoginUser,
+  issueSessionForUser,
+  reissueAccessToken,
   loginMember,
+  setupMemberMfa,
+  verifyMemberMfa,
   loginClient,
+  changeExpiredPassword,
+  requestLoginVerification,
+  confirmLoginVerification,
   refreshTokens,
   logout,
   getCurrentUser,
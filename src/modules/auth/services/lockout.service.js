@@ -0,0 +1,339 @@
+const { Member, Client } = require('../../../models');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const logger = require('../../../config/logger');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const { revokeAllSessions } = require('./session.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Account Lockout Service
+ *
+ * Per-username protection against password guessing (complements the IP-based loginLimiter,
+ * which a distributed attacker bypasses).
+ *
+ * - every login attempt is reserved (INCR) before the password check, so parallel requests cannot
+ *   exceed the limit; a successful login resets the counter, a failed one gets a progressive delay
+ * - LOGIN_MAX_ATTEMPTS failures within the window lock the username for LOGIN_LOCKOUT_SECONDS
+ * - LOGIN_MAX_LOCKOUTS temporary locks within LOGIN_LOCKOUT_WINDOW_SECONDS lock the account
+ *   permanently (locked_at; clients are also blocked) and revoke all its sessions until an admin
+ *   unlocks it. The unlock lifts only a block set by the lock (blocked_by_lockout).
+ *
+ * Counters are kept for unknown usernames too, so responses do not reveal whether a user exists.
+ *
+ * Wrong 2FA codes have their own counter with the same limits and locks. A correct password
+ * resets only the password counter, so a stolen password plus fresh MFA challenges does not give
+ * unlimited guesses at the 6-digit code; the 2FA counter is reset by a successful second factor.
+ * If Redis is unavailable, temporary lockout is skipped (login still works).
+ */
+
+/**
+ * Формирует ключи Redis для пользователя
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {string} username - имя пользователя
+ * @returns {Object} - { fail, mfaFail, lock, lockouts }
+ */
+function lockoutKeys(userType, username) {
+  const suffix = `${userType}:${username}`;
+  return {
+    fail: `login:fail:${suffix}`,
+    mfaFail: `login:mfa_fail:${suffix}`,
+    lock: `login:lock:${suffix}`,
+    lockouts: `login:lockouts:${suffix}`,
+  };
+}
+
+/**
+ * Задержка ответа (растёт вдвое с каждой неудачной попыткой)
+ * @param {number} failures - количество неудачных попыток
+ */
+function delayFailure(failures) {
+  const { failDelayMs, maxFailDelayMs } = config.security.lockout;
+  const delay = Math.min(failDelayMs * 2 ** Math.max(failures - 1, 0), maxFailDelayMs);
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+/**
+ * Ошибка временной блокировки
+ * @param {number} ttl - оставшееся время блокировки (секунды)
+ * @returns {ApiError} - 423 ACCOUNT_LOCKED
+ */
+function temporaryLockError(ttl) {
+  return new ApiError(
+    423,
+    `Account is temporarily locked, try again in ${Math.ceil(ttl / 60)} minute(s)`,
+    null,
+    'ACCOUNT_LOCKED'
+  );
+}
+
+/**
+ * Проверяет, не заблокирован ли вход
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ * @param {Object|null} user - найденный пользователь (если есть)
+ * @throws {ApiError} - 423 если аккаунт заблокирован
+ */
+async function assertNotLocked(userType, username, user = null) {
+  if (user && user.locked_at) {
+    throw new ApiError(
+      423,
+      'Account is locked after too many failed login attempts, contact an administrator',
+      null,
+      'ACCOUNT_LOCKED_PERMANENTLY'
+    );
+  }
+
+  let ttl = -2;
+  try {
+    ttl = await redis.ttl(lockoutKeys(userType, username).lock);
+  } catch (error) {
+    logger.error('Lockout check failed', { error: error.message, user_type: userType });
+  }
+
+  if (ttl > 0) {
+    throw temporaryLockError(ttl);
+  }
+}
+
+/**
+ * Резервирует попытку до проверки пароля или кода 2FA
+ * Счётчик увеличивается атомарно до bcrypt, поэтому параллельные запросы не получают больше
+ * LOGIN_MAX_ATTEMPTS проверок, пока первая неудача ещё не заблокировала username
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ * @param {string} counter - счётчик из lockoutKeys ('fail' или 'mfaFail')
+ * @returns {Promise<number|null>} - номер попытки (null если Redis недоступен)
+ * @throws {ApiError} - 423 если попытки в окне исчерпаны
+ */
+async function reserveAttempt(userType, username, counter) {
+  const { maxAttempts, attemptWindowSeconds, lockoutSeconds } = config.security.lockout;
+  const failKey = lockoutKeys(userType, username)[counter];
+
+  let attempt;
+  try {
+    [[, attempt]] = await redis.multi().incr(failKey).expire(failKey, attemptWindowSeconds).exec();
+  } catch (error) {
+    logger.error('Failed to reserve login attempt', { error: error.message, user_type: userType });
+    return null;
+  }
+
+  if (attempt > maxAttempts) {
+    throw temporaryLockError(lockoutSeconds);
+  }
+  return attempt;
+}
+
+/**
+ * Резервирует попытку входа по паролю
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ * @returns {Promise<number|null>} - номер попытки
+ * @throws {ApiError} - 423 если попытки исчерпаны
+ */
+async function reserveLoginAttempt(userType, username) {
+  return reserveAttempt(userType, username, 'fail');
+}
+
+/**
+ * Резервирует попытку ввода кода 2FA
+ * @param {string} userType - тип пользователя
+ * @param {Object} user - пользователь
+ * @returns {Promise<number|null>} - номер попытки
+ * @throws {ApiError} - 423 если попытки исчерпаны
+ */
+async function reserveMfaAttempt(userType, user) {
+  return reserveAttempt(userType, user.username, 'mfaFail');
+}
+
+/**
+ * Блокирует аккаунт навсегда (до разблокировки администратором) и отзывает все его сессии
+ * @param {string} userType - тип пользователя
+ * @param {Object} user - пользователь
+ * @param {number} lockouts - количество временных блокировок
+ * @param {Object} metadata - метаданные запроса
+ */
+async function lockPermanently(userType, user, lockouts, metadata) {
+  await user.update({
+    locked_at: new Date(),
+    ...(userType === 'CLIENT' && !user.is_blocked && { is_blocked: true, blocked_by_lockout: true }),
+  });
+
+  await logEvent({
+    action: auditActions.ACCOUNT_LOCKED_PERMANENTLY,
+    actorType: 'SYSTEM',
+    targetType: userType,
+    targetId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, lockouts },
+  });
+
+  await revokeAllSessions(userType, user.id, { type: 'SYSTEM' }, {
+    reason: auditActions.ACCOUNT_LOCKED_PERMANENTLY,
+    metadata,
+  });
+
+  logger.warn('Account locked permanently after repeated lockouts', {
+    user_type: userType,
+    user_id: user.id,
+    lockouts,
+  });
+}
+
+/**
+ * Блокирует username, если неудачной была последняя разрешённая попытка, задерживает ответ
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ * @param {Object|null} user - найденный пользователь (null если не найден)
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @param {string} counter - счётчик из lockoutKeys ('fail' или 'mfaFail')
+ * @param {number|null} attempt - номер попытки (reserveAttempt; null если Redis недоступен)
+ */
+async function registerFailure(userType, username, user, metadata, counter, attempt) {
+  const { maxAttempts, lockoutSeconds, maxLockouts, lockoutWindowSeconds } = config.security.lockout;
+  const keys = lockoutKeys(userType, username);
+  const failKey = keys[counter];
+  const failures = attempt || 1;
+
+  try {
+    // Номера попыток уникальны, поэтому блокировку ставит ровно один запрос
+    if (attempt === maxAttempts) {
+      await redis.set(keys.lock, '1', 'EX', lockoutSeconds);
+      await redis.del(failKey);
+
+      const lockouts = await redis.incr(keys.lockouts);
+      if (lockouts === 1) {
+        await redis.expire(keys.lockouts, lockoutWindowSeconds);
+      }
+
+      await logEvent({
+        action: auditActions.ACCOUNT_LOCKED,
+        actorType: 'SYSTEM',
+        targetType: userType,
+        targetId: user ? user.id : null,
+        ip: metadata.ip,
+        userAgent: metadata.userAgent,
+        meta: {
+          username,
+          failures,
+          lockouts,
+          lockout_seconds: lockoutSeconds,
+          ...(counter === 'mfaFail' && { reason: 'MFA' }),
+        },
+      });
+
+      if (user && lockouts >= maxLockouts) {
+        await lockPermanently(userType, user, lockouts, metadata);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to record login failure', { error: error.message, user_type: userType });
+  }
+
+  await delayFailure(failures);
+}
+
+/**
+ * Регистрирует неудачную попытку входа
+ * Блокирует username при превышении лимита и задерживает ответ
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ * @param {Object|null} user - найденный пользователь (null если не найден)
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @param {number|null} attempt - номер попытки (reserveLoginAttempt)
+ */
+async function recordLoginFailure(userType, username, user = null, metadata = {}, attempt = null) {
+  await registerFailure(userType, username, user, metadata, 'fail', attempt);
+}
+
+/**
+ * Регистрирует неверный код 2FA (счётчик не сбрасывается верным паролем)
+ * @param {string} userType - тип пользователя
+ * @param {Object} user - пользователь
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @param {number|null} attempt - номер попытки (reserveMfaAttempt)
+ */
+async function recordMfaFailure(userType, user, metadata = {}, attempt = null) {
+  await registerFailure(userType, user.username, user, metadata, 'mfaFail', attempt);
+}
+
+/**
+ * Сбрасывает счётчик неудачных попыток после успешного входа
+ * (счётчик временных блокировок сохраняется до истечения окна)
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ */
+async function clearLoginFailures(userType, username) {
+  try {
+    await redis.del(lockoutKeys(userType, username).fail);
+  } catch (error) {
+    logger.error('Failed to clear login failures', { error: error.message, user_type: userType });
+  }
+}
+
+/**
+ * Сбрасывает счётчик неверных кодов 2FA после успешной проверки второго фактора
+ * @param {string} userType - тип пользователя
+ * @param {string} username - имя пользователя
+ */
+async function clearMfaFailures(userType, username) {
+  try {
+    await redis.del(lockoutKeys(userType, username).mfaFail);
+  } catch (error) {
+    logger.error('Failed to clear MFA failures', { error: error.message, user_type: userType });
+  }
+}
+
+/**
+ * Снимает временную и постоянную блокировку аккаунта (admin)
+ * is_blocked клиента снимается, только если его поставила постоянная блокировка
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - пользователь
+ * @throws {ApiError} - 404 если пользователь не найден
+ */
+async function unlockAccount(userType, userId, actor = {}, metadata = {}) {
+  const Model = userType === 'MEMBER' ? Member : Client;
+  const user = await Model.findByPk(userId);
+  if (!user) {
+    throw new ApiError(404, userType === 'MEMBER' ? 'Member not found' : 'Client not found');
+  }
+
+  const keys = lockoutKeys(userType, user.username);
+  await redis.del(keys.fail, keys.mfaFail, keys.lock, keys.lockouts);
+
+  const wasLocked = Boolean(user.locked_at);
+  if (wasLocked) {
+    await user.update({
+      locked_at: null,
+      ...(userType === 'CLIENT' && user.blocked_by_lockout && { is_blocked: false, blocked_by_lockout: false }),
+    });
+  }
+
+  await logEvent({
+    action: auditActions.ACCOUNT_UNLOCKED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: userType,
+    targetId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, was_locked_permanently: wasLocked },
+  });
+
+  return user;
+}
+
+module.exports = {
+  assertNotLocked,
+  reserveLoginAttempt,
+  reserveMfaAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  recordMfaFailure,
+  clearMfaFailures,
+  unlockAccount,
+};
@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const { authenticator: baseAuthenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const { Member } = require('../../../models');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * MFA Service (TOTP, members only)
+ *
+ * Enrollment: a secret is generated and stored encrypted (totp_enabled = false) and
+ * returned as otpauth:// URI + QR code. The first valid code activates 2FA and returns
+ * one-time recovery codes (only their keyed hashes are stored).
+ *
+ * Login: when 2FA is enabled (or required for the member's role) the password step returns
+ * a short-lived challenge stored in Redis instead of tokens. The challenge plus a TOTP or
+ * recovery code is exchanged for tokens at /auth/member/2fa/verify.
+ *
+ * Challenge types:
+ * - VERIFY: 2FA is enabled, a code is expected
+ * - ENROLL: 2FA is required for the role but not set up yet; the member sets it up with the
+ *   challenge (/auth/member/2fa/setup) and the first code both activates 2FA and logs in
+ */
+
+const CHALLENGE_TYPES = {
+  VERIFY: 'VERIFY',
+  ENROLL: 'ENROLL',
+};
+
+// ±1 шаг (30 секунд) на рассинхронизацию часов
+const authenticator = baseAuthenticator.clone({ window: 1 });
+
+/**
+ * Ключ шифрования секретов (32 байта из TOTP_ENCRYPTION_KEY)
+ * @returns {Buffer}
+ */
+function encryptionKey() {
+  return crypto.createHash('sha256').update(config.security.mfa.encryptionKey).digest();
+}
+
+/**
+ * Шифрует TOTP секрет (AES-256-GCM)
+ * @param {string} secret - base32 секрет
+ * @returns {string} - iv:tag:ciphertext (base64)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Расшифровывает TOTP секрет
+ * @param {string} encrypted - iv:tag:ciphertext (base64)
+ * @returns {string} - base32 секрет
+ */
+function decryptSecret(encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Keyed hash recovery-кода
+ * @param {string} code - recovery code
+ * @returns {string} - hex HMAC-SHA256
+ */
+function hashRecoveryCode(code) {
+  const normalized = code.replace(/-/g, '').toLowerCase();
+  return crypto.createHmac('sha256', config.security.mfa.encryptionKey).update(normalized).digest('hex');
+}
+
+/**
+ * Генерирует новые recovery-коды
+ * @returns {Object} - { codes: [...], hashes: [...] }
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < config.security.mfa.recoveryCodesCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex символов
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Загружает member вместе с MFA-полями
+ * @param {number} memberId - ID сотрудника
+ * @returns {Promise<Object>}
+ * @throws {ApiError} - 404 если не найден
+ */
+async function findMemberWithMfa(memberId) {
+  const member = await Member.scope('withMfa').findByPk(memberId, { include: ['role'] });
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+  return member;
+}
+
+/**
+ * Проверяет, обязательна ли 2FA для роли сотрудника (MFA_REQUIRED_ROLES)
+ * @param {Object} member - member с загруженной ролью
+ * @returns {boolean}
+ */
+function isMfaRequired(member) {
+  const roleName = member.role?.name;
+  return Boolean(roleName) && config.security.mfa.requiredRoles.includes(roleName);
+}
+
+/**
+ * Ключ Redis для challenge (хранится хеш, а не сам токен)
+ * @param {string} challengeToken - токен challenge
+ * @returns {string}
+ */
+function challengeKey(challengeToken) {
+  return `mfa:challenge:${crypto.createHash('sha256').update(challengeToken).digest('hex')}`;
+}
+
+/**
+ * Ключ Redis со счётчиком попыток challenge (INCR - параллельные запросы не делят одну попытку)
+ * @param {string} key - ключ challenge
+ * @returns {string}
+ */
+function attemptsKey(key) {
+  return `${key}:attempts`;
+}
+
+/**
+ * Создаёт MFA challenge после успешной проверки пароля
+ * @param {number} memberId - ID сотрудника
+ * @param {string} type - тип challenge (VERIFY | ENROLL)
+ * @returns {Promise<Object>} - { challenge_token, challenge_type, expires_in }
+ */
+async function createChallenge(memberId, type) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  const ttl = config.security.mfa.challengeTtlSeconds;
+
+  await redis.set(challengeKey(challengeToken), JSON.stringify({ member_id: memberId, type }), 'EX', ttl);
+
+  return {
+    challenge_token: challengeToken,
+    challenge_type: type,
+    expires_in: ttl,
+  };
+}
+
+/**
+ * Ошибка недействительного challenge
+ * @returns {ApiError}
+ */
+function invalidChallenge() {
+  return new ApiError(401, 'MFA challenge is invalid or expired, please log in again', null, 'MFA_CHALLENGE_INVALID');
+}
+
+/**
+ * Получает данные challenge
+ * @param {string} challengeToken - токен challenge
+ * @returns {Promise<Object>} - { key, member_id, type }
+ * @throws {ApiError} - 401 если challenge не найден или истёк
+ */
+async function getChallenge(challengeToken) {
+  const key = challengeKey(challengeToken);
+  const raw = await redis.get(key);
+  if (!raw) {
+    throw invalidChallenge();
+  }
+  return { key, ...JSON.parse(raw) };
+}
+
+/**
+ * Занимает попытку проверки кода до самой проверки (атомарно, INCR)
+ * @param {Object} challenge - данные challenge
+ * @returns {Promise<number>} - номер попытки
+ * @throws {ApiError} - 401 если попытки исчерпаны (challenge удаляется)
+ */
+async function reserveChallengeAttempt(challenge) {
+  const key = attemptsKey(challenge.key);
+  const [[, attempt]] = await redis
+    .multi()
+    .incr(key)
+    .expire(key, config.security.mfa.challengeTtlSeconds)
+    .exec();
+
+  if (attempt > config.security.mfa.maxAttempts) {
+    await consumeChallenge(challenge);
+    throw invalidChallenge();
+  }
+  return attempt;
+}
+
+/**
+ * Регистрирует неверный код; после MFA_MAX_ATTEMPTS challenge удаляется
+ * @param {Object} challenge - данные challenge
+ * @param {number} attempt - номер попытки (reserveChallengeAttempt)
+ */
+async function recordChallengeFailure(challenge, attempt) {
+  if (attempt >= config.security.mfa.maxAttempts) {
+    await consumeChallenge(challenge);
+  }
+}
+
+/**
+ * Удаляет использованный challenge
+ * @param {Object} challenge - данные challenge
+ */
+async function consumeChallenge(challenge) {
+  await redis.del(challenge.key, attemptsKey(challenge.key));
+}
+
+/**
+ * Проверяет TOTP код с защитой от повторного использования
+ * @param {Object} member - member с MFA-полями
+ * @param {string} code - 6-значный код
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotp(member, code) {
+  if (!member.totp_secret || !/^\d{6}$/.test(code)) {
+    return false;
+  }
+
+  const delta = authenticator.checkDelta(code, decryptSecret(member.totp_secret));
+  if (delta === null) {
+    return false;
+  }
+
+  // Код действует 30 секунд - не даём использовать его дважды
+  const step = Math.floor(Date.now() / 1000 / 30) + delta;
+  const stored = await redis.set(`mfa:used:${member.id}:${step}`, '1', 'EX', 120, 'NX');
+  return stored === 'OK';
+}
+
+/**
+ * Проверяет и погашает recovery-код
+ * @param {Object} member - member с MFA-полями
+ * @param {string} code - recovery code
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(member, code) {
+  const hash = hashRecoveryCode(code);
+  if (!(member.totp_recovery_codes || []).includes(hash)) {
+    return false;
+  }
+
+  // Условное удаление: из двух параллельных запросов с одним кодом пройдёт только один
+  const { sequelize } = Member;
+  const [updated] = await Member.update(
+    { totp_recovery_codes: sequelize.literal(`totp_recovery_codes - ${sequelize.escape(hash)}`) },
+    { where: { id: member.id, totp_recovery_codes: { [Op.contains]: [hash] } } }
+  );
+  return updated === 1;
+}
+
+/**
+ * Проверяет второй фактор: TOTP код или recovery-код
+ * @param {Object} member - member с MFA-полями
+ * @param {string} code - код
+ * @returns {Promise<Object|null>} - { method: 'totp' | 'recovery_code' } или null
+ */
+async function verifySecondFactor(member, code) {
+  if (await verifyTotp(member, code)) {
+    return { method: 'totp' };
+  }
+  if (member.totp_enabled && (await consumeRecoveryCode(member, code))) {
+    return { method: 'recovery_code' };
+  }
+  return null;
+}
+
+/**
+ * Начинает подключение 2FA: генерирует секрет и QR код
+ * @param {number} memberId - ID сотрудника
+ * @returns {Promise<Object>} - { secret, otpauth_url, qr_code }
+ * @throws {ApiError} - 409 если 2FA уже включена
+ */
+async function startEnrollment(memberId) {
+  const member = await findMemberWithMfa(memberId);
+  if (member.totp_enabled) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = authenticator.generateSecret();
+  await member.update({ totp_secret: encryptSecret(secret) });
+
+  const otpauthUrl = authenticator.keyuri(member.username, config.security.mfa.issuer, secret);
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Завершает подключение 2FA первым валидным кодом
+ * @param {number} memberId - ID сотрудника
+ * @param {string} code - TOTP код
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { recovery_codes } (показываются один раз)
+ * @throws {ApiError} - 400 если подключение не начато, 401 если код неверный
+ */
+async function activateEnrollment(memberId, code, metadata = {}) {
+  const member = await findMemberWithMfa(memberId);
+  if (member.totp_enabled) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!member.totp_secret) {
+    throw new ApiError(400, 'Two-factor enrollment has not been started');
+  }
+
+  if (!(await verifyTotp(member, code))) {
+    throw new ApiError(401, 'Invalid two-factor code', null, 'MFA_CODE_INVALID');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await member.update({
+    totp_enabled: true,
+    totp_enabled_at: new Date(),
+    totp_recovery_codes: hashes,
+  });
+
+  await logEvent({
+    action: auditActions.MFA_ENABLED,
+    actorType: 'MEMBER',
+    actorId: member.id,
+    targetType: 'MEMBER',
+    targetId: member.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+  });
+
+  return { recovery_codes: codes };
+}
+
+/**
+ * Отключает 2FA (требует действующий код)
+ * @param {number} memberId - ID сотрудника
+ * @param {string} code - TOTP или recovery код
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @throws {ApiError} - 403 если 2FA обязательна для роли, 401 если код неверный
+ */
+async function disableMfa(memberId, code, metadata = {}) {
+  const member = await findMemberWithMfa(memberId);
+  if (!member.totp_enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+  if (isMfaRequired(member)) {
+    throw new ApiError(403, 'Two-factor authentication is mandatory for your role');
+  }
+
+  if (!(await verifySecondFactor(member, code))) {
+    throw new ApiError(401, 'Invalid two-factor code', null, 'MFA_CODE_INVALID');
+  }
+
+  await member.update({
+    totp_enabled: false,
+    totp_enabled_at: null,
+    totp_secret: null,
+    totp_recovery_codes: null,
+  });
+
+  await logEvent({
+    action: auditActions.MFA_DISABLED,
+    actorType: 'MEMBER',
+    actorId: member.id,
+    targetType: 'MEMBER',
+    targetId: member.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+  });
+}
+
+/**
+ * Перевыпускает recovery-коды (старые перестают действовать)
+ * @param {number} memberId - ID сотрудника
+ * @param {string} code - TOTP код
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { recovery_codes }
+ */
+async function regenerateRecoveryCodes(memberId, code, metadata = {}) {
+  const member = await findMemberWithMfa(memberId);
+  if (!member.totp_enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+
+  if (!(await verifyTotp(member, code))) {
+    throw new ApiError(401, 'Invalid two-factor code', null, 'MFA_CODE_INVALID');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await member.update({ totp_recovery_codes: hashes });
+
+  await logEvent({
+    action: auditActions.MFA_RECOVERY_CODES_REGENERATED,
+    actorType: 'MEMBER',
+    actorId: member.id,
+    targetType: 'MEMBER',
+    targetId: member.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+  });
+
+  return { recovery_codes: codes };
+}
+
+/**
+ * Статус 2FA сотрудника
+ * @param {number} memberId - ID сотрудника
+ * @returns {Promise<Object>} - { enabled, enabled_at, required, recovery_codes_left }
+ */
+async function getMfaStatus(memberId) {
+  const member = await findMemberWithMfa(memberId);
+  return {
+    enabled: Boolean(member.totp_enabled),
+    enabled_at: member.totp_enabled_at,
+    required: isMfaRequired(member),
+    recovery_codes_left: (member.totp_recovery_codes || []).length,
+  };
+}
+
+module.exports = {
+  CHALLENGE_TYPES,
+  isMfaRequired,
+  createChallenge,
+  getChallenge,
+  reserveChallengeAttempt,
+  recordChallengeFailure,
+  consumeChallenge,
+  verifySecondFactor,
+  findMemberWithMfa,
+  startEnrollment,
+  activateEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+  getMfaStatus,
+};
@@ -0,0 +1,186 @@
+const bcrypt = require('bcryptjs');
+const { Member, Client } = require('../../../models');
+const passwordService = require('../../security/passwords/password.service');
+const { findRefreshToken } = require('../../security/tokens/refresh.repository');
+const { revokeAllSessions } = require('./session.service');
+const { reissueAccessToken } = require('../auth.service');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Password Change / Reset Service
+ *
+ * - change: the user proves the current password; other sessions are revoked. All access tokens
+ *   of the user are revoked by sub, the kept session gets a new one in the response
+ * - reset: an admin issues a single-use, time-limited reset token (the admin never chooses
+ *   the password); the user sets a new password with it and all sessions are revoked
+ *
+ * New passwords always go through the password policy and history (password.service).
+ */
+
+/**
+ * Загружает пользователя по типу
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>}
+ */
+async function findUser(userType, userId) {
+  const Model = userType === 'MEMBER' ? Member : Client;
+  return Model.findByPk(userId);
+}
+
+/**
+ * Смена собственного пароля
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {string} currentPassword - текущий пароль
+ * @param {string} newPassword - новый пароль
+ * @param {Object} options - опции
+ * @param {string} options.refreshToken - refresh token текущей сессии (она сохраняется)
+ * @param {Object} options.metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { revoked_sessions } и для сохранённой сессии { access_token, expires_in }
+ * @throws {ApiError} - 401 если текущий пароль неверный
+ */
+async function changePassword(userType, userId, currentPassword, newPassword, options = {}) {
+  const { refreshToken = null, metadata = {} } = options;
+
+  const user = await findUser(userType, userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+  if (!isValidPassword) {
+    await logEvent({
+      action: auditActions.PASSWORD_CHANGE_FAIL,
+      actorType: userType,
+      actorId: userId,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { reason: 'Invalid current password' },
+    });
+    throw new ApiError(401, 'Current password is incorrect', 'current_password');
+  }
+
+  await passwordService.setPassword(userType, user, newPassword);
+
+  // Текущая сессия (если передан её refresh token) остаётся, остальные отзываются
+  const currentToken = refreshToken
+    ? await findRefreshToken(refreshToken, { user_type: userType, user_id: userId })
+    : null;
+
+  const { revoked_count: revokedSessions } = await revokeAllSessions(
+    userType,
+    userId,
+    { type: userType, id: userId },
+    {
+      reason: auditActions.PASSWORD_CHANGED,
+      exceptFamilyId: currentToken ? currentToken.family_id : null,
+      metadata,
+    }
+  );
+
+  await logEvent({
+    action: auditActions.PASSWORD_CHANGED,
+    actorType: userType,
+    actorId: userId,
+    targetType: userType,
+    targetId: userId,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { reason: 'self_service', revoked_sessions: revokedSessions },
+  });
+
+  // Access token текущей сессии отозван вместе с остальными - выдаём новый
+  if (currentToken) {
+    return { revoked_sessions: revokedSessions, ...(await reissueAccessToken(userType, userId)) };
+  }
+
+  return { revoked_sessions: revokedSessions };
+}
+
+/**
+ * Выдаёт токен сброса пароля (admin)
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { reset_token, expires_in }
+ * @throws {ApiError} - 404 если пользователь не найден
+ */
+async function issuePasswordReset(userType, userId, actor = {}, metadata = {}) {
+  const user = await findUser(userType, userId);
+  if (!user) {
+    throw new ApiError(404, userType === 'MEMBER' ? 'Member not found' : 'Client not found');
+  }
+
+  const reset = await passwordService.createPasswordResetToken(userType, user.id);
+
+  await logEvent({
+    action: auditActions.PASSWORD_RESET_ISSUED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: userType,
+    targetId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, expires_in: reset.expires_in },
+  });
+
+  return reset;
+}
+
+/**
+ * Сброс пароля по токену администратора
+ * @param {string} resetToken - одноразовый токен
+ * @param {string} newPassword - новый пароль
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { revoked_sessions }
+ * @throws {ApiError} - 401 если токен недействителен
+ */
+async function resetPassword(resetToken, newPassword, metadata = {}) {
+  const entry = await passwordService.claimPasswordResetToken(resetToken);
+
+  const user = await findUser(entry.user_type, entry.user_id);
+  if (!user) {
+    await passwordService.invalidatePasswordResetToken(entry);
+    throw new ApiError(401, 'Password reset token is invalid or expired', null, 'PASSWORD_RESET_TOKEN_INVALID');
+  }
+
+  try {
+    await passwordService.setPassword(entry.user_type, user, newPassword);
+  } catch (error) {
+    // Пароль не прошёл политику - токен можно использовать снова
+    if (error instanceof ApiError && error.errorCode === 400) {
+      await passwordService.restorePasswordResetToken(entry);
+    }
+    throw error;
+  }
+  await passwordService.invalidatePasswordResetToken(entry);
+
+  const { revoked_count: revokedSessions } = await revokeAllSessions(
+    entry.user_type,
+    user.id,
+    { type: entry.user_type, id: user.id },
+    { reason: auditActions.PASSWORD_RESET_COMPLETED, metadata }
+  );
+
+  await logEvent({
+    action: auditActions.PASSWORD_RESET_COMPLETED,
+    actorType: entry.user_type,
+    actorId: user.id,
+    targetType: entry.user_type,
+    targetId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { revoked_sessions: revokedSessions },
+  });
+
+  return { revoked_sessions: revokedSessions };
+}
+
+module.exports = {
+  changePassword,
+  issuePasswordReset,
+  resetPassword,
+};
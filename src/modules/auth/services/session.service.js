@@ -0,0 +1,211 @@
+const { Member, Client } = require('../../../models');
+const {
+  findActiveUserTokens,
+  findActiveUserTokenById,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  revokeUsersTokens,
+} = require('../../security/tokens/refresh.repository');
+const { revokeSubjectTokens, revokeSubjectsTokens } = require('../../security/tokens/revocation.service');
+const { destroyUserSsoSessions, destroyUsersSsoSessions } = require('./sso.service');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Session Service
+ *
+ * A session is one refresh-token family (one login). Only the newest token of a
+ * family is active, so every active refresh token represents exactly one session.
+ *
+ * Revoking all sessions also puts the user's access tokens on the revocation list
+ * and ends the user's SSO sessions of the hosted login (sso.service).
+ * Revoking a single session only stops its refresh token: access tokens carry no
+ * session reference and expire on their own (ACCESS_TTL_SECONDS).
+ *
+ * Used by:
+ * - self-service endpoints under /auth/sessions (actor = the user)
+ * - admin endpoints under /admin/members/:id/sessions and /admin/clients/:id/sessions
+ * - members/clients/rbac services, which revoke sessions automatically when a user is
+ *   disabled or blocked, or when a role changes (actor = the admin)
+ */
+
+/**
+ * Проверяет, что пользователь существует (для admin-эндпоинтов)
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @throws {ApiError} - 404 если пользователь не найден
+ */
+async function ensureUserExists(userType, userId) {
+  const Model = userType === 'MEMBER' ? Member : Client;
+  const user = await Model.findByPk(userId, { attributes: ['id'] });
+  if (!user) {
+    throw new ApiError(404, userType === 'MEMBER' ? 'Member not found' : 'Client not found');
+  }
+}
+
+/**
+ * Преобразует refresh token в публичное представление сессии
+ * @param {Object} tokenRecord - запись refresh_tokens
+ * @returns {Object} - данные сессии (без хеша токена)
+ */
+function toSession(tokenRecord) {
+  return {
+    id: tokenRecord.id,
+    device_id: tokenRecord.device_id,
+    ip: tokenRecord.ip,
+    user_agent: tokenRecord.user_agent,
+    created_at: tokenRecord.created_at,
+    expires_at: tokenRecord.expires_at,
+  };
+}
+
+/**
+ * Получает активные сессии пользователя
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} options - опции
+ * @param {boolean} options.checkUser - проверять существование пользователя (admin)
+ * @returns {Promise<Array>} - массив сессий
+ */
+async function listSessions(userType, userId, options = {}) {
+  if (options.checkUser) {
+    await ensureUserExists(userType, userId);
+  }
+
+  const tokens = await findActiveUserTokens(userType, userId);
+  return tokens.map(toSession);
+}
+
+/**
+ * Отзывает одну сессию пользователя (всё семейство токенов)
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {number} sessionId - ID сессии (refresh token)
+ * @param {Object} actor - кто отзывает { type, id }
+ * @param {Object} options - опции
+ * @param {boolean} options.checkUser - проверять существование пользователя (admin)
+ * @param {Object} options.metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - отозванная сессия
+ * @throws {ApiError} - 404 если сессия не найдена
+ */
+async function revokeSession(userType, userId, sessionId, actor, options = {}) {
+  const { checkUser = false, metadata = {} } = options;
+
+  if (checkUser) {
+    await ensureUserExists(userType, userId);
+  }
+
+  const tokenRecord = await findActiveUserTokenById(sessionId, userType, userId);
+  if (!tokenRecord) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  await revokeTokenFamily(tokenRecord.family_id);
+
+  await logEvent({
+    action: auditActions.SESSION_REVOKED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: userType,
+    targetId: userId,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { session_id: tokenRecord.id, family_id: tokenRecord.family_id },
+  });
+
+  return toSession(tokenRecord);
+}
+
+/**
+ * Отзывает все сессии пользователя
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} actor - кто отзывает { type, id }
+ * @param {Object} options - опции
+ * @param {boolean} options.checkUser - проверять существование пользователя (admin)
+ * @param {string} options.action - действие аудита (по умолчанию SESSIONS_REVOKED_ALL)
+ * @param {string} options.reason - причина автоматического отзыва (MEMBER_DISABLED, ROLE_CHANGED, ...)
+ * @param {string} options.exceptFamilyId - сохранить refresh token текущей сессии (access tokens отзываются
+ *   все, новый access token для неё выдаёт вызывающий код)
+ * @param {Object} options.metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { revoked_count }
+ */
+async function revokeAllSessions(userType, userId, actor, options = {}) {
+  const {
+    checkUser = false,
+    action = auditActions.SESSIONS_REVOKED_ALL,
+    reason = null,
+    exceptFamilyId = null,
+    metadata = {},
+  } = options;
+
+  if (checkUser) {
+    await ensureUserExists(userType, userId);
+  }
+
+  const revokedCount = await revokeAllUserTokens(userType, userId, { exceptFamilyId });
+  await revokeSubjectTokens(userType, userId);
+  // SSO-сессия hosted login выдала бы новые токены без пароля
+  await destroyUserSsoSessions(userType, userId);
+
+  await logEvent({
+    action,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: userType,
+    targetId: userId,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: reason ? { revoked_count: revokedCount, reason } : { revoked_count: revokedCount },
+  });
+
+  return { revoked_count: revokedCount };
+}
+
+/**
+ * Отзывает сессии всех сотрудников с указанной ролью
+ * Токены содержат роль, поэтому после её изменения пользователи должны войти заново.
+ * Отзыв пакетный: один UPDATE refresh tokens, одна команда Redis и одно событие аудита на роль
+ * @param {number} roleId - ID роли
+ * @param {Object} actor - кто изменил роль { type, id }
+ * @param {Object} options - опции
+ * @param {string} options.reason - причина отзыва (ROLE_CHANGED, PERMISSION_CHANGED)
+ * @param {Object} options.metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { affected_members, revoked_count }
+ */
+async function revokeRoleSessions(roleId, actor, options = {}) {
+  const { reason = null, metadata = {} } = options;
+
+  const members = await Member.findAll({
+    where: { role_id: roleId },
+    attributes: ['id'],
+  });
+  if (members.length === 0) {
+    return { affected_members: 0, revoked_count: 0 };
+  }
+
+  const memberIds = members.map((member) => member.id);
+  const revokedCount = await revokeUsersTokens('MEMBER', memberIds);
+  await revokeSubjectsTokens('MEMBER', memberIds);
+  await destroyUsersSsoSessions('MEMBER', memberIds);
+
+  await logEvent({
+    action: auditActions.SESSIONS_REVOKED_ALL,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'ROLE',
+    targetId: roleId,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { affected_members: memberIds.length, revoked_count: revokedCount, reason },
+  });
+
+  return { affected_members: memberIds.length, revoked_count: revokedCount };
+}
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeRoleSessions,
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+
+/**
+ * SSO Session Service
+ *
+ * The hosted login (/oauth/authorize) keeps the browser signed in with an SSO session:
+ * a random token in an HttpOnly cookie, stored in Redis (hashed) for SSO_SESSION_TTL_SECONDS.
+ * While it is valid, every RPD frontend of the user's region gets an authorization code
+ * without asking for the password again.
+ *
+ * SSO sessions are indexed per user, so revoking all sessions (logout-all, password reset,
+ * disabling a user) also ends them.
+ */
+
+const SSO_COOKIE = 'authrpd_sso';
+
+/**
+ * Ключ Redis сессии (хранится хеш токена)
+ * @param {string} token - токен из cookie
+ * @returns {string}
+ */
+function sessionKey(token) {
+  return `sso:session:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Ключ Redis со списком SSO-сессий пользователя
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {string}
+ */
+function userKey(userType, userId) {
+  return `sso:user:${userType}:${userId}`;
+}
+
+/**
+ * Создаёт SSO-сессию после входа через hosted login
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @param {Array<string>} amr - методы аутентификации (['pwd'], ['pwd', 'otp'])
+ * @returns {Promise<Object>} - { token, expires_in }
+ */
+async function createSsoSession(userType, userId, amr = ['pwd']) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttl = config.security.oauth.ssoSessionTtlSeconds;
+  const key = sessionKey(token);
+
+  await redis.set(
+    key,
+    JSON.stringify({ user_type: userType, user_id: userId, auth_time: Math.floor(Date.now() / 1000), amr }),
+    'EX',
+    ttl
+  );
+  await redis.sadd(userKey(userType, userId), key);
+  await redis.expire(userKey(userType, userId), ttl);
+
+  return { token, expires_in: ttl };
+}
+
+/**
+ * Получает SSO-сессию по токену из cookie
+ * @param {string} token - токен
+ * @returns {Promise<Object|null>} - { user_type, user_id, auth_time, amr }
+ */
+async function getSsoSession(token) {
+  if (!token) {
+    return null;
+  }
+
+  const raw = await redis.get(sessionKey(token));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Завершает SSO-сессию (выход из hosted login)
+ * @param {string} token - токен
+ */
+async function destroySsoSession(token) {
+  if (!token) {
+    return;
+  }
+
+  const key = sessionKey(token);
+  const session = await getSsoSession(token);
+  await redis.del(key);
+  if (session) {
+    await redis.srem(userKey(session.user_type, session.user_id), key);
+  }
+}
+
+/**
+ * Завершает все SSO-сессии пользователя
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<number>} - количество завершённых сессий
+ */
+async function destroyUserSsoSessions(userType, userId) {
+  const keys = await redis.smembers(userKey(userType, userId));
+  if (keys.length > 0) {
+    await redis.del(...keys);
+  }
+  await redis.del(userKey(userType, userId));
+  return keys.length;
+}
+
+/**
+ * Завершает все SSO-сессии нескольких пользователей
+ * @param {string} userType - тип пользователя
+ * @param {number[]} userIds - ID пользователей
+ * @returns {Promise<number>} - количество завершённых сессий
+ */
+async function destroyUsersSsoSessions(userType, userIds) {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const userKeys = userIds.map((userId) => userKey(userType, userId));
+  const results = await userKeys.reduce((pipeline, key) => pipeline.smembers(key), redis.pipeline()).exec();
+  const keys = results.flatMap(([, members]) => members || []);
+
+  await redis.del(...keys, ...userKeys);
+  return keys.length;
+}
+
+module.exports = {
+  SSO_COOKIE,
+  createSsoSession,
+  getSsoSession,
+  destroySsoSession,
+  destroyUserSsoSessions,
+  destroyUsersSsoSessions,
+};
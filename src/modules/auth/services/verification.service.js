@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { Client } = require('../../../models');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const { sendNotification } = require('../../notifications/notification.service');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Contact Verification Service (clients)
+ *
+ * A numeric code is sent to the client's email or phone through the notification transport
+ * and confirmed within VERIFICATION_CODE_TTL_SECONDS; success sets email_verified / phone_verified.
+ * Only a hash of the code is kept in Redis, bound to the address it was sent to, so a code
+ * stops working when the address changes. Each code allows VERIFICATION_MAX_ATTEMPTS guesses,
+ * counted with INCR before the code is checked, so parallel requests cannot share an attempt.
+ *
+ * With CLIENT_LOGIN_REQUIRE_VERIFIED=true a client without any verified channel gets the
+ * VERIFICATION_REQUIRED login state: a short-lived verification_token that only allows
+ * requesting and confirming a code (/auth/client/verification/*); confirming completes the login.
+ */
+
+const CHANNELS = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+};
+
+const CHANNEL_FIELDS = {
+  [CHANNELS.EMAIL]: { address: 'email', flag: 'email_verified' },
+  [CHANNELS.PHONE]: { address: 'phone', flag: 'phone_verified' },
+};
+
+/**
+ * Ключи Redis для кода подтверждения
+ * @param {number} clientId - ID клиента
+ * @param {string} channel - канал ('email' или 'phone')
+ * @returns {Object} - { code, attempts, resend }
+ */
+function codeKeys(clientId, channel) {
+  const suffix = `CLIENT:${clientId}:${channel}`;
+  return {
+    code: `verify:code:${suffix}`,
+    attempts: `verify:attempts:${suffix}`,
+    resend: `verify:resend:${suffix}`,
+  };
+}
+
+/**
+ * Хеш кода, привязанный к адресу
+ * @param {string} address - email или телефон
+ * @param {string} code - код
+ * @returns {string} - hex SHA-256
+ */
+function hashCode(address, code) {
+  return crypto.createHash('sha256').update(`${address}:${code}`).digest('hex');
+}
+
+/**
+ * Маскирует адрес для ответа API (a***@example.com, ***4567)
+ * @param {string} channel - канал
+ * @param {string} address - адрес
+ * @returns {string|null}
+ */
+function maskAddress(channel, address) {
+  if (!address) {
+    return null;
+  }
+  if (channel === CHANNELS.EMAIL) {
+    const [local, domain] = address.split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+  return `***${address.slice(-4)}`;
+}
+
+/**
+ * Подтверждён ли хотя бы один канал
+ * @param {Object} client - клиент
+ * @returns {boolean}
+ */
+function hasVerifiedChannel(client) {
+  return Boolean(client.email_verified || client.phone_verified);
+}
+
+/**
+ * Требуется ли подтверждение контакта для входа клиента
+ * @param {Object} client - клиент
+ * @returns {boolean}
+ */
+function isVerificationRequired(client) {
+  return config.security.verification.requiredForLogin && !hasVerifiedChannel(client);
+}
+
+/**
+ * Каналы клиента для ответа API
+ * @param {Object} client - клиент
+ * @returns {Object} - { email: { address, verified }, phone: { address, verified } }
+ */
+function getChannels(client) {
+  return Object.fromEntries(
+    Object.entries(CHANNEL_FIELDS).map(([channel, fields]) => [
+      channel,
+      { address: maskAddress(channel, client[fields.address]), verified: Boolean(client[fields.flag]) },
+    ])
+  );
+}
+
+/**
+ * Сбрасывает флаги подтверждения при смене email/телефона (для Client.update)
+ * Флаг, явно переданный администратором в том же запросе, сохраняется
+ * @param {Object} client - текущий клиент
+ * @param {Object} data - данные обновления
+ * @returns {Object} - поля *_verified, которые нужно сбросить
+ */
+function resetFlagsOnContactChange(client, data) {
+  const reset = {};
+  for (const fields of Object.values(CHANNEL_FIELDS)) {
+    const changed = data[fields.address] !== undefined && (data[fields.address] || null) !== (client[fields.address] || null);
+    if (changed && data[fields.flag] === undefined) {
+      reset[fields.flag] = false;
+    }
+  }
+  return reset;
+}
+
+/**
+ * Загружает активного клиента
+ * @param {number} clientId - ID клиента
+ * @returns {Promise<Object>}
+ * @throws {ApiError} - 404 если клиент не найден
+ */
+async function findClient(clientId) {
+  const client = await Client.findOne({ where: { id: clientId, is_active: true, is_blocked: false } });
+  if (!client) {
+    throw new ApiError(404, 'Client not found');
+  }
+  return client;
+}
+
+/**
+ * Отправляет код подтверждения на email или телефон клиента
+ * @param {number} clientId - ID клиента
+ * @param {string} channel - канал ('email' или 'phone')
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { channel, destination, expires_in }
+ * @throws {ApiError} - 400 если адреса нет или он уже подтверждён, 429 при частых запросах
+ */
+async function requestVerification(clientId, channel, metadata = {}) {
+  const { codeLength, codeTtlSeconds, resendIntervalSeconds } = config.security.verification;
+  const fields = CHANNEL_FIELDS[channel];
+  const client = await findClient(clientId);
+
+  const address = client[fields.address];
+  if (!address) {
+    throw new ApiError(400, `Client has no ${channel} to verify`, 'channel');
+  }
+  if (client[fields.flag]) {
+    throw new ApiError(400, `The ${channel} is already verified`, 'channel', 'ALREADY_VERIFIED');
+  }
+
+  const keys = codeKeys(client.id, channel);
+  const allowed = await redis.set(keys.resend, '1', 'EX', resendIntervalSeconds, 'NX');
+  if (!allowed) {
+    const ttl = await redis.ttl(keys.resend);
+    throw new ApiError(429, `Please wait ${Math.max(ttl, 1)} second(s) before requesting a new code`);
+  }
+
+  const code = crypto.randomInt(0, 10 ** codeLength).toString().padStart(codeLength, '0');
+  await redis
+    .multi()
+    .set(keys.code, JSON.stringify({ code_hash: hashCode(address, code), address }), 'EX', codeTtlSeconds)
+    .del(keys.attempts)
+    .exec();
+
+  try {
+    await sendNotification({
+      channel,
+      to: address,
+      subject: 'Verification code',
+      text: `Your verification code is ${code}. It expires in ${Math.ceil(codeTtlSeconds / 60)} minute(s).`,
+    });
+  } catch (error) {
+    await redis.del(keys.code, keys.attempts, keys.resend);
+    throw new ApiError(503, 'Failed to send verification code, try again later');
+  }
+
+  await logEvent({
+    action: auditActions.VERIFICATION_REQUESTED,
+    actorType: 'CLIENT',
+    actorId: client.id,
+    targetType: 'CLIENT',
+    targetId: client.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { channel },
+  });
+
+  return { channel, destination: maskAddress(channel, address), expires_in: codeTtlSeconds };
+}
+
+/**
+ * Проверяет код и помечает канал подтверждённым
+ * @param {number} clientId - ID клиента
+ * @param {string} channel - канал ('email' или 'phone')
+ * @param {string} code - код из сообщения
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - клиент
+ * @throws {ApiError} - 400 VERIFICATION_CODE_INVALID
+ */
+async function confirmVerification(clientId, channel, code, metadata = {}) {
+  const fields = CHANNEL_FIELDS[channel];
+  const client = await findClient(clientId);
+  const keys = codeKeys(client.id, channel);
+
+  const { maxAttempts } = config.security.verification;
+  const raw = await redis.get(keys.code);
+  let entry = raw ? JSON.parse(raw) : null;
+
+  // Попытка занимается до проверки кода
+  let attempt = null;
+  if (entry) {
+    [[, attempt]] = await redis
+      .multi()
+      .incr(keys.attempts)
+      .expire(keys.attempts, config.security.verification.codeTtlSeconds)
+      .exec();
+    if (attempt > maxAttempts) {
+      await redis.del(keys.code, keys.attempts);
+      entry = null;
+    }
+  }
+
+  // Код, отправленный на прежний адрес, недействителен
+  const valid =
+    entry &&
+    entry.address === client[fields.address] &&
+    crypto.timingSafeEqual(
+      Buffer.from(entry.code_hash, 'hex'),
+      Buffer.from(hashCode(client[fields.address] || '', code), 'hex')
+    );
+
+  if (!valid) {
+    if (entry && attempt >= maxAttempts) {
+      await redis.del(keys.code, keys.attempts);
+    }
+
+    await logEvent({
+      action: auditActions.VERIFICATION_FAIL,
+      actorType: 'CLIENT',
+      actorId: client.id,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { channel, attempts: attempt },
+    });
+
+    throw new ApiError(400, 'Verification code is invalid or expired', 'code', 'VERIFICATION_CODE_INVALID');
+  }
+
+  await redis.del(keys.code, keys.attempts, keys.resend);
+  await client.update({ [fields.flag]: true });
+
+  await logEvent({
+    action: auditActions.VERIFICATION_CONFIRMED,
+    actorType: 'CLIENT',
+    actorId: client.id,
+    targetType: 'CLIENT',
+    targetId: client.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { channel },
+  });
+
+  return client;
+}
+
+/**
+ * Ключ Redis для verification_token (хранится хеш)
+ * @param {string} token - токен
+ * @returns {string}
+ */
+function loginTokenKey(token) {
+  return `verify:login:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Создаёт токен состояния входа VERIFICATION_REQUIRED
+ * @param {number} clientId - ID клиента
+ * @returns {Promise<Object>} - { verification_token, expires_in }
+ */
+async function createVerificationToken(clientId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttl = config.security.verification.loginTokenTtlSeconds;
+
+  await redis.set(loginTokenKey(token), JSON.stringify({ user_type: 'CLIENT', user_id: clientId }), 'EX', ttl);
+
+  return { verification_token: token, expires_in: ttl };
+}
+
+/**
+ * Получает данные verification_token
+ * @param {string} token - токен
+ * @returns {Promise<Object>} - { key, user_type, user_id }
+ * @throws {ApiError} - 401 VERIFICATION_TOKEN_INVALID
+ */
+async function getVerificationToken(token) {
+  const key = loginTokenKey(token);
+  const raw = await redis.get(key);
+  if (!raw) {
+    throw new ApiError(
+      401,
+      'Verification token is invalid or expired, please log in again',
+      null,
+      'VERIFICATION_TOKEN_INVALID'
+    );
+  }
+
+  return { key, ...JSON.parse(raw) };
+}
+
+/**
+ * Удаляет использованный verification_token
+ * @param {Object} entry - результат getVerificationToken
+ */
+async function invalidateVerificationToken(entry) {
+  await redis.del(entry.key);
+}
+
+module.exports = {
+  CHANNELS,
+  hasVerifiedChannel,
+  isVerificationRequired,
+  getChannels,
+  resetFlagsOnContactChange,
+  requestVerification,
+  confirmVerification,
+  createVerificationToken,
+  getVerificationToken,
+  invalidateVerificationToken,
+};
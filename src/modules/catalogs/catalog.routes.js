@@ -814,10 +814,11 @@ router.post('/documents', authGuard, require_permissions('CATALOG_WRITE'), schem
 router.put('/documents/:id', authGuard, validate_id_param(), require_permissions('CATALOG_WRITE'), schemaValidator(updateDocumentSchema), catalogController.updateDocument);
 router.delete('/documents/:id', authGuard, validate_id_param(), require_permissions('CATALOG_WRITE'), catalogController.deleteDocument);
 
-// Public sync endpoint: GET /catalogs/:name?version=X&lang=tm&include_deleted=false
-// This endpoint is public (no auth required) for RPD systems to sync catalogs
+// Sync endpoint: GET /catalogs/:name?version=X&lang=tm&include_deleted=false&scope=...
+// Authenticated as an RPD instance (service account token or mTLS client certificate)
 // Must be placed AFTER all specific catalog routes to avoid conflicts
 const syncController = require('../sync/sync.controller');
+const { rpdInstanceGuard } = require('../../middlewares/rpd.instance.guard');
 const { validate_sync_query } = require('../../helpers/validators');
 const { paramsValidator } = require('../../middlewares/schema.validator');
 const Joi = require('joi');
@@ -844,13 +845,23 @@ const allowedCatalogs = [
  * /catalogs/{name}:
  *   get:
  *     tags: [Sync]
- *     summary: Get catalog data by version (public sync endpoint)
+ *     summary: Get catalog data by version (RPD sync endpoint)
  *     description: |
- *       Public endpoint for RPD systems to sync catalog data.
+ *       Endpoint for RPD systems to sync catalog data, authenticated as an RPD instance:
+ *       a service account access token obtained with private_key_jwt (client credentials) or, when
+ *       MTLS_CLIENT_CERT_HEADER is configured, the client certificate registered for the service account.
+ *       Tokens obtained with a client secret are refused (403 RPD_AUTH_METHOD_NOT_ALLOWED). Requires `catalog:read`.
  *       Returns items if client's version is behind, or empty items with up_to_date=true when no updates.
  *       Supports include_deleted parameter to include soft-deleted records.
+ *
+ *       `organizations`, `banks` and `bank_accounts` are limited to the instance's top region and its
+ *       sub-regions (organizations and banks without a region are included, bank accounts only of the
+ *       region's organizations). AuthRPD stores the scope of the last full response per instance
+ *       (`rpd_instances.sync_scopes`) and compares the version only within it, so an instance moved to
+ *       another region receives full data. Echoing the response `scope` is optional; a different echoed
+ *       scope also forces full data.
  *       Note: This endpoint is only used when query parameter 'version' is present.
- *     security: []
+ *     security: [{ bearerAuth: [] }]
  *     parameters:
  *       - in: path
  *         name: name
@@ -870,9 +881,15 @@ const allowedCatalogs = [
  *         name: include_deleted
  *         schema: { type: boolean, default: false }
  *         description: Include soft-deleted records (deleted_at IS NOT NULL)
+ *       - in: query
+ *         name: scope
+ *         schema: { type: string, example: 'region:11' }
+ *         description: Optional scope from the response the client's version was received with
  *     responses:
  *       200:
  *         description: Catalog data (or empty if up to date). Response includes deleted_items array if include_deleted=false.
+ *       401: { description: No or invalid service account token or client certificate (RPD_AUTH_REQUIRED, INVALID_CLIENT_CERTIFICATE) }
+ *       403: { description: Service account without catalog:read, or inactive account or instance }
  */
 // Sync endpoint - placed at the end to avoid conflicts with specific catalog routes
 // Only processes sync requests (when name is in allowedCatalogs AND it's a sync request)
@@ -896,6 +913,7 @@ router.get(
   paramsValidator(Joi.object({
     name: Joi.string().valid(...allowedCatalogs).required(),
   })),
+  rpdInstanceGuard,
   validate_sync_query(),
   syncController.getCatalogByVersion
 );
@@ -17,6 +17,18 @@ const { invalidateCache, invalidateCachePattern, cacheData } = require('../../he
 const { logEvent, auditActions } = require('../audit/audit.service');
 const ApiError = require('../../helpers/api.error');
 const sequelize = require('../../config/db');
+const { Op } = require('sequelize');
+
+/**
+ * Условие на регион записи для синхронизации RPD instance:
+ * регионы instance или без региона (общие для всех регионов)
+ * @param {string} column - колонка региона
+ * @param {Array<string>} regionIds - верхний регион instance и его подрегионы
+ * @returns {Object} - where
+ */
+function regionScopeWhere(column, regionIds) {
+  return { [Op.or]: [{ [column]: { [Op.in]: regionIds } }, { [column]: null }] };
+}
 
 /**
  * Инкрементирует версию каталога
@@ -222,8 +234,12 @@ async function deleteMinistry(code) {
 }
 
 // Organizations
-async function getOrganizations(isActive = undefined) {
-  const whereClause = {};
+/**
+ * @param {boolean} isActive - фильтр по is_active
+ * @param {Array<string>|null} regionIds - только организации этих регионов и без региона (синхронизация RPD)
+ */
+async function getOrganizations(isActive = undefined, regionIds = null) {
+  const whereClause = regionIds ? regionScopeWhere('region_id', regionIds) : {};
   if (isActive !== undefined) {
     whereClause.is_active = isActive;
   }
@@ -629,8 +645,12 @@ async function deleteClassifierIncome(code) {
 }
 
 // Banks
-async function getBanks(isActive = undefined) {
-  const whereClause = {};
+/**
+ * @param {boolean} isActive - фильтр по is_active
+ * @param {Array<string>|null} regionIds - только банки этих регионов и без региона (синхронизация RPD)
+ */
+async function getBanks(isActive = undefined, regionIds = null) {
+  const whereClause = regionIds ? regionScopeWhere('region_id', regionIds) : {};
   if (isActive !== undefined) {
     whereClause.is_active = isActive;
   }
@@ -721,8 +741,12 @@ async function deleteBank(id) {
 }
 
 // Bank Accounts
-async function getBankAccounts(isActive = undefined) {
-  const whereClause = {};
+/**
+ * @param {boolean} isActive - фильтр по is_active
+ * @param {Array<string>|null} regionIds - только счета организаций этих регионов (синхронизация RPD)
+ */
+async function getBankAccounts(isActive = undefined, regionIds = null) {
+  const whereClause = regionIds ? { '$organization.region_id$': { [Op.in]: regionIds } } : {};
   if (isActive !== undefined) {
     whereClause.is_active = isActive;
   }
@@ -100,6 +100,39 @@ async function invalidateTopRegionCache(regionId) {
   }
 }
 
+/**
+ * Collects all sub-regions of a region (children, grandchildren, ...).
+ * Inactive sub-regions are included: their cached lookups must be invalidated as well.
+ * 
+ * @param {string} regionId - The region code
+ * @returns {Promise<Array<string>>} - Codes of all sub-regions (without regionId itself)
+ * 
+ * @example
+ * await getSubRegionIds('AHAL'); // Returns ['ASGABAT_CITY', 'DISTRICT_1', ...]
+ */
+async function getSubRegionIds(regionId) {
+  if (!regionId) {
+    return [];
+  }
+
+  const visited = new Set([regionId]); // Guards against loops in the hierarchy
+  const subRegionIds = [];
+  let parents = [regionId];
+
+  for (let depth = 0; parents.length > 0 && depth < 20; depth++) {
+    const children = await Region.findAll({
+      where: { parent_id: parents },
+      attributes: ['code'],
+    });
+
+    parents = children.map((child) => child.code).filter((code) => !visited.has(code));
+    parents.forEach((code) => visited.add(code));
+    subRegionIds.push(...parents);
+  }
+
+  return subRegionIds;
+}
+
 /**
  * Query-optimized version using recursive CTE (PostgreSQL).
  * More efficient for deeply nested hierarchies.
@@ -164,5 +197,6 @@ module.exports = {
   resolveTopRegion,
   resolveTopRegionOptimized,
   invalidateTopRegionCache,
+  getSubRegionIds,
 };
 
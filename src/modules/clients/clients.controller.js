@@ -1,4 +1,7 @@
 const clientsService = require('./clients.service');
+const sessionService = require('../auth/services/session.service');
+const lockoutService = require('../auth/services/lockout.service');
+const passwordResetService = require('../auth/services/password.reset.service');
 const { successResponse } = require('../../helpers/response.helper');
 
 /**
@@ -43,7 +46,12 @@ async function create_client(req, res, next) {
 
 async function update_client(req, res, next) {
   try {
-    const client = await clientsService.updateClient(req.params.id, req.body);
+    const client = await clientsService.updateClient(
+      req.params.id,
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse(client));
   } catch (error) {
     next(error);
@@ -52,7 +60,11 @@ async function update_client(req, res, next) {
 
 async function block_client(req, res, next) {
   try {
-    const client = await clientsService.blockClient(req.params.id);
+    const client = await clientsService.blockClient(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse(client));
   } catch (error) {
     next(error);
@@ -68,6 +80,78 @@ async function unblock_client(req, res, next) {
   }
 }
 
+async function unlock_client(req, res, next) {
+  try {
+    const client = await lockoutService.unlockAccount(
+      'CLIENT',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(client));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function reset_client_password(req, res, next) {
+  try {
+    const reset = await passwordResetService.issuePasswordReset(
+      'CLIENT',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(reset));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function list_client_sessions(req, res, next) {
+  try {
+    const sessions = await sessionService.listSessions('CLIENT', req.params.id, { checkUser: true });
+    res.json(successResponse(sessions));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revoke_client_session(req, res, next) {
+  try {
+    const session = await sessionService.revokeSession(
+      'CLIENT',
+      req.params.id,
+      req.params.session_id,
+      { type: req.user.type, id: req.user.id },
+      {
+        checkUser: true,
+        metadata: { ip: req.ip, userAgent: req.headers['user-agent'] },
+      }
+    );
+    res.json(successResponse(session));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revoke_client_sessions(req, res, next) {
+  try {
+    const result = await sessionService.revokeAllSessions(
+      'CLIENT',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      {
+        checkUser: true,
+        metadata: { ip: req.ip, userAgent: req.headers['user-agent'] },
+      }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   list_clients,
   get_client,
@@ -75,4 +159,9 @@ module.exports = {
   update_client,
   block_client,
   unblock_client,
+  unlock_client,
+  reset_client_password,
+  list_client_sessions,
+  revoke_client_session,
+  revoke_client_sessions,
 };
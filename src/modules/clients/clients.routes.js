@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const clientsController = require('./clients.controller');
 const { authGuard } = require('../../middlewares/auth.guard');
-const { validate_id_param, validate_query } = require('../../helpers/validators');
+const { validate_id_param, validate_session_params, validate_query } = require('../../helpers/validators');
 const { paginationValidator } = require('../../helpers/validators');
 const require_permissions = require('../../middlewares/require_permissions');
 const schemaValidator = require('../../middlewares/schema.validator');
@@ -71,7 +71,7 @@ router.put('/admin/clients/:id', authGuard, validate_id_param(), require_permiss
  *     summary: Block client
  *     security: [{ bearerAuth: [] }]
  *     responses:
- *       200: { description: Client blocked }
+ *       200: { description: Client blocked, all sessions revoked }
  * /admin/clients/{id}/unblock:
  *   put:
  *     tags: [Clients]
@@ -83,4 +83,94 @@ router.put('/admin/clients/:id', authGuard, validate_id_param(), require_permiss
 router.put('/admin/clients/:id/block', authGuard, validate_id_param(), require_permissions('CLIENT_BLOCK'), clientsController.block_client);
 router.put('/admin/clients/:id/unblock', authGuard, validate_id_param(), require_permissions('CLIENT_UNBLOCK'), clientsController.unblock_client);
 
+/**
+ * @swagger
+ * /admin/clients/{id}/unlock:
+ *   put:
+ *     tags: [Clients]
+ *     summary: Unlock client locked after failed logins
+ *     description: Clears failed-login counters, the temporary lockout and the permanent lock (locked_at, and is_blocked if the lock set it)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Client unlocked }
+ *       404: { description: Client not found }
+ */
+router.put('/admin/clients/:id/unlock', authGuard, validate_id_param(), require_permissions('CLIENT_UNBLOCK'), clientsController.unlock_client);
+
+/**
+ * @swagger
+ * /admin/clients/{id}/password-reset:
+ *   post:
+ *     tags: [Clients]
+ *     summary: Issue a password reset token
+ *     description: |
+ *       The administrator does not choose the password: a single-use reset token valid for
+ *       PASSWORD_RESET_TOKEN_TTL_SECONDS is returned and handed to the client, who sets a new
+ *       password with POST /auth/password/reset. Issuing a new token invalidates the previous one.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Reset token issued (reset_token, expires_in) }
+ *       404: { description: Client not found }
+ */
+router.post('/admin/clients/:id/password-reset', authGuard, validate_id_param(), require_permissions('CLIENT_UPDATE'), clientsController.reset_client_password);
+
+/**
+ * @swagger
+ * /admin/clients/{id}/sessions:
+ *   get:
+ *     tags: [Clients]
+ *     summary: List client's active sessions
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Active sessions }
+ *       404: { description: Client not found }
+ *   delete:
+ *     tags: [Clients]
+ *     summary: Revoke all client's sessions
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: All sessions revoked }
+ *       404: { description: Client not found }
+ * /admin/clients/{id}/sessions/{session_id}:
+ *   delete:
+ *     tags: [Clients]
+ *     summary: Revoke one client session
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: session_id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Session revoked }
+ *       404: { description: Client or session not found }
+ */
+router.get('/admin/clients/:id/sessions', authGuard, validate_id_param(), require_permissions('SESSION_MANAGE'), clientsController.list_client_sessions);
+router.delete('/admin/clients/:id/sessions', authGuard, validate_id_param(), require_permissions('SESSION_MANAGE', 'TOKEN_REVOKE'), clientsController.revoke_client_sessions);
+router.delete('/admin/clients/:id/sessions/:session_id', authGuard, validate_session_params(), require_permissions('SESSION_MANAGE', 'TOKEN_REVOKE'), clientsController.revoke_client_session);
+
 module.exports = router;
@@ -1,7 +1,9 @@
 const { Client, Organization, Ministry, Region } = require('../../models');
-const bcrypt = require('bcryptjs');
 const { logEvent, auditActions } = require('../audit/audit.service');
 const ApiError = require('../../helpers/api.error');
+const { preparePassword, setPassword, recordPasswordHistory } = require('../security/passwords/password.service');
+const { revokeAllSessions } = require('../auth/services/session.service');
+const { resetFlagsOnContactChange } = require('../auth/services/verification.service');
 
 /**
  * Clients Service
@@ -95,12 +97,12 @@ async function createClient(data) {
     }
   }
 
-  // Hash password
-  const passwordHash = await bcrypt.hash(data.password, 10);
+  // Validate against password policy and hash
+  const passwordFields = await preparePassword(data.password, { username: data.username });
 
   const client = await Client.create({
     username: data.username,
-    password_hash: passwordHash,
+    ...passwordFields,
     fullname: data.fullname,
     phone: data.phone,
     email: data.email,
@@ -113,6 +115,8 @@ async function createClient(data) {
     is_blocked: data.is_blocked || false,
   });
 
+  await recordPasswordHistory('CLIENT', client.id, client.password_hash);
+
   await logEvent({
     action: auditActions.CLIENT_CREATED,
     targetType: 'CLIENT',
@@ -125,11 +129,15 @@ async function createClient(data) {
 
 /**
  * Update client
+ * Deactivating or blocking a client revokes all of their sessions.
+ * Changing the email or phone resets email_verified / phone_verified
  * @param {number} id - Client ID
  * @param {Object} data - Update data
+ * @param {Object} actor - Admin performing the update { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
  * @returns {Promise<Object>} - Updated client
  */
-async function updateClient(id, data) {
+async function updateClient(id, data, actor = {}, metadata = {}) {
   const client = await Client.findByPk(id);
   if (!client) {
     throw new ApiError(404, 'Client not found');
@@ -151,45 +159,76 @@ async function updateClient(id, data) {
     }
   }
 
-  // Hash password if provided
-  const updateData = { ...data };
+  // A changed email/phone has to be verified again
+  const updateData = { ...data, ...resetFlagsOnContactChange(client, data) };
+  delete updateData.password; // Remove plain password
+  if (data.is_blocked !== undefined) {
+    updateData.blocked_by_lockout = false; // the admin now owns the block state
+  }
+
+  const blocked = data.is_blocked === true && !client.is_blocked;
+  const deactivated = data.is_active === false && client.is_active;
+
+  // Password policy, history and password_changed_at
   if (data.password) {
-    updateData.password_hash = await bcrypt.hash(data.password, 10);
-    delete updateData.password; // Remove plain password
+    await setPassword('CLIENT', client, data.password);
   }
 
   await client.update(updateData);
 
   await logEvent({
     action: auditActions.CLIENT_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'CLIENT',
     targetId: id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { updated_fields: Object.keys(data) },
   });
 
+  if (blocked || deactivated) {
+    await revokeAllSessions('CLIENT', client.id, actor, {
+      reason: blocked ? auditActions.CLIENT_BLOCKED : auditActions.CLIENT_DEACTIVATED,
+      metadata,
+    });
+  }
+
   return client;
 }
 
 /**
  * Block client
+ * Revokes all sessions of the client
  * @param {number} id - Client ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
  * @returns {Promise<Object>} - Updated client
  */
-async function blockClient(id) {
+async function blockClient(id, actor = {}, metadata = {}) {
   const client = await Client.findByPk(id);
   if (!client) {
     throw new ApiError(404, 'Client not found');
   }
 
-  await client.update({ is_blocked: true });
+  await client.update({ is_blocked: true, blocked_by_lockout: false });
 
   await logEvent({
     action: auditActions.CLIENT_BLOCKED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'CLIENT',
     targetId: id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { username: client.username },
   });
 
+  await revokeAllSessions('CLIENT', client.id, actor, {
+    reason: auditActions.CLIENT_BLOCKED,
+    metadata,
+  });
+
   return client;
 }
 
@@ -204,7 +243,7 @@ async function unblockClient(id) {
     throw new ApiError(404, 'Client not found');
   }
 
-  await client.update({ is_blocked: false });
+  await client.update({ is_blocked: false, locked_at: null, blocked_by_lockout: false });
 
   await logEvent({
     action: auditActions.CLIENT_UNBLOCKED,
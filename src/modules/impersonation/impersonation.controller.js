@@ -0,0 +1,27 @@
+const impersonationService = require('./impersonation.service');
+const { successResponse } = require('../../helpers/response.helper');
+
+/**
+ * Impersonation Controller
+ * Thin controller layer - delegates to service
+ */
+
+async function impersonate_user(req, res, next) {
+  try {
+    const result = await impersonationService.impersonate(
+      req.params.userType,
+      req.params.id,
+      req.body.reason,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.set('Cache-Control', 'no-store');
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  impersonate_user,
+};
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const impersonationController = require('./impersonation.controller');
+const { authGuard } = require('../../middlewares/auth.guard');
+const require_permissions = require('../../middlewares/require_permissions');
+const schemaValidator = require('../../middlewares/schema.validator');
+const { paramsValidator } = require('../../middlewares/schema.validator');
+const { impersonateParamsSchema, impersonateSchema } = require('./impersonation.schemas');
+
+/**
+ * Impersonation admin routes ("login as")
+ * Protected by the IMPERSONATE permission
+ */
+
+/**
+ * @swagger
+ * /admin/impersonate/{userType}/{id}:
+ *   post:
+ *     tags: [Security]
+ *     summary: Get a token on behalf of a member or client
+ *     description: |
+ *       Issues a short-lived access token of the user (IMPERSONATION_TTL_SECONDS, no refresh token)
+ *       so support staff can reproduce what the user sees in an RPD. The token has the user's
+ *       regular RPD claims plus `act: { sub, reason }` naming the admin, so RPDs can show and log
+ *       that the session is impersonated.
+ *
+ *       - disabled, blocked or locked users cannot be impersonated
+ *       - a member can only be impersonated by an admin who has all of the member's permissions
+ *       - AuthRPD refuses the token on admin routes, permission-guarded routes and self-service
+ *         changes under `/auth` (403 `IMPERSONATION_FORBIDDEN`)
+ *
+ *       Issuing the token and refused requests are audited (`IMPERSONATION_STARTED`, `IMPERSONATION_DENIED`).
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: userType
+ *         required: true
+ *         schema: { type: string, enum: [MEMBER, CLIENT] }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: 'Ticket #1234: client cannot see the payment form' }
+ *     responses:
+ *       200:
+ *         description: Impersonation token
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 access_token: eyJhbGciOiJFUzI1NiIs...
+ *                 token_type: Bearer
+ *                 expires_in: 900
+ *                 user: { id: 15, user_type: CLIENT, username: client15, fullname: Client Name, region_id: '11' }
+ *       400: { description: Cannot impersonate yourself }
+ *       403: { description: Missing IMPERSONATE permission or the member has permissions the admin lacks }
+ *       404: { description: User not found }
+ *       409: { description: User is disabled, blocked or locked }
+ */
+router.post(
+  '/admin/impersonate/:userType/:id',
+  authGuard,
+  paramsValidator(impersonateParamsSchema),
+  require_permissions('IMPERSONATE'),
+  schemaValidator(impersonateSchema),
+  impersonationController.impersonate_user
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const Joi = require('joi');
+
+/**
+ * Impersonation Schema Validators
+ */
+
+/**
+ * Route parameters: /admin/impersonate/:userType/:id
+ */
+const impersonateParamsSchema = Joi.object({
+  userType: Joi.string()
+    .trim()
+    .uppercase()
+    .valid('MEMBER', 'CLIENT')
+    .required()
+    .messages({
+      'any.only': 'userType must be MEMBER or CLIENT',
+      'any.required': 'userType is required',
+    }),
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'ID must be a number',
+    'number.integer': 'ID must be an integer',
+    'number.positive': 'ID must be positive',
+    'any.required': 'ID is required',
+  }),
+});
+
+/**
+ * Impersonation Request Schema
+ * The reason is put into the token (act.reason) and the audit log
+ */
+const impersonateSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(5)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 200 characters',
+      'any.required': 'Reason is required',
+    }),
+});
+
+module.exports = {
+  impersonateParamsSchema,
+  impersonateSchema,
+};
@@ -0,0 +1,152 @@
+const jwt = require('jsonwebtoken');
+const { Member, Client } = require('../../models');
+const { issueAccessTokenWithPolicy } = require('../security/tokens/token.service');
+const { get_user_permissions } = require('../rbac/services/permission.service');
+const authService = require('../auth/auth.service');
+const { logEvent, auditActions } = require('../audit/audit.service');
+const config = require('../../config/env');
+const ApiError = require('../../helpers/api.error');
+
+/**
+ * Impersonation Service ("login as")
+ *
+ * Support staff with the IMPERSONATE permission get a token of a member or client to
+ * reproduce what that user sees in an RPD. The token is the user's regular RPD token
+ * (issueAccessToken) plus an `act` claim naming the admin and the reason, so RPDs can
+ * show and log that the session is impersonated. It lives IMPERSONATION_TTL_SECONDS and
+ * has no refresh token.
+ *
+ * AuthRPD itself refuses impersonated tokens on admin routes and permission-guarded
+ * routes (authGuard, require_permissions).
+ */
+
+/**
+ * Выдан ли токен администратором от имени пользователя
+ * (у токенов token exchange act.sub совпадает с sub)
+ * @param {Object} payload - payload access token
+ * @returns {boolean}
+ */
+function isImpersonationToken(payload) {
+  return Boolean(payload && payload.act && payload.act.sub && payload.act.sub !== payload.sub);
+}
+
+/**
+ * Загружает пользователя, от имени которого выдаётся токен
+ * @param {string} userType - MEMBER или CLIENT
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} - пользователь
+ * @throws {ApiError} - 404 если не найден, 409 если отключён или заблокирован
+ */
+async function findTargetUser(userType, userId) {
+  const Model = userType === 'MEMBER' ? Member : Client;
+  if (!(await Model.findByPk(userId))) {
+    throw new ApiError(404, userType === 'MEMBER' ? 'Member not found' : 'Client not found');
+  }
+
+  const user = await authService.findLoginUser(userType, userId);
+  if (!user) {
+    throw new ApiError(409, 'User is disabled, blocked or locked and cannot be impersonated');
+  }
+  return user;
+}
+
+/**
+ * Выдаёт короткоживущий токен от имени пользователя
+ * @param {string} userType - MEMBER или CLIENT
+ * @param {number} userId - ID пользователя
+ * @param {string} reason - причина (попадает в токен и аудит)
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { access_token, token_type, expires_in, user }
+ * @throws {ApiError} - 400 при попытке войти от своего имени, 403 если у сотрудника больше прав, чем у администратора
+ */
+async function impersonate(userType, userId, reason, actor = {}, metadata = {}) {
+  const actorSub = `${actor.type}:${actor.id}`;
+  if (actorSub === `${userType}:${userId}`) {
+    throw new ApiError(400, 'You cannot impersonate yourself');
+  }
+
+  const user = await findTargetUser(userType, userId);
+
+  // Токен сотрудника не должен давать в RPD больше прав, чем есть у самого администратора
+  if (userType === 'MEMBER') {
+    const [actorPermissions, targetPermissions] = await Promise.all([
+      get_user_permissions(actor.id),
+      get_user_permissions(user.id),
+    ]);
+    const missing = targetPermissions.filter((permission) => !actorPermissions.includes(permission));
+    if (missing.length > 0) {
+      throw new ApiError(403, 'Cannot impersonate a member with permissions you do not have');
+    }
+  }
+
+  const { token: accessToken, expires_in: expiresIn } = await issueAccessTokenWithPolicy(
+    {
+      id: user.id,
+      username: user.username,
+      role_id: userType === 'MEMBER' ? user.role_id : null,
+      region_id: user.region_id,
+      organization_id: user.organization_id,
+      ministry_id: userType === 'CLIENT' ? user.ministry_id : null,
+      fullname: user.fullname,
+      role: userType === 'MEMBER' && user.role ? user.role.name : null,
+    },
+    userType,
+    {
+      ttlSeconds: config.security.impersonationTtlSeconds,
+      claims: { act: { sub: actorSub, reason } },
+    }
+  );
+  const { jti, exp } = jwt.decode(accessToken);
+
+  await logEvent({
+    action: auditActions.IMPERSONATION_STARTED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: userType,
+    targetId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, reason, jti, expires_at: new Date(exp * 1000).toISOString() },
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+    user: {
+      id: user.id,
+      user_type: userType,
+      username: user.username,
+      fullname: user.fullname,
+      region_id: user.region_id,
+    },
+  };
+}
+
+/**
+ * Записывает в аудит отказ impersonated токену (admin route)
+ * @param {Object} payload - payload access token
+ * @param {Object} metadata - { ip, userAgent, method, path }
+ */
+async function recordDeniedRequest(payload, metadata = {}) {
+  const [actorType, actorId] = payload.act.sub.split(':');
+  const [userType, userId] = payload.sub.split(':');
+
+  await logEvent({
+    action: auditActions.IMPERSONATION_DENIED,
+    actorType,
+    actorId: parseInt(actorId, 10),
+    targetType: userType,
+    targetId: parseInt(userId, 10),
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { jti: payload.jti, method: metadata.method, path: metadata.path },
+  });
+}
+
+module.exports = {
+  isImpersonationToken,
+  impersonate,
+  recordDeniedRequest,
+};
@@ -0,0 +1,62 @@
+const keysService = require('./keys.service');
+const { successResponse } = require('../../helpers/response.helper');
+
+/**
+ * Signing Keys Controller
+ * Thin controller layer - delegates to service
+ */
+
+async function list_keys(req, res, next) {
+  try {
+    res.json(successResponse(keysService.listKeys()));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function rotate_key(req, res, next) {
+  try {
+    const result = await keysService.rotateNow(
+      req.body.algorithm,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.status(201).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function pregenerate_next_key(req, res, next) {
+  try {
+    const result = await keysService.pregenerateNext(
+      req.body.algorithm,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.status(result.created ? 201 : 200).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revoke_key(req, res, next) {
+  try {
+    const result = await keysService.revoke(
+      req.params.kid,
+      req.body.reason,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list_keys,
+  rotate_key,
+  pregenerate_next_key,
+  revoke_key,
+};
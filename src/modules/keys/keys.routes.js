@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const keysController = require('./keys.controller');
+const { authGuard } = require('../../middlewares/auth.guard');
+const require_permissions = require('../../middlewares/require_permissions');
+const schemaValidator = require('../../middlewares/schema.validator');
+const { paramsValidator } = require('../../middlewares/schema.validator');
+const { kidParamsSchema, revokeKeySchema, keyAlgorithmSchema } = require('./keys.schemas');
+
+/**
+ * Signing keys admin routes
+ * Protected by JWKS_READ / KEYS_MANAGE permissions
+ */
+
+/**
+ * @swagger
+ * /admin/keys:
+ *   get:
+ *     tags: [Security]
+ *     summary: List token signing keys
+ *     description: |
+ *       Kids and their lifecycle, newest first, plus the enabled algorithms and rotation settings.
+ *       Every algorithm of `SIGNING_ALGORITHMS` has its own key chain. Key material is never returned.
+ *
+ *       - `pending` - generated ahead of time, already published in JWKS, signs from `not_before`
+ *       - `active` - signs new tokens of its algorithm
+ *       - `retired` - replaced at `retired_at`, still published in JWKS until `expires_at` (`KEY_OVERLAP_DAYS`)
+ *       - `expired` - no longer published (also keys of algorithms removed from `SIGNING_ALGORITHMS`)
+ *       - `revoked` - not published, its tokens are rejected
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Signing keys
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 store: database
+ *                 algorithms: [ES256, EdDSA]
+ *                 rotation: { rotation_days: 30, prepublish_days: 7, overlap_days: 60 }
+ *                 keys:
+ *                   - { kid: 'es256-20250131T000000Z', algorithm: ES256, status: pending, created_at: '2025-01-24T00:05:00.000Z', not_before: '2025-01-31T00:00:00.000Z', retired_at: null, expires_at: null, revoked_at: null }
+ *                   - { kid: 'eddsa-20250101T000000Z', algorithm: EdDSA, status: active, created_at: '2025-01-01T00:00:00.000Z', not_before: '2025-01-01T00:00:00.000Z', retired_at: null, expires_at: null, revoked_at: null }
+ *                   - { kid: 'es256-20250101T000000Z', algorithm: ES256, status: active, created_at: '2024-12-25T00:05:00.000Z', not_before: '2025-01-01T00:00:00.000Z', retired_at: '2025-01-31T00:00:00.000Z', expires_at: '2025-04-01T00:00:00.000Z', revoked_at: null }
+ *       403: { description: Missing JWKS_READ permission }
+ */
+router.get('/admin/keys', authGuard, require_permissions('JWKS_READ'), keysController.list_keys);
+
+/**
+ * @swagger
+ * /admin/keys/rotate:
+ *   post:
+ *     tags: [Security]
+ *     summary: Rotate the signing key now
+ *     description: |
+ *       Generates a new key of the algorithm (default: the first of `SIGNING_ALGORITHMS`) that signs
+ *       new tokens immediately; the next scheduled rotation counts from it. The previous key stays
+ *       in JWKS, so tokens issued with it remain valid; revoke it if it is compromised.
+ *       Other replicas load the new key through Redis. Audited as `SIGNING_KEY_ROTATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               algorithm: { type: string, enum: [ES256, ES384, EdDSA], description: 'One of the enabled algorithms' }
+ *     responses:
+ *       201: { description: New signing key }
+ *       403: { description: Missing KEYS_MANAGE permission }
+ *       409: { description: Rotation is already in progress }
+ *       422: { description: Algorithm is not enabled }
+ */
+router.post(
+  '/admin/keys/rotate',
+  authGuard,
+  require_permissions('KEYS_MANAGE'),
+  schemaValidator(keyAlgorithmSchema),
+  keysController.rotate_key
+);
+
+/**
+ * @swagger
+ * /admin/keys/next:
+ *   post:
+ *     tags: [Security]
+ *     summary: Pre-generate the next signing key
+ *     description: |
+ *       Creates the key that takes over at the next scheduled rotation of the algorithm (the hourly
+ *       key job does this `KEY_PREPUBLISH_DAYS` ahead). It is published in JWKS right away and starts
+ *       signing at its `not_before`, so RPDs with a cached JWKS already know it.
+ *       Idempotent: returns the existing pending key with `created: false`.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               algorithm: { type: string, enum: [ES256, ES384, EdDSA], description: 'One of the enabled algorithms' }
+ *     responses:
+ *       200: { description: Key already exists }
+ *       201: { description: Key generated }
+ *       403: { description: Missing KEYS_MANAGE permission }
+ *       422: { description: Algorithm is not enabled }
+ */
+router.post(
+  '/admin/keys/next',
+  authGuard,
+  require_permissions('KEYS_MANAGE'),
+  schemaValidator(keyAlgorithmSchema),
+  keysController.pregenerate_next_key
+);
+
+/**
+ * @swagger
+ * /admin/keys/{kid}/revoke:
+ *   post:
+ *     tags: [Security]
+ *     summary: Revoke a compromised signing key
+ *     description: |
+ *       Emergency revocation: the kid is removed from `/.well-known/jwks.json` (cache invalidated)
+ *       and AuthRPD rejects all tokens signed with it. RPDs stop accepting them once they refresh
+ *       their JWKS. Revoking an active key generates a replacement of the same algorithm immediately,
+ *       so users have to refresh their tokens. Audited as `SIGNING_KEY_REVOKED`. Cannot be undone.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: kid
+ *         required: true
+ *         schema: { type: string, example: 'es256-20250101T000000Z' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: 'Key file leaked in backup' }
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data: { kid: 'es256-20250101T000000Z', revoked_at: '2025-01-15T09:30:00.000Z', replacement_kid: 'es256-20250115T093000Z' }
+ *       403: { description: Missing KEYS_MANAGE permission }
+ *       404: { description: Signing key not found }
+ *       409: { description: Key is already revoked }
+ */
+router.post(
+  '/admin/keys/:kid/revoke',
+  authGuard,
+  paramsValidator(kidParamsSchema),
+  require_permissions('KEYS_MANAGE'),
+  schemaValidator(revokeKeySchema),
+  keysController.revoke_key
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const Joi = require('joi');
+const config = require('../../config/env');
+
+/**
+ * Signing Keys Schema Validators
+ */
+
+/**
+ * Route parameters: /admin/keys/:kid
+ */
+const kidParamsSchema = Joi.object({
+  kid: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9._-]+$/)
+    .max(64)
+    .required()
+    .messages({
+      'string.pattern.base': 'kid contains only letters, digits, dots, dashes and underscores',
+      'any.required': 'kid is required',
+    }),
+});
+
+/**
+ * Key Revocation Schema
+ * The reason is written to the audit log
+ */
+const revokeKeySchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(5)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 200 characters',
+      'any.required': 'Reason is required',
+    }),
+});
+
+/**
+ * Key Rotation / Pre-generation Schema
+ * algorithm defaults to the first one of SIGNING_ALGORITHMS
+ */
+const keyAlgorithmSchema = Joi.object({
+  algorithm: Joi.string()
+    .valid(...config.security.signingKeys.algorithms)
+    .optional()
+    .messages({
+      'any.only': `Algorithm must be one of: ${config.security.signingKeys.algorithms.join(', ')}`,
+    }),
+});
+
+module.exports = {
+  kidParamsSchema,
+  keyAlgorithmSchema,
+  revokeKeySchema,
+};
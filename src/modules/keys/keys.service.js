@@ -0,0 +1,147 @@
+const keyManager = require('../security/keys/key.manager');
+const { logEvent, auditActions } = require('../audit/audit.service');
+const ApiError = require('../../helpers/api.error');
+const config = require('../../config/env');
+
+/**
+ * Signing Keys Admin Service
+ *
+ * Управление ключами подписи токенов: просмотр, немедленная ротация, создание следующего
+ * ключа заранее и экстренный отзыв скомпрометированного kid. Ротация и создание ключа -
+ * для выбранного алгоритма (по умолчанию основной из SIGNING_ALGORITHMS).
+ * Ключевой материал наружу не отдаётся - только kid и жизненный цикл.
+ */
+
+/**
+ * Метаданные ключа по kid
+ * @param {string} kid - идентификатор ключа
+ * @returns {Object|undefined}
+ */
+function findKey(kid) {
+  return keyManager.listKeys().find((key) => key.kid === kid);
+}
+
+/**
+ * Список ключей
+ * @returns {Object} - { store, algorithms, rotation, keys }
+ */
+function listKeys() {
+  const { rotationDays, prepublishDays, overlapDays } = config.security.signingKeys;
+
+  return {
+    store: keyManager.getKeyStore().name,
+    algorithms: keyManager.getEnabledAlgorithms(),
+    rotation: {
+      rotation_days: rotationDays || null, // null - каждый календарный месяц
+      prepublish_days: prepublishDays,
+      overlap_days: overlapDays,
+    },
+    keys: keyManager.listKeys(),
+  };
+}
+
+/**
+ * Немедленная ротация: новый ключ сразу становится ключом подписи
+ * @param {string} algorithm - алгоритм (по умолчанию основной)
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - новый ключ
+ * @throws {ApiError} - 409 если ротация выполняется одновременно на другой реплике
+ */
+async function rotateNow(algorithm = keyManager.getDefaultAlgorithm(), actor = {}, metadata = {}) {
+  const previous = keyManager
+    .listKeys()
+    .find((key) => key.algorithm === algorithm && key.status === keyManager.KEY_STATUSES.ACTIVE);
+  const kid = await keyManager.rotateKeyNow(algorithm);
+  if (!kid) {
+    throw new ApiError(409, 'Key rotation is already in progress, try again');
+  }
+
+  await logEvent({
+    action: auditActions.SIGNING_KEY_ROTATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SIGNING_KEY',
+    targetId: kid,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { algorithm, previous_kid: previous ? previous.kid : null },
+  });
+
+  return findKey(kid);
+}
+
+/**
+ * Создаёт следующий ключ заранее (публикуется в JWKS до начала подписи)
+ * @param {string} algorithm - алгоритм (по умолчанию основной)
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - ключ и created (false, если уже существовал)
+ */
+async function pregenerateNext(algorithm = keyManager.getDefaultAlgorithm(), actor = {}, metadata = {}) {
+  const keyInfo = await keyManager.createNextKey(algorithm);
+
+  if (keyInfo.created) {
+    await logEvent({
+      action: auditActions.SIGNING_KEY_PREGENERATED,
+      actorType: actor.type,
+      actorId: actor.id,
+      targetType: 'SIGNING_KEY',
+      targetId: keyInfo.kid,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { algorithm },
+    });
+  }
+
+  return { ...findKey(keyInfo.kid), created: keyInfo.created };
+}
+
+/**
+ * Экстренный отзыв ключа: исключается из JWKS, его токены отклоняются.
+ * Если отозван ключ подписи, сразу создаётся новый того же алгоритма
+ * @param {string} kid - идентификатор ключа
+ * @param {string} reason - причина
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { kid, revoked_at, replacement_kid }
+ * @throws {ApiError} - 404 если ключ не найден, 409 если уже отозван
+ */
+async function revoke(kid, reason, actor = {}, metadata = {}) {
+  const key = findKey(kid);
+  if (!key) {
+    throw new ApiError(404, 'Signing key not found');
+  }
+  if (key.status === keyManager.KEY_STATUSES.REVOKED) {
+    throw new ApiError(409, 'Signing key is already revoked');
+  }
+
+  const result = await keyManager.revokeKey(kid);
+  if (!result) {
+    throw new ApiError(404, 'Signing key not found');
+  }
+
+  await logEvent({
+    action: auditActions.SIGNING_KEY_REVOKED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SIGNING_KEY',
+    targetId: kid,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { reason, previous_status: key.status, replacement_kid: result.replacement_kid },
+  });
+
+  return {
+    kid,
+    revoked_at: findKey(kid).revoked_at,
+    replacement_kid: result.replacement_kid,
+  };
+}
+
+module.exports = {
+  listKeys,
+  rotateNow,
+  pregenerateNext,
+  revoke,
+};
@@ -1,4 +1,7 @@
 const membersService = require('./members.service');
+const sessionService = require('../auth/services/session.service');
+const lockoutService = require('../auth/services/lockout.service');
+const passwordResetService = require('../auth/services/password.reset.service');
 const { successResponse } = require('../../helpers/response.helper');
 
 /**
@@ -42,7 +45,12 @@ async function create_member(req, res, next) {
 
 async function update_member(req, res, next) {
   try {
-    const member = await membersService.updateMember(req.params.id, req.body);
+    const member = await membersService.updateMember(
+      req.params.id,
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse(member));
   } catch (error) {
     next(error);
@@ -51,17 +59,98 @@ async function update_member(req, res, next) {
 
 async function disable_member(req, res, next) {
   try {
-    const member = await membersService.disableMember(req.params.id);
+    const member = await membersService.disableMember(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse(member));
   } catch (error) {
     next(error);
   }
 }
 
+async function unlock_member(req, res, next) {
+  try {
+    const member = await lockoutService.unlockAccount(
+      'MEMBER',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(member));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function reset_member_password(req, res, next) {
+  try {
+    const reset = await passwordResetService.issuePasswordReset(
+      'MEMBER',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(reset));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function list_member_sessions(req, res, next) {
+  try {
+    const sessions = await sessionService.listSessions('MEMBER', req.params.id, { checkUser: true });
+    res.json(successResponse(sessions));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revoke_member_session(req, res, next) {
+  try {
+    const session = await sessionService.revokeSession(
+      'MEMBER',
+      req.params.id,
+      req.params.session_id,
+      { type: req.user.type, id: req.user.id },
+      {
+        checkUser: true,
+        metadata: { ip: req.ip, userAgent: req.headers['user-agent'] },
+      }
+    );
+    res.json(successResponse(session));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function revoke_member_sessions(req, res, next) {
+  try {
+    const result = await sessionService.revokeAllSessions(
+      'MEMBER',
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      {
+        checkUser: true,
+        metadata: { ip: req.ip, userAgent: req.headers['user-agent'] },
+      }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   list_members,
   get_member,
   create_member,
   update_member,
   disable_member,
+  unlock_member,
+  reset_member_password,
+  list_member_sessions,
+  revoke_member_session,
+  revoke_member_sessions,
 };
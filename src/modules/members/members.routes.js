@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const membersController = require('./members.controller');
 const { authGuard } = require('../../middlewares/auth.guard');
-const { validate_id_param, validate_query } = require('../../helpers/validators');
+const { validate_id_param, validate_session_params, validate_query } = require('../../helpers/validators');
 const { paginationValidator } = require('../../helpers/validators');
 const require_permissions = require('../../middlewares/require_permissions');
 const schemaValidator = require('../../middlewares/schema.validator');
@@ -71,8 +71,98 @@ router.put('/admin/members/:id', authGuard, validate_id_param(), require_permiss
  *     summary: Disable member
  *     security: [{ bearerAuth: [] }]
  *     responses:
- *       200: { description: Member disabled }
+ *       200: { description: Member disabled, all sessions revoked }
  */
 router.put('/admin/members/:id/disable', authGuard, validate_id_param(), require_permissions('MEMBER_DISABLE'), membersController.disable_member);
 
+/**
+ * @swagger
+ * /admin/members/{id}/unlock:
+ *   put:
+ *     tags: [Members]
+ *     summary: Unlock member locked after failed logins
+ *     description: Clears failed-login counters, the temporary lockout and the permanent lock (locked_at)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Member unlocked }
+ *       404: { description: Member not found }
+ */
+router.put('/admin/members/:id/unlock', authGuard, validate_id_param(), require_permissions('MEMBER_UPDATE'), membersController.unlock_member);
+
+/**
+ * @swagger
+ * /admin/members/{id}/password-reset:
+ *   post:
+ *     tags: [Members]
+ *     summary: Issue a password reset token
+ *     description: |
+ *       The administrator does not choose the password: a single-use reset token valid for
+ *       PASSWORD_RESET_TOKEN_TTL_SECONDS is returned and handed to the member, who sets a new
+ *       password with POST /auth/password/reset. Issuing a new token invalidates the previous one.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Reset token issued (reset_token, expires_in) }
+ *       404: { description: Member not found }
+ */
+router.post('/admin/members/:id/password-reset', authGuard, validate_id_param(), require_permissions('MEMBER_UPDATE'), membersController.reset_member_password);
+
+/**
+ * @swagger
+ * /admin/members/{id}/sessions:
+ *   get:
+ *     tags: [Members]
+ *     summary: List member's active sessions
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Active sessions }
+ *       404: { description: Member not found }
+ *   delete:
+ *     tags: [Members]
+ *     summary: Revoke all member's sessions
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: All sessions revoked }
+ *       404: { description: Member not found }
+ * /admin/members/{id}/sessions/{session_id}:
+ *   delete:
+ *     tags: [Members]
+ *     summary: Revoke one member session
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: session_id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Session revoked }
+ *       404: { description: Member or session not found }
+ */
+router.get('/admin/members/:id/sessions', authGuard, validate_id_param(), require_permissions('SESSION_MANAGE'), membersController.list_member_sessions);
+router.delete('/admin/members/:id/sessions', authGuard, validate_id_param(), require_permissions('SESSION_MANAGE', 'TOKEN_REVOKE'), membersController.revoke_member_sessions);
+router.delete('/admin/members/:id/sessions/:session_id', authGuard, validate_session_params(), require_permissions('SESSION_MANAGE', 'TOKEN_REVOKE'), membersController.revoke_member_session);
+
 module.exports = router;
@@ -1,7 +1,8 @@
 const { Member, Role,  Organization, Region } = require('../../models');
-const bcrypt = require('bcryptjs');
 const { logEvent, auditActions } = require('../audit/audit.service');
 const ApiError = require('../../helpers/api.error');
+const { preparePassword, setPassword, recordPasswordHistory } = require('../security/passwords/password.service');
+const { revokeAllSessions } = require('../auth/services/session.service');
 
 /**
  * Members Service
@@ -84,12 +85,12 @@ async function createMember(data) {
     throw new ApiError(409, 'Username already exists');
   }
 
-  // Hash password
-  const passwordHash = await bcrypt.hash(data.password, 10);
+  // Validate against password policy and hash
+  const passwordFields = await preparePassword(data.password, { username: data.username });
 
   const member = await Member.create({
     username: data.username,
-    password_hash: passwordHash,
+    ...passwordFields,
     fullname: data.fullname,
     position: data.position,
     phone: data.phone,
@@ -100,6 +101,8 @@ async function createMember(data) {
     is_active: data.is_active !== undefined ? data.is_active : true,
   });
 
+  await recordPasswordHistory('MEMBER', member.id, member.password_hash);
+
   await logEvent({
     action: auditActions.MEMBER_CREATED,
     targetType: 'MEMBER',
@@ -112,11 +115,14 @@ async function createMember(data) {
 
 /**
  * Update member
+ * Deactivating a member or changing their role revokes all of their sessions
  * @param {number} id - Member ID
  * @param {Object} data - Update data
+ * @param {Object} actor - Admin performing the update { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
  * @returns {Promise<Object>} - Updated member
  */
-async function updateMember(id, data) {
+async function updateMember(id, data, actor = {}, metadata = {}) {
   const member = await Member.findByPk(id);
   if (!member) {
     throw new ApiError(404, 'Member not found');
@@ -130,31 +136,49 @@ async function updateMember(id, data) {
     }
   }
 
-  // Hash password if provided
   const updateData = { ...data };
+  delete updateData.password; // Remove plain password
+
+  const deactivated = data.is_active === false && member.is_active;
+  const roleChanged = data.role_id !== undefined && data.role_id !== member.role_id;
+
+  // Password policy, history and password_changed_at
   if (data.password) {
-    updateData.password_hash = await bcrypt.hash(data.password, 10);
-    delete updateData.password; // Remove plain password
+    await setPassword('MEMBER', member, data.password);
   }
 
   await member.update(updateData);
 
   await logEvent({
     action: auditActions.MEMBER_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'MEMBER',
     targetId: id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { updated_fields: Object.keys(data) },
   });
 
+  if (deactivated || roleChanged) {
+    await revokeAllSessions('MEMBER', member.id, actor, {
+      reason: deactivated ? auditActions.MEMBER_DISABLED : auditActions.ROLE_CHANGED,
+      metadata,
+    });
+  }
+
   return member;
 }
 
 /**
  * Disable member (soft delete via is_active)
+ * Revokes all sessions of the member
  * @param {number} id - Member ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
  * @returns {Promise<Object>} - Updated member
  */
-async function disableMember(id) {
+async function disableMember(id, actor = {}, metadata = {}) {
   const member = await Member.findByPk(id);
   if (!member) {
     throw new ApiError(404, 'Member not found');
@@ -164,11 +188,20 @@ async function disableMember(id) {
 
   await logEvent({
     action: auditActions.MEMBER_DISABLED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'MEMBER',
     targetId: id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { username: member.username },
   });
 
+  await revokeAllSessions('MEMBER', member.id, actor, {
+    reason: auditActions.MEMBER_DISABLED,
+    metadata,
+  });
+
   return member;
 }
 
@@ -0,0 +1,92 @@
+const config = require('../../config/env');
+const logger = require('../../config/logger');
+const consoleTransport = require('./transports/console.transport');
+const fileTransport = require('./transports/file.transport');
+const httpTransport = require('./transports/http.transport');
+
+/**
+ * Notification Service
+ *
+ * Delivers messages (verification codes etc.) to a client's email or phone through a
+ * pluggable transport selected by NOTIFICATION_TRANSPORT.
+ *
+ * A transport is an object { name, send(message) } where message is
+ * { channel: 'email' | 'phone', to, subject, text }. Built-in transports (console, file)
+ * are for local use: they write codes in plain text, so sending through them is refused in
+ * production (checked when a message is sent - deployments that never send codes still start).
+ * The http transport delivers through an SMTP/SMS gateway (NOTIFICATION_HTTP_URL); other
+ * transports are plugged in with registerTransport().
+ */
+
+// Транспорты, которые пишут коды в открытом виде (логи, файл)
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const transports = new Map([
+  [consoleTransport.name, consoleTransport],
+  [fileTransport.name, fileTransport],
+  [httpTransport.name, httpTransport],
+]);
+
+/**
+ * Регистрирует транспорт доставки
+ * @param {string} name - имя (значение NOTIFICATION_TRANSPORT)
+ * @param {Object} transport - { send(message) }
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Notification transport "${name}" must implement send(message)`);
+  }
+  transports.set(name, transport);
+}
+
+/**
+ * Проверяет, что транспорт из конфигурации допустим в текущем окружении
+ * @throws {Error} - в production для console и file
+ */
+function assertTransportAllowed() {
+  const name = config.notifications.transport;
+  if (config.env === 'production' && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(
+      `Notification transport "${name}" is for local use only, set NOTIFICATION_TRANSPORT=http or a registered transport`
+    );
+  }
+}
+
+/**
+ * Возвращает транспорт из конфигурации
+ * @returns {Object}
+ */
+function getTransport() {
+  assertTransportAllowed();
+
+  const name = config.notifications.transport;
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+  return transport;
+}
+
+/**
+ * Отправляет сообщение
+ * @param {Object} message - { channel, to, subject, text }
+ * @returns {Promise<void>}
+ * @throws {Error} - если транспорт не смог доставить сообщение
+ */
+async function sendNotification(message) {
+  try {
+    await getTransport().send(message);
+  } catch (error) {
+    logger.error('Notification delivery failed', {
+      transport: config.notifications.transport,
+      channel: message.channel,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  registerTransport,
+  sendNotification,
+};
@@ -0,0 +1,24 @@
+const logger = require('../../../config/logger');
+
+/**
+ * Console Notification Transport
+ * For local development: messages are written to the application log instead of being delivered
+ */
+
+/**
+ * Записывает сообщение в лог
+ * @param {Object} message - { channel, to, subject, text }
+ */
+async function send(message) {
+  logger.info('Notification (console transport)', {
+    channel: message.channel,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+  });
+}
+
+module.exports = {
+  name: 'console',
+  send,
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config/env');
+
+/**
+ * File Notification Transport
+ * For local development and tests: messages are appended as JSON lines to NOTIFICATION_FILE_PATH
+ */
+
+/**
+ * Дописывает сообщение в файл (JSON lines)
+ * @param {Object} message - { channel, to, subject, text }
+ */
+async function send(message) {
+  const file = path.resolve(process.cwd(), config.notifications.filePath);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(
+    file,
+    `${JSON.stringify({ sent_at: new Date().toISOString(), ...message })}\n`,
+    'utf8'
+  );
+}
+
+module.exports = {
+  name: 'file',
+  send,
+};
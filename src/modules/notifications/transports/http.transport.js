@@ -0,0 +1,44 @@
+const config = require('../../../config/env');
+
+/**
+ * HTTP Gateway Notification Transport
+ * For production: messages are POSTed as JSON to an SMTP/SMS gateway (NOTIFICATION_HTTP_URL).
+ * The gateway picks email or SMS delivery by `channel`; NOTIFICATION_HTTP_TOKEN is sent as a
+ * Bearer token. Any non-2xx response or timeout is a delivery failure.
+ */
+
+/**
+ * Отправляет сообщение в шлюз
+ * @param {Object} message - { channel, to, subject, text }
+ * @throws {Error} - если шлюз не настроен, недоступен или ответил ошибкой
+ */
+async function send(message) {
+  const { url, token, timeoutMs } = config.notifications.http;
+  if (!url) {
+    throw new Error('NOTIFICATION_HTTP_URL is not set');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify({
+      channel: message.channel,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Notification gateway responded with ${response.status}`);
+  }
+}
+
+module.exports = {
+  name: 'http',
+  send,
+};
@@ -0,0 +1,231 @@
+const oauthService = require('./oauth.service');
+const hostedLoginService = require('./services/hosted-login.service');
+const authorizationService = require('./services/authorization.service');
+const { SSO_COOKIE } = require('../auth/services/sso.service');
+const { renderLoginPage, renderMfaPage, renderMessagePage, renderErrorPage } = require('./views/login.page');
+const config = require('../../config/env');
+const ApiError = require('../../helpers/api.error');
+
+// Cookie, привязывающая форму входа к браузеру, который начал авторизацию
+const LOGIN_COOKIE = 'authrpd_login';
+
+async function token(req, res, next) {
+  try {
+    const result = await oauthService.token(req.body, req.headers.authorization, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function introspect(req, res, next) {
+  try {
+    const result = await oauthService.introspect(req.body, req.headers.authorization, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Читает cookie из заголовка запроса (cookie-parser не подключён)
+ * @param {Object} req - запрос
+ * @param {string} name - имя cookie
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Параметры cookie hosted login (HttpOnly, только для /oauth)
+ * @param {number} ttlSeconds - срок жизни
+ * @returns {Object}
+ */
+function cookieOptions(ttlSeconds) {
+  return {
+    httpOnly: true,
+    secure: config.env === 'production',
+    sameSite: 'lax',
+    path: '/oauth',
+    maxAge: ttlSeconds * 1000,
+  };
+}
+
+/**
+ * Отправляет HTML страницу hosted login
+ * @param {Object} res - ответ
+ * @param {number} status - HTTP статус
+ * @param {string} html - страница
+ */
+function sendPage(res, status, html) {
+  res.set('Cache-Control', 'no-store');
+  res.status(status).type('html').send(html);
+}
+
+function requestMetadata(req) {
+  return {
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+  };
+}
+
+async function authorize(req, res, next) {
+  try {
+    const result = await hostedLoginService.startAuthorization(
+      req.query,
+      readCookie(req, SSO_COOKIE),
+      requestMetadata(req)
+    );
+
+    if (result.redirect) {
+      return res.redirect(302, result.redirect);
+    }
+
+    res.cookie(LOGIN_COOKIE, result.request_id, cookieOptions(config.security.oauth.loginRequestTtlSeconds));
+    sendPage(
+      res,
+      200,
+      renderLoginPage({ action: `${req.baseUrl}/authorize`, request_id: result.request_id, client_name: result.client_name })
+    );
+  } catch (error) {
+    if (error instanceof ApiError && error.errorCode < 500) {
+      return sendPage(res, 400, renderErrorPage(error.errorMsg));
+    }
+    next(error);
+  }
+}
+
+async function authorizeSubmit(req, res, next) {
+  const { request_id: requestId, step } = req.body;
+  const action = `${req.baseUrl}/authorize`;
+
+  // Форма должна прийти из того же браузера, который открыл /oauth/authorize
+  const request = requestId && readCookie(req, LOGIN_COOKIE) === requestId
+    ? await authorizationService.getLoginRequest(requestId).catch(() => null)
+    : null;
+  if (!request) {
+    return sendPage(res, 400, renderErrorPage('Login request has expired, please start again from the application'));
+  }
+
+  try {
+    const result =
+      step === 'mfa'
+        ? await hostedLoginService.submitMfa(requestId, req.body.challenge_token, req.body.code, requestMetadata(req))
+        : await hostedLoginService.submitPassword(requestId, req.body, requestMetadata(req));
+
+    if (result.page === 'mfa') {
+      return sendPage(
+        res,
+        200,
+        renderMfaPage({ action, request_id: requestId, challenge_token: result.challenge_token, client_name: request.client_id })
+      );
+    }
+
+    res.clearCookie(LOGIN_COOKIE, { path: '/oauth' });
+    res.cookie(SSO_COOKIE, result.sso.token, cookieOptions(result.sso.expires_in));
+    res.redirect(302, result.redirect);
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.errorCode >= 500) {
+      return next(error);
+    }
+
+    // Неверный код - повторить ввод кода; остальные ошибки - снова форма пароля
+    if (step === 'mfa' && error.errorType === 'MFA_CODE_INVALID') {
+      return sendPage(
+        res,
+        error.errorCode,
+        renderMfaPage({
+          action,
+          request_id: requestId,
+          challenge_token: req.body.challenge_token,
+          client_name: request.client_id,
+          error: error.errorMsg,
+        })
+      );
+    }
+
+    sendPage(
+      res,
+      error.errorCode,
+      renderLoginPage({
+        action,
+        request_id: requestId,
+        client_name: request.client_id,
+        user_type: req.body.user_type,
+        username: req.body.username,
+        error: error.errorMsg,
+      })
+    );
+  }
+}
+
+async function logout(req, res, next) {
+  try {
+    const params = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    const result = await hostedLoginService.logout(readCookie(req, SSO_COOKIE), params, requestMetadata(req));
+
+    res.clearCookie(SSO_COOKIE, { path: '/oauth' });
+    if (result.redirect) {
+      return res.redirect(302, result.redirect);
+    }
+    sendPage(res, 200, renderMessagePage('Signed out', 'You have been signed out of AuthRPD.'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Ответы OAuth endpoints об ошибках в формате RFC 6749 ({ error, error_description })
+ * вместо стандартного формата AuthRPD - его ожидают OAuth клиентские библиотеки
+ */
+function oauthErrorHandler(err, req, res, next) {
+  if (!(err instanceof ApiError)) {
+    return next(err);
+  }
+
+  let error = err.errorType;
+  if (!error) {
+    error = err.errorCode === 401 ? 'invalid_client' : err.errorCode < 500 ? 'invalid_request' : 'server_error';
+  }
+  const status = err.errorCode === 422 ? 400 : err.errorCode;
+
+  if (error === 'invalid_client' && req.headers.authorization && req.headers.authorization.startsWith('Basic ')) {
+    res.set('WWW-Authenticate', 'Basic realm="authrpd"');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(status).json({ error, error_description: err.errorMsg });
+}
+
+module.exports = {
+  authorize,
+  authorizeSubmit,
+  logout,
+  token,
+  introspect,
+  oauthErrorHandler,
+};
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const oauthController = require('./oauth.controller');
+const { tokenSchema, introspectSchema } = require('./oauth.schemas');
+const schemaValidator = require('../../middlewares/schema.validator');
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   get:
+ *     tags: [OAuth]
+ *     summary: Hosted login (authorization code + PKCE)
+ *     description: |
+ *       Entry point for RPD web frontends (RFC 6749 §4.1 with PKCE, RFC 7636).
+ *       The browser is redirected here instead of the frontend posting the password itself.
+ *
+ *       - `client_id` is the RPD instance code; `redirect_uri` must exactly match one of the
+ *         instance's registered redirect URIs (otherwise an error page is shown, no redirect)
+ *       - `code_challenge` with `code_challenge_method=S256` is required
+ *       - with a valid SSO session (cookie) for a user of the instance's region the browser is
+ *         redirected back immediately with `code` and `state`; otherwise the login page is shown
+ *       - `prompt=login` forces the login page, `prompt=none` returns `error=login_required`
+ *         instead of showing it
+ *
+ *       The code is single-use and valid for OAUTH_CODE_TTL_SECONDS; exchange it at `/oauth/token`
+ *       with `grant_type=authorization_code`.
+ *     security: []
+ *     parameters:
+ *       - { in: query, name: response_type, required: true, schema: { type: string, enum: [code] } }
+ *       - { in: query, name: client_id, required: true, schema: { type: string, example: rpd_ahal } }
+ *       - { in: query, name: redirect_uri, required: true, schema: { type: string } }
+ *       - { in: query, name: code_challenge, required: true, schema: { type: string } }
+ *       - { in: query, name: code_challenge_method, required: true, schema: { type: string, enum: [S256] } }
+ *       - { in: query, name: state, schema: { type: string } }
+ *       - { in: query, name: scope, schema: { type: string, example: openid } }
+ *       - { in: query, name: nonce, schema: { type: string } }
+ *       - { in: query, name: prompt, schema: { type: string, enum: [login, none] } }
+ *     responses:
+ *       200:
+ *         description: Login page (HTML)
+ *       302:
+ *         description: Redirect to redirect_uri with code and state (or error)
+ *       400:
+ *         description: Unknown client_id or unregistered redirect_uri (HTML error page)
+ *   post:
+ *     tags: [OAuth]
+ *     summary: Hosted login form submission
+ *     description: |
+ *       Submitted by the login page (password step, then the TOTP step for members with 2FA).
+ *       On success sets the SSO cookie and redirects to redirect_uri with `code` and `state`.
+ *       Expired passwords, 2FA enrollment and contact verification must be completed through
+ *       the regular login first.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Next step or the login page with an error (HTML)
+ *       302:
+ *         description: Redirect to redirect_uri with code and state
+ */
+router.get('/authorize', oauthController.authorize);
+router.post('/authorize', oauthController.authorizeSubmit);
+
+/**
+ * @swagger
+ * /oauth/logout:
+ *   get:
+ *     tags: [OAuth]
+ *     summary: End the SSO session
+ *     description: |
+ *       Ends the hosted login SSO session of the browser. Redirects to `post_logout_redirect_uri`
+ *       only if it is registered for `client_id`. RPD frontends should also revoke their own
+ *       refresh token (`/auth/logout`).
+ *     security: []
+ *     parameters:
+ *       - { in: query, name: client_id, schema: { type: string } }
+ *       - { in: query, name: post_logout_redirect_uri, schema: { type: string } }
+ *       - { in: query, name: state, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Signed-out page (HTML)
+ *       302:
+ *         description: Redirect to post_logout_redirect_uri
+ */
+router.get('/logout', oauthController.logout);
+router.post('/logout', oauthController.logout);
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     tags: [OAuth]
+ *     summary: OAuth2 token endpoint
+ *     description: |
+ *       `grant_type=client_credentials` issues an ES256 access token to an RPD service account.
+ *       No refresh token is returned.
+ *
+ *       `grant_type=authorization_code` (RPD frontends, public client) exchanges a code from
+ *       `/oauth/authorize` with `client_id`, `redirect_uri` and `code_verifier` (PKCE) for the same
+ *       RPD-audience access token and refresh token as the regular login; with `scope=openid`
+ *       an `id_token` (aud = client_id) is returned as well.
+ *       `expires_in` and the refresh token follow the token policy of the region's RPD instances
+ *       (no `refresh_token` if an instance disallows refresh).
+ *
+ *       `grant_type=refresh_token` rotates a refresh token (same as `/auth/refresh`).
+ *
+ *       `grant_type=urn:ietf:params:oauth:grant-type:token-exchange` (RFC 8693, cross-region
+ *       delegation): a member with the `TOKEN_EXCHANGE` permission sends their access token as
+ *       `subject_token` (`subject_token_type=urn:ietf:params:oauth:token-type:access_token`) and the
+ *       `audience` of an RPD instance of another region. The response is a token for all RPD
+ *       instances of that region (`data.region_id` = target region) with an `act` claim
+ *       `{ sub, region_id }` naming the member and their home region. It lives
+ *       TOKEN_EXCHANGE_TTL_SECONDS, has no refresh token and cannot be exchanged again.
+ *
+ *       Service account authentication (one of):
+ *       - `client_secret_basic`: `Authorization: Basic base64(client_id:client_secret)`
+ *       - `client_secret_post`: `client_id` and `client_secret` in the body
+ *       - `private_key_jwt`: `client_assertion_type=urn:ietf:params:oauth:client-assertion-type:jwt-bearer`
+ *         and `client_assertion` - a JWT signed with the account's key, iss = sub = client_id,
+ *         aud = `{PUBLIC_URL}/oauth/token`, exp at most OAUTH_ASSERTION_MAX_AGE_SECONDS ahead, unique jti
+ *
+ *       `scope` is a space-separated subset of the account's scopes (default: all of them).
+ *       Scopes are permission names in OAuth notation (`CATALOG_READ` = `catalog:read`).
+ *       The token's `aud` contains the RPD instance audience and the AuthRPD audience.
+ *
+ *       Errors use the RFC 6749 format `{ error, error_description }`.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [grant_type]
+ *             properties:
+ *               grant_type: { type: string, example: client_credentials }
+ *               scope: { type: string, example: 'catalog:read' }
+ *               client_id: { type: string }
+ *               client_secret: { type: string }
+ *               client_assertion_type: { type: string }
+ *               client_assertion: { type: string }
+ *               code: { type: string }
+ *               redirect_uri: { type: string }
+ *               code_verifier: { type: string }
+ *               refresh_token: { type: string }
+ *               subject_token: { type: string }
+ *               subject_token_type: { type: string, example: 'urn:ietf:params:oauth:token-type:access_token' }
+ *               audience: { type: string, example: 'rpd:mary' }
+ *     responses:
+ *       200:
+ *         description: Access token
+ *         content:
+ *           application/json:
+ *             example:
+ *               access_token: eyJhbGciOiJFUzI1NiIs...
+ *               token_type: Bearer
+ *               expires_in: 600
+ *               scope: catalog:read
+ *       400:
+ *         description: invalid_request, invalid_grant, invalid_scope, invalid_target, unauthorized_client or unsupported_grant_type
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: invalid_scope
+ *               error_description: "Scopes not allowed for this client: member:update"
+ *       401:
+ *         description: invalid_client
+ */
+router.post('/token', schemaValidator(tokenSchema), oauthController.token);
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     tags: [OAuth]
+ *     summary: Token introspection (RFC 7662)
+ *     description: |
+ *       Authoritative online check for RPD instances that cannot verify JWTs locally.
+ *       The caller authenticates as a service account of an active RPD instance, the same way
+ *       as at `/oauth/token` (Basic, `client_secret_post` or `private_key_jwt`).
+ *
+ *       Accepts access tokens and refresh tokens (`token_type_hint` is optional). The token is
+ *       `active` only if:
+ *       - it is valid, not expired and not revoked (logout, logout-all, password reset, refresh reuse)
+ *       - the user is still active and not blocked (for service tokens: the service account and
+ *         its RPD instance are active)
+ *       - it is meant for the caller: the caller's RPD audience is in the access token's `aud`,
+ *         or the caller is an RPD instance of the refresh token user's region
+ *
+ *       Otherwise the response is `{ "active": false }` without a reason.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *               token_type_hint: { type: string, enum: [access_token, refresh_token] }
+ *               client_id: { type: string }
+ *               client_secret: { type: string }
+ *               client_assertion_type: { type: string }
+ *               client_assertion: { type: string }
+ *     responses:
+ *       200:
+ *         description: Introspection result
+ *         content:
+ *           application/json:
+ *             example:
+ *               active: true
+ *               token_type: Bearer
+ *               iss: authrpd
+ *               sub: MEMBER:42
+ *               aud: [rpd_ahal, authrpd]
+ *               exp: 1735690200
+ *               iat: 1735689600
+ *               username: ivanov
+ *               data: { id: 42, user_type: MEMBER, role: operator, region_id: AH, organization_id: null, fullname: Ivanov Ivan }
+ *       401:
+ *         description: invalid_client
+ */
+router.post('/introspect', schemaValidator(introspectSchema), oauthController.introspect);
+
+router.use(oauthController.oauthErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const Joi = require('joi');
+
+/**
+ * Token Request Schema
+ * Validates /oauth/token parameters (application/x-www-form-urlencoded or JSON).
+ * Client credentials may also come in the Authorization: Basic header.
+ * Public clients (RPD frontends) send client_id with code and code_verifier instead of a secret.
+ */
+const tokenSchema = Joi.object({
+  grant_type: Joi.string()
+    .trim()
+    .required()
+    .messages({
+      'string.base': 'grant_type must be a string',
+      'string.empty': 'grant_type is required',
+      'any.required': 'grant_type is required',
+    }),
+  scope: Joi.string().trim().max(2000).allow('').optional(),
+  client_id: Joi.string().trim().max(255).optional(),
+  client_secret: Joi.string().max(255).optional(),
+  client_assertion_type: Joi.string().trim().max(255).optional(),
+  client_assertion: Joi.string().trim().max(8192).optional(),
+  // authorization_code (PKCE)
+  code: Joi.string().trim().max(255).optional(),
+  redirect_uri: Joi.string().trim().max(2000).optional(),
+  code_verifier: Joi.string().trim().min(43).max(128).pattern(/^[A-Za-z0-9\-._~]+$/).optional().messages({
+    'string.min': 'code_verifier must be 43-128 characters',
+    'string.max': 'code_verifier must be 43-128 characters',
+    'string.pattern.base': 'code_verifier contains invalid characters',
+  }),
+  // refresh_token
+  refresh_token: Joi.string().trim().max(255).optional(),
+  // token exchange (RFC 8693)
+  subject_token: Joi.string().trim().max(8192).optional(),
+  subject_token_type: Joi.string().trim().max(255).optional(),
+  requested_token_type: Joi.string().trim().max(255).optional(),
+  audience: Joi.string().trim().max(255).optional(),
+});
+
+/**
+ * Introspection Request Schema (RFC 7662)
+ * The caller authenticates like at /oauth/token (Basic, client_secret_post or private_key_jwt).
+ */
+const introspectSchema = Joi.object({
+  token: Joi.string()
+    .trim()
+    .max(8192)
+    .required()
+    .messages({
+      'string.base': 'token must be a string',
+      'string.empty': 'token is required',
+      'any.required': 'token is required',
+    }),
+  token_type_hint: Joi.string().trim().max(50).optional(),
+  client_id: Joi.string().trim().max(255).optional(),
+  client_secret: Joi.string().max(255).optional(),
+  client_assertion_type: Joi.string().trim().max(255).optional(),
+  client_assertion: Joi.string().trim().max(8192).optional(),
+});
+
+module.exports = {
+  tokenSchema,
+  introspectSchema,
+};
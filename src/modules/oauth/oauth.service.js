@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServiceAccount, RpdInstance } = require('../../models');
+const { issueServiceAccessToken, issueIdToken, resolveSigningAlgorithm } = require('../security/tokens/token.service');
+const { parseScope } = require('./services/scope.service');
+const authorizationService = require('./services/authorization.service');
+const introspectionService = require('./services/introspection.service');
+const tokenExchangeService = require('./services/token-exchange.service');
+const authService = require('../auth/auth.service');
+const { logEvent, auditActions } = require('../audit/audit.service');
+const redis = require('../../config/redis');
+const config = require('../../config/env');
+const ApiError = require('../../helpers/api.error');
+
+/**
+ * OAuth2 Service
+ *
+ * Token endpoint (/oauth/token):
+ * - client_credentials (RFC 6749 §4.4) for RPD service accounts
+ * - authorization_code + PKCE (RFC 6749 §4.1, RFC 7636) for RPD frontends using the hosted login;
+ *   the frontend is a public client (client_id = RPD instance code, no secret) and receives the
+ *   same RPD-audience tokens as the member/client login, plus an ID token when scope contains "openid"
+ * - refresh_token: the refresh token of such a session (same rotation as /auth/refresh)
+ * - token exchange (RFC 8693): a member with TOKEN_EXCHANGE trades their access token for a
+ *   short-lived token of another region's RPD instances (services/token-exchange.service.js)
+ *
+ * Client authentication (client_credentials):
+ * - client_secret_basic / client_secret_post: the secret is compared with its SHA-256 hash
+ * - private_key_jwt (RFC 7523): a JWT signed by the account's key with iss = sub = client_id,
+ *   aud = PUBLIC_URL/oauth/token (or the issuer), a short exp and a single-use jti
+ *
+ * Errors are ApiError with error_type set to the RFC 6749 error code
+ * (invalid_request, invalid_client, unauthorized_client, invalid_scope, unsupported_grant_type).
+ */
+
+const GRANT_TYPES = {
+  CLIENT_CREDENTIALS: 'client_credentials',
+  AUTHORIZATION_CODE: 'authorization_code',
+  REFRESH_TOKEN: 'refresh_token',
+  TOKEN_EXCHANGE: tokenExchangeService.TOKEN_EXCHANGE_GRANT_TYPE,
+};
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Алгоритмы подписи client assertion (ключ сервисного аккаунта - EC или RSA)
+const ASSERTION_ALGORITHMS = ['ES256', 'ES384', 'RS256', 'PS256'];
+
+/**
+ * URL token endpoint (ожидаемый aud в client assertion)
+ * @returns {string}
+ */
+function tokenEndpoint() {
+  return `${config.publicUrl}/oauth/token`;
+}
+
+/**
+ * SHA-256 хеш client secret (секреты случайные, медленный хеш не нужен)
+ * @param {string} secret - client secret
+ * @returns {string} - hex
+ */
+function hashClientSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Генерирует новый client secret
+ * @returns {Object} - { secret, hash }
+ */
+function generateClientSecret() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashClientSecret(secret) };
+}
+
+/**
+ * Ошибка аутентификации клиента (RFC 6749: invalid_client)
+ * @param {string} message - описание
+ * @returns {ApiError}
+ */
+function invalidClient(message = 'Client authentication failed') {
+  return new ApiError(401, message, null, 'invalid_client');
+}
+
+/**
+ * Разбирает заголовок Authorization: Basic (client_secret_basic)
+ * @param {string} header - значение заголовка
+ * @returns {Object|null} - { client_id, client_secret }
+ */
+function parseBasicAuth(header) {
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+
+  const decoded = Buffer.from(header.substring(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  try {
+    return {
+      client_id: decodeURIComponent(decoded.substring(0, separator)),
+      client_secret: decodeURIComponent(decoded.substring(separator + 1)),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Загружает активный сервисный аккаунт вместе с RPD instance
+ * @param {string} clientId - client_id
+ * @returns {Promise<Object>}
+ * @throws {ApiError} - invalid_client если аккаунт или instance неактивны
+ */
+async function findActiveAccount(clientId) {
+  const account = await ServiceAccount.scope('withSecret').findOne({
+    where: { client_id: clientId },
+    include: [{ model: RpdInstance, as: 'rpdInstance' }],
+  });
+
+  if (!account || !account.is_active) {
+    throw invalidClient();
+  }
+  if (!account.rpdInstance || !account.rpdInstance.is_active) {
+    throw invalidClient('RPD instance of the client is inactive');
+  }
+
+  return account;
+}
+
+/**
+ * Проверяет client secret
+ * @param {Object} account - сервисный аккаунт
+ * @param {string} secret - предъявленный secret
+ * @throws {ApiError} - invalid_client
+ */
+function verifyClientSecret(account, secret) {
+  if (account.auth_method !== 'client_secret' || !account.client_secret_hash) {
+    throw invalidClient('Client must authenticate with private_key_jwt');
+  }
+
+  const expected = Buffer.from(account.client_secret_hash, 'hex');
+  const actual = Buffer.from(hashClientSecret(secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw invalidClient();
+  }
+}
+
+/**
+ * Проверяет client assertion (private_key_jwt, RFC 7523)
+ * jti запоминается до истечения assertion - повторное предъявление отклоняется
+ * @param {Object} account - сервисный аккаунт
+ * @param {string} assertion - JWT
+ * @throws {ApiError} - invalid_client
+ */
+async function verifyClientAssertion(account, assertion) {
+  if (account.auth_method !== 'private_key_jwt' || !account.public_key) {
+    throw invalidClient('Client must authenticate with client_secret');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(assertion, account.public_key, {
+      algorithms: ASSERTION_ALGORITHMS,
+      issuer: account.client_id,
+      subject: account.client_id,
+      audience: [tokenEndpoint(), config.publicUrl, config.security.issuer],
+    });
+  } catch (error) {
+    throw invalidClient(`Invalid client assertion: ${error.message}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || !claims.jti) {
+    throw invalidClient('Client assertion must contain exp and jti');
+  }
+  if (claims.exp - now > config.security.oauth.assertionMaxAgeSeconds) {
+    throw invalidClient('Client assertion expiration is too far in the future');
+  }
+
+  const fresh = await redis.set(
+    `oauth:assertion:${account.client_id}:${claims.jti}`,
+    '1',
+    'EX',
+    Math.max(claims.exp - now, 1),
+    'NX'
+  );
+  if (!fresh) {
+    throw invalidClient('Client assertion has already been used');
+  }
+}
+
+/**
+ * Аутентифицирует клиента token endpoint
+ * @param {Object} credentials - { authorization, client_id, client_secret, client_assertion_type, client_assertion }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - сервисный аккаунт с rpdInstance
+ * @throws {ApiError} - invalid_request / invalid_client
+ */
+async function authenticateClient(credentials, metadata = {}) {
+  const basic = parseBasicAuth(credentials.authorization);
+  const clientId = basic ? basic.client_id : credentials.client_id;
+
+  if (credentials.client_assertion && credentials.client_assertion_type !== CLIENT_ASSERTION_TYPE) {
+    throw new ApiError(400, `client_assertion_type must be ${CLIENT_ASSERTION_TYPE}`, null, 'invalid_request');
+  }
+
+  // client_id может быть только в assertion (iss)
+  const assertionClaims = credentials.client_assertion ? jwt.decode(credentials.client_assertion) : null;
+  const resolvedClientId = clientId || (assertionClaims && assertionClaims.iss);
+  if (!resolvedClientId) {
+    throw invalidClient('Client authentication is required');
+  }
+
+  try {
+    const account = await findActiveAccount(resolvedClientId);
+
+    if (credentials.client_assertion) {
+      await verifyClientAssertion(account, credentials.client_assertion);
+    } else {
+      const secret = basic ? basic.client_secret : credentials.client_secret;
+      if (!secret) {
+        throw invalidClient('Client authentication is required');
+      }
+      verifyClientSecret(account, secret);
+    }
+
+    return account;
+  } catch (error) {
+    await logEvent({
+      action: auditActions.OAUTH_CLIENT_AUTH_FAIL,
+      actorType: 'SERVICE',
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { client_id: resolvedClientId, reason: error.message },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Способ аутентификации клиента (token_endpoint_auth_method, RFC 7591)
+ * @param {Object} credentials - { authorization, client_assertion }
+ * @returns {string} - private_key_jwt, client_secret_basic или client_secret_post
+ */
+function clientAuthMethod(credentials) {
+  if (credentials.client_assertion) {
+    return 'private_key_jwt';
+  }
+  return parseBasicAuth(credentials.authorization) ? 'client_secret_basic' : 'client_secret_post';
+}
+
+/**
+ * Client-credentials grant: выдаёт access token сервисному аккаунту
+ * Без scope выдаются все разрешённые аккаунту scopes
+ * @param {Object} account - аутентифицированный сервисный аккаунт
+ * @param {string} scope - запрошенные scopes (через пробел)
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @param {string} authMethod - способ аутентификации клиента (clientAuthMethod), записывается в токен
+ * @returns {Promise<Object>} - { access_token, token_type, expires_in, scope }
+ * @throws {ApiError} - invalid_scope
+ */
+async function clientCredentialsGrant(account, scope, metadata = {}, authMethod = null) {
+  const allowed = new Set(account.scopes || []);
+  const requested = scope ? parseScope(scope) : [...allowed];
+
+  const denied = requested.filter((item) => !allowed.has(item));
+  if (denied.length > 0) {
+    throw new ApiError(400, `Scopes not allowed for this client: ${denied.join(', ')}`, null, 'invalid_scope');
+  }
+
+  const { token, expires_in: expiresIn } = await issueServiceAccessToken(account, account.rpdInstance, requested, {
+    authMethod,
+  });
+  await account.update({ last_used_at: new Date() });
+
+  await logEvent({
+    action: auditActions.OAUTH_TOKEN_ISSUED,
+    actorType: 'SERVICE',
+    actorId: account.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: {
+      client_id: account.client_id,
+      grant_type: GRANT_TYPES.CLIENT_CREDENTIALS,
+      auth_method: authMethod,
+      rpd_instance: account.rpdInstance.code,
+      scope: requested.join(' '),
+    },
+  });
+
+  return {
+    access_token: token,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+    scope: requested.join(' '),
+  };
+}
+
+/**
+ * Ошибка обмена code / refresh token (RFC 6749: invalid_grant)
+ * @param {string} message - описание
+ * @returns {ApiError}
+ */
+function invalidGrant(message) {
+  return new ApiError(400, message, null, 'invalid_grant');
+}
+
+/**
+ * Authorization-code grant: обмен одноразового code (PKCE) на токены RPD frontend
+ * @param {Object} params - { code, redirect_uri, client_id, code_verifier }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { access_token, token_type, expires_in, refresh_token, id_token }
+ * @throws {ApiError} - invalid_request / invalid_grant
+ */
+async function authorizationCodeGrant(params, metadata = {}) {
+  const missing = ['code', 'redirect_uri', 'client_id', 'code_verifier'].filter((name) => !params[name]);
+  if (missing.length > 0) {
+    throw new ApiError(400, `Missing parameters: ${missing.join(', ')}`, null, 'invalid_request');
+  }
+
+  const entry = await authorizationService.consumeAuthorizationCode(params.code);
+
+  let reason = null;
+  if (!entry) {
+    reason = 'Authorization code is invalid, expired or already used';
+  } else if (entry.client_id !== params.client_id || entry.redirect_uri !== params.redirect_uri) {
+    reason = 'Authorization code was issued to another client or redirect_uri';
+  } else if (!authorizationService.verifyCodeChallenge(params.code_verifier, entry.code_challenge)) {
+    reason = 'code_verifier does not match code_challenge';
+  }
+
+  if (reason) {
+    await logEvent({
+      action: auditActions.OAUTH_GRANT_FAIL,
+      actorType: entry ? entry.user_type : null,
+      actorId: entry ? entry.user_id : null,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { client_id: params.client_id, grant_type: GRANT_TYPES.AUTHORIZATION_CODE, reason },
+    });
+    throw invalidGrant(reason);
+  }
+
+  // Instance мог быть отключён (или redirect_uri удалён) после выдачи code
+  const client = await authorizationService.findAuthorizationClient(entry.client_id, entry.redirect_uri).catch(() => {
+    throw invalidGrant('Client is inactive or redirect_uri is no longer registered');
+  });
+
+  let session;
+  try {
+    session = await authService.issueSessionForUser(entry.user_type, entry.user_id, metadata, {
+      grant_type: GRANT_TYPES.AUTHORIZATION_CODE,
+      client_id: entry.client_id,
+      amr: entry.amr,
+    });
+  } catch (error) {
+    if (error instanceof ApiError && error.errorCode === 401) {
+      throw invalidGrant('User is no longer allowed to sign in');
+    }
+    throw error;
+  }
+
+  const response = {
+    access_token: session.access_token,
+    token_type: 'Bearer',
+    expires_in: session.expires_in,
+  };
+  // Нет refresh token, если политика токенов RPD instances запрещает refresh
+  if (session.refresh_token) {
+    response.refresh_token = session.refresh_token;
+  }
+
+  if (entry.scope && parseScope(entry.scope).includes('openid')) {
+    response.id_token = issueIdToken(session.user, entry.user_type, entry.client_id, {
+      nonce: entry.nonce,
+      authTime: entry.auth_time,
+      amr: entry.amr,
+      algorithm: resolveSigningAlgorithm([client]),
+    });
+    response.scope = entry.scope;
+  }
+
+  return response;
+}
+
+/**
+ * Refresh-token grant: ротация refresh token сессии RPD frontend
+ * @param {Object} params - { refresh_token }
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { access_token, token_type, expires_in, refresh_token }
+ * @throws {ApiError} - invalid_request / invalid_grant
+ */
+async function refreshTokenGrant(params, metadata = {}) {
+  if (!params.refresh_token) {
+    throw new ApiError(400, 'Missing parameters: refresh_token', null, 'invalid_request');
+  }
+
+  try {
+    const tokens = await authService.refreshTokens(params.refresh_token, metadata);
+    return {
+      access_token: tokens.access_token,
+      token_type: 'Bearer',
+      expires_in: tokens.expires_in,
+      refresh_token: tokens.refresh_token,
+    };
+  } catch (error) {
+    if (error instanceof ApiError && error.errorCode === 401) {
+      throw invalidGrant(error.errorMsg);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Обрабатывает запрос к token endpoint
+ * @param {Object} params - тело запроса (grant_type, scope, client credentials, code, refresh_token, subject_token)
+ * @param {string} authorization - заголовок Authorization
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - ответ token endpoint
+ * @throws {ApiError} - unsupported_grant_type и ошибки аутентификации/scope/grant
+ */
+async function token(params, authorization, metadata = {}) {
+  switch (params.grant_type) {
+    case GRANT_TYPES.CLIENT_CREDENTIALS: {
+      const credentials = { authorization, ...params };
+      const account = await authenticateClient(credentials, metadata);
+      return clientCredentialsGrant(account, params.scope, metadata, clientAuthMethod(credentials));
+    }
+    case GRANT_TYPES.AUTHORIZATION_CODE:
+      return authorizationCodeGrant(params, metadata);
+    case GRANT_TYPES.REFRESH_TOKEN:
+      return refreshTokenGrant(params, metadata);
+    case GRANT_TYPES.TOKEN_EXCHANGE:
+      return tokenExchangeService.exchangeToken(params, metadata);
+    default:
+      throw new ApiError(400, `Unsupported grant_type: ${params.grant_type}`, null, 'unsupported_grant_type');
+  }
+}
+
+/**
+ * Обрабатывает запрос к introspection endpoint (RFC 7662)
+ * Вызывать может только сервисный аккаунт активного RPD instance
+ * @param {Object} params - тело запроса (token, token_type_hint, client credentials)
+ * @param {string} authorization - заголовок Authorization
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { active, ... }
+ * @throws {ApiError} - invalid_client
+ */
+async function introspect(params, authorization, metadata = {}) {
+  const account = await authenticateClient({ authorization, ...params }, metadata);
+  return introspectionService.introspect(params.token, account);
+}
+
+module.exports = {
+  GRANT_TYPES,
+  CLIENT_ASSERTION_TYPE,
+  ASSERTION_ALGORITHMS,
+  tokenEndpoint,
+  generateClientSecret,
+  authenticateClient,
+  token,
+  introspect,
+};
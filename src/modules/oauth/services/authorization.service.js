@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { RpdInstance } = require('../../../models');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Authorization Code Service (RFC 6749 §4.1 + PKCE, RFC 7636)
+ *
+ * RPD web frontends are public clients: client_id is the RPD instance code and the
+ * redirect_uri must exactly match one of rpd_instances.redirect_uris. PKCE (S256) is mandatory.
+ *
+ * - login request: the validated /oauth/authorize parameters, kept in Redis while the hosted
+ *   login page is shown (OAUTH_LOGIN_REQUEST_TTL_SECONDS)
+ * - authorization code: single-use, OAUTH_CODE_TTL_SECONDS, only its hash is stored in Redis
+ */
+
+const CODE_CHALLENGE_METHOD = 'S256';
+
+/**
+ * SHA-256 в hex (ключи Redis)
+ * @param {string} value - значение
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Находит RPD instance (OAuth client) и проверяет redirect_uri
+ * Ошибки здесь нельзя отправлять на redirect_uri - их показывает страница AuthRPD
+ * @param {string} clientId - код RPD instance
+ * @param {string} redirectUri - redirect_uri из запроса
+ * @returns {Promise<Object>} - RPD instance
+ * @throws {ApiError} - 400 invalid_client / invalid_redirect_uri
+ */
+async function findAuthorizationClient(clientId, redirectUri) {
+  const instance = await RpdInstance.findOne({ where: { code: clientId } });
+  if (!instance || !instance.is_active) {
+    throw new ApiError(400, 'Unknown or inactive client_id', 'client_id', 'invalid_client');
+  }
+  if (!(instance.redirect_uris || []).includes(redirectUri)) {
+    throw new ApiError(400, 'redirect_uri is not registered for this client', 'redirect_uri', 'invalid_redirect_uri');
+  }
+  return instance;
+}
+
+/**
+ * Сохраняет параметры запроса авторизации на время показа страницы входа
+ * @param {Object} request - { client_id, redirect_uri, state, scope, nonce, code_challenge }
+ * @returns {Promise<string>} - идентификатор запроса (поле формы и cookie)
+ */
+async function createLoginRequest(request) {
+  const id = crypto.randomBytes(24).toString('base64url');
+  await redis.set(
+    `oauth:login:${sha256(id)}`,
+    JSON.stringify(request),
+    'EX',
+    config.security.oauth.loginRequestTtlSeconds
+  );
+  return id;
+}
+
+/**
+ * Получает сохранённый запрос авторизации
+ * @param {string} id - идентификатор запроса
+ * @returns {Promise<Object>} - { key, ...request }
+ * @throws {ApiError} - 400 если запрос истёк
+ */
+async function getLoginRequest(id) {
+  const key = `oauth:login:${sha256(id || '')}`;
+  const raw = id ? await redis.get(key) : null;
+  if (!raw) {
+    throw new ApiError(400, 'Login request has expired, please start again from the application', null, 'invalid_request');
+  }
+  return { key, ...JSON.parse(raw) };
+}
+
+/**
+ * Удаляет использованный запрос авторизации
+ * @param {Object} entry - результат getLoginRequest
+ */
+async function deleteLoginRequest(entry) {
+  await redis.del(entry.key);
+}
+
+/**
+ * Выдаёт одноразовый authorization code
+ * @param {Object} request - запрос авторизации (client_id, redirect_uri, scope, nonce, code_challenge)
+ * @param {Object} session - аутентифицированный пользователь { user_type, user_id, auth_time, amr }
+ * @returns {Promise<string>} - code
+ */
+async function createAuthorizationCode(request, session) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await redis.set(
+    `oauth:code:${sha256(code)}`,
+    JSON.stringify({
+      client_id: request.client_id,
+      redirect_uri: request.redirect_uri,
+      scope: request.scope || null,
+      nonce: request.nonce || null,
+      code_challenge: request.code_challenge,
+      user_type: session.user_type,
+      user_id: session.user_id,
+      auth_time: session.auth_time,
+      amr: session.amr,
+    }),
+    'EX',
+    config.security.oauth.authorizationCodeTtlSeconds
+  );
+  return code;
+}
+
+/**
+ * Погашает authorization code (читается и удаляется атомарно - код одноразовый)
+ * @param {string} code - code
+ * @returns {Promise<Object|null>}
+ */
+async function consumeAuthorizationCode(code) {
+  const key = `oauth:code:${sha256(code)}`;
+  const [[, raw]] = await redis.multi().get(key).del(key).exec();
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Проверяет code_verifier (PKCE S256)
+ * @param {string} verifier - code_verifier
+ * @param {string} challenge - code_challenge из запроса авторизации
+ * @returns {boolean}
+ */
+function verifyCodeChallenge(verifier, challenge) {
+  const expected = Buffer.from(challenge);
+  const actual = Buffer.from(crypto.createHash('sha256').update(verifier).digest('base64url'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Формирует URL возврата на redirect_uri
+ * @param {string} redirectUri - зарегистрированный redirect_uri
+ * @param {Object} params - параметры (code, state или error, error_description, state)
+ * @returns {string}
+ */
+function buildRedirectUrl(redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  }
+  return url.toString();
+}
+
+module.exports = {
+  CODE_CHALLENGE_METHOD,
+  findAuthorizationClient,
+  createLoginRequest,
+  getLoginRequest,
+  deleteLoginRequest,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  verifyCodeChallenge,
+  buildRedirectUrl,
+};
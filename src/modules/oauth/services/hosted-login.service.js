@@ -0,0 +1,272 @@
+const authService = require('../../auth/auth.service');
+const mfaService = require('../../auth/services/mfa.service');
+const passwordService = require('../../security/passwords/password.service');
+const verificationService = require('../../auth/services/verification.service');
+const { createSsoSession, getSsoSession, destroySsoSession } = require('../../auth/services/sso.service');
+const { getRpdInstanceByRegion } = require('../../rpd/services/rpd-instance.service');
+const { isUserTypeAllowed } = require('../../security/tokens/token-policy.service');
+const authorizationService = require('./authorization.service');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Hosted Login Service (/oauth/authorize)
+ *
+ * RPD frontends redirect the browser to AuthRPD instead of posting passwords themselves.
+ * The user signs in on the AuthRPD page (password, then TOTP for members with 2FA);
+ * an SSO session is created and the browser is sent back with a single-use code.
+ * With a valid SSO session every RPD frontend of the user's region gets a code immediately.
+ *
+ * States that need more than a password (expired password, 2FA enrollment, contact
+ * verification) are not handled by the hosted page: the user finishes them through the
+ * regular login and comes back.
+ *
+ * /oauth/logout ends the SSO session (RPD frontends should also revoke their own refresh token).
+ *
+ * Each function returns either { redirect } (back to the RPD) or { page } (render the
+ * login page); errors that cannot be sent to redirect_uri are thrown as ApiError.
+ */
+
+const USER_TYPES = ['MEMBER', 'CLIENT'];
+
+/**
+ * Относится ли RPD instance к региону пользователя (SSO действует только в пределах региона)
+ * и принимает ли он токены пользователей этого типа (token_policy.user_types)
+ * @param {Object} user - пользователь (region_id)
+ * @param {string} userType - тип пользователя
+ * @param {Object} instance - RPD instance
+ * @returns {Promise<boolean>}
+ */
+async function isUserRegionInstance(user, userType, instance) {
+  try {
+    const rpdData = await getRpdInstanceByRegion(user.region_id);
+    return (rpdData.instances || []).some((item) => item.id === instance.id && isUserTypeAllowed(item, userType));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Выдаёт code и возвращает браузер на redirect_uri
+ * @param {Object} request - запрос авторизации
+ * @param {Object} session - SSO-сессия { user_type, user_id, auth_time, amr }
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { redirect }
+ */
+async function redirectWithCode(request, session, metadata = {}) {
+  const code = await authorizationService.createAuthorizationCode(request, session);
+
+  await logEvent({
+    action: auditActions.OAUTH_CODE_ISSUED,
+    actorType: session.user_type,
+    actorId: session.user_id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { client_id: request.client_id },
+  });
+
+  return {
+    redirect: authorizationService.buildRedirectUrl(request.redirect_uri, { code, state: request.state }),
+  };
+}
+
+/**
+ * Начало авторизации: проверка параметров, SSO или страница входа
+ * @param {Object} query - параметры /oauth/authorize
+ * @param {string} ssoToken - токен SSO-сессии из cookie
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - { redirect } или { page: 'login', request_id, client_name }
+ * @throws {ApiError} - неизвестный client_id или незарегистрированный redirect_uri
+ */
+async function startAuthorization(query, ssoToken, metadata = {}) {
+  const instance = await authorizationService.findAuthorizationClient(query.client_id, query.redirect_uri);
+
+  const request = {
+    client_id: instance.code,
+    redirect_uri: query.redirect_uri,
+    state: query.state || null,
+    scope: query.scope || null,
+    nonce: query.nonce || null,
+    code_challenge: query.code_challenge,
+  };
+
+  const redirectError = (error, description) => ({
+    redirect: authorizationService.buildRedirectUrl(request.redirect_uri, {
+      error,
+      error_description: description,
+      state: request.state,
+    }),
+  });
+
+  if (query.response_type !== 'code') {
+    return redirectError('unsupported_response_type', 'Only response_type=code is supported');
+  }
+  if (!query.code_challenge || query.code_challenge_method !== authorizationService.CODE_CHALLENGE_METHOD) {
+    return redirectError('invalid_request', 'PKCE is required: code_challenge with code_challenge_method=S256');
+  }
+
+  // Уже выполнен вход в другом RPD региона - code без пароля
+  const session = query.prompt === 'login' ? null : await getSsoSession(ssoToken);
+  if (session) {
+    const user = await authService.findLoginUser(session.user_type, session.user_id);
+    if (user && (await isUserRegionInstance(user, session.user_type, instance))) {
+      return redirectWithCode(request, session, metadata);
+    }
+  }
+
+  if (query.prompt === 'none') {
+    return redirectError('login_required', 'User is not signed in');
+  }
+
+  const requestId = await authorizationService.createLoginRequest(request);
+  return { page: 'login', request_id: requestId, client_name: instance.code };
+}
+
+/**
+ * Завершает вход через hosted login: SSO-сессия, аудит и code
+ * @param {Object} request - запрос авторизации
+ * @param {string} userType - тип пользователя
+ * @param {Object} user - пользователь
+ * @param {Array<string>} amr - методы аутентификации
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { redirect, sso: { token, expires_in } }
+ */
+async function completeLogin(request, userType, user, amr, metadata = {}) {
+  const sso = await createSsoSession(userType, user.id, amr);
+  await authorizationService.deleteLoginRequest(request);
+
+  await logEvent({
+    action: auditActions.SSO_LOGIN,
+    actorType: userType,
+    actorId: user.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { username: user.username, client_id: request.client_id, amr },
+  });
+
+  const session = await getSsoSession(sso.token);
+  const result = await redirectWithCode(request, session, metadata);
+  return { ...result, sso };
+}
+
+/**
+ * Шаг 1 страницы входа: логин и пароль
+ * @param {string} requestId - идентификатор запроса авторизации
+ * @param {Object} credentials - { user_type, username, password }
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { redirect, sso } или { page: 'mfa', request_id, challenge_token }
+ * @throws {ApiError} - неверные данные или состояние, которое hosted login не обрабатывает
+ */
+async function submitPassword(requestId, credentials, metadata = {}) {
+  const request = await authorizationService.getLoginRequest(requestId);
+  const instance = await authorizationService.findAuthorizationClient(request.client_id, request.redirect_uri);
+
+  const userType = USER_TYPES.includes(credentials.user_type) ? credentials.user_type : null;
+  if (!userType || !credentials.username || !credentials.password) {
+    throw new ApiError(400, 'Username and password are required');
+  }
+
+  const user =
+    userType === 'MEMBER'
+      ? await authService.verifyMemberCredentials(credentials.username, credentials.password, metadata)
+      : await authService.verifyClientCredentials(credentials.username, credentials.password, metadata);
+
+  if (!(await isUserRegionInstance(user, userType, instance))) {
+    throw new ApiError(403, 'Your account has no access to this application', null, 'access_denied');
+  }
+  if (passwordService.isPasswordExpired(user)) {
+    throw new ApiError(403, 'Your password has expired, change it in the application first', null, 'PASSWORD_EXPIRED');
+  }
+
+  if (userType === 'MEMBER') {
+    if (!user.totp_enabled && mfaService.isMfaRequired(user)) {
+      throw new ApiError(403, 'Two-factor authentication must be set up in the application first', null, 'MFA_REQUIRED');
+    }
+    if (user.totp_enabled) {
+      const challenge = await mfaService.createChallenge(user.id, mfaService.CHALLENGE_TYPES.VERIFY);
+
+      await logEvent({
+        action: auditActions.MFA_CHALLENGE_ISSUED,
+        actorType: 'MEMBER',
+        actorId: user.id,
+        ip: metadata.ip,
+        userAgent: metadata.userAgent,
+        meta: { username: user.username, challenge_type: challenge.challenge_type, client_id: request.client_id },
+      });
+
+      return { page: 'mfa', request_id: requestId, challenge_token: challenge.challenge_token };
+    }
+  } else if (verificationService.isVerificationRequired(user)) {
+    throw new ApiError(403, 'Confirm your email or phone in the application first', null, 'VERIFICATION_REQUIRED');
+  }
+
+  return completeLogin(request, userType, user, ['pwd'], metadata);
+}
+
+/**
+ * Шаг 2 страницы входа (members с 2FA): код TOTP или recovery-код
+ * @param {string} requestId - идентификатор запроса авторизации
+ * @param {string} challengeToken - challenge из шага 1
+ * @param {string} code - код
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { redirect, sso }
+ */
+async function submitMfa(requestId, challengeToken, code, metadata = {}) {
+  const request = await authorizationService.getLoginRequest(requestId);
+  await authorizationService.findAuthorizationClient(request.client_id, request.redirect_uri);
+
+  if (!challengeToken || !code) {
+    throw new ApiError(400, 'Two-factor code is required');
+  }
+
+  const { member, method } = await authService.verifyMemberChallenge(challengeToken, code, metadata, [
+    mfaService.CHALLENGE_TYPES.VERIFY,
+  ]);
+
+  return completeLogin(request, 'MEMBER', member, ['pwd', method === 'totp' ? 'otp' : 'mfa'], metadata);
+}
+
+/**
+ * Выход из SSO (RP-initiated logout)
+ * Возврат на post_logout_redirect_uri только если он зарегистрирован для client_id
+ * @param {string} ssoToken - токен SSO-сессии из cookie
+ * @param {Object} query - { client_id, post_logout_redirect_uri, state }
+ * @param {Object} metadata - метаданные запроса
+ * @returns {Promise<Object>} - { redirect } или { page: 'logged_out' }
+ */
+async function logout(ssoToken, query = {}, metadata = {}) {
+  const session = await getSsoSession(ssoToken);
+  await destroySsoSession(ssoToken);
+
+  if (session) {
+    await logEvent({
+      action: auditActions.SSO_LOGOUT,
+      actorType: session.user_type,
+      actorId: session.user_id,
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { client_id: query.client_id || null },
+    });
+  }
+
+  if (query.client_id && query.post_logout_redirect_uri) {
+    const registered = await authorizationService
+      .findAuthorizationClient(query.client_id, query.post_logout_redirect_uri)
+      .then(() => true)
+      .catch(() => false);
+    if (registered) {
+      return {
+        redirect: authorizationService.buildRedirectUrl(query.post_logout_redirect_uri, { state: query.state }),
+      };
+    }
+  }
+
+  return { page: 'logged_out' };
+}
+
+module.exports = {
+  startAuthorization,
+  submitPassword,
+  submitMfa,
+  logout,
+};
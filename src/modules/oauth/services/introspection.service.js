@@ -0,0 +1,177 @@
+const { ServiceAccount, RpdInstance } = require('../../../models');
+const { verifyAccessToken } = require('../../security/tokens/token.service');
+const { isAccessTokenRevoked } = require('../../security/tokens/revocation.service');
+const { findRefreshToken } = require('../../security/tokens/refresh.repository');
+const { getRpdInstanceByRegion } = require('../../rpd/services/rpd-instance.service');
+const { isUserTypeAllowed } = require('../../security/tokens/token-policy.service');
+const authService = require('../../auth/auth.service');
+const logger = require('../../../config/logger');
+
+/**
+ * Token Introspection Service (RFC 7662)
+ *
+ * The authoritative online check for RPD instances that cannot verify JWTs locally
+ * or need to know about revocation immediately. The caller is a service account of an
+ * active RPD instance; a token is reported active only if it is meant for that instance:
+ *
+ * - access token: valid signature, not expired, not revoked (jti or sub cut-off), the
+ *   subject still active (member/client not disabled or blocked, service account and
+ *   its RPD instance active) and the caller's audience in `aud`
+ * - refresh token: not revoked or expired, the user still active and the caller among
+ *   the RPD instances of the user's region that accept the user type (token_policy.user_types)
+ *
+ * Anything else is `{ active: false }` without a reason (RFC 7662 §2.2).
+ */
+
+const TOKEN_TYPE_HINTS = {
+  ACCESS_TOKEN: 'access_token',
+  REFRESH_TOKEN: 'refresh_token',
+};
+
+const INACTIVE = Object.freeze({ active: false });
+
+/**
+ * Похоже ли значение на JWT (refresh tokens - непрозрачные строки)
+ * @param {string} token - токен
+ * @returns {boolean}
+ */
+function looksLikeJwt(token) {
+  return token.split('.').length === 3;
+}
+
+/**
+ * Активен ли субъект access token
+ * @param {string} userType - MEMBER, CLIENT или SERVICE
+ * @param {number} userId - ID субъекта
+ * @returns {Promise<boolean>}
+ */
+async function isSubjectActive(userType, userId) {
+  if (userType === 'SERVICE') {
+    const account = await ServiceAccount.findByPk(userId, {
+      include: [{ model: RpdInstance, as: 'rpdInstance', attributes: ['id', 'is_active'] }],
+    });
+    return Boolean(account && account.is_active && account.rpdInstance && account.rpdInstance.is_active);
+  }
+
+  if (userType === 'MEMBER' || userType === 'CLIENT') {
+    return Boolean(await authService.findLoginUser(userType, userId));
+  }
+
+  return false;
+}
+
+/**
+ * Интроспекция access token
+ * @param {string} token - JWT
+ * @param {Object} caller - RPD instance вызывающего сервисного аккаунта
+ * @returns {Promise<Object|null>} - ответ RFC 7662 или null, если токен невалиден
+ */
+async function introspectAccessToken(token, caller) {
+  let payload;
+  try {
+    // aud проверяется ниже - по audience вызывающего instance, а не AuthRPD
+    payload = verifyAccessToken(token, { checkAudience: false });
+  } catch (error) {
+    return null;
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(caller.audience)) {
+    return INACTIVE;
+  }
+  if (await isAccessTokenRevoked(payload)) {
+    return INACTIVE;
+  }
+
+  const [userType, userId] = String(payload.sub).split(':');
+  if (!(await isSubjectActive(userType, parseInt(userId, 10)))) {
+    return INACTIVE;
+  }
+
+  const response = {
+    active: true,
+    token_type: 'Bearer',
+    iss: payload.iss,
+    sub: payload.sub,
+    aud: payload.aud,
+    exp: payload.exp,
+    iat: payload.iat,
+    nbf: payload.nbf,
+    jti: payload.jti,
+    client_id: payload.client_id,
+    scope: payload.scope,
+    act: payload.act,
+    org: payload.org,
+    perm_hash: payload.perm_hash,
+    username: payload.preferred_username,
+    sub_region_id: payload.sub_region_id,
+    data: payload.data,
+  };
+
+  return Object.fromEntries(Object.entries(response).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Интроспекция refresh token
+ * @param {string} token - refresh token
+ * @param {Object} caller - RPD instance вызывающего сервисного аккаунта
+ * @returns {Promise<Object|null>} - ответ RFC 7662 или null, если токен не найден
+ */
+async function introspectRefreshToken(token, caller) {
+  const record = await findRefreshToken(token);
+  if (!record) {
+    return null;
+  }
+
+  const user = await authService.findLoginUser(record.user_type, record.user_id);
+  if (!user) {
+    return INACTIVE;
+  }
+
+  const rpdData = await getRpdInstanceByRegion(user.region_id);
+  const callerInstance = (rpdData.instances || []).find((instance) => instance.id === caller.id);
+  if (!callerInstance || !isUserTypeAllowed(callerInstance, record.user_type)) {
+    return INACTIVE;
+  }
+
+  return {
+    active: true,
+    token_type: TOKEN_TYPE_HINTS.REFRESH_TOKEN,
+    sub: `${record.user_type}:${record.user_id}`,
+    exp: Math.floor(new Date(record.expires_at).getTime() / 1000),
+    iat: Math.floor(new Date(record.created_at).getTime() / 1000),
+    username: user.username,
+    data: {
+      id: user.id,
+      user_type: record.user_type,
+      region_id: rpdData.top_region_id,
+    },
+  };
+}
+
+/**
+ * Интроспекция токена для RPD instance
+ * Тип определяется по формату (access token - JWT, refresh token - hex-строка), поэтому
+ * token_type_hint не требуется; неверная подсказка не мешает (RFC 7662 §2.1)
+ * @param {string} token - токен
+ * @param {Object} account - аутентифицированный сервисный аккаунт (с rpdInstance)
+ * @returns {Promise<Object>} - { active, ... }
+ */
+async function introspect(token, account) {
+  const caller = account.rpdInstance;
+
+  try {
+    const result = looksLikeJwt(token)
+      ? await introspectAccessToken(token, caller)
+      : await introspectRefreshToken(token, caller);
+    return result || INACTIVE;
+  } catch (error) {
+    logger.error('Token introspection error:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  TOKEN_TYPE_HINTS,
+  introspect,
+};
@@ -0,0 +1,100 @@
+const { X509Certificate } = require('crypto');
+const { ServiceAccount, RpdInstance } = require('../../../models');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * mTLS identity сервисных аккаунтов (по мотивам RFC 8705, tls_client_auth с привязкой к thumbprint)
+ *
+ * TLS терминируется на reverse proxy: он проверяет клиентский сертификат по CA и передаёт его
+ * в заголовке MTLS_CLIENT_CERT_HEADER (PEM, URL-encoded - как $ssl_client_escaped_cert в nginx).
+ * Сертификат сопоставляется с сервисным аккаунтом по SHA-256 thumbprint
+ * (service_accounts.tls_client_cert_thumbprint). Proxy обязан удалять этот заголовок из
+ * входящих запросов, иначе клиент может подставить чужой сертификат.
+ */
+
+/**
+ * Ошибка аутентификации по сертификату
+ * @param {string} message - описание
+ * @returns {ApiError}
+ */
+function invalidCertificate(message = 'Client certificate is not valid') {
+  return new ApiError(401, message, null, 'INVALID_CLIENT_CERTIFICATE');
+}
+
+/**
+ * Приводит thumbprint к виду хранения: hex в нижнем регистре без двоеточий
+ * (openssl x509 -fingerprint -sha256 выводит AB:CD:...)
+ * @param {string} thumbprint - SHA-256 thumbprint
+ * @returns {string|null}
+ */
+function normalizeThumbprint(thumbprint) {
+  if (!thumbprint) {
+    return null;
+  }
+  return String(thumbprint).replace(/:/g, '').trim().toLowerCase();
+}
+
+/**
+ * SHA-256 thumbprint сертификата из заголовка proxy
+ * @param {string} headerValue - PEM (URL-encoded или с пробелами вместо переводов строк)
+ * @returns {string} - hex thumbprint
+ * @throws {ApiError} - 401 если сертификат не разбирается или недействителен по датам
+ */
+function certificateThumbprint(headerValue) {
+  let pem;
+  try {
+    pem = decodeURIComponent(headerValue);
+  } catch (error) {
+    throw invalidCertificate();
+  }
+
+  // Некоторые proxy заменяют переводы строк пробелами
+  const match = pem.match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+  if (!match) {
+    throw invalidCertificate();
+  }
+  const body = match[1].replace(/\s+/g, '');
+
+  let certificate;
+  try {
+    certificate = new X509Certificate(`-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`);
+  } catch (error) {
+    throw invalidCertificate();
+  }
+
+  const now = Date.now();
+  if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+    throw invalidCertificate('Client certificate is expired or not yet valid');
+  }
+
+  return normalizeThumbprint(certificate.fingerprint256);
+}
+
+/**
+ * Находит активный сервисный аккаунт по клиентскому сертификату
+ * @param {string} headerValue - заголовок MTLS_CLIENT_CERT_HEADER
+ * @returns {Promise<Object>} - сервисный аккаунт с rpdInstance
+ * @throws {ApiError} - 401 неизвестный сертификат, 403 аккаунт или instance неактивны
+ */
+async function authenticateClientCertificate(headerValue) {
+  const thumbprint = certificateThumbprint(headerValue);
+
+  const account = await ServiceAccount.findOne({
+    where: { tls_client_cert_thumbprint: thumbprint },
+    include: [{ model: RpdInstance, as: 'rpdInstance' }],
+  });
+  if (!account) {
+    throw invalidCertificate('Client certificate is not registered');
+  }
+  if (!account.is_active || !account.rpdInstance || !account.rpdInstance.is_active) {
+    throw new ApiError(403, 'Service account or its RPD instance is inactive', null, 'RPD_INSTANCE_INACTIVE');
+  }
+
+  return account;
+}
+
+module.exports = {
+  normalizeThumbprint,
+  certificateThumbprint,
+  authenticateClientCertificate,
+};
@@ -0,0 +1,82 @@
+const { Op } = require('sequelize');
+const { Permission } = require('../../../models');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * OAuth Scope Service
+ *
+ * OAuth scopes are permission names in OAuth notation:
+ * CATALOG_READ <-> catalog:read, PAYMENT_REQUEST_CREATE <-> payment:request:create.
+ * require_permissions checks SERVICE tokens against the permissions derived from their scope claim.
+ */
+
+/**
+ * Преобразует имя permission в scope
+ * @param {string} permission - например CATALOG_READ
+ * @returns {string} - например catalog:read
+ */
+function permissionToScope(permission) {
+  return permission.toLowerCase().replace(/_/g, ':');
+}
+
+/**
+ * Преобразует scope в имя permission
+ * @param {string} scope - например catalog:read
+ * @returns {string} - например CATALOG_READ
+ */
+function scopeToPermission(scope) {
+  return scope.toUpperCase().replace(/:/g, '_');
+}
+
+/**
+ * Разбирает строку scope (через пробел) в массив без повторов
+ * @param {string|Array<string>} scope - строка или массив scopes
+ * @returns {Array<string>}
+ */
+function parseScope(scope) {
+  const list = Array.isArray(scope) ? scope : String(scope || '').split(' ');
+  return [...new Set(list.map((item) => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Permissions из claim scope токена
+ * @param {string} scope - claim scope
+ * @returns {Array<string>}
+ */
+function scopesToPermissions(scope) {
+  return parseScope(scope).map(scopeToPermission);
+}
+
+/**
+ * Проверяет, что каждому scope соответствует активный permission
+ * @param {Array<string>} scopes - список scopes
+ * @returns {Promise<Array<string>>} - нормализованный список
+ * @throws {ApiError} - 400 если найден неизвестный scope
+ */
+async function assertKnownScopes(scopes) {
+  const normalized = parseScope(scopes);
+  if (normalized.length === 0) {
+    return normalized;
+  }
+
+  const permissions = await Permission.findAll({
+    where: { name: { [Op.in]: normalized.map(scopeToPermission) }, is_active: true },
+    attributes: ['name'],
+  });
+  const known = new Set(permissions.map((permission) => permissionToScope(permission.name)));
+
+  const unknown = normalized.filter((scope) => !known.has(scope));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown scopes: ${unknown.join(', ')}`, 'scopes');
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  permissionToScope,
+  scopeToPermission,
+  parseScope,
+  scopesToPermissions,
+  assertKnownScopes,
+};
@@ -0,0 +1,174 @@
+const { RpdInstance } = require('../../../models');
+const { verifyAccessToken, issueAccessTokenWithPolicy } = require('../../security/tokens/token.service');
+const { isUserTypeAllowed } = require('../../security/tokens/token-policy.service');
+const { isAccessTokenRevoked } = require('../../security/tokens/revocation.service');
+const { get_user_permissions } = require('../../rbac/services/permission.service');
+const { resolveTopRegion } = require('../../catalogs/services/region.service');
+const authService = require('../../auth/auth.service');
+const { logEvent, auditActions } = require('../../audit/audit.service');
+const config = require('../../../config/env');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Token Exchange Service (RFC 8693) - cross-region delegation
+ *
+ * Access tokens are scoped to the RPD instances of the user's top region. A member with
+ * the TOKEN_EXCHANGE permission (e.g. central ministry staff) trades their access token
+ * for a short-lived token of another region:
+ *
+ * - aud: all active RPD instances of the target region (plus the AuthRPD audience)
+ * - data.region_id: the target top region
+ * - act: { sub, region_id } - the member and their home region (RFC 8693 §4.1)
+ * - lifetime TOKEN_EXCHANGE_TTL_SECONDS, no refresh token
+ *
+ * The subject token must be a member's own access token: exchanged tokens cannot be
+ * exchanged again. Every exchange and every refusal is audited.
+ */
+
+const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+const TOKEN_EXCHANGE_PERMISSION = 'TOKEN_EXCHANGE';
+
+/**
+ * Проверяет subject_token (access token участника)
+ * @param {string} subjectToken - access token
+ * @returns {Promise<Object>} - payload
+ * @throws {ApiError} - invalid_grant
+ */
+async function verifySubjectToken(subjectToken) {
+  let payload;
+  try {
+    payload = verifyAccessToken(subjectToken);
+  } catch (error) {
+    throw new ApiError(400, 'subject_token is invalid or expired', null, 'invalid_grant');
+  }
+
+  if (await isAccessTokenRevoked(payload)) {
+    throw new ApiError(400, 'subject_token has been revoked', null, 'invalid_grant');
+  }
+
+  return payload;
+}
+
+/**
+ * Обменивает access token участника на токен RPD другого региона
+ * @param {Object} params - subject_token, subject_token_type, audience, requested_token_type
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
+ * @returns {Promise<Object>} - ответ token endpoint (RFC 8693 §2.2.1)
+ * @throws {ApiError} - invalid_request, invalid_grant, invalid_target, unauthorized_client
+ */
+async function exchangeToken(params, metadata = {}) {
+  const missing = ['subject_token', 'subject_token_type', 'audience'].filter((name) => !params[name]);
+  if (missing.length > 0) {
+    throw new ApiError(400, `Missing parameters: ${missing.join(', ')}`, null, 'invalid_request');
+  }
+  if (params.subject_token_type !== ACCESS_TOKEN_TYPE) {
+    throw new ApiError(400, `subject_token_type must be ${ACCESS_TOKEN_TYPE}`, null, 'invalid_request');
+  }
+  if (params.requested_token_type && params.requested_token_type !== ACCESS_TOKEN_TYPE) {
+    throw new ApiError(400, `Only ${ACCESS_TOKEN_TYPE} can be requested`, null, 'invalid_request');
+  }
+
+  const payload = await verifySubjectToken(params.subject_token);
+  const [userType, userId] = payload.sub.split(':');
+
+  const fail = async (error) => {
+    await logEvent({
+      action: auditActions.OAUTH_GRANT_FAIL,
+      actorType: userType,
+      actorId: parseInt(userId, 10),
+      ip: metadata.ip,
+      userAgent: metadata.userAgent,
+      meta: { grant_type: TOKEN_EXCHANGE_GRANT_TYPE, audience: params.audience, reason: error.errorMsg },
+    });
+    return error;
+  };
+
+  if (userType !== 'MEMBER') {
+    throw await fail(new ApiError(400, 'Only member tokens can be exchanged', null, 'invalid_grant'));
+  }
+  if (payload.act) {
+    throw await fail(new ApiError(400, 'Exchanged tokens cannot be exchanged again', null, 'invalid_grant'));
+  }
+
+  const member = await authService.findLoginUser('MEMBER', parseInt(userId, 10));
+  if (!member) {
+    throw await fail(new ApiError(400, 'Member is no longer allowed to sign in', null, 'invalid_grant'));
+  }
+
+  const permissions = await get_user_permissions(member.id);
+  if (!permissions.includes(TOKEN_EXCHANGE_PERMISSION)) {
+    throw await fail(
+      new ApiError(400, `Permission denied: ${TOKEN_EXCHANGE_PERMISSION} is required`, null, 'unauthorized_client')
+    );
+  }
+
+  const instance = await RpdInstance.findOne({ where: { audience: params.audience, is_active: true } });
+  if (!instance) {
+    throw await fail(
+      new ApiError(400, `Unknown or inactive RPD audience: ${params.audience}`, 'audience', 'invalid_target')
+    );
+  }
+
+  if (!isUserTypeAllowed(instance, 'MEMBER')) {
+    throw await fail(
+      new ApiError(400, `RPD does not accept member tokens: ${params.audience}`, 'audience', 'invalid_target')
+    );
+  }
+
+  const homeRegionId = await resolveTopRegion(member.region_id);
+  if (instance.region_id === homeRegionId) {
+    throw await fail(
+      new ApiError(400, 'The audience belongs to your own region, use your access token', 'audience', 'invalid_target')
+    );
+  }
+
+  const { token: accessToken, expires_in: expiresIn } = await issueAccessTokenWithPolicy(
+    {
+      id: member.id,
+      username: member.username,
+      role_id: member.role_id,
+      region_id: member.region_id,
+      organization_id: member.organization_id,
+      fullname: member.fullname,
+      role: member.role ? member.role.name : null,
+    },
+    'MEMBER',
+    {
+      regionId: instance.region_id,
+      ttlSeconds: config.security.oauth.tokenExchangeTtlSeconds,
+      claims: { act: { sub: payload.sub, region_id: homeRegionId } },
+    }
+  );
+
+  await logEvent({
+    action: auditActions.TOKEN_EXCHANGED,
+    actorType: 'MEMBER',
+    actorId: member.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: {
+      username: member.username,
+      audience: instance.audience,
+      home_region_id: homeRegionId,
+      target_region_id: instance.region_id,
+      subject_jti: payload.jti,
+    },
+  });
+
+  return {
+    access_token: accessToken,
+    issued_token_type: ACCESS_TOKEN_TYPE,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+  };
+}
+
+module.exports = {
+  TOKEN_EXCHANGE_GRANT_TYPE,
+  ACCESS_TOKEN_TYPE,
+  TOKEN_EXCHANGE_PERMISSION,
+  exchangeToken,
+};
@@ -0,0 +1,137 @@
+/**
+ * Hosted login pages (/oauth/authorize)
+ * Plain server-rendered HTML without scripts; every dynamic value is escaped.
+ */
+
+/**
+ * Экранирует значение для HTML
+ * @param {*} value - значение
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Общий каркас страницы
+ * @param {string} title - заголовок
+ * @param {string} body - HTML содержимого
+ * @returns {string}
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} - AuthRPD</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #f3f4f6; margin: 0; }
+main { max-width: 360px; margin: 10vh auto; background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+h1 { font-size: 20px; margin: 0 0 8px; }
+p.client { color: #6b7280; margin: 0 0 24px; }
+label { display: block; margin: 12px 0 4px; font-size: 14px; }
+input, select { width: 100%; box-sizing: border-box; padding: 8px; font-size: 16px; }
+button { width: 100%; margin-top: 20px; padding: 10px; font-size: 16px; background: #1d4ed8; color: #fff; border: 0; border-radius: 4px; }
+.error { background: #fee2e2; color: #991b1b; padding: 8px 12px; border-radius: 4px; margin-bottom: 12px; font-size: 14px; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Блок сообщения об ошибке
+ * @param {string} error - текст ошибки
+ * @returns {string}
+ */
+function errorBlock(error) {
+  return error ? `<div class="error">${escapeHtml(error)}</div>` : '';
+}
+
+/**
+ * Форма логина и пароля
+ * @param {Object} options - { action, request_id, client_name, user_type, username, error }
+ * @returns {string}
+ */
+function renderLoginPage(options) {
+  const userType = options.user_type === 'CLIENT' ? 'CLIENT' : 'MEMBER';
+  return layout(
+    'Sign in',
+    `<h1>Sign in</h1>
+<p class="client">to ${escapeHtml(options.client_name)}</p>
+${errorBlock(options.error)}
+<form method="post" action="${escapeHtml(options.action)}">
+<input type="hidden" name="request_id" value="${escapeHtml(options.request_id)}">
+<input type="hidden" name="step" value="password">
+<label for="user_type">Account type</label>
+<select id="user_type" name="user_type">
+<option value="MEMBER"${userType === 'MEMBER' ? ' selected' : ''}>Staff</option>
+<option value="CLIENT"${userType === 'CLIENT' ? ' selected' : ''}>Client</option>
+</select>
+<label for="username">Username</label>
+<input id="username" name="username" autocomplete="username" value="${escapeHtml(options.username)}" required autofocus>
+<label for="password">Password</label>
+<input id="password" name="password" type="password" autocomplete="current-password" required>
+<button type="submit">Sign in</button>
+</form>`
+  );
+}
+
+/**
+ * Форма кода 2FA
+ * @param {Object} options - { action, request_id, challenge_token, client_name, error }
+ * @returns {string}
+ */
+function renderMfaPage(options) {
+  return layout(
+    'Two-factor authentication',
+    `<h1>Two-factor authentication</h1>
+<p class="client">to ${escapeHtml(options.client_name)}</p>
+${errorBlock(options.error)}
+<form method="post" action="${escapeHtml(options.action)}">
+<input type="hidden" name="request_id" value="${escapeHtml(options.request_id)}">
+<input type="hidden" name="challenge_token" value="${escapeHtml(options.challenge_token)}">
+<input type="hidden" name="step" value="mfa">
+<label for="code">Code from the authenticator app or a recovery code</label>
+<input id="code" name="code" autocomplete="one-time-code" required autofocus>
+<button type="submit">Verify</button>
+</form>`
+  );
+}
+
+/**
+ * Страница с сообщением
+ * @param {string} title - заголовок
+ * @param {string} message - текст
+ * @returns {string}
+ */
+function renderMessagePage(title, message) {
+  return layout(title, `<h1>${escapeHtml(title)}</h1>\n<p>${escapeHtml(message)}</p>`);
+}
+
+/**
+ * Страница ошибки (когда вернуться на redirect_uri нельзя)
+ * @param {string} message - текст ошибки
+ * @returns {string}
+ */
+function renderErrorPage(message) {
+  return layout('Sign-in error', `<h1>Sign-in error</h1>\n${errorBlock(message)}`);
+}
+
+module.exports = {
+  renderLoginPage,
+  renderMfaPage,
+  renderMessagePage,
+  renderErrorPage,
+};
@@ -0,0 +1,45 @@
+const oidcService = require('./oidc.service');
+const ApiError = require('../../helpers/api.error');
+
+async function userinfo(req, res, next) {
+  try {
+    if (!['MEMBER', 'CLIENT'].includes(req.user.type)) {
+      throw new ApiError(403, 'Userinfo is only available for user access tokens', null, 'insufficient_scope');
+    }
+
+    const claims = await oidcService.getUserInfo(req.user.type, req.user.id);
+    res.set('Cache-Control', 'no-store');
+    res.json(claims);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Ошибки /userinfo в формате RFC 6750 (заголовок WWW-Authenticate и { error, error_description }),
+ * как их ожидают OIDC клиентские библиотеки
+ */
+function userinfoErrorHandler(err, req, res, next) {
+  if (!(err instanceof ApiError)) {
+    return next(err);
+  }
+
+  let error = err.errorType;
+  if (err.errorCode === 401) {
+    error = 'invalid_token';
+  } else if (!error) {
+    error = err.errorCode < 500 ? 'invalid_request' : 'server_error';
+  }
+
+  if (err.errorCode === 401 || err.errorCode === 403) {
+    res.set('WWW-Authenticate', `Bearer error="${error}", error_description="${err.errorMsg.replace(/"/g, "'")}"`);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(err.errorCode).json({ error, error_description: err.errorMsg });
+}
+
+module.exports = {
+  userinfo,
+  userinfoErrorHandler,
+};
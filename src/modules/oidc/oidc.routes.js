@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const oidcController = require('./oidc.controller');
+const { authGuard } = require('../../middlewares/auth.guard');
+
+/**
+ * @swagger
+ * /userinfo:
+ *   get:
+ *     tags: [OAuth]
+ *     summary: OpenID Connect userinfo
+ *     description: |
+ *       Returns standard OIDC claims of the user the access token was issued to
+ *       (OpenID Connect Core 1.0 §5.3). POST with the same Bearer token is also accepted.
+ *
+ *       Claims without a value are omitted. `email_verified` / `phone_number_verified`
+ *       are returned for clients only. Service account tokens are rejected with 403.
+ *
+ *       Errors use the RFC 6750 format: `WWW-Authenticate: Bearer error="invalid_token"`
+ *       and `{ error, error_description }`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User claims
+ *         content:
+ *           application/json:
+ *             example:
+ *               sub: "CLIENT:42"
+ *               name: Aman Amanov
+ *               preferred_username: aman
+ *               email: aman@example.com
+ *               email_verified: true
+ *               updated_at: 1704067200
+ *               user_type: CLIENT
+ *               region_id: "11"
+ *               organization_id: "ORG-001"
+ *       401:
+ *         description: invalid_token
+ *       403:
+ *         description: insufficient_scope (not a user token)
+ */
+router.get('/userinfo', authGuard, oidcController.userinfo);
+router.post('/userinfo', authGuard, oidcController.userinfo);
+
+router.use('/userinfo', oidcController.userinfoErrorHandler);
+
+module.exports = router;
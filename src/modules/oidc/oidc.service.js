@@ -0,0 +1,112 @@
+const config = require('../../config/env');
+const { getEnabledAlgorithms } = require('../security/keys/key.manager');
+const { GRANT_TYPES, ASSERTION_ALGORITHMS, tokenEndpoint } = require('../oauth/oauth.service');
+const { CODE_CHALLENGE_METHOD } = require('../oauth/services/authorization.service');
+const { getCurrentUser } = require('../auth/auth.service');
+
+/**
+ * OpenID Connect Service
+ *
+ * - discovery document (/.well-known/openid-configuration, OpenID Connect Discovery 1.0),
+ *   built from config.security so RPD teams do not hard-code issuer, algorithms and endpoints
+ *   (hosted login /oauth/authorize, token, userinfo, logout, JWKS)
+ * - userinfo (/userinfo, OpenID Connect Core 1.0 §5.3): standard claims of the token's user
+ *
+ * Off-the-shelf OIDC libraries compare the discovery `issuer` with the token `iss` and usually
+ * with the URL the document was fetched from, so for them ISSUER should be set to PUBLIC_URL.
+ */
+
+const CLAIMS_SUPPORTED = [
+  'iss',
+  'sub',
+  'aud',
+  'exp',
+  'iat',
+  'nbf',
+  'jti',
+  'auth_time',
+  'nonce',
+  'amr',
+  'name',
+  'preferred_username',
+  'email',
+  'email_verified',
+  'phone_number',
+  'phone_number_verified',
+  'updated_at',
+  'user_type',
+  'role',
+  'region_id',
+  'organization_id',
+];
+
+/**
+ * Discovery document
+ * @returns {Object}
+ */
+function getOpenIdConfiguration() {
+  return {
+    issuer: config.security.issuer,
+    authorization_endpoint: `${config.publicUrl}/oauth/authorize`,
+    token_endpoint: tokenEndpoint(),
+    userinfo_endpoint: `${config.publicUrl}/userinfo`,
+    introspection_endpoint: `${config.publicUrl}/oauth/introspect`,
+    end_session_endpoint: `${config.publicUrl}/oauth/logout`,
+    jwks_uri: `${config.publicUrl}/.well-known/jwks.json`,
+    grant_types_supported: Object.values(GRANT_TYPES),
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    code_challenge_methods_supported: [CODE_CHALLENGE_METHOD],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: getEnabledAlgorithms(),
+    // none - RPD frontends (public clients с PKCE), остальные - сервисные аккаунты
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+    token_endpoint_auth_signing_alg_values_supported: ASSERTION_ALGORITHMS,
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+    scopes_supported: ['openid', 'profile', 'email', 'phone'],
+    claims_supported: CLAIMS_SUPPORTED,
+  };
+}
+
+/**
+ * Переводит дату в секунды Unix (формат updated_at в OIDC)
+ * @param {Date|string|null} date - дата
+ * @returns {number|undefined}
+ */
+function toEpochSeconds(date) {
+  return date ? Math.floor(new Date(date).getTime() / 1000) : undefined;
+}
+
+/**
+ * Claims для /userinfo
+ * Отсутствующие значения не возвращаются (OIDC Core §5.3.2: claim без значения опускается)
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>}
+ */
+async function getUserInfo(userType, userId) {
+  const user = await getCurrentUser(userType, userId);
+
+  const claims = {
+    sub: `${userType}:${user.id}`,
+    name: user.fullname,
+    preferred_username: user.username,
+    email: user.email,
+    // Подтверждение контактов есть только у клиентов
+    email_verified: user.email ? user.email_verified : undefined,
+    phone_number: user.phone,
+    phone_number_verified: user.phone ? user.phone_verified : undefined,
+    updated_at: toEpochSeconds(user.updated_at),
+    user_type: userType,
+    role: user.role,
+    region_id: user.region_id,
+    organization_id: user.organization_id,
+  };
+
+  return Object.fromEntries(Object.entries(claims).filter(([, value]) => value !== undefined && value !== null));
+}
+
+module.exports = {
+  getOpenIdConfiguration,
+  getUserInfo,
+};
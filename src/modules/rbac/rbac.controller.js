@@ -21,7 +21,12 @@ async function createRole(req, res, next) {
 
 async function updateRole(req, res, next) {
   try {
-    const role = await rbacService.updateRole(req.params.id, req.body);
+    const role = await rbacService.updateRole(
+      req.params.id,
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse(role));
   } catch (error) {
     next(error);
@@ -39,7 +44,12 @@ async function getPermissions(req, res, next) {
 
 async function assignPermissions(req, res, next) {
   try {
-    await rbacService.assignPermissionsToRole(req.params.id, req.body.permission_ids);
+    await rbacService.assignPermissionsToRole(
+      req.params.id,
+      req.body.permission_ids,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     res.json(successResponse({ message: 'Permissions assigned successfully' }));
   } catch (error) {
     next(error);
@@ -2,6 +2,7 @@ const { Role, Permission, RolePermission, Member } = require('../../models');
 const { cacheData, invalidateCache } = require('../../helpers/cache.helper');
 const { logEvent, auditActions } = require('../audit/audit.service');
 const ApiError = require('../../helpers/api.error');
+const { revokeRoleSessions } = require('../auth/services/session.service');
 
 /**
  * Инвалидирует кэш разрешений всех пользователей с указанной ролью
@@ -83,11 +84,14 @@ async function createRole(data) {
 
 /**
  * Обновляет роль
+ * Отзывает сессии всех сотрудников с этой ролью (роль зашита в их токены)
  * @param {number} id - ID роли
  * @param {Object} data - данные для обновления
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
  * @returns {Promise<Object>} - обновленная роль
  */
-async function updateRole(id, data) {
+async function updateRole(id, data, actor = {}, metadata = {}) {
   const role = await Role.findByPk(id);
   if (!role) {
     throw new ApiError(404, 'Role not found');
@@ -103,11 +107,17 @@ async function updateRole(id, data) {
   await clearUserPermissionCacheForRole(id);
   await logEvent({
     action: auditActions.ROLE_CHANGED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'ROLE',
     targetId: id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { action: 'updated' },
   });
 
+  await revokeRoleSessions(id, actor, { reason: auditActions.ROLE_CHANGED, metadata });
+
   return role;
 }
 
@@ -123,11 +133,14 @@ async function getAllPermissions() {
 
 /**
  * Назначает права роли
+ * Отзывает сессии всех сотрудников с этой ролью, чтобы новые права вступили в силу сразу
  * @param {number} roleId - ID роли
  * @param {Array<number>} permissionIds - массив ID прав
+ * @param {Object} actor - администратор { type, id }
+ * @param {Object} metadata - метаданные запроса (ip, userAgent)
  * @returns {Promise<void>}
  */
-async function assignPermissionsToRole(roleId, permissionIds) {
+async function assignPermissionsToRole(roleId, permissionIds, actor = {}, metadata = {}) {
   const role = await Role.findByPk(roleId);
   if (!role) {
     throw new ApiError(404, 'Role not found');
@@ -145,10 +158,16 @@ async function assignPermissionsToRole(roleId, permissionIds) {
   await clearUserPermissionCacheForRole(roleId);
   await logEvent({
     action: auditActions.PERMISSION_CHANGED,
+    actorType: actor.type,
+    actorId: actor.id,
     targetType: 'ROLE',
     targetId: roleId,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
     meta: { permissionIds, action: 'assigned' },
   });
+
+  await revokeRoleSessions(roleId, actor, { reason: auditActions.PERMISSION_CHANGED, metadata });
 }
 
 module.exports = {
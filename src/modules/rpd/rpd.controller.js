@@ -0,0 +1,222 @@
+const rpdInstanceService = require('./services/rpd-instance.service');
+const rpdHeartbeatService = require('./services/rpd-heartbeat.service');
+const { successResponse } = require('../../helpers/response.helper');
+const ApiError = require('../../helpers/api.error');
+
+/**
+ * RPD Instances Controller
+ * Thin controller layer - delegates to service
+ */
+
+async function list_rpd_instances(req, res, next) {
+  try {
+    const { page, limit, region_id, is_active } = req.query;
+    const result = await rpdInstanceService.listRpdInstances({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      region_id,
+      is_active,
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_rpd_instance(req, res, next) {
+  try {
+    const result = await rpdInstanceService.getRpdInstanceById(req.params.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function create_rpd_instance(req, res, next) {
+  try {
+    const result = await rpdInstanceService.createRpdInstance(
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.status(201).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_rpd_instance(req, res, next) {
+  try {
+    const result = await rpdInstanceService.updateRpdInstance(
+      req.params.id,
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function activate_rpd_instance(req, res, next) {
+  try {
+    const result = await rpdInstanceService.activateRpdInstance(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function deactivate_rpd_instance(req, res, next) {
+  try {
+    const result = await rpdInstanceService.deactivateRpdInstance(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_redirect_uris(req, res, next) {
+  try {
+    const result = await rpdInstanceService.getRedirectUris(req.params.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_redirect_uris(req, res, next) {
+  try {
+    const result = await rpdInstanceService.updateRedirectUris(
+      req.params.id,
+      req.body.redirect_uris,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_token_permissions(req, res, next) {
+  try {
+    const result = await rpdInstanceService.getTokenPermissions(req.params.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_token_permissions(req, res, next) {
+  try {
+    const result = await rpdInstanceService.updateTokenPermissions(
+      req.params.id,
+      req.body.token_permissions,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_signing_algorithm(req, res, next) {
+  try {
+    const result = await rpdInstanceService.getSigningAlgorithm(req.params.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_signing_algorithm(req, res, next) {
+  try {
+    const result = await rpdInstanceService.updateSigningAlgorithm(
+      req.params.id,
+      req.body.signing_algorithm,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_token_policy(req, res, next) {
+  try {
+    const result = await rpdInstanceService.getTokenPolicy(req.params.id);
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_token_policy(req, res, next) {
+  try {
+    const result = await rpdInstanceService.updateTokenPolicy(
+      req.params.id,
+      req.body.token_policy,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Heartbeat отправляет только RPD backend со своим сервисным аккаунтом
+ */
+async function record_heartbeat(req, res, next) {
+  try {
+    if (req.user.type !== 'SERVICE') {
+      throw new ApiError(403, 'Heartbeats are sent with a service account token', null, 'SERVICE_ACCOUNT_REQUIRED');
+    }
+    const result = await rpdHeartbeatService.recordHeartbeat(req.user.id, req.body, { ip: req.ip });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_sync_status(req, res, next) {
+  try {
+    const { status, is_active } = req.query;
+    const result = await rpdHeartbeatService.getSyncStatus({ status, is_active });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list_rpd_instances,
+  get_rpd_instance,
+  create_rpd_instance,
+  update_rpd_instance,
+  activate_rpd_instance,
+  deactivate_rpd_instance,
+  get_redirect_uris,
+  update_redirect_uris,
+  get_token_permissions,
+  update_token_permissions,
+  get_signing_algorithm,
+  update_signing_algorithm,
+  get_token_policy,
+  update_token_policy,
+  record_heartbeat,
+  get_sync_status,
+};
@@ -0,0 +1,536 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const rpdController = require('./rpd.controller');
+const { authGuard } = require('../../middlewares/auth.guard');
+const { validate_id_param, validate_query, paginationValidator } = require('../../helpers/validators');
+const require_permissions = require('../../middlewares/require_permissions');
+const schemaValidator = require('../../middlewares/schema.validator');
+const {
+  createRpdInstanceSchema,
+  updateRpdInstanceSchema,
+  redirectUrisSchema,
+  tokenPermissionsSchema,
+  signingAlgorithmSchema,
+  tokenPolicySchema,
+  heartbeatSchema,
+} = require('./rpd.schemas');
+
+/**
+ * RPD instances admin routes
+ * Protected by SECURITY_READ / SECURITY_MANAGE permissions
+ */
+
+const listQueryValidator = paginationValidator.keys({
+  region_id: Joi.string().trim().max(50).optional(),
+  is_active: Joi.boolean().optional(),
+});
+
+const syncStatusQueryValidator = Joi.object({
+  status: Joi.string().valid('OK', 'LAGGING', 'SILENT', 'NEVER_REPORTED').optional(),
+  is_active: Joi.boolean().default(true),
+});
+
+/**
+ * @swagger
+ * /admin/rpd-instances:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: List RPD instances
+ *     description: Active and inactive instances. Only active ones are added to the `aud` of issued tokens.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *       - in: query
+ *         name: region_id
+ *         schema: { type: string }
+ *         description: Top region code
+ *       - in: query
+ *         name: is_active
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: RPD instances list
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 items:
+ *                   - id: 2
+ *                     code: rpd_ahal
+ *                     region_id: '11'
+ *                     audience: rpd:ahal
+ *                     is_active: true
+ *                     signing_algorithm: null
+ *                     region: { code: '11', title_tm: Ahal, title_ru: Ахал }
+ *                 pagination: { page: 1, limit: 20, total: 1, pages: 1 }
+ *   post:
+ *     tags: [RPD Instances]
+ *     summary: Create RPD instance
+ *     description: |
+ *       Onboards a regional RPD. `region_id` must be a top region; a region may have several
+ *       instances (multi-audience tokens). `code` is the client_id for the hosted login and can't
+ *       be changed later. Cached region lookups (the region and its sub-regions) are invalidated,
+ *       so tokens issued afterwards include the audience. Audited as `RPD_INSTANCE_CREATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, region_id, audience]
+ *             properties:
+ *               code: { type: string, example: rpd_ahal }
+ *               region_id: { type: string, example: '11' }
+ *               audience: { type: string, example: 'rpd:ahal' }
+ *               is_active: { type: boolean, default: true }
+ *     responses:
+ *       201: { description: RPD instance created }
+ *       400: { description: Region is a sub-region }
+ *       404: { description: Region not found }
+ *       409: { description: Code or audience already used }
+ */
+router.get('/admin/rpd-instances', authGuard, require_permissions('SECURITY_READ'), validate_query(listQueryValidator), rpdController.list_rpd_instances);
+router.post('/admin/rpd-instances', authGuard, require_permissions('SECURITY_MANAGE'), schemaValidator(createRpdInstanceSchema), rpdController.create_rpd_instance);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/sync-status:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Heartbeat and catalog sync status of RPD instances
+ *     description: |
+ *       Last heartbeat of each instance compared with `catalog_versions`:
+ *       - `NEVER_REPORTED` - the instance has never sent a heartbeat
+ *       - `SILENT` - no heartbeat for RPD_HEARTBEAT_STALE_SECONDS
+ *       - `LAGGING` - a reported catalog is behind its current version for longer than
+ *         RPD_SYNC_LAG_GRACE_SECONDS (`lagging_catalogs`); catalogs the instance doesn't report are not compared
+ *       - `OK`
+ *
+ *       `summary` counts all instances regardless of the `status` filter.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [OK, LAGGING, SILENT, NEVER_REPORTED] }
+ *       - in: query
+ *         name: is_active
+ *         schema: { type: boolean, default: true }
+ *     responses:
+ *       200:
+ *         description: Sync status
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 checked_at: '2025-03-01T10:00:00.000Z'
+ *                 stale_after_seconds: 900
+ *                 lag_grace_seconds: 3600
+ *                 summary: { OK: 1, LAGGING: 1, SILENT: 0, NEVER_REPORTED: 0 }
+ *                 items:
+ *                   - id: 2
+ *                     code: rpd_ahal
+ *                     status: LAGGING
+ *                     last_heartbeat_at: '2025-03-01T09:58:00.000Z'
+ *                     silent_seconds: 120
+ *                     software_version: '2.4.1'
+ *                     error_count: 3
+ *                     lagging_catalogs:
+ *                       - { catalog_name: banks, version: 14, current_version: 16, synced_at: '2025-02-28T18:00:00.000Z', error_count: 3 }
+ */
+router.get('/admin/rpd-instances/sync-status', authGuard, require_permissions('SECURITY_READ'), validate_query(syncStatusQueryValidator), rpdController.get_sync_status);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Get RPD instance
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: RPD instance }
+ *       404: { description: RPD instance not found }
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Update RPD instance (audience, region)
+ *     description: |
+ *       Renames the audience or moves the instance to another top region. Tokens issued before an
+ *       audience rename keep the old `aud` until they expire - configure the RPD to accept both
+ *       audiences during the switch. Audited as `RPD_INSTANCE_UPDATED` with the previous values.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               audience: { type: string, example: 'rpd:ahal:primary' }
+ *               region_id: { type: string, example: '11' }
+ *     responses:
+ *       200: { description: RPD instance updated }
+ *       400: { description: Region is a sub-region }
+ *       404: { description: RPD instance or region not found }
+ *       409: { description: Audience already used }
+ */
+router.get('/admin/rpd-instances/:id', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), rpdController.get_rpd_instance);
+router.put('/admin/rpd-instances/:id', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(updateRpdInstanceSchema), rpdController.update_rpd_instance);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}/activate:
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Activate RPD instance
+ *     description: Tokens issued afterwards for the region include the audience. Audited as `RPD_INSTANCE_ACTIVATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: RPD instance activated }
+ *       404: { description: RPD instance not found }
+ * /admin/rpd-instances/{id}/deactivate:
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Deactivate RPD instance
+ *     description: |
+ *       The audience is left out of tokens issued afterwards; service accounts of the instance can
+ *       no longer obtain tokens. Members of a region without active instances can't log in.
+ *       Audited as `RPD_INSTANCE_DEACTIVATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: RPD instance deactivated }
+ *       404: { description: RPD instance not found }
+ */
+router.put('/admin/rpd-instances/:id/activate', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), rpdController.activate_rpd_instance);
+router.put('/admin/rpd-instances/:id/deactivate', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), rpdController.deactivate_rpd_instance);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}/redirect-uris:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Get registered redirect URIs
+ *     description: Redirect URIs of the RPD frontend for the hosted login (`/oauth/authorize`, client_id = instance code).
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Redirect URIs
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 id: 2
+ *                 code: rpd_ahal
+ *                 redirect_uris: ['https://rpd-ahal.example.gov.tm/auth/callback']
+ *       404: { description: RPD instance not found }
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Replace registered redirect URIs
+ *     description: |
+ *       Replaces the list. `redirect_uri` in `/oauth/authorize` and `post_logout_redirect_uri`
+ *       in `/oauth/logout` must match one of them exactly.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [redirect_uris]
+ *             properties:
+ *               redirect_uris:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ['https://rpd-ahal.example.gov.tm/auth/callback']
+ *     responses:
+ *       200: { description: Redirect URIs updated }
+ *       404: { description: RPD instance not found }
+ */
+router.get('/admin/rpd-instances/:id/redirect-uris', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), rpdController.get_redirect_uris);
+router.put('/admin/rpd-instances/:id/redirect-uris', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(redirectUrisSchema), rpdController.update_redirect_uris);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}/token-permissions:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Get permissions embedded into access tokens
+ *     description: |
+ *       `null` - embedding is disabled (default). Otherwise member tokens carry a `scope` claim with
+ *       the member's role permissions filtered to this list (OAuth notation, `CATALOG_READ` = `catalog:read`)
+ *       and a `perm_hash`; client tokens carry an `org` claim and a `perm_hash`.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Token permissions
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 id: 2
+ *                 code: rpd_ahal
+ *                 token_permissions: ['DEPT_REQUEST_READ', 'DEPT_REQUEST_DECIDE', 'REPORT_READ']
+ *       404: { description: RPD instance not found }
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Set permissions embedded into access tokens
+ *     description: |
+ *       Replaces the allowlist (`null` disables embedding). Applies to tokens issued afterwards.
+ *       If a member has more matching permissions than TOKEN_PERMISSIONS_MAX_SCOPES, `scope` is
+ *       left out and only `perm_hash` is sent - the RPD then loads permissions itself.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token_permissions]
+ *             properties:
+ *               token_permissions:
+ *                 type: array
+ *                 nullable: true
+ *                 items: { type: string }
+ *                 example: ['DEPT_REQUEST_READ', 'DEPT_REQUEST_DECIDE']
+ *     responses:
+ *       200: { description: Token permissions updated }
+ *       400: { description: Unknown permission }
+ *       404: { description: RPD instance not found }
+ */
+router.get('/admin/rpd-instances/:id/token-permissions', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), rpdController.get_token_permissions);
+router.put('/admin/rpd-instances/:id/token-permissions', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(tokenPermissionsSchema), rpdController.update_token_permissions);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}/signing-algorithm:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Get the signing algorithm of access tokens
+ *     description: |
+ *       `signing_algorithm: null` - the default algorithm (first of SIGNING_ALGORITHMS).
+ *       `effective_algorithm` is the one used now.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Signing algorithm
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 id: 2
+ *                 code: rpd_ahal
+ *                 signing_algorithm: EdDSA
+ *                 effective_algorithm: EdDSA
+ *                 enabled_algorithms: [ES256, EdDSA]
+ *       404: { description: RPD instance not found }
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Set the signing algorithm of access tokens
+ *     description: |
+ *       Access, service and ID tokens issued afterwards for this instance are signed with a key of
+ *       the algorithm; its keys are already in JWKS, so the RPD must accept the `alg` of each JWKS key.
+ *       Tokens shared with instances of the same region that chose another algorithm (multi-audience)
+ *       fall back to the default algorithm. `null` resets to the default. Audited as `RPD_SIGNING_ALGORITHM_UPDATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [signing_algorithm]
+ *             properties:
+ *               signing_algorithm:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [ES256, ES384, EdDSA]
+ *     responses:
+ *       200: { description: Signing algorithm updated }
+ *       400: { description: Algorithm is not enabled in SIGNING_ALGORITHMS }
+ *       404: { description: RPD instance not found }
+ */
+router.get('/admin/rpd-instances/:id/signing-algorithm', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), rpdController.get_signing_algorithm);
+router.put('/admin/rpd-instances/:id/signing-algorithm', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(signingAlgorithmSchema), rpdController.update_signing_algorithm);
+
+/**
+ * @swagger
+ * /admin/rpd-instances/{id}/token-policy:
+ *   get:
+ *     tags: [RPD Instances]
+ *     summary: Get the token policy
+ *     description: |
+ *       `token_policy: null` - defaults. `effective_policy` shows the policy with defaults filled in.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Token policy
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 id: 2
+ *                 code: rpd_ahal
+ *                 token_policy: { access_ttl_seconds: 300, refresh_allowed: false, user_types: [MEMBER] }
+ *                 effective_policy:
+ *                   access_ttl_seconds: 300
+ *                   refresh_allowed: false
+ *                   user_types: [MEMBER]
+ *                   claims: [permissions, organization]
+ *       404: { description: RPD instance not found }
+ *   put:
+ *     tags: [RPD Instances]
+ *     summary: Set the token policy
+ *     description: |
+ *       Applies to access tokens of members and clients issued afterwards (service account tokens
+ *       are not affected):
+ *       - `access_ttl_seconds` - token lifetime (`null` - ACCESS_TTL_SECONDS); impersonation and
+ *         token exchange lifetimes are capped by it
+ *       - `refresh_allowed` - without it logins return no refresh token and existing refresh
+ *         tokens are rejected (`REFRESH_NOT_ALLOWED`)
+ *       - `user_types` - `MEMBER`, `CLIENT`: the audience is left out of tokens of other user types;
+ *         if no instance of the region accepts a user type, its logins fail with `USER_TYPE_NOT_ALLOWED`
+ *       - `claims` - `permissions` (`scope`/`perm_hash`, see token-permissions), `organization`
+ *         (`data.organization_id`, client `org`), `ministry` (`data.ministry_id` of clients)
+ *
+ *       A token shared by several instances of a region gets the strictest policy: the shortest TTL,
+ *       refresh only if all allow it, only the claims all allow. `null` resets to the defaults.
+ *       Audited as `RPD_TOKEN_POLICY_UPDATED`.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token_policy]
+ *             properties:
+ *               token_policy:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   access_ttl_seconds: { type: integer, nullable: true, minimum: 60, maximum: 86400 }
+ *                   refresh_allowed: { type: boolean, default: true }
+ *                   user_types: { type: array, items: { type: string, enum: [MEMBER, CLIENT] } }
+ *                   claims: { type: array, items: { type: string, enum: [permissions, organization, ministry] } }
+ *     responses:
+ *       200: { description: Token policy updated }
+ *       404: { description: RPD instance not found }
+ */
+router.get('/admin/rpd-instances/:id/token-policy', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), rpdController.get_token_policy);
+router.put('/admin/rpd-instances/:id/token-policy', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(tokenPolicySchema), rpdController.update_token_policy);
+
+/**
+ * @swagger
+ * /rpd/heartbeat:
+ *   post:
+ *     tags: [RPD Instances]
+ *     summary: Report RPD instance heartbeat
+ *     description: |
+ *       Sent periodically by an RPD backend with its service account token (client credentials);
+ *       the instance is the one of the service account. `catalogs` holds the last successful sync
+ *       per catalog name (`version` as used with GET /catalogs/{name}) and failed syncs since then.
+ *       The previous report is replaced. Returns the sync status of the instance, including
+ *       `lagging_catalogs`.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [software_version]
+ *             properties:
+ *               software_version: { type: string, example: '2.4.1' }
+ *               catalogs:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: object
+ *                   required: [version]
+ *                   properties:
+ *                     version: { type: integer, minimum: 0 }
+ *                     synced_at: { type: string, format: date-time, nullable: true }
+ *                     error_count: { type: integer, minimum: 0, default: 0 }
+ *                     last_error: { type: string, nullable: true, maxLength: 500 }
+ *           example:
+ *             software_version: '2.4.1'
+ *             catalogs:
+ *               banks: { version: 16, synced_at: '2025-03-01T09:55:00.000Z', error_count: 0 }
+ *               organizations: { version: 41, synced_at: '2025-03-01T06:00:00.000Z', error_count: 2, last_error: 'ETIMEDOUT' }
+ *     responses:
+ *       200: { description: Heartbeat stored, sync status of the instance }
+ *       403: { description: Not a service account token (SERVICE_ACCOUNT_REQUIRED), or the account or instance is inactive (RPD_INSTANCE_INACTIVE) }
+ */
+router.post('/rpd/heartbeat', authGuard, schemaValidator(heartbeatSchema), rpdController.record_heartbeat);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const Joi = require('joi');
+
+/**
+ * RPD Instances Schema Validators
+ * Validates request bodies for RPD instance management endpoints
+ */
+
+const codeRule = Joi.string()
+  .trim()
+  .pattern(/^[a-z0-9_]+$/)
+  .max(100)
+  .messages({
+    'string.pattern.base': 'Code contains only lowercase letters, digits and underscores (e.g. "rpd_ahal")',
+  });
+
+const audienceRule = Joi.string()
+  .trim()
+  .pattern(/^[a-z0-9][a-z0-9:._-]*$/)
+  .max(255)
+  .messages({
+    'string.pattern.base': 'Audience contains only lowercase letters, digits and ":._-" (e.g. "rpd:ahal")',
+  });
+
+const regionIdRule = Joi.string().trim().max(50);
+
+/**
+ * Create RPD Instance Schema
+ * region_id must be a top region (checked by the service)
+ */
+const createRpdInstanceSchema = Joi.object({
+  code: codeRule.required().messages({ 'any.required': 'code is required' }),
+  region_id: regionIdRule.required().messages({ 'any.required': 'region_id is required' }),
+  audience: audienceRule.required().messages({ 'any.required': 'audience is required' }),
+  is_active: Joi.boolean().optional(),
+});
+
+/**
+ * Update RPD Instance Schema
+ * The code is immutable; activation has its own endpoints
+ */
+const updateRpdInstanceSchema = Joi.object({
+  region_id: regionIdRule.optional(),
+  audience: audienceRule.optional(),
+}).min(1);
+
+/**
+ * Redirect URIs Schema
+ * Absolute http(s) URIs without a fragment, compared by exact match in /oauth/authorize
+ */
+const redirectUrisSchema = Joi.object({
+  redirect_uris: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .uri({ scheme: ['https', 'http'] })
+        .pattern(/^[^#]*$/)
+        .max(2000)
+        .messages({
+          'string.uri': 'Redirect URI must be an absolute http(s) URI',
+          'string.uriCustomScheme': 'Redirect URI must be an absolute http(s) URI',
+          'string.pattern.base': 'Redirect URI must not contain a fragment',
+        })
+    )
+    .unique()
+    .max(20)
+    .required()
+    .messages({
+      'array.base': 'redirect_uris must be an array',
+      'array.unique': 'Redirect URIs must be unique',
+      'any.required': 'redirect_uris is required',
+    }),
+});
+
+/**
+ * Token Permissions Schema
+ * Permission names embedded into access tokens for the instance; null disables embedding
+ */
+const tokenPermissionsSchema = Joi.object({
+  token_permissions: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z0-9_]+$/)
+        .max(100)
+        .messages({
+          'string.pattern.base': 'Permission names contain only letters, digits and underscores',
+        })
+    )
+    .unique()
+    .max(200)
+    .allow(null)
+    .required()
+    .messages({
+      'array.base': 'token_permissions must be an array or null',
+      'array.unique': 'Permissions must be unique',
+      'any.required': 'token_permissions is required',
+    }),
+});
+
+/**
+ * Signing Algorithm Schema
+ * One of SIGNING_ALGORITHMS (checked by the service); null resets to the default algorithm
+ */
+const signingAlgorithmSchema = Joi.object({
+  signing_algorithm: Joi.string()
+    .valid('ES256', 'ES384', 'EdDSA')
+    .allow(null)
+    .required()
+    .messages({
+      'any.only': 'signing_algorithm must be ES256, ES384, EdDSA or null',
+      'any.required': 'signing_algorithm is required',
+    }),
+});
+
+/**
+ * Token Policy Schema
+ * Omitted fields use the defaults (ACCESS_TTL_SECONDS, refresh allowed, both user types,
+ * permissions and organization claims); null resets the whole policy
+ */
+const tokenPolicySchema = Joi.object({
+  token_policy: Joi.object({
+    access_ttl_seconds: Joi.number().integer().min(60).max(86400).allow(null)
+      .messages({
+        'number.min': 'access_ttl_seconds must be at least 60',
+        'number.max': 'access_ttl_seconds must not exceed 86400',
+      }),
+    refresh_allowed: Joi.boolean(),
+    user_types: Joi.array()
+      .items(Joi.string().valid('MEMBER', 'CLIENT'))
+      .unique()
+      .min(1)
+      .messages({
+        'any.only': 'user_types contains only MEMBER and CLIENT',
+        'array.min': 'At least one user type must be allowed',
+      }),
+    claims: Joi.array()
+      .items(Joi.string().valid('permissions', 'organization', 'ministry'))
+      .unique()
+      .messages({
+        'any.only': 'claims contains only permissions, organization and ministry',
+      }),
+  })
+    .allow(null)
+    .required()
+    .messages({
+      'object.base': 'token_policy must be an object or null',
+      'any.required': 'token_policy is required',
+    }),
+});
+
+/**
+ * Heartbeat Schema
+ * Sent by RPD backends with their service account token. catalogs: last successful sync per
+ * catalog name (version as in GET /catalogs/:name) and failed syncs since then
+ */
+const heartbeatSchema = Joi.object({
+  software_version: Joi.string().trim().max(100).required().messages({
+    'any.required': 'software_version is required',
+  }),
+  catalogs: Joi.object()
+    .pattern(
+      Joi.string().pattern(/^[a-z_]+$/).max(100),
+      Joi.object({
+        version: Joi.number().integer().min(0).required(),
+        synced_at: Joi.date().iso().allow(null).default(null),
+        error_count: Joi.number().integer().min(0).default(0),
+        last_error: Joi.string().trim().max(500).allow(null, '').default(null),
+      })
+    )
+    .max(50)
+    .default({})
+    .messages({
+      'object.base': 'catalogs must be an object keyed by catalog name',
+      'object.max': 'catalogs must not contain more than 50 catalogs',
+    }),
+});
+
+module.exports = {
+  createRpdInstanceSchema,
+  updateRpdInstanceSchema,
+  redirectUrisSchema,
+  tokenPermissionsSchema,
+  signingAlgorithmSchema,
+  tokenPolicySchema,
+  heartbeatSchema,
+};
@@ -0,0 +1,180 @@
+const { RpdInstance, ServiceAccount, CatalogVersion } = require('../../../models');
+const config = require('../../../config/env');
+const logger = require('../../../config/logger');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * RPD instance heartbeats and catalog sync status
+ *
+ * RPD backends report periodically with their service account token (POST /rpd/heartbeat):
+ * software version and, per catalog, the version of the last successful sync and the number of
+ * failed syncs since then. The last report is stored in rpd_instances.heartbeat.
+ *
+ * Status of an instance:
+ * - NEVER_REPORTED: no heartbeat yet (RPD not updated or not configured)
+ * - SILENT: no heartbeat for RPD_HEARTBEAT_STALE_SECONDS
+ * - LAGGING: a reported catalog is behind catalog_versions, and the newer version is older than
+ *   RPD_SYNC_LAG_GRACE_SECONDS (catalogs the instance doesn't report are not compared)
+ * - OK
+ */
+
+const SYNC_STATUSES = Object.freeze({
+  OK: 'OK',
+  LAGGING: 'LAGGING',
+  SILENT: 'SILENT',
+  NEVER_REPORTED: 'NEVER_REPORTED',
+});
+
+const INSTANCE_ATTRIBUTES = ['id', 'code', 'region_id', 'audience', 'is_active', 'heartbeat', 'last_heartbeat_at'];
+
+/**
+ * Stores a heartbeat of the RPD instance of a service account.
+ * updatedAt of the instance is not touched - it tracks admin changes.
+ *
+ * @param {number} serviceAccountId - Service account from the access token (sub SERVICE:<id>)
+ * @param {Object} report - { software_version, catalogs: { name: { version, synced_at, error_count, last_error } } }
+ * @param {Object} metadata - Request metadata (ip)
+ * @returns {Promise<Object>} - Sync status of the instance (see formatSyncStatus)
+ * @throws {ApiError} - 403 if the service account or its RPD instance is inactive
+ */
+async function recordHeartbeat(serviceAccountId, report, metadata = {}) {
+  const account = await ServiceAccount.findByPk(serviceAccountId, {
+    include: [{ model: RpdInstance, as: 'rpdInstance', attributes: INSTANCE_ATTRIBUTES }],
+  });
+  if (!account || !account.is_active || !account.rpdInstance || !account.rpdInstance.is_active) {
+    throw new ApiError(403, 'Service account or its RPD instance is inactive', null, 'RPD_INSTANCE_INACTIVE');
+  }
+
+  const instance = account.rpdInstance;
+  const receivedAt = new Date();
+  const heartbeat = {
+    software_version: report.software_version,
+    catalogs: report.catalogs || {},
+    client_id: account.client_id,
+    ip: metadata.ip || null,
+  };
+
+  await instance.update({ heartbeat, last_heartbeat_at: receivedAt }, { silent: true });
+
+  logger.debug('RPD heartbeat received', {
+    rpd_instance: instance.code,
+    client_id: account.client_id,
+    software_version: heartbeat.software_version,
+  });
+
+  return formatSyncStatus(instance, await getCatalogVersions(), receivedAt);
+}
+
+/**
+ * Sync status of RPD instances
+ *
+ * @param {Object} options - { status, is_active }
+ * @param {string} options.status - Only instances with this status (OK, LAGGING, SILENT, NEVER_REPORTED)
+ * @param {boolean} options.is_active - Active or inactive instances (default: active, inactive ones don't report)
+ * @returns {Promise<Object>} - { checked_at, stale_after_seconds, lag_grace_seconds, summary, items }
+ */
+async function getSyncStatus(options = {}) {
+  const { status, is_active = true } = options;
+
+  const now = new Date();
+  const [instances, catalogVersions] = await Promise.all([
+    RpdInstance.findAll({ where: { is_active }, attributes: INSTANCE_ATTRIBUTES, order: [['code', 'ASC']] }),
+    getCatalogVersions(),
+  ]);
+
+  const items = instances.map((instance) => formatSyncStatus(instance, catalogVersions, now));
+  const summary = Object.keys(SYNC_STATUSES).reduce((counts, key) => ({ ...counts, [key]: 0 }), {});
+  items.forEach((item) => {
+    summary[item.status] += 1;
+  });
+
+  return {
+    checked_at: now,
+    stale_after_seconds: config.rpd.heartbeatStaleSeconds,
+    lag_grace_seconds: config.rpd.syncLagGraceSeconds,
+    summary,
+    items: status ? items.filter((item) => item.status === status) : items,
+  };
+}
+
+/**
+ * Current catalog versions
+ * @returns {Promise<Map<string, Object>>} - catalog_name -> { version, updated_at }
+ */
+async function getCatalogVersions() {
+  const rows = await CatalogVersion.findAll({ attributes: ['catalog_name', 'version', 'updated_at'] });
+  return new Map(rows.map((row) => [row.catalog_name, { version: row.version, updated_at: row.updated_at }]));
+}
+
+/**
+ * Catalogs of a heartbeat that are behind catalog_versions for longer than the grace period
+ * @param {Object} catalogs - heartbeat.catalogs
+ * @param {Map<string, Object>} catalogVersions - from getCatalogVersions
+ * @param {Date} now - check time
+ * @returns {Array<Object>} - [{ catalog_name, version, current_version, synced_at, error_count }]
+ */
+function findLaggingCatalogs(catalogs, catalogVersions, now) {
+  const graceMs = config.rpd.syncLagGraceSeconds * 1000;
+
+  return Object.entries(catalogs || {})
+    .filter(([name, reported]) => {
+      const current = catalogVersions.get(name);
+      return (
+        current &&
+        reported.version < current.version &&
+        now.getTime() - new Date(current.updated_at).getTime() > graceMs
+      );
+    })
+    .map(([name, reported]) => ({
+      catalog_name: name,
+      version: reported.version,
+      current_version: catalogVersions.get(name).version,
+      synced_at: reported.synced_at || null,
+      error_count: reported.error_count || 0,
+    }));
+}
+
+/**
+ * Sync status response of an RPD instance
+ * @param {Object} instance - RpdInstance (INSTANCE_ATTRIBUTES)
+ * @param {Map<string, Object>} catalogVersions - from getCatalogVersions
+ * @param {Date} now - check time
+ * @returns {Object}
+ */
+function formatSyncStatus(instance, catalogVersions, now) {
+  const heartbeat = instance.heartbeat || null;
+  const lastHeartbeatAt = instance.last_heartbeat_at ? new Date(instance.last_heartbeat_at) : null;
+  const silentSeconds = lastHeartbeatAt ? Math.floor((now.getTime() - lastHeartbeatAt.getTime()) / 1000) : null;
+  const catalogs = heartbeat ? heartbeat.catalogs || {} : {};
+  const laggingCatalogs = findLaggingCatalogs(catalogs, catalogVersions, now);
+
+  let status = SYNC_STATUSES.OK;
+  if (!lastHeartbeatAt) {
+    status = SYNC_STATUSES.NEVER_REPORTED;
+  } else if (silentSeconds > config.rpd.heartbeatStaleSeconds) {
+    status = SYNC_STATUSES.SILENT;
+  } else if (laggingCatalogs.length > 0) {
+    status = SYNC_STATUSES.LAGGING;
+  }
+
+  return {
+    id: instance.id,
+    code: instance.code,
+    region_id: instance.region_id,
+    audience: instance.audience,
+    is_active: instance.is_active,
+    status,
+    last_heartbeat_at: lastHeartbeatAt,
+    silent_seconds: silentSeconds,
+    software_version: heartbeat ? heartbeat.software_version : null,
+    error_count: Object.values(catalogs).reduce((sum, catalog) => sum + (catalog.error_count || 0), 0),
+    lagging_catalogs: laggingCatalogs,
+    catalogs,
+  };
+}
+
+module.exports = {
+  SYNC_STATUSES,
+  recordHeartbeat,
+  getSyncStatus,
+};
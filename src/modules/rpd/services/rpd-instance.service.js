@@ -1,8 +1,14 @@
-const { RpdInstance, Region } = require('../../../models');
-const { resolveTopRegion } = require('../../catalogs/services/region.service');
+const { RpdInstance, Region, Permission } = require('../../../models');
+const { resolveTopRegion, getSubRegionIds } = require('../../catalogs/services/region.service');
 const { cacheData, invalidateCache } = require('../../../helpers/cache.helper');
+const { logEvent, auditActions } = require('../../audit/audit.service');
 const logger = require('../../../config/logger');
 const ApiError = require('../../../helpers/api.error');
+const { getEnabledAlgorithms, getDefaultAlgorithm } = require('../../security/keys/key.manager');
+const { normalizeTokenPolicy } = require('../../security/tokens/token-policy.service');
+
+const REGION_INCLUDE = { model: Region, as: 'region', attributes: ['code', 'title_tm', 'title_ru'], required: false };
+
 /**
  * Gets all RPD instances for a given region.
  * If the region is a sub-region, resolves to its top parent region first.
@@ -87,6 +93,9 @@ async function getRpdInstanceByRegion(regionId, useCache = true) {
       region_id: rpdInstance.region_id,
       audience: rpdInstance.audience,
       is_active: rpdInstance.is_active,
+      token_permissions: rpdInstance.token_permissions || null,
+      signing_algorithm: rpdInstance.signing_algorithm || null,
+      token_policy: rpdInstance.token_policy || null,
       region: rpdInstance.region ? {
         code: rpdInstance.region.code,
         title_tm: rpdInstance.region.title_tm,
@@ -197,15 +206,70 @@ async function getRpdInstanceByCode(code) {
   };
 }
 
+/**
+ * Lists RPD instances (active and inactive) for the admin API.
+ * 
+ * @param {Object} options - Query options (page, limit, region_id, is_active)
+ * @returns {Promise<Object>} - Paginated RPD instances list
+ */
+async function listRpdInstances(options = {}) {
+  const { page = 1, limit = 20, region_id, is_active } = options;
+  const offset = (page - 1) * limit;
+
+  const where = {};
+  if (region_id) {
+    where.region_id = region_id;
+  }
+  if (is_active !== undefined) {
+    where.is_active = is_active;
+  }
+
+  const { count, rows } = await RpdInstance.findAndCountAll({
+    where,
+    include: [REGION_INCLUDE],
+    limit,
+    offset,
+    order: [['code', 'ASC']],
+  });
+
+  return {
+    items: rows.map(formatRpdInstance),
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+  };
+}
+
+/**
+ * Gets an RPD instance by ID (active or inactive).
+ * 
+ * @param {number} id - RPD instance ID
+ * @returns {Promise<Object>} - RPD instance
+ * @throws {ApiError} - If instance not found
+ */
+async function getRpdInstanceById(id) {
+  const instance = await RpdInstance.findByPk(id, { include: [REGION_INCLUDE] });
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  return formatRpdInstance(instance);
+}
+
 /**
  * Creates a new RPD instance.
  * Validates that region_id is a top region (parent_id IS NULL).
  * 
  * @param {Object} data - RPD instance data { code, region_id, audience, is_active? }
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
  * @returns {Promise<Object>} - Created RPD instance
  * @throws {ApiError} - If validation fails or instance already exists
  */
-async function createRpdInstance(data) {
+async function createRpdInstance(data, actor = {}, metadata = {}) {
   const { code, region_id, audience, is_active = true } = data;
 
   // Validate required fields
@@ -213,33 +277,15 @@ async function createRpdInstance(data) {
     throw new ApiError(400, 'code, region_id, and audience are required');
   }
 
-  // Validate that region is a top region
-  const region = await Region.findOne({
-    where: { code: region_id, is_active: true },
-    attributes: ['code', 'parent_id'],
-  });
-
-  if (!region) {
-    throw new ApiError(404, `Region not found: ${region_id}`);
-  }
-
-  if (region.parent_id) {
-    throw new ApiError(
-      400,
-      `Cannot create RPD instance for sub-region: ${region_id}. Only top regions (without parent_id) can have RPD instances.`
-    );
-  }
+  await assertTopRegion(region_id);
 
   // Check for duplicate code or audience
   const existingByCode = await RpdInstance.findOne({ where: { code } });
   if (existingByCode) {
-    throw new ApiError(409, `RPD instance with code already exists: ${code}`);
+    throw new ApiError(409, `RPD instance with code already exists: ${code}`, 'code');
   }
 
-  const existingByAudience = await RpdInstance.findOne({ where: { audience } });
-  if (existingByAudience) {
-    throw new ApiError(409, `RPD instance with audience already exists: ${audience}`);
-  }
+  await assertAudienceAvailable(audience);
 
   // Note: Multiple RPD instances per region are now allowed for multi-audience support
   // Removed the check that prevented multiple instances for the same region
@@ -252,34 +298,507 @@ async function createRpdInstance(data) {
     is_active,
   });
 
-  // Invalidate cache
-  await invalidateCache('rpd:instances:all:active');
+  await invalidateRpdInstanceCache(region_id);
+
+  await logEvent({
+    action: auditActions.RPD_INSTANCE_CREATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code, region_id, audience, is_active },
+  });
 
   logger.info(`RPD instance created: ${code} for region ${region_id}`);
 
-  return instance;
+  return getRpdInstanceById(instance.id);
+}
+
+/**
+ * Updates the audience and/or region of an RPD instance.
+ * The code is immutable: it is the client_id of the hosted login and the prefix of service account client_ids.
+ * After an audience rename tokens issued earlier still carry the old audience until they expire,
+ * so the RPD should accept both audiences during the switch.
+ * 
+ * @param {number} id - RPD instance ID
+ * @param {Object} data - { audience?, region_id? }
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Updated RPD instance
+ * @throws {ApiError} - If instance not found, region is not a top region or audience is taken
+ */
+async function updateRpdInstance(id, data, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  const changes = {};
+  if (data.audience !== undefined && data.audience !== instance.audience) {
+    await assertAudienceAvailable(data.audience, instance.id);
+    changes.audience = { from: instance.audience, to: data.audience };
+  }
+  if (data.region_id !== undefined && data.region_id !== instance.region_id) {
+    await assertTopRegion(data.region_id);
+    changes.region_id = { from: instance.region_id, to: data.region_id };
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return getRpdInstanceById(instance.id);
+  }
+
+  const previousRegionId = instance.region_id;
+  await instance.update(Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])));
+
+  await invalidateRpdInstanceCache(previousRegionId);
+  if (instance.region_id !== previousRegionId) {
+    await invalidateRpdInstanceCache(instance.region_id);
+  }
+
+  await logEvent({
+    action: auditActions.RPD_INSTANCE_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, changes },
+  });
+
+  logger.info(`RPD instance updated: ${instance.code} (${Object.keys(changes).join(', ')})`);
+
+  return getRpdInstanceById(instance.id);
+}
+
+/**
+ * Activates an RPD instance: its audience is added to tokens issued for the region afterwards.
+ * 
+ * @param {number} id - RPD instance ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Updated RPD instance
+ * @throws {ApiError} - If instance not found
+ */
+async function activateRpdInstance(id, actor = {}, metadata = {}) {
+  return setRpdInstanceActive(id, true, auditActions.RPD_INSTANCE_ACTIVATED, actor, metadata);
+}
+
+/**
+ * Deactivates an RPD instance: its audience is left out of tokens issued afterwards,
+ * its service accounts can no longer obtain tokens and their tokens fail introspection.
+ * If it is the last active instance of the region, logins of the region's members fail until one is activated.
+ * 
+ * @param {number} id - RPD instance ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Updated RPD instance
+ * @throws {ApiError} - If instance not found
+ */
+async function deactivateRpdInstance(id, actor = {}, metadata = {}) {
+  return setRpdInstanceActive(id, false, auditActions.RPD_INSTANCE_DEACTIVATED, actor, metadata);
+}
+
+/**
+ * Sets is_active of an RPD instance, invalidates the region lookups and audits the change
+ * @param {number} id - RPD instance ID
+ * @param {boolean} isActive - New state
+ * @param {string} action - Audit action
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Updated RPD instance
+ */
+async function setRpdInstanceActive(id, isActive, action, actor, metadata) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  if (instance.is_active === isActive) {
+    return getRpdInstanceById(instance.id);
+  }
+
+  await instance.update({ is_active: isActive });
+  await invalidateRpdInstanceCache(instance.region_id);
+
+  await logEvent({
+    action,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, region_id: instance.region_id, audience: instance.audience },
+  });
+
+  logger.info(`RPD instance ${isActive ? 'activated' : 'deactivated'}: ${instance.code}`);
+
+  return getRpdInstanceById(instance.id);
+}
+
+/**
+ * Checks that a region exists, is active and is a top region
+ * @param {string} regionId - Region code
+ * @throws {ApiError} - 404 if not found, 400 for a sub-region
+ */
+async function assertTopRegion(regionId) {
+  const region = await Region.findOne({
+    where: { code: regionId, is_active: true },
+    attributes: ['code', 'parent_id'],
+  });
+
+  if (!region) {
+    throw new ApiError(404, `Region not found: ${regionId}`, 'region_id');
+  }
+
+  if (region.parent_id) {
+    throw new ApiError(
+      400,
+      `Region is a sub-region: ${regionId}. Only top regions (without parent_id) can have RPD instances.`,
+      'region_id'
+    );
+  }
+}
+
+/**
+ * Checks that no other RPD instance uses the audience
+ * @param {string} audience - JWT audience
+ * @param {number} exceptId - ID of the instance being updated
+ * @throws {ApiError} - 409 if the audience is taken
+ */
+async function assertAudienceAvailable(audience, exceptId = null) {
+  const existing = await RpdInstance.findOne({ where: { audience }, attributes: ['id'] });
+  if (existing && existing.id !== exceptId) {
+    throw new ApiError(409, `RPD instance with audience already exists: ${audience}`, 'audience');
+  }
+}
+
+/**
+ * Admin API representation of an RPD instance
+ * @param {Object} instance - RpdInstance with region
+ * @returns {Object}
+ */
+function formatRpdInstance(instance) {
+  return {
+    id: instance.id,
+    code: instance.code,
+    region_id: instance.region_id,
+    audience: instance.audience,
+    is_active: instance.is_active,
+    signing_algorithm: instance.signing_algorithm || null,
+    token_policy: instance.token_policy || null,
+    last_heartbeat_at: instance.last_heartbeat_at || null,
+    region: instance.region ? {
+      code: instance.region.code,
+      title_tm: instance.region.title_tm,
+      title_ru: instance.region.title_ru,
+    } : null,
+    created_at: instance.createdAt,
+    updated_at: instance.updatedAt,
+  };
 }
 
 /**
  * Invalidates the cache for an RPD instance lookup.
  * Call this when RPD instance data changes.
+ * Lookups are cached per requested region, so the keys of all sub-regions
+ * (which resolve to this top region) are invalidated as well.
  * 
- * @param {string} regionId - The region code to invalidate cache for
+ * @param {string} regionId - The top region code to invalidate cache for
  */
 async function invalidateRpdInstanceCache(regionId) {
   if (!regionId) {
     return;
   }
 
-  await invalidateCache(`rpd:instance:region:${regionId}`);
+  let subRegionIds = [];
+  try {
+    subRegionIds = await getSubRegionIds(regionId);
+  } catch (error) {
+    logger.warn(`Failed to load sub-regions of ${regionId} for cache invalidation: ${error.message}`);
+  }
+
+  for (const id of [regionId, ...subRegionIds]) {
+    await invalidateCache(`rpd:instance:region:${id}`);
+  }
   await invalidateCache('rpd:instances:all:active');
 }
 
+/**
+ * Gets the redirect URIs registered for an RPD instance (authorization-code flow).
+ *
+ * @param {number} id - RPD instance ID
+ * @returns {Promise<Object>} - { id, code, redirect_uris }
+ * @throws {ApiError} - If instance not found
+ */
+async function getRedirectUris(id) {
+  const instance = await RpdInstance.findByPk(id, { attributes: ['id', 'code', 'redirect_uris'] });
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  return { id: instance.id, code: instance.code, redirect_uris: instance.redirect_uris || [] };
+}
+
+/**
+ * Replaces the redirect URIs of an RPD instance.
+ * Codes already issued for a removed URI can no longer be exchanged.
+ *
+ * @param {number} id - RPD instance ID
+ * @param {Array<string>} redirectUris - New list of redirect URIs
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { id, code, redirect_uris }
+ * @throws {ApiError} - If instance not found
+ */
+async function updateRedirectUris(id, redirectUris, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  const previous = instance.redirect_uris || [];
+  await instance.update({ redirect_uris: redirectUris });
+
+  await logEvent({
+    action: auditActions.RPD_REDIRECT_URIS_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, previous, redirect_uris: redirectUris },
+  });
+
+  return { id: instance.id, code: instance.code, redirect_uris: redirectUris };
+}
+
+/**
+ * Gets the permissions embedded into access tokens for an RPD instance.
+ *
+ * @param {number} id - RPD instance ID
+ * @returns {Promise<Object>} - { id, code, token_permissions } (null = embedding disabled)
+ * @throws {ApiError} - If instance not found
+ */
+async function getTokenPermissions(id) {
+  const instance = await RpdInstance.findByPk(id, { attributes: ['id', 'code', 'token_permissions'] });
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  return { id: instance.id, code: instance.code, token_permissions: instance.token_permissions || null };
+}
+
+/**
+ * Sets the permission allowlist embedded into access tokens for an RPD instance.
+ * Takes effect for tokens issued after the region cache is invalidated.
+ *
+ * @param {number} id - RPD instance ID
+ * @param {Array<string>|null} permissions - Permission names, or null to disable embedding
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { id, code, token_permissions }
+ * @throws {ApiError} - If instance not found or a permission is unknown
+ */
+async function updateTokenPermissions(id, permissions, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  if (permissions) {
+    const known = await Permission.findAll({ where: { name: permissions, is_active: true }, attributes: ['name'] });
+    const knownNames = new Set(known.map((permission) => permission.name));
+    const unknown = permissions.filter((name) => !knownNames.has(name));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Unknown permissions: ${unknown.join(', ')}`, 'token_permissions');
+    }
+  }
+
+  const previous = instance.token_permissions || null;
+  await instance.update({ token_permissions: permissions });
+  await invalidateRpdInstanceCache(instance.region_id);
+
+  await logEvent({
+    action: auditActions.RPD_TOKEN_PERMISSIONS_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, previous, token_permissions: permissions },
+  });
+
+  return { id: instance.id, code: instance.code, token_permissions: permissions };
+}
+
+/**
+ * Gets the signing algorithm of access tokens for an RPD instance.
+ *
+ * @param {number} id - RPD instance ID
+ * @returns {Promise<Object>} - { id, code, signing_algorithm, effective_algorithm, enabled_algorithms }
+ *   (signing_algorithm null = default algorithm)
+ * @throws {ApiError} - If instance not found
+ */
+async function getSigningAlgorithm(id) {
+  const instance = await RpdInstance.findByPk(id, { attributes: ['id', 'code', 'signing_algorithm'] });
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  return formatSigningAlgorithm(instance);
+}
+
+/**
+ * Sets the signing algorithm of access tokens for an RPD instance.
+ * The RPD must already trust keys of the algorithm from JWKS (all enabled algorithms are published).
+ * If instances of one region choose different algorithms, their shared tokens use the default one.
+ *
+ * @param {number} id - RPD instance ID
+ * @param {string|null} algorithm - One of SIGNING_ALGORITHMS, or null for the default
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { id, code, signing_algorithm, effective_algorithm, enabled_algorithms }
+ * @throws {ApiError} - If instance not found or the algorithm is not enabled
+ */
+async function updateSigningAlgorithm(id, algorithm, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  if (algorithm && !getEnabledAlgorithms().includes(algorithm)) {
+    throw new ApiError(
+      400,
+      `Signing algorithm is not enabled: ${algorithm}. Enabled: ${getEnabledAlgorithms().join(', ')}`,
+      'signing_algorithm'
+    );
+  }
+
+  const previous = instance.signing_algorithm || null;
+  await instance.update({ signing_algorithm: algorithm });
+  await invalidateRpdInstanceCache(instance.region_id);
+
+  await logEvent({
+    action: auditActions.RPD_SIGNING_ALGORITHM_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, previous, signing_algorithm: algorithm },
+  });
+
+  return formatSigningAlgorithm(instance);
+}
+
+/**
+ * Signing algorithm response of an RPD instance
+ * @param {Object} instance - RpdInstance
+ * @returns {Object}
+ */
+function formatSigningAlgorithm(instance) {
+  return {
+    id: instance.id,
+    code: instance.code,
+    signing_algorithm: instance.signing_algorithm || null,
+    effective_algorithm: getEnabledAlgorithms().includes(instance.signing_algorithm)
+      ? instance.signing_algorithm
+      : getDefaultAlgorithm(),
+    enabled_algorithms: getEnabledAlgorithms(),
+  };
+}
+
+/**
+ * Gets the token policy of an RPD instance.
+ *
+ * @param {number} id - RPD instance ID
+ * @returns {Promise<Object>} - { id, code, token_policy, effective_policy } (token_policy null = defaults)
+ * @throws {ApiError} - If instance not found
+ */
+async function getTokenPolicy(id) {
+  const instance = await RpdInstance.findByPk(id, { attributes: ['id', 'code', 'token_policy'] });
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  return formatTokenPolicy(instance);
+}
+
+/**
+ * Replaces the token policy of an RPD instance (TTL, refresh, user types, optional claims).
+ * Applies to tokens issued after the region cache is invalidated; tokens shared with other
+ * instances of the region get the strictest of their policies.
+ *
+ * @param {number} id - RPD instance ID
+ * @param {Object|null} policy - { access_ttl_seconds, refresh_allowed, user_types, claims }, or null for the defaults
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { id, code, token_policy, effective_policy }
+ * @throws {ApiError} - If instance not found
+ */
+async function updateTokenPolicy(id, policy, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found');
+  }
+
+  const previous = instance.token_policy || null;
+  await instance.update({ token_policy: policy });
+  await invalidateRpdInstanceCache(instance.region_id);
+
+  await logEvent({
+    action: auditActions.RPD_TOKEN_POLICY_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'RPD_INSTANCE',
+    targetId: instance.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { code: instance.code, previous, token_policy: policy },
+  });
+
+  return formatTokenPolicy(instance);
+}
+
+/**
+ * Token policy response of an RPD instance
+ * @param {Object} instance - RpdInstance
+ * @returns {Object}
+ */
+function formatTokenPolicy(instance) {
+  return {
+    id: instance.id,
+    code: instance.code,
+    token_policy: instance.token_policy || null,
+    effective_policy: normalizeTokenPolicy(instance.token_policy),
+  };
+}
+
 module.exports = {
   getRpdInstanceByRegion,
   getAllActiveRpdInstances,
   getRpdInstanceByCode,
+  listRpdInstances,
+  getRpdInstanceById,
   createRpdInstance,
+  updateRpdInstance,
+  activateRpdInstance,
+  deactivateRpdInstance,
   invalidateRpdInstanceCache,
+  getRedirectUris,
+  updateRedirectUris,
+  getTokenPermissions,
+  updateTokenPermissions,
+  getSigningAlgorithm,
+  updateSigningAlgorithm,
+  getTokenPolicy,
+  updateTokenPolicy,
 };
 
@@ -0,0 +1,43 @@
+const { generateKeyPairSync } = require('crypto');
+
+/**
+ * Поддерживаемые алгоритмы подписи токенов (JWA) и параметры генерации ключей
+ */
+const SIGNING_ALGORITHMS = {
+  ES256: { type: 'ec', options: { namedCurve: 'prime256v1' } }, // P-256
+  ES384: { type: 'ec', options: { namedCurve: 'secp384r1' } }, // P-384
+  EdDSA: { type: 'ed25519', options: {} }, // Ed25519
+};
+
+/**
+ * Поддерживается ли алгоритм
+ * @param {string} algorithm - JWA алгоритм
+ * @returns {boolean}
+ */
+function isSupportedAlgorithm(algorithm) {
+  return Object.prototype.hasOwnProperty.call(SIGNING_ALGORITHMS, algorithm);
+}
+
+/**
+ * Генерирует ключевую пару для алгоритма
+ * @param {string} algorithm - ES256, ES384 или EdDSA
+ * @returns {Object} - { privateKey, publicKey } в PEM
+ */
+function generateKeyPairFor(algorithm) {
+  if (!isSupportedAlgorithm(algorithm)) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+
+  const { type, options } = SIGNING_ALGORITHMS[algorithm];
+  return generateKeyPairSync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+module.exports = {
+  SIGNING_ALGORITHMS,
+  isSupportedAlgorithm,
+  generateKeyPairFor,
+};
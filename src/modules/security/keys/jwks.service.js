@@ -1,29 +1,29 @@
 const { createPublicKey } = require('crypto');
 const { cacheData } = require('../../../helpers/cache.helper');
-const { getAvailableKids, loadKeyPair, getKid } = require('./key.manager');
-const config = require('../../../config/env');
+const { getPublishedKeys } = require('./key.manager');
 const logger = require('../../../config/logger');
 
 /**
- * Конвертирует PEM в JWK формат для ECDSA (ES256)
+ * Конвертирует PEM в JWK формат: EC (ES256 - P-256, ES384 - P-384) или OKP (EdDSA - Ed25519)
  * @param {string} publicKeyPem - публичный ключ в формате PEM
  * @param {string} kid - идентификатор ключа
+ * @param {string} algorithm - алгоритм ключа (JWA)
  * @returns {Object} - JWK объект
  */
-function pemToJwk(publicKeyPem, kid) {
+function pemToJwk(publicKeyPem, kid, algorithm = 'ES256') {
   try {
     const publicKey = createPublicKey(publicKeyPem);
     const jwk = publicKey.export({ format: 'jwk' });
 
-    // ECDSA (EC) keys use crv, x, y instead of n, e (RSA)
+    // EC keys use crv, x, y; OKP (Ed25519) keys only crv and x
     return {
-      kty: jwk.kty, // 'EC'
+      kty: jwk.kty, // 'EC' or 'OKP'
       use: 'sig',
       kid: kid,
-      crv: jwk.crv, // 'P-256' for ES256
-      x: jwk.x,     // Base64url encoded x coordinate
-      y: jwk.y,     // Base64url encoded y coordinate
-      alg: 'ES256',
+      crv: jwk.crv, // 'P-256', 'P-384' or 'Ed25519'
+      x: jwk.x,     // Base64url encoded x coordinate / public key
+      ...(jwk.y ? { y: jwk.y } : {}), // Base64url encoded y coordinate (EC)
+      alg: algorithm,
     };
   } catch (error) {
     logger.error(`Error converting PEM to JWK for kid ${kid}:`, error);
@@ -33,37 +33,19 @@ function pemToJwk(publicKeyPem, kid) {
 
 /**
  * Генерирует JWKS (JSON Web Key Set)
+ * Публикуются заранее созданные, текущий и заменённые ключи до истечения (плавная ротация);
+ * отозванные и истёкшие ключи не публикуются
  * @returns {Promise<Object>} - JWKS объект
  */
 async function generateJwks() {
   try {
-    const baseDir = config.security.ecKeysDir || config.security.rsaKeysDir;
-    const kids = getAvailableKids(baseDir);
-
-    // Берем текущий месяц и предыдущие 2 месяца для плавной ротации
-    const currentKid = getKid();
-    const currentDate = new Date();
-    const monthsToInclude = [currentKid];
-
-    for (let i = 1; i <= 2; i++) {
-      const prevDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - i, 1);
-      const prevKid = getKid(prevDate);
-      if (kids.includes(prevKid)) {
-        monthsToInclude.push(prevKid);
-      }
-    }
-
     const keys = [];
 
-    for (const kid of monthsToInclude) {
-      if (kids.includes(kid)) {
-        try {
-          const { publicKey } = loadKeyPair(baseDir, kid);
-          const jwk = pemToJwk(publicKey, kid);
-          keys.push(jwk);
-        } catch (error) {
-          logger.warn(`Failed to load key for kid ${kid}:`, error.message);
-        }
+    for (const { kid, algorithm, publicKey } of getPublishedKeys()) {
+      try {
+        keys.push(pemToJwk(publicKey, kid, algorithm));
+      } catch (error) {
+        logger.warn(`Failed to load key for kid ${kid}:`, error.message);
       }
     }
 
@@ -1,110 +1,493 @@
-const fs = require('fs');
 const path = require('path');
-const { generateKeyPairSync } = require('crypto');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
 const logger = require('../../../config/logger');
+const { invalidateCache } = require('../../../helpers/cache.helper');
+const { isSupportedAlgorithm, generateKeyPairFor } = require('./algorithms');
 
 /**
- * Получает kid (key identifier) в формате YYYY-MM
- * @param {Date} date - дата, по умолчанию текущая
- * @returns {string} - kid в формате YYYY-MM
+ * Key Manager - ключи подписи токенов
+ *
+ * Ключи хранятся в key store (KEY_STORE): filesystem, database или memory, см. ./stores.
+ * Все пары загружаются в память процесса при старте (initKeyStore), поэтому подпись и
+ * проверка токенов (getSigningKey, loadKeyPair) не обращаются к хранилищу. После ротации
+ * или отзыва реплика публикует событие в Redis (KEYS_CHANGED_CHANNEL) - остальные реплики
+ * перечитывают ключи. Незнакомый kid также запускает перечитывание (не чаще MISS_RELOAD_INTERVAL_MS)
+ * на случай пропущенного события.
+ *
+ * У каждого алгоритма из SIGNING_ALGORITHMS своя цепочка ключей. Ключ сменяется каждые
+ * KEY_ROTATION_DAYS дней (0 - с началом календарного месяца UTC); следующий ключ создаётся за
+ * KEY_PREPUBLISH_DAYS до смены, заменённый публикуется ещё KEY_OVERLAP_DAYS. kid не привязан
+ * к календарю: <алгоритм>-<not_before UTC>, например es256-20250201T000000Z (старые ключи - YYYY-MM).
+ * kid детерминирован, поэтому реплики, одновременно создающие очередной ключ, не создают два.
+ *
+ * Жизненный цикл ключа:
+ * - pending: создан заранее (not_before в будущем), уже публикуется в JWKS
+ * - active: подписывает токены своего алгоритма (последний по not_before из наступивших)
+ * - retired: заменён новым, публикуется в JWKS до expires_at для проверки выданных токенов
+ * - expired: не публикуется (в том числе ключи алгоритмов, исключённых из SIGNING_ALGORITHMS)
+ * - revoked: отозван вручную - не публикуется, его токены отклоняются
  */
-function getKid(date = new Date()) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  return `${y}-${m}`;
+
+const KEYS_CHANGED_CHANNEL = 'keys:changed';
+const JWKS_CACHE_KEY = 'jwks:json';
+const MISS_RELOAD_INTERVAL_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const KEY_STATUSES = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  RETIRED: 'retired',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+};
+
+let keyStore = null;
+let keyCache = new Map();
+let subscriber = null;
+let lastMissReloadAt = 0;
+
+/**
+ * Алгоритмы подписи из конфигурации (первый - по умолчанию)
+ * @returns {Array<string>}
+ */
+function getEnabledAlgorithms() {
+  return config.security.signingKeys.algorithms;
 }
 
 /**
- * Обеспечивает наличие ключевой пары за текущий месяц
- * @param {string} baseDir - базовая директория для ключей
- * @returns {Object} - информация о ключах
+ * Алгоритм подписи по умолчанию
+ * @returns {string}
  */
-function ensureMonthlyKeyPair(baseDir) {
-  const kid = getKid();
-  const dir = path.join(baseDir, kid);
-  const privPath = path.join(dir, 'private.pem');
-  const pubPath = path.join(dir, 'public.pem');
+function getDefaultAlgorithm() {
+  return getEnabledAlgorithms()[0];
+}
 
-  // Проверяем существование ключей
-  if (fs.existsSync(privPath) && fs.existsSync(pubPath)) {
-    logger.info(`Key pair for ${kid} already exists, skipping generation`);
-    return {
-      kid,
-      privateKeyPath: privPath,
-      publicKeyPath: pubPath,
-      skipped: true,
-    };
+/**
+ * kid ключа: алгоритм и начало подписи (UTC), например es256-20250201T000000Z
+ * @param {string} algorithm - алгоритм
+ * @param {Date} notBefore - начало подписи
+ * @returns {string}
+ */
+function generateKid(algorithm, notBefore) {
+  const timestamp = new Date(notBefore).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${algorithm.toLowerCase()}-${timestamp}`;
+}
+
+/**
+ * Первое число месяца (UTC) со сдвигом
+ * Границы считаются в UTC, как и kid: иначе kid зависел бы от часового пояса реплики
+ * @param {Date} date - дата
+ * @param {number} offset - сдвиг в месяцах
+ * @returns {Date}
+ */
+function getMonthStart(date = new Date(), offset = 0) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+}
+
+/**
+ * Начало суток (UTC)
+ * @param {Date} date - дата
+ * @returns {Date}
+ */
+function getDayStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Создаёт key store по KEY_STORE
+ * @returns {Object} - key store
+ */
+function createKeyStore() {
+  const { driver, encryptionKey } = config.security.keyStore;
+
+  switch (driver) {
+    case 'filesystem': {
+      const { createFilesystemKeyStore } = require('./stores/filesystem.store');
+      return createFilesystemKeyStore(path.resolve(config.security.ecKeysDir || config.security.rsaKeysDir));
+    }
+    case 'database': {
+      const { createDatabaseKeyStore } = require('./stores/database.store');
+      return createDatabaseKeyStore(encryptionKey);
+    }
+    case 'memory': {
+      const { createMemoryKeyStore } = require('./stores/memory.store');
+      return createMemoryKeyStore();
+    }
+    default:
+      throw new Error(`Unknown KEY_STORE: ${driver}`);
   }
+}
+
+/**
+ * Текущий key store (создаётся при первом обращении)
+ * @returns {Object}
+ */
+function getKeyStore() {
+  if (!keyStore) {
+    keyStore = createKeyStore();
+  }
+  return keyStore;
+}
+
+/**
+ * Подменяет key store (тесты: createMemoryKeyStore) и очищает кэш ключей
+ * @param {Object} store - key store
+ */
+function setKeyStore(store) {
+  keyStore = store;
+  keyCache = new Map();
+}
 
-  // Создаем директорию
-  fs.mkdirSync(dir, { recursive: true });
+/**
+ * Перечитывает все ключи из key store в память процесса
+ * (у отозванных ключей загружаются только метаданные)
+ * @returns {Promise<Array<string>>} - загруженные kid
+ */
+async function reloadKeys() {
+  const store = getKeyStore();
+  const keys = await store.listKeys();
+  const pairs = await Promise.all(keys.map((key) => (key.revoked_at ? null : store.getKeyPair(key.kid))));
 
-  // Генерируем ключевую пару ECDSA (ES256 использует P-256 кривую)
-  logger.info(`Generating ECDSA key pair for ${kid}...`);
-  const { privateKey, publicKey } = generateKeyPairSync('ec', {
-    namedCurve: 'prime256v1', // P-256 curve for ES256
-    publicKeyEncoding: { type: 'spki', format: 'pem' },
-    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  const cache = new Map();
+  keys.forEach((key, index) => {
+    if (key.revoked_at || pairs[index]) {
+      cache.set(key.kid, { ...key, ...pairs[index] });
+    }
   });
+  keyCache = cache;
+
+  logger.debug('Signing keys loaded', { store: store.name, kids: [...cache.keys()] });
+  return [...cache.keys()];
+}
+
+/**
+ * Сообщает всем репликам об изменении ключей: сбрасывает JWKS кэш и публикует событие
+ */
+async function notifyKeysChanged() {
+  await invalidateCache(JWKS_CACHE_KEY);
+  try {
+    await redis.publish(KEYS_CHANGED_CHANNEL, JSON.stringify({ at: Date.now() }));
+  } catch (error) {
+    logger.warn('Failed to publish signing keys change:', error.message);
+  }
+}
+
+/**
+ * Загружает ключи и подписывается на события ротации (вызывать при старте сервера)
+ * @returns {Promise<Array<string>>} - загруженные kid
+ */
+async function initKeyStore() {
+  const unsupported = getEnabledAlgorithms().filter((algorithm) => !isSupportedAlgorithm(algorithm));
+  if (getEnabledAlgorithms().length === 0 || unsupported.length > 0) {
+    throw new Error(`Unsupported SIGNING_ALGORITHMS: ${unsupported.join(', ') || '(empty)'}`);
+  }
+
+  const kids = await reloadKeys();
+
+  if (!subscriber) {
+    const reload = () => reloadKeys().catch((error) => logger.error('Failed to reload signing keys:', error));
+
+    subscriber = redis.duplicate();
+    subscriber.on('error', (err) => {
+      logger.warn('Signing keys subscriber error:', err.message);
+    });
+    // После переподключения события могли быть пропущены
+    subscriber.on('ready', reload);
+    // JWKS сбрасывается ещё раз после перечитывания: реплика со старыми ключами
+    // могла успеть закэшировать его между событием и перечитыванием
+    subscriber.on('message', (channel) => {
+      if (channel === KEYS_CHANGED_CHANNEL) {
+        reload().then(() => invalidateCache(JWKS_CACHE_KEY));
+      }
+    });
+    await subscriber.subscribe(KEYS_CHANGED_CHANNEL);
+  }
+
+  logger.info('Key store initialized', { store: getKeyStore().name, kids });
+  return kids;
+}
+
+/**
+ * Закрывает подписку на события ротации (graceful shutdown)
+ */
+function closeKeyStore() {
+  if (subscriber) {
+    subscriber.disconnect();
+    subscriber = null;
+  }
+}
+
+/**
+ * Сортировка ключей: новейшие (по not_before, затем по созданию) первыми
+ */
+function byNewest(a, b) {
+  return new Date(b.not_before) - new Date(a.not_before) || new Date(b.created_at) - new Date(a.created_at);
+}
+
+/**
+ * Действующие (не отозванные) ключи алгоритма
+ * @param {string} algorithm - алгоритм
+ * @returns {Array<Object>} - записи кэша, новейшие первыми
+ */
+function getUsableKeys(algorithm) {
+  return [...keyCache.values()].filter((key) => key.algorithm === algorithm && !key.revoked_at).sort(byNewest);
+}
+
+/**
+ * Ключ, которым сейчас подписываются токены алгоритма
+ * @param {string} algorithm - алгоритм
+ * @param {Date} now - текущее время
+ * @returns {Object|undefined} - запись кэша ключей
+ */
+function findActiveKey(algorithm, now = new Date()) {
+  return getUsableKeys(algorithm).find((key) => new Date(key.not_before) <= now);
+}
+
+/**
+ * Время следующей смены ключа
+ * @param {Object} key - текущий ключ
+ * @returns {Date}
+ */
+function getNextRotation(key) {
+  const { rotationDays } = config.security.signingKeys;
+  const notBefore = new Date(key.not_before);
+  return rotationDays > 0 ? new Date(notBefore.getTime() + rotationDays * DAY_MS) : getMonthStart(notBefore, 1);
+}
+
+/**
+ * Генерирует и сохраняет ключевую пару
+ * @param {string} algorithm - алгоритм
+ * @param {Date} notBefore - начало подписи токенов
+ * @returns {Promise<Object>} - { kid, algorithm, created } (created = false, если kid уже создан другой репликой)
+ */
+async function createKeyPair(algorithm, notBefore) {
+  const kid = generateKid(algorithm, notBefore);
+  if (keyCache.has(kid)) {
+    return { kid, algorithm, created: false };
+  }
+
+  logger.info(`Generating ${algorithm} key pair ${kid}...`);
+  const { privateKey, publicKey } = generateKeyPairFor(algorithm);
+
+  const created = await getKeyStore().saveKeyPair(kid, { algorithm, privateKey, publicKey, notBefore });
+  await reloadKeys();
+
+  if (created) {
+    await notifyKeysChanged();
+    logger.info(`Key pair generated successfully for ${kid}`);
+  } else {
+    logger.info(`Key pair ${kid} was created by another replica`);
+  }
+  return { kid, algorithm, created };
+}
+
+/**
+ * Ключ, который начнёт подписывать после текущего (создаёт его, если ещё нет)
+ * @param {string} algorithm - алгоритм
+ * @returns {Promise<Object>} - { kid, algorithm, created }
+ */
+async function createNextKey(algorithm = getDefaultAlgorithm()) {
+  const now = new Date();
+  const pending = getUsableKeys(algorithm).find((key) => new Date(key.not_before) > now);
+  if (pending) {
+    return { kid: pending.kid, algorithm, created: false };
+  }
+
+  const active = findActiveKey(algorithm, now);
+  return createKeyPair(algorithm, active ? getNextRotation(active) : now);
+}
+
+/**
+ * Обеспечивает ключи всех алгоритмов: действующий ключ и следующий за KEY_PREPUBLISH_DAYS до смены
+ * @returns {Promise<Array<Object>>} - [{ kid, algorithm, created }]
+ */
+async function ensureSigningKeys() {
+  const { rotationDays, prepublishDays } = config.security.signingKeys;
+  const now = new Date();
+  const results = [];
+
+  for (const algorithm of getEnabledAlgorithms()) {
+    const active = findActiveKey(algorithm, now);
+    if (!active) {
+      // Начало суток / месяца, а не текущий момент: реплики, стартующие одновременно, получат один kid
+      const notBefore = rotationDays > 0 ? getDayStart(now) : getMonthStart(now);
+      results.push(await createKeyPair(algorithm, notBefore));
+      continue;
+    }
+
+    const nextRotation = getNextRotation(active);
+    if (now.getTime() >= nextRotation.getTime() - prepublishDays * DAY_MS) {
+      results.push(await createNextKey(algorithm));
+    } else {
+      results.push({ kid: active.kid, algorithm, created: false });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Немедленная ротация: новый ключ подписывает сразу
+ * @param {string} algorithm - алгоритм (по умолчанию основной)
+ * @returns {Promise<string|null>} - kid нового ключа или null, если kid занят другой репликой
+ */
+async function rotateKeyNow(algorithm = getDefaultAlgorithm()) {
+  const { kid, created } = await createKeyPair(algorithm, new Date());
+  return created ? kid : null;
+}
 
-  // Сохраняем ключи с правильными правами доступа
-  fs.writeFileSync(privPath, privateKey, { mode: 0o600 });
-  fs.writeFileSync(pubPath, publicKey, { mode: 0o644 });
+/**
+ * Статус и даты жизненного цикла ключа
+ * @param {Object} key - запись кэша ключей
+ * @param {Date} now - текущее время
+ * @returns {Object} - { status, retired_at, expires_at }
+ */
+function describeKey(key, now = new Date()) {
+  if (key.revoked_at) {
+    return { status: KEY_STATUSES.REVOKED, retired_at: null, expires_at: null };
+  }
+  if (!getEnabledAlgorithms().includes(key.algorithm)) {
+    return { status: KEY_STATUSES.EXPIRED, retired_at: null, expires_at: null };
+  }
 
-  logger.info(`Key pair generated successfully for ${kid}`);
+  // Ключ сменяется первым следующим ключом своего алгоритма
+  const successor = getUsableKeys(key.algorithm)
+    .filter((other) => new Date(other.not_before) > new Date(key.not_before))
+    .pop();
+  const retiredAt = successor ? new Date(successor.not_before) : null;
+  const expiresAt = retiredAt
+    ? new Date(retiredAt.getTime() + config.security.signingKeys.overlapDays * DAY_MS)
+    : null;
+
+  let status;
+  if (new Date(key.not_before) > now) {
+    status = KEY_STATUSES.PENDING;
+  } else if ((findActiveKey(key.algorithm, now) || {}).kid === key.kid) {
+    status = KEY_STATUSES.ACTIVE;
+  } else {
+    status = expiresAt && expiresAt > now ? KEY_STATUSES.RETIRED : KEY_STATUSES.EXPIRED;
+  }
 
-  return {
-    kid,
-    privateKeyPath: privPath,
-    publicKeyPath: pubPath,
-    skipped: false,
-  };
+  return { status, retired_at: retiredAt, expires_at: expiresAt };
+}
+
+/**
+ * Список ключей с жизненным циклом (без ключевого материала)
+ * @returns {Array<Object>} - { kid, algorithm, status, created_at, not_before, retired_at, expires_at, revoked_at },
+ *   новейшие первыми
+ */
+function listKeys() {
+  const now = new Date();
+
+  return [...keyCache.values()].sort(byNewest).map((key) => {
+    const { status, retired_at, expires_at } = describeKey(key, now);
+    return {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      status,
+      created_at: key.created_at,
+      not_before: key.not_before,
+      retired_at,
+      expires_at,
+      revoked_at: key.revoked_at || null,
+    };
+  });
 }
 
 /**
- * Загружает ключевую пару по kid
- * @param {string} baseDir - базовая директория для ключей
+ * Публичные ключи для JWKS: заранее созданные, текущие и заменённые до expires_at
+ * @returns {Array<Object>} - { kid, algorithm, publicKey }
+ */
+function getPublishedKeys() {
+  const published = [KEY_STATUSES.PENDING, KEY_STATUSES.ACTIVE, KEY_STATUSES.RETIRED];
+  return listKeys()
+    .filter((key) => published.includes(key.status))
+    .map((key) => ({ kid: key.kid, algorithm: key.algorithm, publicKey: keyCache.get(key.kid).publicKey }));
+}
+
+/**
+ * Экстренный отзыв ключа. Если отозван ключ подписи - сразу создаётся новый того же алгоритма
  * @param {string} kid - идентификатор ключа
- * @returns {Object} - объект с privateKey и publicKey
+ * @returns {Promise<Object|null>} - { kid, replacement_kid } или null, если ключ не найден
  */
-function loadKeyPair(baseDir, kid) {
-  const dir = path.join(baseDir, kid);
-  const privPath = path.join(dir, 'private.pem');
-  const pubPath = path.join(dir, 'public.pem');
+async function revokeKey(kid) {
+  const key = keyCache.get(kid);
+  const algorithm = key ? key.algorithm : null;
+  const wasActive = Boolean(key) && (findActiveKey(algorithm) || {}).kid === kid;
 
-  if (!fs.existsSync(privPath) || !fs.existsSync(pubPath)) {
-    throw new Error(`Key files not found for kid=${kid}`);
+  if (!(await getKeyStore().revokeKey(kid))) {
+    return null;
   }
+  await reloadKeys();
+  await notifyKeysChanged();
+  logger.warn(`Signing key ${kid} revoked`);
 
-  return {
-    privateKey: fs.readFileSync(privPath, 'utf8'),
-    publicKey: fs.readFileSync(pubPath, 'utf8'),
-  };
+  const needsReplacement = getEnabledAlgorithms().includes(algorithm) && (wasActive || !findActiveKey(algorithm));
+  const replacementKid = needsReplacement ? await rotateKeyNow(algorithm) : null;
+  return { kid, replacement_kid: replacementKid };
+}
+
+/**
+ * Перечитывает ключи в фоне, если kid не найден (возможно, пропущено событие ротации)
+ */
+function reloadOnMiss() {
+  if (Date.now() - lastMissReloadAt > MISS_RELOAD_INTERVAL_MS) {
+    lastMissReloadAt = Date.now();
+    reloadKeys().catch((error) => logger.error('Failed to reload signing keys:', error));
+  }
 }
 
 /**
- * Получает список всех доступных kid
- * @param {string} baseDir - базовая директория для ключей
- * @returns {Array<string>} - массив kid
+ * Ключ для подписи новых токенов
+ * @param {string} algorithm - алгоритм (по умолчанию основной)
+ * @returns {Object} - { kid, algorithm, privateKey }
+ * @throws {Error} - нет действующего ключа алгоритма
  */
-function getAvailableKids(baseDir) {
-  if (!fs.existsSync(baseDir)) {
-    return [];
+function getSigningKey(algorithm = getDefaultAlgorithm()) {
+  const key = findActiveKey(algorithm);
+  if (!key) {
+    reloadOnMiss();
+    throw new Error(`No active ${algorithm} signing key`);
   }
+  return { kid: key.kid, algorithm: key.algorithm, privateKey: key.privateKey };
+}
 
-  const dirs = fs.readdirSync(baseDir, { withFileTypes: true });
-  return dirs
-    .filter((dirent) => dirent.isDirectory())
-    .map((dirent) => dirent.name)
-    .filter((name) => /^\d{4}-\d{2}$/.test(name))
-    .sort()
-    .reverse(); // Новейшие первыми
+/**
+ * Возвращает ключевую пару по kid из памяти процесса
+ * @param {string} kid - идентификатор ключа
+ * @returns {Object} - { algorithm, privateKey, publicKey }
+ * @throws {Error} - ключ не загружен или отозван
+ */
+function loadKeyPair(kid) {
+  const key = keyCache.get(kid);
+  if (!key) {
+    reloadOnMiss();
+    throw new Error(`Key not found for kid=${kid}`);
+  }
+  if (key.revoked_at) {
+    throw new Error(`Key revoked: kid=${kid}`);
+  }
+  return { algorithm: key.algorithm, privateKey: key.privateKey, publicKey: key.publicKey };
 }
 
 module.exports = {
-  getKid,
-  ensureMonthlyKeyPair,
+  KEYS_CHANGED_CHANNEL,
+  KEY_STATUSES,
+  getEnabledAlgorithms,
+  getDefaultAlgorithm,
+  getKeyStore,
+  setKeyStore,
+  initKeyStore,
+  closeKeyStore,
+  reloadKeys,
+  notifyKeysChanged,
+  ensureSigningKeys,
+  createNextKey,
+  rotateKeyNow,
+  revokeKey,
+  listKeys,
+  getPublishedKeys,
+  getSigningKey,
   loadKeyPair,
-  getAvailableKids,
 };
-
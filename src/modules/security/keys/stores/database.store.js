@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { SigningKey } = require('../../../../models');
+
+/**
+ * Database key store: таблица signing_keys
+ *
+ * Приватные ключи хранятся в envelope-шифровании: для каждой пары генерируется случайный
+ * data key (AES-256-GCM), которым шифруется PEM; сам data key хранится зашифрованным
+ * ключом KEY_ENCRYPTION_KEY. Публичные ключи хранятся открыто.
+ */
+
+/**
+ * Шифрует данные (AES-256-GCM)
+ * @param {Buffer} key - ключ (32 байта)
+ * @param {Buffer|string} plaintext - данные
+ * @returns {string} - iv:tag:ciphertext (base64)
+ */
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Расшифровывает данные
+ * @param {Buffer} key - ключ (32 байта)
+ * @param {string} encrypted - iv:tag:ciphertext (base64)
+ * @returns {Buffer}
+ */
+function decrypt(key, encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Создаёт хранилище ключей в PostgreSQL
+ * @param {string} encryptionKey - KEY_ENCRYPTION_KEY
+ * @returns {Object} - key store { name, listKeys, getKeyPair, saveKeyPair, revokeKey }
+ */
+function createDatabaseKeyStore(encryptionKey) {
+  const keyEncryptionKey = crypto.createHash('sha256').update(encryptionKey).digest();
+
+  return {
+    name: 'database',
+
+    async listKeys() {
+      const rows = await SigningKey.findAll({ attributes: ['kid', 'algorithm', 'createdAt', 'not_before', 'revoked_at'] });
+      return rows.map((row) => ({
+        kid: row.kid,
+        algorithm: row.algorithm,
+        created_at: row.createdAt,
+        not_before: row.not_before,
+        revoked_at: row.revoked_at,
+      }));
+    },
+
+    async getKeyPair(kid) {
+      const row = await SigningKey.findByPk(kid);
+      if (!row) {
+        return null;
+      }
+
+      const dataKey = decrypt(keyEncryptionKey, row.data_key_encrypted);
+      return {
+        privateKey: decrypt(dataKey, row.private_key_encrypted).toString('utf8'),
+        publicKey: row.public_key,
+      };
+    },
+
+    async saveKeyPair(kid, { algorithm, privateKey, publicKey, notBefore }) {
+      const dataKey = crypto.randomBytes(32);
+
+      // Первая реплика, записавшая kid, выигрывает; остальные используют её ключ
+      const [, created] = await SigningKey.findOrCreate({
+        where: { kid },
+        defaults: {
+          kid,
+          algorithm,
+          public_key: publicKey,
+          private_key_encrypted: encrypt(dataKey, privateKey),
+          data_key_encrypted: encrypt(keyEncryptionKey, dataKey),
+          not_before: notBefore,
+        },
+      });
+      return created;
+    },
+
+    async revokeKey(kid) {
+      const row = await SigningKey.findByPk(kid, { attributes: ['kid', 'revoked_at'] });
+      if (!row) {
+        return false;
+      }
+      if (!row.revoked_at) {
+        await row.update({ revoked_at: new Date() });
+      }
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createDatabaseKeyStore,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Filesystem key store: <baseDir>/<kid>/private.pem, public.pem и meta.json
+ *
+ * Исходное хранилище ключей. Все реплики должны видеть один и тот же каталог (общий volume).
+ * meta.json хранит algorithm, not_before и revoked_at; для каталогов без него (ключи до
+ * появления метаданных) это ES256 и первое число месяца kid (YYYY-MM).
+ */
+
+/**
+ * Начало месяца (UTC) для kid вида YYYY-MM
+ * @param {string} kid - идентификатор ключа
+ * @returns {Date|null}
+ */
+function monthStartFromKid(kid) {
+  const match = /^(\d{4})-(\d{2})/.exec(kid);
+  return match ? new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, 1)) : null;
+}
+
+/**
+ * Создаёт файловое хранилище ключей
+ * @param {string} baseDir - базовая директория для ключей
+ * @returns {Object} - key store { name, listKeys, getKeyPair, saveKeyPair, revokeKey }
+ */
+function createFilesystemKeyStore(baseDir) {
+  const keyPaths = (kid) => ({
+    dir: path.join(baseDir, kid),
+    privPath: path.join(baseDir, kid, 'private.pem'),
+    pubPath: path.join(baseDir, kid, 'public.pem'),
+    metaPath: path.join(baseDir, kid, 'meta.json'),
+  });
+
+  const readMeta = async (kid) => {
+    const { privPath, metaPath } = keyPaths(kid);
+    const meta = fs.existsSync(metaPath) ? JSON.parse(await fs.promises.readFile(metaPath, 'utf8')) : {};
+    const stat = await fs.promises.stat(privPath);
+
+    return {
+      kid,
+      algorithm: meta.algorithm || 'ES256',
+      created_at: meta.created_at ? new Date(meta.created_at) : stat.mtime,
+      not_before: meta.not_before ? new Date(meta.not_before) : monthStartFromKid(kid) || stat.mtime,
+      revoked_at: meta.revoked_at ? new Date(meta.revoked_at) : null,
+    };
+  };
+
+  return {
+    name: 'filesystem',
+
+    async listKeys() {
+      if (!fs.existsSync(baseDir)) {
+        return [];
+      }
+
+      const dirs = await fs.promises.readdir(baseDir, { withFileTypes: true });
+      const kids = dirs
+        .filter((dirent) => dirent.isDirectory())
+        .map((dirent) => dirent.name)
+        .filter((kid) => {
+          const { privPath, pubPath } = keyPaths(kid);
+          return fs.existsSync(privPath) && fs.existsSync(pubPath);
+        });
+      return Promise.all(kids.map(readMeta));
+    },
+
+    async getKeyPair(kid) {
+      const { privPath, pubPath } = keyPaths(kid);
+      if (!fs.existsSync(privPath) || !fs.existsSync(pubPath)) {
+        return null;
+      }
+
+      const [privateKey, publicKey] = await Promise.all([
+        fs.promises.readFile(privPath, 'utf8'),
+        fs.promises.readFile(pubPath, 'utf8'),
+      ]);
+      return { privateKey, publicKey };
+    },
+
+    async saveKeyPair(kid, { algorithm, privateKey, publicKey, notBefore }) {
+      const { dir, privPath, pubPath, metaPath } = keyPaths(kid);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // wx: ключ уже создан другой репликой - оставляем его
+      try {
+        await fs.promises.writeFile(privPath, privateKey, { mode: 0o600, flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          return false;
+        }
+        throw error;
+      }
+      await fs.promises.writeFile(
+        metaPath,
+        JSON.stringify({ algorithm, created_at: new Date(), not_before: notBefore, revoked_at: null }),
+        { mode: 0o644 }
+      );
+      await fs.promises.writeFile(pubPath, publicKey, { mode: 0o644 });
+      return true;
+    },
+
+    async revokeKey(kid) {
+      const { privPath, metaPath } = keyPaths(kid);
+      if (!fs.existsSync(privPath)) {
+        return false;
+      }
+
+      const meta = await readMeta(kid);
+      await fs.promises.writeFile(metaPath, JSON.stringify({ ...meta, revoked_at: meta.revoked_at || new Date() }), {
+        mode: 0o644,
+      });
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createFilesystemKeyStore,
+};
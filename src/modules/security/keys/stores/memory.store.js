@@ -0,0 +1,61 @@
+/**
+ * In-memory key store (tests)
+ *
+ * Ключи живут только в процессе и теряются при перезапуске: токены, выданные до рестарта,
+ * перестают проверяться. Не используйте в production.
+ */
+
+/**
+ * Создаёт хранилище ключей в памяти
+ * @param {Object} initialKeys - { [kid]: { algorithm, privateKey, publicKey, notBefore } } для тестов
+ * @returns {Object} - key store { name, listKeys, getKeyPair, saveKeyPair, revokeKey }
+ */
+function createMemoryKeyStore(initialKeys = {}) {
+  const keys = new Map();
+
+  const save = (kid, { algorithm = 'ES256', privateKey, publicKey, notBefore }) => {
+    const now = new Date();
+    keys.set(kid, { algorithm, privateKey, publicKey, created_at: now, not_before: notBefore || now, revoked_at: null });
+  };
+  Object.entries(initialKeys).forEach(([kid, keyPair]) => save(kid, keyPair));
+
+  return {
+    name: 'memory',
+
+    async listKeys() {
+      return [...keys.entries()].map(([kid, key]) => ({
+        kid,
+        algorithm: key.algorithm,
+        created_at: key.created_at,
+        not_before: key.not_before,
+        revoked_at: key.revoked_at,
+      }));
+    },
+
+    async getKeyPair(kid) {
+      const key = keys.get(kid);
+      return key ? { privateKey: key.privateKey, publicKey: key.publicKey } : null;
+    },
+
+    async saveKeyPair(kid, keyPair) {
+      if (keys.has(kid)) {
+        return false;
+      }
+      save(kid, keyPair);
+      return true;
+    },
+
+    async revokeKey(kid) {
+      const key = keys.get(kid);
+      if (!key) {
+        return false;
+      }
+      key.revoked_at = key.revoked_at || new Date();
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryKeyStore,
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { PasswordHistory } = require('../../../models');
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const logger = require('../../../config/logger');
+const ApiError = require('../../../helpers/api.error');
+
+/**
+ * Password Service
+ *
+ * Single place where member/client passwords are validated and hashed:
+ * - policy: minimum length, character classes, blocklist of common passwords, not the username
+ * - history: the last PASSWORD_HISTORY_SIZE hashes cannot be reused
+ * - rotation: password_changed_at older than PASSWORD_MAX_AGE_DAYS puts login into the
+ *   PASSWORD_EXPIRED state; the only allowed action is changing the password with a
+ *   short-lived password_change_token
+ */
+
+const BUILTIN_BLOCKLIST = path.join(__dirname, 'common-passwords.txt');
+
+let blocklist = null;
+
+/**
+ * Читает список запрещённых паролей (по одному в строке, # - комментарий)
+ * @param {string} file - путь к файлу
+ * @returns {Array<string>}
+ */
+function readBlocklistFile(file) {
+  return fs
+    .readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Загружает blocklist (встроенный + PASSWORD_BLOCKLIST_FILE) один раз
+ * @returns {Set<string>}
+ */
+function getBlocklist() {
+  if (blocklist) {
+    return blocklist;
+  }
+
+  const entries = readBlocklistFile(BUILTIN_BLOCKLIST);
+  const extraFile = config.security.passwordPolicy.blocklistFile;
+  if (extraFile) {
+    try {
+      entries.push(...readBlocklistFile(extraFile));
+    } catch (error) {
+      logger.error('Failed to load password blocklist file', { file: extraFile, error: error.message });
+    }
+  }
+
+  blocklist = new Set(entries);
+  return blocklist;
+}
+
+/**
+ * Проверяет пароль на соответствие политике
+ * @param {string} password - пароль
+ * @param {Object} context - { username } для проверки совпадения с логином
+ * @throws {ApiError} - 400 PASSWORD_POLICY_VIOLATION со списком нарушений
+ */
+function validatePasswordPolicy(password, context = {}) {
+  const policy = config.security.passwordPolicy;
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push(`at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push('an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push('a lowercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    violations.push('a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push('a special character');
+  }
+
+  if (violations.length > 0) {
+    throw new ApiError(
+      400,
+      `Password must contain ${violations.join(', ')}`,
+      'password',
+      'PASSWORD_POLICY_VIOLATION'
+    );
+  }
+
+  const lowered = password.toLowerCase();
+  if (getBlocklist().has(lowered)) {
+    throw new ApiError(400, 'Password is too common', 'password', 'PASSWORD_POLICY_VIOLATION');
+  }
+  if (context.username && lowered.includes(context.username.toLowerCase())) {
+    throw new ApiError(400, 'Password must not contain the username', 'password', 'PASSWORD_POLICY_VIOLATION');
+  }
+}
+
+/**
+ * Хеширует пароль (bcrypt, PASSWORD_BCRYPT_ROUNDS)
+ * @param {string} password - пароль
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, config.security.passwordPolicy.bcryptRounds);
+}
+
+/**
+ * Проверяет, что пароль не совпадает с текущим и последними из истории
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {Object} user - пользователь (password_hash - текущий хеш)
+ * @param {string} password - новый пароль
+ * @throws {ApiError} - 400 PASSWORD_REUSED
+ */
+async function assertNotReused(userType, user, password) {
+  const { historySize } = config.security.passwordPolicy;
+  if (historySize <= 0) {
+    return;
+  }
+
+  const history = await PasswordHistory.findAll({
+    where: { user_type: userType, user_id: user.id },
+    order: [['created_at', 'DESC']],
+    limit: historySize,
+    attributes: ['password_hash'],
+  });
+
+  const hashes = new Set([user.password_hash, ...history.map((entry) => entry.password_hash)]);
+  for (const hash of hashes) {
+    if (hash && (await bcrypt.compare(password, hash))) {
+      throw new ApiError(
+        400,
+        `Password must differ from the last ${historySize} passwords`,
+        'password',
+        'PASSWORD_REUSED'
+      );
+    }
+  }
+}
+
+/**
+ * Сохраняет хеш в историю и удаляет записи сверх PASSWORD_HISTORY_SIZE
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {string} passwordHash - bcrypt хеш
+ */
+async function recordPasswordHistory(userType, userId, passwordHash) {
+  const { historySize } = config.security.passwordPolicy;
+  if (historySize <= 0) {
+    return;
+  }
+
+  await PasswordHistory.create({ user_type: userType, user_id: userId, password_hash: passwordHash });
+
+  const keep = await PasswordHistory.findAll({
+    where: { user_type: userType, user_id: userId },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: historySize,
+    attributes: ['id'],
+  });
+
+  await PasswordHistory.destroy({
+    where: {
+      user_type: userType,
+      user_id: userId,
+      id: { [Op.notIn]: keep.map((entry) => entry.id) },
+    },
+  });
+}
+
+/**
+ * Готовит поля для нового пользователя: проверяет политику и хеширует пароль
+ * После создания пользователя вызвать recordPasswordHistory
+ * @param {string} password - пароль
+ * @param {Object} context - { username }
+ * @returns {Promise<Object>} - { password_hash, password_changed_at }
+ */
+async function preparePassword(password, context = {}) {
+  validatePasswordPolicy(password, context);
+  return {
+    password_hash: await hashPassword(password),
+    password_changed_at: new Date(),
+  };
+}
+
+/**
+ * Устанавливает новый пароль существующему пользователю
+ * (политика + история + password_changed_at)
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {Object} user - экземпляр Member/Client
+ * @param {string} password - новый пароль
+ * @returns {Promise<Object>} - обновлённый пользователь
+ */
+async function setPassword(userType, user, password) {
+  validatePasswordPolicy(password, { username: user.username });
+  await assertNotReused(userType, user, password);
+
+  const passwordHash = await hashPassword(password);
+  await user.update({ password_hash: passwordHash, password_changed_at: new Date() });
+  await recordPasswordHistory(userType, user.id, passwordHash);
+
+  return user;
+}
+
+/**
+ * Проверяет, истёк ли срок действия пароля
+ * @param {Object} user - пользователь
+ * @returns {boolean}
+ */
+function isPasswordExpired(user) {
+  const { maxAgeDays } = config.security.passwordPolicy;
+  if (maxAgeDays <= 0) {
+    return false;
+  }
+
+  const changedAt = user.password_changed_at || user.created_at;
+  if (!changedAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(changedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Ключ Redis для password_change_token (хранится хеш)
+ * @param {string} token - токен
+ * @returns {string}
+ */
+function changeTokenKey(token) {
+  return `password:change:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Создаёт короткоживущий токен смены просроченного пароля
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @param {Object} loginMeta - данные входа для аудита (mfa - второй фактор уже пройден)
+ * @returns {Promise<Object>} - { password_change_token, expires_in }
+ */
+async function createPasswordChangeToken(userType, userId, loginMeta = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttl = config.security.passwordPolicy.changeTokenTtlSeconds;
+
+  await redis.set(
+    changeTokenKey(token),
+    JSON.stringify({ user_type: userType, user_id: userId, login_meta: loginMeta }),
+    'EX',
+    ttl
+  );
+
+  return { password_change_token: token, expires_in: ttl };
+}
+
+/**
+ * Получает данные токена смены просроченного пароля
+ * Токен удаляется только после успешной смены (invalidatePasswordChangeToken),
+ * чтобы пароль, не прошедший политику, можно было ввести заново
+ * @param {string} token - токен
+ * @returns {Promise<Object>} - { key, user_type, user_id, login_meta }
+ * @throws {ApiError} - 401 если токен не найден или истёк
+ */
+async function getPasswordChangeToken(token) {
+  const key = changeTokenKey(token);
+  const raw = await redis.get(key);
+  if (!raw) {
+    throw new ApiError(
+      401,
+      'Password change token is invalid or expired, please log in again',
+      null,
+      'PASSWORD_CHANGE_TOKEN_INVALID'
+    );
+  }
+
+  return { key, ...JSON.parse(raw) };
+}
+
+/**
+ * Удаляет использованный токен смены пароля
+ * @param {Object} entry - результат getPasswordChangeToken
+ */
+async function invalidatePasswordChangeToken(entry) {
+  await redis.del(entry.key);
+}
+
+/**
+ * Ключ Redis для reset_token (хранится хеш)
+ * @param {string} token - токен
+ * @returns {string}
+ */
+function resetTokenKey(token) {
+  return `password:reset:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Создаёт одноразовый токен сброса пароля (выдаётся администратором)
+ * Предыдущий неиспользованный токен пользователя перестаёт действовать
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} - { reset_token, expires_in }
+ */
+async function createPasswordResetToken(userType, userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttl = config.security.passwordPolicy.resetTokenTtlSeconds;
+  const userKey = resetUserKey(userType, userId);
+
+  const previousKey = await redis.get(userKey);
+  if (previousKey) {
+    await redis.del(previousKey);
+  }
+
+  const key = resetTokenKey(token);
+  await redis.set(key, JSON.stringify({ user_type: userType, user_id: userId }), 'EX', ttl);
+  await redis.set(userKey, key, 'EX', ttl);
+
+  return { reset_token: token, expires_in: ttl };
+}
+
+/**
+ * Ключ Redis с текущим токеном сброса пользователя
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {string}
+ */
+function resetUserKey(userType, userId) {
+  return `password:reset:user:${userType}:${userId}`;
+}
+
+/**
+ * Забирает токен сброса пароля: GET и DEL в одной транзакции (MULTI),
+ * поэтому из параллельных запросов с одним токеном его получает только один.
+ * Если новый пароль не прошёл политику, токен возвращается (restorePasswordResetToken)
+ * @param {string} token - токен
+ * @returns {Promise<Object>} - { key, ttl_ms, user_type, user_id }
+ * @throws {ApiError} - 401 если токен не найден, истёк или уже использован
+ */
+async function claimPasswordResetToken(token) {
+  const key = resetTokenKey(token);
+  const [[, raw], [, ttlMs]] = await redis.multi().get(key).pttl(key).del(key).exec();
+  if (!raw) {
+    throw new ApiError(401, 'Password reset token is invalid or expired', null, 'PASSWORD_RESET_TOKEN_INVALID');
+  }
+
+  return { key, ttl_ms: ttlMs, ...JSON.parse(raw) };
+}
+
+/**
+ * Возвращает забранный токен сброса с оставшимся сроком действия,
+ * если администратор не выдал пользователю новый токен
+ * @param {Object} entry - результат claimPasswordResetToken
+ */
+async function restorePasswordResetToken(entry) {
+  if (entry.ttl_ms <= 0 || (await redis.get(resetUserKey(entry.user_type, entry.user_id))) !== entry.key) {
+    return;
+  }
+
+  await redis.set(
+    entry.key,
+    JSON.stringify({ user_type: entry.user_type, user_id: entry.user_id }),
+    'PX',
+    entry.ttl_ms,
+    'NX'
+  );
+}
+
+/**
+ * Удаляет использованный токен сброса пароля
+ * @param {Object} entry - результат claimPasswordResetToken
+ */
+async function invalidatePasswordResetToken(entry) {
+  await redis.del(entry.key, resetUserKey(entry.user_type, entry.user_id));
+}
+
+module.exports = {
+  validatePasswordPolicy,
+  hashPassword,
+  preparePassword,
+  setPassword,
+  recordPasswordHistory,
+  isPasswordExpired,
+  createPasswordChangeToken,
+  getPasswordChangeToken,
+  invalidatePasswordChangeToken,
+  createPasswordResetToken,
+  claimPasswordResetToken,
+  restorePasswordResetToken,
+  invalidatePasswordResetToken,
+};
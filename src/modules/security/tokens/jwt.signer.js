@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Подпись и проверка JWT ключами key manager
+ *
+ * ES256/ES384 - через jsonwebtoken. EdDSA (Ed25519) jsonwebtoken не поддерживает, поэтому
+ * compact JWS собирается через crypto.sign/verify, а claims проверяются здесь же с теми же
+ * ошибками (JsonWebTokenError, TokenExpiredError, NotBeforeError).
+ * Алгоритм в заголовке токена должен совпадать с алгоритмом ключа kid.
+ */
+
+const EDDSA = 'EdDSA';
+
+/**
+ * Подписывает payload
+ * @param {Object} payload - claims
+ * @param {Object} key - { kid, algorithm, privateKey }
+ * @returns {string} - JWT
+ */
+function signJwt(payload, key) {
+  const header = { alg: key.algorithm, typ: 'JWT', kid: key.kid };
+
+  if (key.algorithm !== EDDSA) {
+    return jwt.sign(payload, key.privateKey, { algorithm: key.algorithm, header });
+  }
+
+  const signingInput = [header, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Проверяет iss, aud, nbf, exp (EdDSA)
+ * @param {Object} payload - claims
+ * @param {Object} options - { issuer, audience }
+ * @throws {jwt.JsonWebTokenError}
+ */
+function checkClaims(payload, options) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    throw new jwt.NotBeforeError('jwt not active', new Date(payload.nbf * 1000));
+  }
+  if (typeof payload.exp === 'number' && payload.exp <= now) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(payload.exp * 1000));
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${options.issuer}`);
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${options.audience}`);
+    }
+  }
+}
+
+/**
+ * Проверяет подпись и claims токена
+ * @param {string} token - JWT
+ * @param {Object} key - { algorithm, publicKey } (ключ kid из заголовка)
+ * @param {Object} options - { issuer, audience } (audience не проверяется, если не задан)
+ * @returns {Object} - payload
+ * @throws {jwt.JsonWebTokenError}
+ */
+function verifyJwt(token, key, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || decoded.header.alg !== key.algorithm) {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+
+  if (key.algorithm !== EDDSA) {
+    return jwt.verify(token, key.publicKey, {
+      algorithms: [key.algorithm],
+      issuer: options.issuer,
+      ...(options.audience ? { audience: options.audience } : {}),
+    });
+  }
+
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    key.publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  checkClaims(decoded.payload, options);
+  return decoded.payload;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt,
+};
@@ -1,8 +1,25 @@
 const sequelize = require('../../../config/db');
 const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const config = require('../../../config/env');
 
+/**
+ * Алгоритмы хеширования refresh token
+ * - HMAC: детерминированный keyed hash, поиск одним индексированным запросом
+ * - BCRYPT: legacy-формат, поддерживается до истечения старых токенов
+ */
+const HASH_ALGOS = {
+  HMAC: 'hmac-sha256',
+  BCRYPT: 'bcrypt',
+};
+
+/**
+ * Максимум legacy (bcrypt) токенов, проверяемых за один поиск
+ */
+const LEGACY_SCAN_LIMIT = 100;
+
 const RefreshToken = sequelize.define(
   'RefreshToken',
   {
@@ -23,6 +40,19 @@ const RefreshToken = sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    hash_algo: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: HASH_ALGOS.BCRYPT,
+    },
+    family_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    replaced_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
     device_id: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -52,46 +82,66 @@ const RefreshToken = sequelize.define(
   }
 );
 
+/**
+ * Вычисляет keyed hash (HMAC-SHA256) refresh token
+ * @param {string} token - токен
+ * @returns {string} - hex digest
+ */
+function hashRefreshToken(token) {
+  return crypto
+    .createHmac('sha256', config.security.refreshTokenSecret)
+    .update(token)
+    .digest('hex');
+}
+
 /**
  * Сохраняет refresh token
+ * Без data.familyId начинает новое семейство токенов (новый логин)
  * @param {Object} data - данные токена
+ * @param {Object} options - опции Sequelize (transaction)
  * @returns {Promise<Object>} - сохраненный токен
  */
-async function saveRefreshToken(data) {
-  const tokenHash = await bcrypt.hash(data.token, 10);
+async function saveRefreshToken(data, options = {}) {
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + config.security.refreshTtlDays);
 
   return await RefreshToken.create({
     user_type: data.userType,
     user_id: data.userId,
-    token_hash: tokenHash,
+    token_hash: hashRefreshToken(data.token),
+    hash_algo: HASH_ALGOS.HMAC,
+    family_id: data.familyId || uuidv4(),
     device_id: data.deviceId || null,
     ip: data.ip || null,
     user_agent: data.userAgent || null,
     expires_at: expiresAt,
-  });
+  }, options);
 }
 
 /**
- * Находит и проверяет refresh token
+ * Ищет legacy (bcrypt) токен перебором
+ * Используется только для токенов, выпущенных до перехода на HMAC
  * @param {string} token - токен
- * @param {string} userType - тип пользователя
- * @param {number} userId - ID пользователя
+ * @param {Object} where - дополнительные условия (user_type, user_id)
+ * @param {number} limit - максимум проверяемых записей
  * @returns {Promise<Object|null>} - найденный токен или null
  */
-async function findAndVerifyRefreshToken(token, userType, userId) {
+async function findLegacyRefreshToken(token, where = {}, limit = LEGACY_SCAN_LIMIT) {
+  if (!config.security.refreshLegacyLookup) {
+    return null;
+  }
+
   const tokens = await RefreshToken.findAll({
     where: {
-      user_type: userType,
-      user_id: userId,
+      ...where,
+      hash_algo: HASH_ALGOS.BCRYPT,
       revoked_at: null,
       expires_at: {
         [sequelize.Sequelize.Op.gt]: new Date(),
       },
     },
     order: [['created_at', 'DESC']], // Sequelize will map to created_at column
-    limit: 10, // Проверяем последние 10 токенов
+    limit,
   });
 
   for (const tokenRecord of tokens) {
@@ -104,6 +154,134 @@ async function findAndVerifyRefreshToken(token, userType, userId) {
   return null;
 }
 
+/**
+ * Находит активный refresh token
+ * Один индексированный запрос по token_hash, с fallback на legacy bcrypt-токены
+ * @param {string} token - токен
+ * @param {Object} where - дополнительные условия (user_type, user_id)
+ * @returns {Promise<Object|null>} - найденный токен или null
+ */
+async function findRefreshToken(token, where = {}) {
+  if (!token) {
+    return null;
+  }
+
+  const tokenRecord = await RefreshToken.findOne({
+    where: {
+      ...where,
+      token_hash: hashRefreshToken(token),
+      hash_algo: HASH_ALGOS.HMAC,
+      revoked_at: null,
+      expires_at: {
+        [sequelize.Sequelize.Op.gt]: new Date(),
+      },
+    },
+  });
+
+  if (tokenRecord) {
+    return tokenRecord;
+  }
+
+  return await findLegacyRefreshToken(token, where);
+}
+
+/**
+ * Находит уже ротированный refresh token (повторное предъявление)
+ * Ищет только среди HMAC-токенов: legacy-токены после первой ротации становятся HMAC
+ * @param {string} token - токен
+ * @returns {Promise<Object|null>} - ротированный токен или null
+ */
+async function findRotatedRefreshToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  return await RefreshToken.findOne({
+    where: {
+      token_hash: hashRefreshToken(token),
+      hash_algo: HASH_ALGOS.HMAC,
+      revoked_at: {
+        [sequelize.Sequelize.Op.ne]: null,
+      },
+      replaced_by_id: {
+        [sequelize.Sequelize.Op.ne]: null,
+      },
+    },
+  });
+}
+
+/**
+ * Ротирует refresh token внутри его семейства
+ * Одна транзакция: новый токен создаётся, а старый отзывается и связывается с ним одним условным
+ * UPDATE. Если старый уже отозван параллельным запросом, транзакция откатывается и новый токен
+ * не выпускается; сбой посередине не оставляет отозванный токен без замены
+ * @param {Object} tokenRecord - текущий (предъявленный) токен
+ * @param {Object} data - данные нового токена (token, ip, userAgent, deviceId)
+ * @returns {Promise<Object|null>} - новый токен или null, если старый уже отозван
+ */
+async function rotateRefreshToken(tokenRecord, data) {
+  const transaction = await sequelize.transaction();
+  try {
+    const newRecord = await saveRefreshToken(
+      {
+        ...data,
+        userType: tokenRecord.user_type,
+        userId: tokenRecord.user_id,
+        familyId: tokenRecord.family_id,
+      },
+      { transaction }
+    );
+
+    const [claimed] = await RefreshToken.update(
+      { revoked_at: new Date(), replaced_by_id: newRecord.id },
+      { where: { id: tokenRecord.id, revoked_at: null }, transaction }
+    );
+
+    if (claimed === 0) {
+      await transaction.rollback();
+      return null;
+    }
+
+    await transaction.commit();
+    return newRecord;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Отзывает все токены семейства
+ * @param {string} familyId - ID семейства токенов
+ * @returns {Promise<number>} - количество отозванных токенов
+ */
+async function revokeTokenFamily(familyId) {
+  const [count] = await RefreshToken.update(
+    { revoked_at: new Date() },
+    {
+      where: {
+        family_id: familyId,
+        revoked_at: null,
+      },
+    }
+  );
+  return count;
+}
+
+/**
+ * Находит и проверяет refresh token
+ * @param {string} token - токен
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>} - найденный токен или null
+ */
+async function findAndVerifyRefreshToken(token, userType, userId) {
+  return await findRefreshToken(token, {
+    user_type: userType,
+    user_id: userId,
+  });
+}
+
 /**
  * Отзывает refresh token
  * @param {number} tokenId - ID токена
@@ -115,29 +293,102 @@ async function revokeRefreshToken(tokenId) {
   );
 }
 
+/**
+ * Получает активные (не отозванные и не истекшие) токены пользователя
+ * Каждый активный токен соответствует одной сессии (семейству токенов)
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Array>} - массив токенов, новейшие первыми
+ */
+async function findActiveUserTokens(userType, userId) {
+  return await RefreshToken.findAll({
+    where: {
+      user_type: userType,
+      user_id: userId,
+      revoked_at: null,
+      expires_at: {
+        [sequelize.Sequelize.Op.gt]: new Date(),
+      },
+    },
+    order: [['created_at', 'DESC']], // Sequelize will map to created_at column
+  });
+}
+
+/**
+ * Находит активный токен пользователя по ID
+ * @param {number} tokenId - ID токена
+ * @param {string} userType - тип пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>} - найденный токен или null
+ */
+async function findActiveUserTokenById(tokenId, userType, userId) {
+  return await RefreshToken.findOne({
+    where: {
+      id: tokenId,
+      user_type: userType,
+      user_id: userId,
+      revoked_at: null,
+      expires_at: {
+        [sequelize.Sequelize.Op.gt]: new Date(),
+      },
+    },
+  });
+}
+
 /**
  * Отзывает все токены пользователя
  * @param {string} userType - тип пользователя
  * @param {number} userId - ID пользователя
+ * @param {Object} options - опции
+ * @param {string} options.exceptFamilyId - семейство, которое нужно сохранить (текущая сессия)
+ * @returns {Promise<number>} - количество отозванных токенов
  */
-async function revokeAllUserTokens(userType, userId) {
-  await RefreshToken.update(
+async function revokeAllUserTokens(userType, userId, options = {}) {
+  const where = {
+    user_type: userType,
+    user_id: userId,
+    revoked_at: null,
+  };
+  if (options.exceptFamilyId) {
+    where.family_id = { [sequelize.Sequelize.Op.ne]: options.exceptFamilyId };
+  }
+
+  const [count] = await RefreshToken.update({ revoked_at: new Date() }, { where });
+  return count;
+}
+
+/**
+ * Отзывает все токены нескольких пользователей одним запросом
+ * @param {string} userType - тип пользователя
+ * @param {number[]} userIds - ID пользователей
+ * @returns {Promise<number>} - количество отозванных токенов
+ */
+async function revokeUsersTokens(userType, userIds) {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const [count] = await RefreshToken.update(
     { revoked_at: new Date() },
-    {
-      where: {
-        user_type: userType,
-        user_id: userId,
-        revoked_at: null,
-      },
-    }
+    { where: { user_type: userType, user_id: userIds, revoked_at: null } }
   );
+  return count;
 }
 
 module.exports = {
   RefreshToken,
+  HASH_ALGOS,
+  hashRefreshToken,
   saveRefreshToken,
+  findRefreshToken,
+  findRotatedRefreshToken,
   findAndVerifyRefreshToken,
+  rotateRefreshToken,
   revokeRefreshToken,
+  revokeTokenFamily,
+  findActiveUserTokens,
+  findActiveUserTokenById,
   revokeAllUserTokens,
+  revokeUsersTokens,
 };
 
@@ -0,0 +1,188 @@
+const redis = require('../../../config/redis');
+const config = require('../../../config/env');
+const logger = require('../../../config/logger');
+
+/**
+ * Access Token Revocation Service
+ *
+ * Redis-backed denylist for access tokens that must stop working before `exp`.
+ *
+ * Two kinds of entries:
+ * - by jti: a single token (e.g. logout). Stored in a sorted set, score = token exp.
+ * - by sub: every token of a user issued at or before a timestamp
+ *   (e.g. logout-all, member disabled). Stored in a sorted set, score = revoked_before.
+ *   iat has one-second resolution, so tokens issued for the subject afterwards get
+ *   iat = revoked_before + 1 while still in that second (issuedAtFor) and stay valid.
+ *
+ * Entries are only needed while the affected tokens can still be valid, so they are
+ * pruned once older than the maximum access token lifetime.
+ *
+ * The same data is published at /.well-known/revocations.json so RPD verifiers can
+ * enforce the same cut-off without calling AuthRPD on every request.
+ */
+
+const JTI_KEY = 'revocations:jti';
+const SUB_KEY = 'revocations:sub';
+
+/**
+ * Текущее время в секундах (как iat/exp в JWT)
+ * @returns {number}
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Удаляет записи, которые больше не могут затронуть валидный токен
+ */
+async function pruneRevocations() {
+  const now = nowSeconds();
+  await redis.zremrangebyscore(JTI_KEY, '-inf', now);
+  await redis.zremrangebyscore(SUB_KEY, '-inf', now - config.security.accessTtlSeconds);
+}
+
+/**
+ * Отзывает один access token по jti
+ * @param {string} jti - идентификатор токена
+ * @param {number} exp - время истечения токена (секунды); по умолчанию now + accessTtlSeconds
+ */
+async function revokeAccessToken(jti, exp = null) {
+  if (!jti) {
+    return;
+  }
+
+  const expiresAt = exp || nowSeconds() + config.security.accessTtlSeconds;
+  await redis.zadd(JTI_KEY, expiresAt, jti);
+  await pruneRevocations();
+
+  logger.info('Access token revoked', { jti, exp: expiresAt });
+}
+
+/**
+ * Отзывает все access tokens пользователя, выпущенные до текущего момента
+ * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<number>} - метка revoked_before (секунды)
+ */
+async function revokeSubjectTokens(userType, userId) {
+  const sub = `${userType}:${userId}`;
+  const revokedBefore = nowSeconds();
+
+  await redis.zadd(SUB_KEY, revokedBefore, sub);
+  await pruneRevocations();
+
+  logger.info('Access tokens revoked for subject', { sub, revoked_before: revokedBefore });
+
+  return revokedBefore;
+}
+
+/**
+ * Отзывает access tokens нескольких пользователей (одна команда Redis)
+ * @param {string} userType - тип пользователя
+ * @param {number[]} userIds - ID пользователей
+ * @returns {Promise<number>} - метка revoked_before (секунды)
+ */
+async function revokeSubjectsTokens(userType, userIds) {
+  const revokedBefore = nowSeconds();
+  if (userIds.length === 0) {
+    return revokedBefore;
+  }
+
+  const entries = userIds.flatMap((userId) => [revokedBefore, `${userType}:${userId}`]);
+  await redis.zadd(SUB_KEY, ...entries);
+  await pruneRevocations();
+
+  logger.info('Access tokens revoked for subjects', {
+    user_type: userType,
+    count: userIds.length,
+    revoked_before: revokedBefore,
+  });
+
+  return revokedBefore;
+}
+
+/**
+ * iat для нового токена субъекта: не раньше секунды после его отметки revoked_before,
+ * иначе токен, выпущенный в ту же секунду сразу после отзыва (новый access token сессии после
+ * смены пароля, повторный client_credentials), считался бы отозванным
+ * @param {string} sub - субъект ('MEMBER:1', 'SERVICE:3')
+ * @returns {Promise<number>} - iat (секунды)
+ */
+async function issuedAtFor(sub) {
+  const now = nowSeconds();
+  try {
+    const subScore = await redis.zscore(SUB_KEY, sub);
+    return subScore !== null ? Math.max(now, parseInt(subScore, 10) + 1) : now;
+  } catch (error) {
+    logger.error('Revocation lookup failed', { error: error.message, sub });
+    return now;
+  }
+}
+
+/**
+ * Проверяет, отозван ли access token
+ * @param {Object} payload - декодированный payload (jti, sub, iat)
+ * @returns {Promise<boolean>} - true если токен отозван
+ */
+async function isAccessTokenRevoked(payload) {
+  try {
+    const [jtiScore, subScore] = await Promise.all([
+      payload.jti ? redis.zscore(JTI_KEY, payload.jti) : null,
+      payload.sub ? redis.zscore(SUB_KEY, payload.sub) : null,
+    ]);
+
+    if (jtiScore !== null) {
+      return true;
+    }
+
+    if (subScore !== null && payload.iat <= parseInt(subScore, 10)) {
+      return true;
+    }
+
+    return false;
+  } catch (error) {
+    logger.error('Revocation check failed', { error: error.message, jti: payload.jti });
+    // Redis недоступен: по умолчанию пропускаем (fail open), в строгом режиме - отклоняем
+    return config.security.revocationFailClosed;
+  }
+}
+
+/**
+ * Формирует публичный список отзывов для RPD
+ * @returns {Promise<Object>} - { issuer, generated_at, max_ttl, jti: [...], sub: [...] }
+ */
+async function getRevocationList() {
+  await pruneRevocations();
+
+  const [jtiEntries, subEntries] = await Promise.all([
+    redis.zrange(JTI_KEY, 0, -1, 'WITHSCORES'),
+    redis.zrange(SUB_KEY, 0, -1, 'WITHSCORES'),
+  ]);
+
+  const jti = [];
+  for (let i = 0; i < jtiEntries.length; i += 2) {
+    jti.push({ jti: jtiEntries[i], exp: parseInt(jtiEntries[i + 1], 10) });
+  }
+
+  const sub = [];
+  for (let i = 0; i < subEntries.length; i += 2) {
+    sub.push({ sub: subEntries[i], revoked_before: parseInt(subEntries[i + 1], 10) });
+  }
+
+  return {
+    issuer: config.security.issuer,
+    generated_at: nowSeconds(),
+    max_ttl: config.security.accessTtlSeconds,
+    jti,
+    sub,
+  };
+}
+
+module.exports = {
+  revokeAccessToken,
+  revokeSubjectTokens,
+  revokeSubjectsTokens,
+  issuedAtFor,
+  isAccessTokenRevoked,
+  getRevocationList,
+};
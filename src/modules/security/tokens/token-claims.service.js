@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { Organization } = require('../../../models');
+const { get_role_permissions } = require('../../rbac/services/permission.service');
+const { permissionToScope } = require('../../oauth/services/scope.service');
+const { DEFAULT_TOKEN_POLICY } = require('./token-policy.service');
+const config = require('../../../config/env');
+const logger = require('../../../config/logger');
+
+/**
+ * Authorization claims of RPD access tokens (opt-in per RPD instance)
+ *
+ * Without them every RPD has to call back for authorization data. An RPD instance opts in
+ * by setting rpd_instances.token_permissions (a permission allowlist):
+ *
+ * - members: `scope` - the role permissions (get_role_permissions) that are in the allowlist of
+ *   every opted-in instance of the token, in OAuth notation (CATALOG_READ = catalog:read). The token
+ *   is shared by its instances, so a permission allowed by one of them only is not sent to the others
+ * - clients: `org` - the authorization context of the client's organization
+ *   (code, ministry, parent organization, financing type)
+ * - both: `perm_hash` - a short hash of the member's full permission set (or of `org`).
+ *   It changes whenever the role's permissions change, so RPDs can detect stale cached data
+ *
+ * Size control: above TOKEN_PERMISSIONS_MAX_SCOPES permissions `scope` is left out and only
+ * `perm_hash` is sent; the RPD then loads the permissions itself.
+ *
+ * The token policy can turn them off: member claims need the "permissions" claim, client claims
+ * the "organization" claim (token-policy.service).
+ */
+
+/**
+ * Короткий хеш авторизационных данных (16 hex)
+ * @param {*} value - данные (массив permissions или org)
+ * @returns {string}
+ */
+function hashClaims(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Общий allowlist RPD instances, включивших встраивание (пересечение их allowlists)
+ * @param {Array<Object>} instances - RPD instances токена
+ * @returns {Set<string>|null} - null если ни один instance не включил встраивание
+ */
+function collectAllowlist(instances = []) {
+  const optedIn = instances.filter((instance) => Array.isArray(instance.token_permissions));
+  if (optedIn.length === 0) {
+    return null;
+  }
+  return optedIn
+    .slice(1)
+    .reduce(
+      (allowlist, instance) => new Set(instance.token_permissions.filter((permission) => allowlist.has(permission))),
+      new Set(optedIn[0].token_permissions)
+    );
+}
+
+/**
+ * Claims сотрудника: scope (отфильтрованный по allowlist) и perm_hash
+ * @param {Object} user - сотрудник (role_id или готовый список permissions)
+ * @param {Set<string>} allowlist - разрешённые для встраивания permissions
+ * @returns {Promise<Object>}
+ */
+async function buildMemberClaims(user, allowlist) {
+  const permissions = user.permissions || (user.role_id ? await get_role_permissions(user.role_id) : []);
+  const sorted = [...permissions].sort();
+  const embedded = sorted.filter((permission) => allowlist.has(permission));
+
+  const claims = { perm_hash: hashClaims(sorted) };
+  if (embedded.length <= config.security.tokenPermissionsMaxScopes) {
+    claims.scope = embedded.map(permissionToScope).join(' ');
+  } else {
+    logger.warn('Too many permissions to embed into access token, scope claim omitted', {
+      user_id: user.id,
+      count: embedded.length,
+      max: config.security.tokenPermissionsMaxScopes,
+    });
+  }
+  return claims;
+}
+
+/**
+ * Claims клиента: org (контекст организации) и perm_hash
+ * @param {Object} user - клиент (organization_id)
+ * @returns {Promise<Object>}
+ */
+async function buildClientClaims(user) {
+  const organization = user.organization_id ? await Organization.findByPk(user.organization_id) : null;
+  if (!organization || !organization.is_active) {
+    return {};
+  }
+
+  const org = {
+    id: organization.code,
+    ministry_id: organization.ministry_id || null,
+    parent_id: organization.parent_id || null,
+    financing_type: organization.financing_type || null,
+  };
+  return { org, perm_hash: hashClaims(org) };
+}
+
+/**
+ * Авторизационные claims access token для RPD instances токена
+ * @param {Object} user - пользователь (id, role_id/permissions для сотрудников, organization_id для клиентов)
+ * @param {string} userType - MEMBER или CLIENT
+ * @param {Array<Object>} instances - RPD instances токена (с token_permissions)
+ * @param {Array<string>} allowedClaims - claims, разрешённые политикой токенов instances
+ * @returns {Promise<Object>} - {} если ни один instance не включил встраивание
+ */
+async function buildAuthorizationClaims(user, userType, instances, allowedClaims = DEFAULT_TOKEN_POLICY.claims) {
+  const allowlist = collectAllowlist(instances);
+  if (!allowlist) {
+    return {};
+  }
+
+  if (userType === 'MEMBER' && allowedClaims.includes('permissions')) {
+    return buildMemberClaims(user, allowlist);
+  }
+  if (userType === 'CLIENT' && allowedClaims.includes('organization')) {
+    return buildClientClaims(user);
+  }
+  return {};
+}
+
+module.exports = {
+  buildAuthorizationClaims,
+};
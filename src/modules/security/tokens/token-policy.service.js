@@ -0,0 +1,136 @@
+const ApiError = require('../../../helpers/api.error');
+const logger = require('../../../config/logger');
+
+/**
+ * Token policy of RPD instances (rpd_instances.token_policy)
+ *
+ * An RPD instance can restrict the access tokens that carry its audience:
+ *
+ * - access_ttl_seconds: lifetime of access tokens (null - ACCESS_TTL_SECONDS)
+ * - refresh_allowed: whether a refresh token is issued with the access token and can be used
+ * - user_types: which of MEMBER and CLIENT receive its audience
+ * - claims: optional claims to embed
+ *   - permissions: `scope` / `perm_hash` of members (the allowlist is rpd_instances.token_permissions)
+ *   - organization: `data.organization_id`, `org` / `perm_hash` of clients
+ *   - ministry: `data.ministry_id` of clients (off by default)
+ *
+ * One token serves all active instances of a region. Instances that don't accept the user type
+ * are left out of `aud`; the policies of the rest are merged to the strictest one (shortest TTL,
+ * refresh only if every instance allows it, only the claims every instance allows).
+ * Service account tokens (client-credentials) are not affected.
+ */
+
+const TOKEN_POLICY_USER_TYPES = ['MEMBER', 'CLIENT'];
+const TOKEN_POLICY_CLAIMS = ['permissions', 'organization', 'ministry'];
+
+const DEFAULT_TOKEN_POLICY = Object.freeze({
+  access_ttl_seconds: null,
+  refresh_allowed: true,
+  user_types: TOKEN_POLICY_USER_TYPES,
+  claims: ['permissions', 'organization'],
+});
+
+/**
+ * Политика instance с подставленными значениями по умолчанию
+ * @param {Object|null} policy - rpd_instances.token_policy (может быть частичной)
+ * @returns {Object} - { access_ttl_seconds, refresh_allowed, user_types, claims }
+ */
+function normalizeTokenPolicy(policy) {
+  const normalized = { ...DEFAULT_TOKEN_POLICY };
+  Object.keys(DEFAULT_TOKEN_POLICY).forEach((field) => {
+    if (policy && policy[field] !== undefined && policy[field] !== null) {
+      normalized[field] = policy[field];
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Получает ли instance токены пользователей этого типа
+ * @param {Object} instance - RPD instance (token_policy)
+ * @param {string} userType - MEMBER или CLIENT
+ * @returns {boolean}
+ */
+function isUserTypeAllowed(instance, userType) {
+  return normalizeTokenPolicy(instance.token_policy).user_types.includes(userType);
+}
+
+/**
+ * Самая строгая политика из политик instances
+ * @param {Array<Object>} instances - RPD instances токена
+ * @returns {Object} - { access_ttl_seconds, refresh_allowed, claims }
+ */
+function mergeTokenPolicies(instances = []) {
+  const policies = (instances.length > 0 ? instances : [{}]).map((instance) =>
+    normalizeTokenPolicy(instance.token_policy)
+  );
+  const ttls = policies.map((policy) => policy.access_ttl_seconds).filter(Number.isInteger);
+
+  return {
+    access_ttl_seconds: ttls.length > 0 ? Math.min(...ttls) : null,
+    refresh_allowed: policies.every((policy) => policy.refresh_allowed),
+    claims: TOKEN_POLICY_CLAIMS.filter((claim) => policies.every((policy) => policy.claims.includes(claim))),
+  };
+}
+
+/**
+ * Применяет политики instances региона к токену пользователя
+ * @param {Array<Object>} instances - активные RPD instances региона
+ * @param {string} userType - MEMBER или CLIENT
+ * @param {string} regionId - верхний регион (для сообщения об ошибке)
+ * @returns {Object} - { instances, audiences, policy } - instances, принимающие тип пользователя
+ * @throws {ApiError} - 403 если ни один instance региона не принимает этот тип пользователя
+ */
+function applyTokenPolicy(instances, userType, regionId) {
+  const accepted = instances.filter((instance) => isUserTypeAllowed(instance, userType));
+
+  if (accepted.length === 0) {
+    throw new ApiError(
+      403,
+      `No RPD instance of region ${regionId} accepts ${userType} tokens`,
+      null,
+      'USER_TYPE_NOT_ALLOWED'
+    );
+  }
+  if (accepted.length < instances.length) {
+    logger.debug('RPD instances left out of aud by token policy', {
+      user_type: userType,
+      instances: instances.filter((instance) => !accepted.includes(instance)).map((instance) => instance.code),
+    });
+  }
+
+  return {
+    instances: accepted,
+    audiences: accepted.map((instance) => instance.audience),
+    policy: mergeTokenPolicies(accepted),
+  };
+}
+
+/**
+ * Итоговая политика токенов пользователя региона (без выдачи токена, например перед refresh)
+ * @param {string} regionId - регион пользователя (может быть подрегионом)
+ * @param {string} userType - MEMBER или CLIENT
+ * @param {boolean} useCache - использовать кэш RPD instances
+ * @returns {Promise<Object>} - { instances, audiences, policy }
+ */
+async function resolveTokenPolicy(regionId, userType, useCache = true) {
+  const { getRpdInstanceByRegion } = require('../../rpd/services/rpd-instance.service');
+  const rpdData = await getRpdInstanceByRegion(regionId, useCache);
+
+  // Old cache format without instances: no policies to apply
+  if (!Array.isArray(rpdData.instances)) {
+    return { instances: [], audiences: rpdData.audiences || [rpdData.audience], policy: mergeTokenPolicies([]) };
+  }
+  return applyTokenPolicy(rpdData.instances, userType, rpdData.top_region_id);
+}
+
+module.exports = {
+  TOKEN_POLICY_USER_TYPES,
+  TOKEN_POLICY_CLAIMS,
+  DEFAULT_TOKEN_POLICY,
+  normalizeTokenPolicy,
+  isUserTypeAllowed,
+  mergeTokenPolicies,
+  applyTokenPolicy,
+  resolveTokenPolicy,
+};
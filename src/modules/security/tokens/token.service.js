@@ -1,9 +1,39 @@
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const { loadKeyPair, getKid } = require('../keys/key.manager');
+const {
+  loadKeyPair,
+  getSigningKey,
+  getDefaultAlgorithm,
+  getEnabledAlgorithms,
+} = require('../keys/key.manager');
+const { signJwt, verifyJwt } = require('./jwt.signer');
+const { applyTokenPolicy, mergeTokenPolicies } = require('./token-policy.service');
+const { issuedAtFor } = require('./revocation.service');
 const config = require('../../../config/env');
 const logger = require('../../../config/logger');
 
+/**
+ * Алгоритм подписи токена для RPD instances (rpd_instances.signing_algorithm).
+ * Один токен подписывается одним ключом: если instances выбрали разные алгоритмы
+ * (или выбранный алгоритм больше не включён), используется алгоритм по умолчанию
+ * @param {Array<Object>} instances - RPD instances аудитории токена
+ * @returns {string} - алгоритм (JWA)
+ */
+function resolveSigningAlgorithm(instances = []) {
+  const chosen = [...new Set(instances.map((instance) => instance.signing_algorithm || getDefaultAlgorithm()))];
+
+  if (chosen.length === 1 && getEnabledAlgorithms().includes(chosen[0])) {
+    return chosen[0];
+  }
+  if (chosen.length > 0) {
+    logger.warn('RPD instances request different or disabled signing algorithms, using the default', {
+      algorithms: chosen,
+      instances: instances.map((instance) => instance.code),
+    });
+  }
+  return getDefaultAlgorithm();
+}
+
 /**
  * Генерирует access token
  * @param {string} userType - тип пользователя ('MEMBER' или 'CLIENT')
@@ -13,8 +43,7 @@ const logger = require('../../../config/logger');
  */
 function generateAccessToken(userType, userId, additionalClaims = {}) {
   try {
-    const kid = getKid();
-    const { privateKey } = loadKeyPair(config.security.ecKeysDir || config.security.rsaKeysDir, kid);
+    const signingKey = getSigningKey();
 
     const payload = {
       iss: config.security.issuer,
@@ -26,16 +55,7 @@ function generateAccessToken(userType, userId, additionalClaims = {}) {
       ...additionalClaims,
     };
 
-    const token = jwt.sign(payload, privateKey, {
-      algorithm: 'ES256',
-      header: {
-        alg: 'ES256',
-        typ: 'JWT',
-        kid: kid,
-      },
-    });
-
-    return token;
+    return signJwt(payload, signingKey);
   } catch (error) {
     logger.error('Error generating access token:', error);
     throw error;
@@ -45,22 +65,25 @@ function generateAccessToken(userType, userId, additionalClaims = {}) {
 /**
  * Верифицирует access token
  * @param {string} token - JWT токен
+ * @param {Object} options - опции
+ * @param {boolean} options.checkAudience - проверять aud = AUDIENCE (по умолчанию true;
+ *   introspection проверяет aud сама - по audience вызывающего RPD instance)
  * @returns {Object} - декодированный payload
  */
-function verifyAccessToken(token) {
+function verifyAccessToken(token, options = {}) {
+  const { checkAudience = true } = options;
+
   try {
     const decoded = jwt.decode(token, { complete: true });
     if (!decoded || !decoded.header || !decoded.header.kid) {
       throw new Error('Invalid token format');
     }
 
+    // Алгоритм определяется ключом kid, а не заголовком токена
     const kid = decoded.header.kid;
-    const { publicKey } = loadKeyPair(config.security.ecKeysDir || config.security.rsaKeysDir, kid);
-
-    const payload = jwt.verify(token, publicKey, {
-      algorithms: ['ES256'],
+    const payload = verifyJwt(token, loadKeyPair(kid), {
       issuer: config.security.issuer,
-      audience: config.security.audience,
+      audience: checkAudience ? config.security.audience : undefined,
     });
 
     return payload;
@@ -83,13 +106,26 @@ function generateRefreshToken() {
  * Issues an access token for RPD systems.
  * Resolves the user's region to top parent region and uses that region's RPD audiences.
  * Supports multi-audience tokens when multiple RPD instances exist for a region.
+ * The AuthRPD audience is always included, so the same token is accepted by /userinfo
+ * and the AuthRPD API. Standard OIDC claims (nbf, name, preferred_username) are added
+ * next to the custom `data` claim.
+ * 
+ * The token policy of the instances (rpd_instances.token_policy, see token-policy.service) applies:
+ * instances that don't accept the user type are left out of aud, the TTL is capped by the shortest
+ * access_ttl_seconds and optional claims are embedded only if every instance allows them.
  * 
- * @param {Object} user - User object with id, role_id, region_id
+ * @param {Object} user - User object with id, role_id, region_id (optional: username, fullname,
+ *   organization_id, ministry_id (clients), permissions - the role permissions if already loaded)
  * @param {string} userType - User type ('MEMBER' or 'CLIENT')
  * @param {Object} options - Additional options
  * @param {boolean} options.useCache - Whether to use cache for region/RPD lookup (default: true)
+ * @param {string} options.regionId - Region whose RPD instances receive the token (default: user.region_id;
+ *   token exchange issues tokens for another region)
+ * @param {number} options.ttlSeconds - Token lifetime (default: ACCESS_TTL_SECONDS), capped by the token policy
+ * @param {Object} options.claims - Extra top-level claims (e.g. `act` for exchanged tokens)
  * @returns {Promise<string>} - JWT access token with RPD audience(s) as array
  * @throws {Error} - If region resolution fails or RPD instance not found
+ * @throws {ApiError} - 403 USER_TYPE_NOT_ALLOWED if no instance of the region accepts the user type
  * 
  * @example
  * // Top region user with single RPD instance
@@ -98,7 +134,7 @@ function generateRefreshToken() {
  *   role_id: 5,
  *   region_id: '11'
  * }, 'MEMBER');
- * // Token will have aud: ['rpd:ahal']
+ * // Token will have aud: ['rpd:ahal', 'RPD']
  * 
  * // Top region user with multiple RPD instances
  * const token = await issueAccessToken({
@@ -106,7 +142,7 @@ function generateRefreshToken() {
  *   role_id: 5,
  *   region_id: '11' // Has 2 RPD instances
  * }, 'MEMBER');
- * // Token will have aud: ['rpd:ahal:primary', 'rpd:ahal:secondary']
+ * // Token will have aud: ['rpd:ahal:primary', 'rpd:ahal:secondary', 'RPD']
  * 
  * // Sub-region user (automatically resolves to parent's RPD instances)
  * const token = await issueAccessToken({
@@ -116,17 +152,30 @@ function generateRefreshToken() {
  * }, 'MEMBER');
  */
 async function issueAccessToken(user, userType = 'MEMBER', options = {}) {
-  const { useCache = true } = options;
+  const { token } = await issueAccessTokenWithPolicy(user, userType, options);
+  return token;
+}
+
+/**
+ * Issues an access token for RPD systems (see issueAccessToken) and reports the applied token policy
+ * @param {Object} user - User object (see issueAccessToken)
+ * @param {string} userType - User type ('MEMBER' or 'CLIENT')
+ * @param {Object} options - Additional options (see issueAccessToken)
+ * @returns {Promise<Object>} - { token, expires_in, refresh_allowed }
+ */
+async function issueAccessTokenWithPolicy(user, userType = 'MEMBER', options = {}) {
+  const { useCache = true, ttlSeconds = config.security.accessTtlSeconds, claims = {} } = options;
+  const regionId = options.regionId || (user && user.region_id);
 
   try {
-    if (!user || !user.id || !user.region_id) {
+    if (!user || !user.id || !regionId) {
       throw new Error('User object must have id and region_id');
     }
 
     // Get all RPD instances for user's region (resolves to top region automatically)
     // Returns: { top_region_id, original_region_id, instances: [...], audiences: [...] }
     const { getRpdInstanceByRegion } = require('../../rpd/services/rpd-instance.service');
-    const rpdData = await getRpdInstanceByRegion(user.region_id, useCache);
+    const rpdData = await getRpdInstanceByRegion(regionId, useCache);
 
     // Validate rpdData structure (handle potential cache issues with old format)
     if (!rpdData) {
@@ -162,67 +211,184 @@ async function issueAccessToken(user, userType = 'MEMBER', options = {}) {
       throw new Error('Top region ID not found in RPD instance data');
     }
 
+    // Token policy: instances that don't accept the user type are left out of aud,
+    // the policies of the rest are merged to the strictest one
+    let instances = [];
+    let policy = mergeTokenPolicies([]);
+    if (Array.isArray(rpdData.instances)) {
+      ({ instances, audiences, policy } = applyTokenPolicy(rpdData.instances, userType, topRegionId));
+    }
+    const expiresIn = policy.access_ttl_seconds ? Math.min(ttlSeconds, policy.access_ttl_seconds) : ttlSeconds;
+
     // Prepare JWT payload
+    // iat - после отметки отзыва субъекта, если отзыв был в эту же секунду (revocation.service)
+    const sub = `${userType}:${user.id}`;
     const now = Math.floor(Date.now() / 1000);
-    const kid = getKid();
-    const { privateKey } = loadKeyPair(config.security.ecKeysDir || config.security.rsaKeysDir, kid);
+    const issuedAt = await issuedAtFor(sub);
+    const signingKey = getSigningKey(resolveSigningAlgorithm(instances));
 
     // Build claims
     // Always use array format for audience (JWT spec supports both string and array)
     // Canonical JWT structure according to TZ v2.2 specification
     const payload = {
       iss: config.security.issuer,
-      sub: `${userType}:${user.id}`,
-      aud: audiences, // Array of all RPD instance audiences (always array format)
-      iat: now,
-      exp: now + config.security.accessTtlSeconds,
+      sub,
+      // Array of all RPD instance audiences plus the AuthRPD audience (always array format)
+      aud: [...new Set([...audiences, config.security.audience])],
+      iat: issuedAt,
+      nbf: now,
+      exp: now + expiresIn,
       jti: uuidv4(),
+      // Standard OIDC claims (https://openid.net/specs/openid-connect-core-1_0.html#StandardClaims)
+      name: user.fullname || null,
+      preferred_username: user.username || null,
       data: {
         id: user.id,
         user_type: userType, // "MEMBER" or "CLIENT"
         role: user.role || null, // role.name for members, null for clients
         region_id: topRegionId, // Top region ID (resolved through hierarchy, STRING code)
-        organization_id: user.organization_id || null, // organizations.code (STRING)
+        // organizations.code (STRING), only if every instance allows the "organization" claim
+        organization_id: policy.claims.includes('organization') ? user.organization_id || null : null,
         fullname: user.fullname || null,
-        // permissions: user.permissions, // Optional - can be omitted to reduce token size
+        // permissions are not embedded here: opt-in scope/org + perm_hash claims below
       },
     };
 
+    // ministries.code of clients, opt-in with the "ministry" claim
+    if (userType === 'CLIENT' && policy.claims.includes('ministry')) {
+      payload.data.ministry_id = user.ministry_id || null;
+    }
+
     // Include sub_region_id if user is in a sub-region
     if (originalRegionId && originalRegionId !== topRegionId) {
       payload.sub_region_id = originalRegionId;
     }
 
+    // Authorization claims for RPD instances that opted in (rpd_instances.token_permissions)
+    const { buildAuthorizationClaims } = require('./token-claims.service');
+    Object.assign(payload, await buildAuthorizationClaims(user, userType, instances, policy.claims), claims);
+
     // Sign token
-    const token = jwt.sign(payload, privateKey, {
-      algorithm: 'ES256',
-      header: {
-        alg: 'ES256',
-        typ: 'JWT',
-        kid: kid,
-      },
-    });
+    const token = signJwt(payload, signingKey);
 
     logger.debug('RPD access token issued', {
       user_id: user.id,
       user_type: userType,
-      region_id: user.region_id,
+      region_id: regionId,
       top_region_id: topRegionId,
       audiences: audiences, // Array of audiences
-      instance_count: rpdData.instances ? rpdData.instances.length : audiences.length,
+      kid: signingKey.kid,
+      instance_count: instances.length || audiences.length,
+      expires_in: expiresIn,
     });
 
-    return token;
+    return { token, expires_in: expiresIn, refresh_allowed: policy.refresh_allowed };
   } catch (error) {
     logger.error('Error issuing RPD access token:', error);
     throw error;
   }
 }
 
+/**
+ * Issues an access token for an RPD service account (OAuth2 client-credentials grant).
+ * The token is not tied to a user: sub is "SERVICE:<id>", permissions come from the scope claim.
+ * aud contains the service account's RPD instance audience and the AuthRPD audience,
+ * so the same token is accepted by the RPD and by AuthRPD APIs (/catalogs, /admin).
+ *
+ * @param {Object} account - Service account { id, client_id }
+ * @param {Object} rpdInstance - RPD instance of the account { code, audience, region_id, signing_algorithm }
+ * @param {Array<string>} scopes - Granted scopes (e.g. ['catalog:read'])
+ * @param {Object} options - { authMethod } - how the client authenticated at the token endpoint
+ *   (private_key_jwt, client_secret_basic, client_secret_post), embedded as client_auth_method
+ * @returns {Promise<Object>} - { token, expires_in }
+ */
+async function issueServiceAccessToken(account, rpdInstance, scopes, options = {}) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    // A re-request right after revokeSubjectTokens (scopes narrowed) must not be revoked itself
+    const issuedAt = await issuedAtFor(`SERVICE:${account.id}`);
+    const expiresIn = config.security.oauth.serviceTokenTtlSeconds;
+    const signingKey = getSigningKey(resolveSigningAlgorithm([rpdInstance]));
+
+    const payload = {
+      iss: config.security.issuer,
+      sub: `SERVICE:${account.id}`,
+      aud: [rpdInstance.audience, config.security.audience],
+      iat: issuedAt,
+      nbf: now,
+      exp: now + expiresIn,
+      jti: uuidv4(),
+      client_id: account.client_id,
+      ...(options.authMethod && { client_auth_method: options.authMethod }),
+      scope: scopes.join(' '),
+      data: {
+        id: account.id,
+        user_type: 'SERVICE',
+        client_id: account.client_id,
+        rpd_instance: rpdInstance.code,
+        region_id: rpdInstance.region_id,
+      },
+    };
+
+    const token = signJwt(payload, signingKey);
+
+    logger.debug('Service access token issued', {
+      client_id: account.client_id,
+      rpd_instance: rpdInstance.code,
+      scopes,
+    });
+
+    return { token, expires_in: expiresIn };
+  } catch (error) {
+    logger.error('Error issuing service access token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Issues an OpenID Connect ID token for an RPD frontend (authorization-code flow).
+ * aud is the frontend's client_id (RPD instance code); the token is not an access token
+ * and must not be sent to APIs.
+ *
+ * @param {Object} user - User { id, username, fullname }
+ * @param {string} userType - User type ('MEMBER' or 'CLIENT')
+ * @param {string} clientId - OAuth client_id of the RPD frontend
+ * @param {Object} options - { nonce, authTime, amr, algorithm } (algorithm - signing algorithm
+ *   of the client's RPD instance, default: the first of SIGNING_ALGORITHMS)
+ * @returns {string} - JWT ID token
+ */
+function issueIdToken(user, userType, clientId, options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const signingKey = getSigningKey(options.algorithm || getDefaultAlgorithm());
+
+  const payload = {
+    iss: config.security.issuer,
+    sub: `${userType}:${user.id}`,
+    aud: clientId,
+    iat: now,
+    exp: now + config.security.accessTtlSeconds,
+    auth_time: options.authTime || now,
+    name: user.fullname || null,
+    preferred_username: user.username || null,
+  };
+  if (options.nonce) {
+    payload.nonce = options.nonce;
+  }
+  if (options.amr) {
+    payload.amr = options.amr;
+  }
+
+  return signJwt(payload, signingKey);
+}
+
 module.exports = {
+  resolveSigningAlgorithm,
   generateAccessToken,
   verifyAccessToken,
   generateRefreshToken,
   issueAccessToken,
+  issueAccessTokenWithPolicy,
+  issueServiceAccessToken,
+  issueIdToken,
 };
 
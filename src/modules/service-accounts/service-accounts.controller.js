@@ -0,0 +1,93 @@
+const serviceAccountsService = require('./service-accounts.service');
+const { successResponse } = require('../../helpers/response.helper');
+
+/**
+ * Service Accounts Controller
+ * Thin controller layer - delegates to service
+ */
+
+async function list_service_accounts(req, res, next) {
+  try {
+    const { page, limit, rpd_instance_id, is_active } = req.query;
+    const result = await serviceAccountsService.getAllServiceAccounts({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      rpd_instance_id: rpd_instance_id ? parseInt(rpd_instance_id) : undefined,
+      is_active,
+    });
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function get_service_account(req, res, next) {
+  try {
+    const account = await serviceAccountsService.getServiceAccountById(req.params.id);
+    res.json(successResponse(account));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function create_service_account(req, res, next) {
+  try {
+    const result = await serviceAccountsService.createServiceAccount(
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.status(201).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update_service_account(req, res, next) {
+  try {
+    const account = await serviceAccountsService.updateServiceAccount(
+      req.params.id,
+      req.body,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(account));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function rotate_service_account_secret(req, res, next) {
+  try {
+    const result = await serviceAccountsService.rotateClientSecret(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function delete_service_account(req, res, next) {
+  try {
+    await serviceAccountsService.deleteServiceAccount(
+      req.params.id,
+      { type: req.user.type, id: req.user.id },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    res.json(successResponse({ message: 'Service account deleted' }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list_service_accounts,
+  get_service_account,
+  create_service_account,
+  update_service_account,
+  rotate_service_account_secret,
+  delete_service_account,
+};
@@ -0,0 +1,157 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const serviceAccountsController = require('./service-accounts.controller');
+const { authGuard } = require('../../middlewares/auth.guard');
+const { validate_id_param, validate_query, paginationValidator } = require('../../helpers/validators');
+const require_permissions = require('../../middlewares/require_permissions');
+const schemaValidator = require('../../middlewares/schema.validator');
+const { createServiceAccountSchema, updateServiceAccountSchema } = require('./service-accounts.schemas');
+
+/**
+ * Service accounts admin routes
+ * RPD service accounts for the OAuth2 client-credentials grant (/oauth/token)
+ * Protected by SECURITY_READ / SECURITY_MANAGE permissions
+ */
+
+const listQueryValidator = paginationValidator.keys({
+  rpd_instance_id: Joi.number().integer().positive().optional(),
+  is_active: Joi.boolean().optional(),
+});
+
+/**
+ * @swagger
+ * /admin/service-accounts:
+ *   get:
+ *     tags: [Service Accounts]
+ *     summary: List service accounts
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *       - in: query
+ *         name: rpd_instance_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: is_active
+ *         schema: { type: boolean }
+ *     responses:
+ *       200: { description: Service accounts list }
+ *   post:
+ *     tags: [Service Accounts]
+ *     summary: Create service account
+ *     description: |
+ *       Registers an RPD backend as an OAuth2 client. For `auth_method: client_secret` the
+ *       response contains `client_secret` - it is shown only once. For `private_key_jwt`
+ *       the PEM `public_key` verifies the client assertions.
+ *       `tls_client_cert_thumbprint` (SHA-256 of the client certificate) lets the RPD call the catalog
+ *       sync endpoint with mTLS instead of an access token (MTLS_CLIENT_CERT_HEADER).
+ *       Scopes are permission names in OAuth notation (`CATALOG_READ` = `catalog:read`).
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, rpd_instance_id]
+ *             properties:
+ *               name: { type: string, example: RPD Ahal backend }
+ *               rpd_instance_id: { type: integer }
+ *               auth_method: { type: string, enum: [client_secret, private_key_jwt], default: client_secret }
+ *               public_key: { type: string, description: PEM public key (private_key_jwt) }
+ *               tls_client_cert_thumbprint: { type: string, description: 'SHA-256 fingerprint of the mTLS client certificate (hex, colons optional)' }
+ *               scopes: { type: array, items: { type: string }, example: ['catalog:read'] }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       201: { description: Service account created (service_account, client_secret) }
+ *       400: { description: Unknown scopes }
+ *       404: { description: RPD instance not found }
+ *       409: { description: Client certificate already registered for another account }
+ */
+router.get('/admin/service-accounts', authGuard, require_permissions('SECURITY_READ'), validate_query(listQueryValidator), serviceAccountsController.list_service_accounts);
+router.post('/admin/service-accounts', authGuard, require_permissions('SECURITY_MANAGE'), schemaValidator(createServiceAccountSchema), serviceAccountsController.create_service_account);
+
+/**
+ * @swagger
+ * /admin/service-accounts/{id}:
+ *   get:
+ *     tags: [Service Accounts]
+ *     summary: Get service account by ID
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Service account }
+ *       404: { description: Service account not found }
+ *   put:
+ *     tags: [Service Accounts]
+ *     summary: Update service account
+ *     description: Deactivation, narrowed scopes or a new public key revoke the account's issued tokens.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               public_key: { type: string }
+ *               tls_client_cert_thumbprint: { type: string, nullable: true }
+ *               scopes: { type: array, items: { type: string } }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200: { description: Service account updated }
+ *       404: { description: Service account not found }
+ *   delete:
+ *     tags: [Service Accounts]
+ *     summary: Delete service account
+ *     description: Soft delete; the account's issued tokens are revoked.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Service account deleted }
+ *       404: { description: Service account not found }
+ */
+router.get('/admin/service-accounts/:id', authGuard, validate_id_param(), require_permissions('SECURITY_READ'), serviceAccountsController.get_service_account);
+router.put('/admin/service-accounts/:id', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), schemaValidator(updateServiceAccountSchema), serviceAccountsController.update_service_account);
+router.delete('/admin/service-accounts/:id', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), serviceAccountsController.delete_service_account);
+
+/**
+ * @swagger
+ * /admin/service-accounts/{id}/secret:
+ *   post:
+ *     tags: [Service Accounts]
+ *     summary: Rotate client secret
+ *     description: Returns a new client_secret (shown only once); the previous secret stops working immediately.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: New client secret (client_id, client_secret) }
+ *       400: { description: Account uses private_key_jwt }
+ *       404: { description: Service account not found }
+ */
+router.post('/admin/service-accounts/:id/secret', authGuard, validate_id_param(), require_permissions('SECURITY_MANAGE'), serviceAccountsController.rotate_service_account_secret);
+
+module.exports = router;
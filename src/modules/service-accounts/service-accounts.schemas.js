@@ -0,0 +1,79 @@
+const Joi = require('joi');
+
+/**
+ * Service Accounts Schema Validators
+ * Validates request bodies for RPD service account management endpoints
+ */
+
+const scopesRule = Joi.array()
+  .items(Joi.string().trim().pattern(/^[a-z0-9]+(:[a-z0-9]+)*$/))
+  .unique()
+  .messages({
+    'array.base': 'Scopes must be an array',
+    'string.pattern.base': 'Scope must look like "catalog:read"',
+    'array.unique': 'Scopes must be unique',
+  });
+
+const publicKeyRule = Joi.string()
+  .trim()
+  .pattern(/^-----BEGIN (PUBLIC KEY|RSA PUBLIC KEY)-----/)
+  .max(8192)
+  .messages({
+    'string.pattern.base': 'Public key must be a PEM encoded public key',
+  });
+
+// SHA-256 thumbprint of the mTLS client certificate, hex with or without colons
+const tlsClientCertThumbprintRule = Joi.string()
+  .trim()
+  .pattern(/^([0-9a-fA-F]{2}:){31}[0-9a-fA-F]{2}$|^[0-9a-fA-F]{64}$/)
+  .messages({
+    'string.pattern.base': 'TLS client certificate thumbprint must be a SHA-256 fingerprint (64 hex digits)',
+  });
+
+/**
+ * Create Service Account Schema
+ */
+const createServiceAccountSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required()
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.empty': 'Name is required',
+      'any.required': 'Name is required',
+    }),
+  rpd_instance_id: Joi.number().integer().positive().required()
+    .messages({
+      'number.base': 'RPD instance ID must be a number',
+      'any.required': 'RPD instance ID is required',
+    }),
+  auth_method: Joi.string().valid('client_secret', 'private_key_jwt').default('client_secret')
+    .messages({
+      'any.only': 'Auth method must be one of: client_secret, private_key_jwt',
+    }),
+  public_key: publicKeyRule.when('auth_method', {
+    is: 'private_key_jwt',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    'any.required': 'Public key is required for private_key_jwt',
+    'any.unknown': 'Public key is only used with private_key_jwt',
+  }),
+  tls_client_cert_thumbprint: tlsClientCertThumbprintRule.optional(),
+  scopes: scopesRule.default([]),
+  is_active: Joi.boolean().optional(),
+});
+
+/**
+ * Update Service Account Schema
+ */
+const updateServiceAccountSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).optional(),
+  public_key: publicKeyRule.optional(),
+  tls_client_cert_thumbprint: tlsClientCertThumbprintRule.allow(null).optional(),
+  scopes: scopesRule.optional(),
+  is_active: Joi.boolean().optional(),
+}).min(1);
+
+module.exports = {
+  createServiceAccountSchema,
+  updateServiceAccountSchema,
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { ServiceAccount, RpdInstance } = require('../../models');
+const { generateClientSecret } = require('../oauth/oauth.service');
+const { assertKnownScopes } = require('../oauth/services/scope.service');
+const { normalizeThumbprint } = require('../oauth/services/mtls.service');
+const { revokeSubjectTokens } = require('../security/tokens/revocation.service');
+const { logEvent, auditActions } = require('../audit/audit.service');
+const ApiError = require('../../helpers/api.error');
+
+/**
+ * Service Accounts Service
+ * Handles RPD service accounts (OAuth2 client-credentials clients).
+ * The client secret is returned only when it is created or rotated.
+ */
+
+const RPD_INSTANCE_INCLUDE = { model: RpdInstance, as: 'rpdInstance', attributes: ['id', 'code', 'audience', 'region_id', 'is_active'] };
+
+/**
+ * Get service accounts with pagination
+ * @param {Object} options - Query options (page, limit, rpd_instance_id, is_active)
+ * @returns {Promise<Object>} - Paginated service accounts list
+ */
+async function getAllServiceAccounts(options = {}) {
+  const { page = 1, limit = 20, rpd_instance_id, is_active } = options;
+  const offset = (page - 1) * limit;
+
+  const where = {};
+  if (rpd_instance_id) {
+    where.rpd_instance_id = rpd_instance_id;
+  }
+  if (is_active !== undefined) {
+    where.is_active = is_active;
+  }
+
+  const { count, rows } = await ServiceAccount.findAndCountAll({
+    where,
+    include: [RPD_INSTANCE_INCLUDE],
+    limit,
+    offset,
+    order: [['id', 'ASC']],
+  });
+
+  return {
+    items: rows,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+  };
+}
+
+/**
+ * Get service account by ID
+ * @param {number} id - Service account ID
+ * @returns {Promise<Object>} - Service account
+ */
+async function getServiceAccountById(id) {
+  const account = await ServiceAccount.findByPk(id, { include: [RPD_INSTANCE_INCLUDE] });
+  if (!account) {
+    throw new ApiError(404, 'Service account not found');
+  }
+  return account;
+}
+
+/**
+ * Ensures an mTLS certificate is registered for one service account only
+ * @param {string} thumbprint - Normalized SHA-256 thumbprint
+ * @param {number} exceptId - Service account being updated
+ * @throws {ApiError} - 409 if another account uses the certificate
+ */
+async function assertThumbprintAvailable(thumbprint, exceptId = null) {
+  const existing = await ServiceAccount.findOne({ where: { tls_client_cert_thumbprint: thumbprint }, attributes: ['id'] });
+  if (existing && existing.id !== exceptId) {
+    throw new ApiError(409, 'Client certificate is already registered for another service account', 'tls_client_cert_thumbprint');
+  }
+}
+
+/**
+ * Create service account
+ * @param {Object} data - { name, rpd_instance_id, auth_method, public_key, tls_client_cert_thumbprint, scopes, is_active }
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { service_account, client_secret } (client_secret only for client_secret auth)
+ */
+async function createServiceAccount(data, actor = {}, metadata = {}) {
+  const instance = await RpdInstance.findByPk(data.rpd_instance_id);
+  if (!instance) {
+    throw new ApiError(404, 'RPD instance not found', 'rpd_instance_id');
+  }
+
+  const scopes = await assertKnownScopes(data.scopes || []);
+  const secret = data.auth_method === 'private_key_jwt' ? null : generateClientSecret();
+  const thumbprint = normalizeThumbprint(data.tls_client_cert_thumbprint);
+  if (thumbprint) {
+    await assertThumbprintAvailable(thumbprint);
+  }
+
+  const account = await ServiceAccount.create({
+    client_id: `${instance.code}.${crypto.randomBytes(6).toString('hex')}`,
+    name: data.name,
+    rpd_instance_id: instance.id,
+    auth_method: data.auth_method || 'client_secret',
+    client_secret_hash: secret ? secret.hash : null,
+    public_key: data.public_key || null,
+    tls_client_cert_thumbprint: thumbprint,
+    scopes,
+    is_active: data.is_active !== undefined ? data.is_active : true,
+  });
+
+  await logEvent({
+    action: auditActions.SERVICE_ACCOUNT_CREATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SERVICE',
+    targetId: account.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: {
+      client_id: account.client_id,
+      rpd_instance: instance.code,
+      auth_method: account.auth_method,
+      tls_client_cert_thumbprint: thumbprint,
+      scopes,
+    },
+  });
+
+  return {
+    service_account: await getServiceAccountById(account.id),
+    client_secret: secret ? secret.secret : null,
+  };
+}
+
+/**
+ * Update service account
+ * Deactivating an account or narrowing its scopes revokes its issued access tokens
+ * @param {number} id - Service account ID
+ * @param {Object} data - { name, public_key, tls_client_cert_thumbprint, scopes, is_active }
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Updated service account
+ */
+async function updateServiceAccount(id, data, actor = {}, metadata = {}) {
+  const account = await ServiceAccount.findByPk(id);
+  if (!account) {
+    throw new ApiError(404, 'Service account not found');
+  }
+
+  const updateData = { ...data };
+  if (data.scopes) {
+    updateData.scopes = await assertKnownScopes(data.scopes);
+  }
+  if (data.public_key && account.auth_method !== 'private_key_jwt') {
+    throw new ApiError(400, 'Public key is only used with private_key_jwt', 'public_key');
+  }
+  if (data.tls_client_cert_thumbprint !== undefined) {
+    updateData.tls_client_cert_thumbprint = normalizeThumbprint(data.tls_client_cert_thumbprint);
+    if (updateData.tls_client_cert_thumbprint) {
+      await assertThumbprintAvailable(updateData.tls_client_cert_thumbprint, account.id);
+    }
+  }
+
+  const deactivated = data.is_active === false && account.is_active;
+  const scopesNarrowed = Boolean(updateData.scopes) && account.scopes.some((scope) => !updateData.scopes.includes(scope));
+  const keyChanged = Boolean(data.public_key) && data.public_key !== account.public_key;
+
+  await account.update(updateData);
+
+  await logEvent({
+    action: auditActions.SERVICE_ACCOUNT_UPDATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SERVICE',
+    targetId: account.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { client_id: account.client_id, updated_fields: Object.keys(data) },
+  });
+
+  if (deactivated || scopesNarrowed || keyChanged) {
+    await revokeSubjectTokens('SERVICE', account.id);
+  }
+
+  return getServiceAccountById(account.id);
+}
+
+/**
+ * Rotate client secret (the previous secret stops working immediately)
+ * @param {number} id - Service account ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - { client_id, client_secret }
+ */
+async function rotateClientSecret(id, actor = {}, metadata = {}) {
+  const account = await ServiceAccount.findByPk(id);
+  if (!account) {
+    throw new ApiError(404, 'Service account not found');
+  }
+  if (account.auth_method !== 'client_secret') {
+    throw new ApiError(400, 'Service account authenticates with private_key_jwt');
+  }
+
+  const secret = generateClientSecret();
+  await account.update({ client_secret_hash: secret.hash });
+
+  await logEvent({
+    action: auditActions.SERVICE_ACCOUNT_SECRET_ROTATED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SERVICE',
+    targetId: account.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { client_id: account.client_id },
+  });
+
+  return { client_id: account.client_id, client_secret: secret.secret };
+}
+
+/**
+ * Delete service account (soft delete) and revoke its access tokens
+ * @param {number} id - Service account ID
+ * @param {Object} actor - Admin performing the action { type, id }
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ */
+async function deleteServiceAccount(id, actor = {}, metadata = {}) {
+  const account = await ServiceAccount.findByPk(id);
+  if (!account) {
+    throw new ApiError(404, 'Service account not found');
+  }
+
+  await account.destroy();
+  await revokeSubjectTokens('SERVICE', account.id);
+
+  await logEvent({
+    action: auditActions.SERVICE_ACCOUNT_DELETED,
+    actorType: actor.type,
+    actorId: actor.id,
+    targetType: 'SERVICE',
+    targetId: account.id,
+    ip: metadata.ip,
+    userAgent: metadata.userAgent,
+    meta: { client_id: account.client_id },
+  });
+}
+
+module.exports = {
+  getAllServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  updateServiceAccount,
+  rotateClientSecret,
+  deleteServiceAccount,
+};
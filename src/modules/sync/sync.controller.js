@@ -9,7 +9,11 @@ async function getCatalogByVersion(req, res, next) {
     const lang = req.query.lang || 'tm';
     const includeDeleted = req.query.include_deleted === 'true' || req.query.include_deleted === true;
 
-    const data = await syncService.getCatalogDataByVersion(name, version, lang, includeDeleted);
+    // rpdInstance is set by rpdInstanceGuard; scope (optional) is echoed from the previous response
+    const data = await syncService.getCatalogDataByVersion(name, version, lang, includeDeleted, {
+      rpdInstance: req.rpdInstance,
+      scope: req.query.scope,
+    });
     res.json(successResponse(data));
   } catch (error) {
     next(error);
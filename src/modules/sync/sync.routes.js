@@ -4,6 +4,7 @@ const router = express.Router();
 const syncController = require('./sync.controller');
 const { paramsValidator } = require('../../middlewares/schema.validator');
 const { validate_sync_query } = require('../../helpers/validators');
+const { rpdInstanceGuard } = require('../../middlewares/rpd.instance.guard');
 
 // Allowed catalog names for sync endpoint
 const allowedCatalogs = [
@@ -23,15 +24,18 @@ const allowedCatalogs = [
   'classifier_documents',
 ];
 
-// Public endpoints for RPD pull with validation
+// Endpoints for RPD pull, authenticated as an RPD instance (service account token or mTLS)
 /**
  * @swagger
  * /catalogs/{name}:
  *   get:
  *     tags: [Sync]
  *     summary: Get catalog data by version
- *     description: Returns items for a catalog if client's version is behind. Empty items with up_to_date=true when no updates.
- *     security: []
+ *     description: |
+ *       Returns items for a catalog if client's version is behind. Empty items with up_to_date=true when no updates.
+ *       Regional catalogs are limited to the RPD instance's region; the scope of the last full response is stored
+ *       per instance, echoing `scope` is optional. Access tokens must be obtained with private_key_jwt.
+ *     security: [{ bearerAuth: [] }]
  *     parameters:
  *       - in: path
  *         name: name
@@ -63,6 +67,9 @@ const allowedCatalogs = [
  *         name: include_deleted
  *         schema: { type: boolean, default: false }
  *         description: Include soft-deleted records (deleted_at IS NOT NULL)
+ *       - in: query
+ *         name: scope
+ *         schema: { type: string, example: 'region:11' }
  *     responses:
  *       200:
  *         description: Catalog data (or empty if up to date). Response includes deleted_items array if include_deleted=false.
@@ -72,6 +79,7 @@ router.get(
   paramsValidator(Joi.object({
     name: Joi.string().valid(...allowedCatalogs).required(),
   })),
+  rpdInstanceGuard,
   validate_sync_query(),
   syncController.getCatalogByVersion
 );
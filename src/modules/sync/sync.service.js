@@ -7,16 +7,66 @@ const {
   Field,
   Document,
   ClassifierEconomic,
+  RpdInstance,
 } = require('../../models');
 const localize = require('../../helpers/localize.helper');
+const { getSubRegionIds } = require('../catalogs/services/region.service');
+const { cacheData } = require('../../helpers/cache.helper');
+
+// Каталоги с региональными данными: RPD instance получает только записи своего верхнего региона
+// и его подрегионов (организации и банки без региона - общие, счета - только организаций региона)
+const REGION_SCOPED_CATALOGS = ['organizations', 'banks', 'bank_accounts'];
+
+// Scope каталогов без региональных данных
+const SCOPE_ALL = 'all';
 
 /**
- * Получает данные каталога по версии
+ * Scope данных каталога для RPD instance
+ * Scope последней полной выдачи хранится в rpd_instances.sync_scopes, и версия учитывается только
+ * при его совпадении с текущим - после переноса instance в другой регион RPD получает полные данные
  * @param {string} catalogName - имя каталога
- * @param {number} version - версия (опционально)
- * @param {string} lang - язык
- * @returns {Promise<Object>} - данные каталога
+ * @param {Object|null} rpdInstance - { code, region_id } аутентифицированного RPD instance
+ * @returns {Promise<Object>} - { key, region_ids } (region_ids null - без фильтра)
  */
+async function resolveSyncScope(catalogName, rpdInstance) {
+  if (!rpdInstance || !REGION_SCOPED_CATALOGS.includes(catalogName)) {
+    return { key: SCOPE_ALL, region_ids: null };
+  }
+
+  const topRegionId = rpdInstance.region_id;
+  const subRegionIds = await cacheData(
+    `sync:scope:region:${topRegionId}`,
+    () => getSubRegionIds(topRegionId),
+    300 // 5 минут
+  );
+
+  return { key: `region:${topRegionId}`, region_ids: [topRegionId, ...subRegionIds] };
+}
+
+/**
+ * Запоминает scope, данные которого отданы RPD instance
+ * @param {Object|null} rpdInstance - { id, sync_scopes } аутентифицированного RPD instance
+ * @param {string} catalogName - имя каталога
+ * @param {string} scopeKey - ключ scope
+ */
+async function recordSyncScope(rpdInstance, catalogName, scopeKey) {
+  if (!rpdInstance || scopeKey === SCOPE_ALL || (rpdInstance.sync_scopes || {})[catalogName] === scopeKey) {
+    return;
+  }
+
+  // jsonb_set: параллельная синхронизация других каталогов не затирает их scope
+  const { sequelize } = RpdInstance;
+  await RpdInstance.update(
+    {
+      sync_scopes: sequelize.literal(
+        `jsonb_set(COALESCE(sync_scopes, '{}'::jsonb), ${sequelize.escape(`{${catalogName}}`)}, ` +
+          `${sequelize.escape(JSON.stringify(scopeKey))}::jsonb)`
+      ),
+    },
+    { where: { id: rpdInstance.id }, silent: true }
+  );
+}
+
 /**
  * Получает данные каталога по версии
  * Поддерживает все master-каталоги для синхронизации с RPD
@@ -24,15 +74,24 @@ const localize = require('../../helpers/localize.helper');
  * @param {number} version - версия (опционально)
  * @param {string} lang - язык
  * @param {boolean} includeDeleted - включать ли удалённые записи (deleted_at IS NOT NULL)
+ * @param {Object} options - { rpdInstance, scope }
+ * @param {Object} options.rpdInstance - RPD instance запроса { id, code, region_id, sync_scopes }:
+ *   региональные каталоги фильтруются
+ * @param {string} options.scope - scope из предыдущего ответа (необязателен; другой scope - полная выдача)
  * @returns {Promise<Object>} - данные каталога
  */
-async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm', includeDeleted = false) {
+async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm', includeDeleted = false, options = {}) {
   const currentVersion = await CatalogVersion.findOne({ where: { catalog_name: catalogName } });
+  const scope = await resolveSyncScope(catalogName, options.rpdInstance || null);
+  const servedScope = options.rpdInstance ? (options.rpdInstance.sync_scopes || {})[catalogName] : null;
+  const sameScope =
+    scope.key === SCOPE_ALL || (servedScope === scope.key && (!options.scope || options.scope === scope.key));
 
-  // Если клиент уже на актуальной версии — отдаём пустой ответ и помечаем up_to_date
-  if (version !== null && currentVersion && version >= currentVersion.version) {
+  // Если клиент уже на актуальной версии того же scope — отдаём пустой ответ и помечаем up_to_date
+  if (version !== null && currentVersion && version >= currentVersion.version && sameScope) {
     return {
       version: currentVersion.version,
+      scope: scope.key,
       up_to_date: true,
       items: [],
       deleted_items: [], // No deleted items if up to date
@@ -63,7 +122,7 @@ async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm',
       data = await catalogService.getMinistries();
       break;
     case 'organizations':
-      data = await catalogService.getOrganizations();
+      data = await catalogService.getOrganizations(undefined, scope.region_ids);
       break;
     case 'classifier_economic':
       data = await catalogService.getClassifierEconomic();
@@ -78,10 +137,10 @@ async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm',
       data = await catalogService.getClassifierIncome();
       break;
     case 'banks':
-      data = await catalogService.getBanks();
+      data = await catalogService.getBanks(undefined, scope.region_ids);
       break;
     case 'bank_accounts':
-      data = await catalogService.getBankAccounts();
+      data = await catalogService.getBankAccounts(undefined, scope.region_ids);
       break;
     case 'fields':
       data = await catalogService.getFields();
@@ -122,8 +181,11 @@ async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm',
   // For now, we return empty deleted_items array as tracking requires additional infrastructure.
   const deletedItems = [];
 
+  await recordSyncScope(options.rpdInstance || null, catalogName, scope.key);
+
   return {
     version: currentVersion ? currentVersion.version : null,
+    scope: scope.key,
     up_to_date: false,
     items: localized,
     deleted_items: deletedItems, // Array of codes/ids of deleted items (if include_deleted=false)
@@ -131,6 +193,7 @@ async function getCatalogDataByVersion(catalogName, version = null, lang = 'tm',
 }
 
 module.exports = {
+  REGION_SCOPED_CATALOGS,
   getCatalogDataByVersion,
 };
 
@@ -3,26 +3,34 @@ const config = require('./config/env');
 const sequelize = require('./config/db');
 const redis = require('./config/redis');
 const logger = require('./config/logger');
-const { ensureMonthlyKeyPair } = require('./modules/security/keys/key.manager');
+const { assertProductionSecrets } = require('./config/secrets');
+const { initKeyStore, closeKeyStore, ensureSigningKeys } = require('./modules/security/keys/key.manager');
+const { startKeyRotationJob, stopKeyRotationJob } = require('./jobs/key.rotation');
+const { startRpdHeartbeatJob, stopRpdHeartbeatJob } = require('./jobs/rpd.heartbeat');
 const { nodeCronsInitializePartitionManagement, nodeCronsStopYearlyPartitionJob } = require('./utils/partition.crons');
-const path = require('path');
 
-// Store cron task for graceful shutdown
+// Store cron tasks for graceful shutdown
 let partitionCronTask = null;
+let keyRotationTask = null;
+let rpdHeartbeatTask = null;
 
 /**
  * Запускает сервер AuthRPD
  * 
  * Выполняет:
+ * - Проверку секретов (production)
  * - Проверку подключений к БД и Redis
  * - Синхронизацию моделей (только в development)
- * - Генерацию RSA ключей
+ * - Загрузку ключей подписи и генерацию ключа текущего месяца
  * - Запуск HTTP сервера
  * 
  * Все действия логируются с соответствующим уровнем детализации
  */
 async function startServer() {
   try {
+    // В production секреты по умолчанию недопустимы (config/secrets.js)
+    assertProductionSecrets();
+
     // Проверяем подключение к БД
     await sequelize.authenticate();
     logger.info('Database connection established', {
@@ -57,21 +65,21 @@ async function startServer() {
       port: config.redis.port,
     });
 
-    // Генерируем ключи при старте
-    const keysDir = path.resolve(config.security.ecKeysDir || config.security.rsaKeysDir);
-    const keyInfo = ensureMonthlyKeyPair(keysDir);
-    if (keyInfo.skipped) {
-      logger.info(`Using existing key pair for ${keyInfo.kid}`, {
-        kid: keyInfo.kid,
-        key_path: keyInfo.privateKeyPath,
-      });
-    } else {
-      logger.info(`Generated new key pair for ${keyInfo.kid}`, {
+    // Загружаем ключи из key store и генерируем ключи подписи при необходимости
+    await initKeyStore();
+    for (const keyInfo of await ensureSigningKeys()) {
+      logger.info(`${keyInfo.created ? 'Generated new' : 'Using existing'} ${keyInfo.algorithm} key pair ${keyInfo.kid}`, {
         kid: keyInfo.kid,
-        key_path: keyInfo.privateKeyPath,
+        algorithm: keyInfo.algorithm,
       });
     }
 
+    // Ежечасная проверка ключей: следующий ключ создаётся заранее
+    keyRotationTask = startKeyRotationJob();
+
+    // Проверка heartbeat RPD instances: молчащие и отстающие от catalog_versions
+    rpdHeartbeatTask = startRpdHeartbeatJob();
+
     // Инициализируем управление партициями
     // Создает партиции на старте и запускает cron-задачу для автоматического создания
     try {
@@ -120,7 +128,10 @@ process.on('SIGTERM', async () => {
       nodeCronsStopYearlyPartitionJob(partitionCronTask);
       logger.info('Partition cron job stopped');
     }
+    stopKeyRotationJob(keyRotationTask);
+    stopRpdHeartbeatJob(rpdHeartbeatTask);
     
+    closeKeyStore();
     await sequelize.close();
     redis.disconnect();
     logger.info('Graceful shutdown completed');
@@ -141,7 +152,10 @@ process.on('SIGINT', async () => {
       nodeCronsStopYearlyPartitionJob(partitionCronTask);
       logger.info('Partition cron job stopped');
     }
+    stopKeyRotationJob(keyRotationTask);
+    stopRpdHeartbeatJob(rpdHeartbeatTask);
     
+    closeKeyStore();
     await sequelize.close();
     redis.disconnect();
     logger.info('Graceful shutdown completed');
@@ -0,0 +1,61 @@
+jest.mock('../../src/modules/security/tokens/token.service', () => ({ verifyAccessToken: jest.fn() }));
+jest.mock('../../src/modules/security/tokens/revocation.service', () => ({
+  isAccessTokenRevoked: jest.fn(async () => false),
+}));
+jest.mock('../../src/modules/impersonation/impersonation.service', () => ({
+  isImpersonationToken: (payload) => Boolean(payload.act),
+  recordDeniedRequest: jest.fn(async () => {}),
+}));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { verifyAccessToken } = require('../../src/modules/security/tokens/token.service');
+const { recordDeniedRequest } = require('../../src/modules/impersonation/impersonation.service');
+const { authGuard } = require('../../src/middlewares/auth.guard');
+
+const IMPERSONATED = { sub: 'MEMBER:42', act: { sub: 'MEMBER:1' }, jti: 'jti-1', iat: 1, exp: 2 };
+
+/**
+ * Runs authGuard with a minimal Express-like request
+ * @returns {Promise<Error|undefined>} - error passed to next()
+ */
+function run(method, baseUrl, path) {
+  const req = { method, baseUrl, path, headers: { authorization: 'Bearer token' }, ip: '127.0.0.1' };
+  return new Promise((resolve) => authGuard(req, {}, resolve));
+}
+
+describe('authGuard', () => {
+  beforeEach(() => {
+    verifyAccessToken.mockReturnValue(IMPERSONATED);
+    recordDeniedRequest.mockClear();
+  });
+
+  describe('impersonated tokens', () => {
+    it.each([
+      ['GET', '/admin', '/members'],
+      ['GET', '/ADMIN', '/members'],
+      ['PATCH', '/Admin', '/roles/3'],
+      ['GET', '/RBAC', '/permissions'],
+      ['GET', '/admin', '/'],
+      ['POST', '/AUTH', '/logout-all'],
+      ['POST', '/Auth', '/password/change'],
+    ])('are refused on %s %s%s', async (method, baseUrl, path) => {
+      const error = await run(method, baseUrl, path);
+      expect(error).toMatchObject({ errorCode: 403, errorType: 'IMPERSONATION_FORBIDDEN' });
+      expect(recordDeniedRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([
+      ['GET', '/auth', '/me'],
+      ['GET', '/AUTH', '/sessions'],
+      ['GET', '/catalogs', '/regions'],
+      ['POST', '/administration', '/reports'],
+    ])('are allowed on %s %s%s', async (method, baseUrl, path) => {
+      expect(await run(method, baseUrl, path)).toBeUndefined();
+    });
+  });
+
+  it('does not restrict regular tokens', async () => {
+    verifyAccessToken.mockReturnValue({ sub: 'MEMBER:42', jti: 'jti-2', iat: 1, exp: 2 });
+    expect(await run('POST', '/AUTH', '/logout-all')).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../src/models', () => ({ ServiceAccount: { findByPk: jest.fn() }, RpdInstance: {} }));
+jest.mock('../../src/modules/security/tokens/token.service', () => ({ verifyAccessToken: jest.fn() }));
+jest.mock('../../src/modules/security/tokens/revocation.service', () => ({
+  isAccessTokenRevoked: jest.fn(async () => false),
+}));
+jest.mock('../../src/modules/oauth/services/mtls.service', () => ({ authenticateClientCertificate: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ServiceAccount } = require('../../src/models');
+const { verifyAccessToken } = require('../../src/modules/security/tokens/token.service');
+const { rpdInstanceGuard } = require('../../src/middlewares/rpd.instance.guard');
+
+const ACCOUNT = {
+  id: 3,
+  client_id: 'rpd-ahal-sync',
+  is_active: true,
+  rpdInstance: {
+    id: 7,
+    code: 'rpd-ahal',
+    region_id: '11',
+    audience: 'rpd:ahal',
+    is_active: true,
+    sync_scopes: { organizations: 'region:11' },
+  },
+};
+
+/**
+ * Service account token payload
+ * @param {Object} claims - claims to override
+ * @returns {Object}
+ */
+function servicePayload(claims = {}) {
+  return { sub: 'SERVICE:3', jti: 'jti-1', iat: 1, exp: 2, scope: 'catalog:read', ...claims };
+}
+
+/**
+ * Runs rpdInstanceGuard with a minimal Express-like request
+ * @returns {Promise<Object>} - { req, error } (error passed to next())
+ */
+function run() {
+  const req = { headers: { authorization: 'Bearer token' } };
+  return new Promise((resolve) => rpdInstanceGuard(req, {}, (error) => resolve({ req, error })));
+}
+
+describe('rpdInstanceGuard', () => {
+  beforeEach(() => {
+    ServiceAccount.findByPk.mockResolvedValue(ACCOUNT);
+  });
+
+  it('accepts tokens obtained with private_key_jwt', async () => {
+    verifyAccessToken.mockReturnValue(servicePayload({ client_auth_method: 'private_key_jwt' }));
+
+    const { req, error } = await run();
+    expect(error).toBeUndefined();
+    expect(req.serviceAccount).toEqual({ id: 3, client_id: 'rpd-ahal-sync', auth_method: 'access_token' });
+    expect(req.rpdInstance).toMatchObject({ id: 7, region_id: '11', sync_scopes: { organizations: 'region:11' } });
+  });
+
+  it.each([['client_secret_basic'], ['client_secret_post'], [undefined]])(
+    'refuses tokens with client_auth_method %s',
+    async (method) => {
+      verifyAccessToken.mockReturnValue(servicePayload({ client_auth_method: method }));
+
+      const { error } = await run();
+      expect(error).toMatchObject({ errorCode: 403, errorType: 'RPD_AUTH_METHOD_NOT_ALLOWED' });
+    }
+  );
+
+  it('refuses user tokens', async () => {
+    verifyAccessToken.mockReturnValue({ sub: 'MEMBER:42', jti: 'jti-2', iat: 1, exp: 2 });
+
+    const { error } = await run();
+    expect(error).toMatchObject({ errorCode: 401, errorType: 'RPD_AUTH_REQUIRED' });
+  });
+});